@@ -0,0 +1,162 @@
+/**
+ * ANALYSIS PROGRESS HANDLER
+ * Narrative Sparring - Live progress of one analysis as Server-Sent Events
+ *
+ * GET /api/analysis-progress?analysisId=...&key=... (the progressUrl that
+ * upload-handler.js, sparring-report.js and test-upload.js return). Polls
+ * the analysis record and sends:
+ *   progress - { stage, step, steps, currentSection, sections, tokensSoFar, updatedAt }
+ *   report   - { partialReport } when the streamed report text has grown or changed
+ *   complete - { analysisId, reportUrl, tokensUsed, costUSD } (then closes)
+ *   failed   - { analysisId, error, partialReport } (then closes)
+ * Each connection lasts at most STREAM_WINDOW_MS, so one open page does not
+ * hold a function for a whole analysis. EventSource reconnects on its own
+ * after RECONNECT_MS and gets the current state again (the report event
+ * carries the whole partial report, so nothing is lost between connections).
+ */
+
+const { createClient } = require('@supabase/supabase-js');
+const { verifyProgressKey, ANALYSIS_MAX_DURATION_S } = require('./utils/analysis-progress');
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
+const POLL_INTERVAL_MS = 1500;
+
+// One connection; the browser reconnects after RECONNECT_MS
+const STREAM_WINDOW_MS = 50000;
+const RECONNECT_MS = 2000;
+
+// The record is created a moment after the upload response; give it this long
+const NOT_FOUND_GRACE_MS = 30000;
+
+// A run still "processing" after this was cut off by the time limit
+// (maxDuration in vercel.json, plus a minute)
+const STALE_AFTER_MS = (ANALYSIS_MAX_DURATION_S + 60) * 1000;
+
+module.exports = async function handler(req, res) {
+  // Set CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+  // Handle OPTIONS preflight
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const { analysisId, key } = req.query || {};
+
+  if (!analysisId) {
+    return res.status(400).json({ error: 'Missing analysisId' });
+  }
+
+  if (!verifyProgressKey(analysisId, key)) {
+    return res.status(401).json({ error: 'Invalid progress key' });
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  res.write(`retry: ${RECONNECT_MS}\n\n`);
+
+  let open = true;
+  req.on('close', () => {
+    open = false;
+  });
+
+  const startedAt = Date.now();
+  const sent = { updatedAt: null, partialReport: null };
+
+  try {
+    while (open && Date.now() - startedAt < STREAM_WINDOW_MS) {
+      const { data: analysis } = await supabase
+        .from('analyses')
+        .select('id, analysis_content')
+        .eq('id', analysisId)
+        .single();
+
+      const content = analysis ? analysis.analysis_content || {} : null;
+
+      if (!content) {
+        if (Date.now() - startedAt > NOT_FOUND_GRACE_MS) {
+          sendEvent(res, 'failed', { analysisId, error: 'Analysis not found', partialReport: null });
+          break;
+        }
+      } else if (content.status === 'completed') {
+        sendEvent(res, 'complete', {
+          analysisId,
+          reportUrl: content.report_url,
+          tokensUsed: content.tokens_used,
+          costUSD: content.cost_usd,
+        });
+        break;
+      } else if (content.status === 'failed') {
+        sendEvent(res, 'failed', {
+          analysisId,
+          error: content.error_message || 'Analysis failed',
+          partialReport: content.partial_report || null,
+        });
+        break;
+      } else if (Date.now() - Date.parse(content.started_at) > STALE_AFTER_MS) {
+        sendEvent(res, 'failed', {
+          analysisId,
+          error: 'Analysis stopped before finishing',
+          partialReport: content.partial_report || null,
+        });
+        break;
+      } else if (content.progress && content.progress.updated_at !== sent.updatedAt) {
+        sendProgress(res, content, sent);
+      }
+
+      await sleep(POLL_INTERVAL_MS);
+    }
+  } catch (error) {
+    console.error('Analysis progress error:', error);
+    sendEvent(res, 'failed', { analysisId, error: 'Progress unavailable', partialReport: null });
+  }
+
+  res.end();
+};
+
+/**
+ * progress event, and a report event when the partial report changed
+ */
+function sendProgress(res, content, sent) {
+  const { progress } = content;
+  const partialReport = content.partial_report || '';
+
+  sendEvent(res, 'progress', {
+    stage: progress.stage,
+    step: progress.step,
+    steps: progress.steps,
+    currentSection: progress.current_section,
+    sections: progress.sections,
+    tokensSoFar: progress.tokens_so_far,
+    updatedAt: progress.updated_at,
+  }, progress.updated_at);
+
+  if (partialReport !== sent.partialReport) {
+    sendEvent(res, 'report', { partialReport });
+    sent.partialReport = partialReport;
+  }
+
+  sent.updatedAt = progress.updated_at;
+}
+
+function sendEvent(res, event, data, id = null) {
+  res.write(`${id ? `id: ${id}\n` : ''}event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
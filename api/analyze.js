@@ -5,8 +5,9 @@
  * Orchestrates the complete narrative audit workflow:
  * 1. Fetch user and uploaded files
  * 2. Download files from Supabase storage
- * 3. Extract text from all files
- * 4. Send to Claude API for analysis
+ * 3. Extract text from all files and pack it into the token budget
+ * 4. Check the estimated cost against the spend caps, then send to Claude
+ *    API for analysis
  * 5. Generate PDF report
  * 6. Upload report to storage
  * 7. Send email with download link
@@ -15,8 +16,39 @@
 
 const { createClient } = require('@supabase/supabase-js');
 const { extractTextFromFiles } = require('./utils/file-extractor');
-const { generateNarrativeReport } = require('./utils/claude-client');
-const { generatePDFKit } = require('./utils/report-generator');
+const { downloadUploads, UPLOAD_COLUMNS } = require('./utils/upload-loader');
+const {
+  packMaterials,
+  packEachDocument,
+  estimateTokens,
+  DEFAULT_BUDGET_TOKENS,
+} = require('./utils/input-packer');
+const {
+  generateNarrativeReport,
+  generateMapReduceReport,
+  estimateReportCost,
+  resolveModel,
+  sumUsage,
+  MAP_REDUCE_MIN_FILES,
+} = require('./utils/claude-client');
+const { loadPromptSet, hasPromptVersion, describePromptSet } = require('./utils/prompt-registry');
+const { formatInventory } = require('./utils/platform-classifier');
+const { formatSessionBlock, transcriptToDocument } = require('./utils/sparring-session');
+const { getGreetingName } = require('./utils/client-intake');
+const { runQualityGate, formatScore } = require('./utils/quality-gate');
+const { lintMaterials, formatMetricsContext } = require('./utils/messaging-linter');
+const { computeSimilarity, formatSimilarityContext } = require('./utils/similarity-matrix');
+const { buildClaimInventory, formatClaimContext } = require('./utils/claim-inventory');
+const { mapNarrative, formatNarrativeMapContext, MAX_PASSAGES_PER_PLATFORM } = require('./utils/narrative-map');
+const { renderOutline } = require('./utils/document-model');
+const { getSpendLimits, getDailySpend, planSpend, createBudget, createSpendLedger } = require('./utils/spend-guard');
+const { createProgressTracker, isAnalysisId } = require('./utils/analysis-progress');
+const {
+  checkReport,
+  buildClientMarkdown,
+  publishReport,
+  describeStructuredValidation,
+} = require('./utils/report-finisher');
 const { sendReportEmail, sendErrorEmail } = require('./utils/report-emailer');
 
 const supabase = createClient(
@@ -24,8 +56,8 @@ const supabase = createClient(
   process.env.SUPABASE_SERVICE_KEY
 );
 
-const UPLOAD_BUCKET = 'uploads';
-const REPORT_BUCKET = 'uploads'; // Reuse uploads bucket for reports
+// Per-file input budget for the notes pass in map-reduce mode
+const NOTES_BUDGET_TOKENS = 15000;
 
 module.exports = async function handler(req, res) {
   // Only accept POST requests
@@ -35,18 +67,38 @@ module.exports = async function handler(req, res) {
 
   const startTime = Date.now();
   let analysisId = null;
+  let budgetDecision = null;
+  let budget = null;
+  let progress = null;
 
   try {
-    const { userId } = req.body;
+    const { userId, mode, sessionId, promptVersion, analysisId: requestedId } = req.body;
 
     if (!userId) {
       return res.status(400).json({ error: 'Missing userId' });
     }
 
+    // Picked by the caller (analysis-progress.js startAnalysis) so the
+    // upload page can follow progress before this record exists
+    if (requestedId && !isAnalysisId(requestedId)) {
+      return res.status(400).json({ error: 'Invalid analysisId', message: 'analysisId must be a UUID.' });
+    }
+
+    if (mode && !['single', 'map_reduce'].includes(mode)) {
+      return res.status(400).json({ error: 'Invalid mode', message: 'mode must be "single" or "map_reduce".' });
+    }
+
+    if (promptVersion && !hasPromptVersion(promptVersion)) {
+      return res.status(400).json({ error: 'Invalid promptVersion', message: `No prompt set named "${promptVersion}" in prompts/.` });
+    }
+
+    // Prompt set for every Claude call in this analysis
+    const prompts = loadPromptSet(promptVersion || undefined);
+
     // Step 1: Fetch user from database
     const { data: user, error: userError } = await supabase
       .from('users')
-      .select('id, email, purchase_tier')
+      .select('id, email, purchase_tier, intake')
       .eq('id', userId)
       .single();
 
@@ -55,13 +107,39 @@ module.exports = async function handler(req, res) {
       return res.status(404).json({ error: 'User not found' });
     }
 
-    // Step 2: Fetch uploaded files from database (only recent uploads from last 10 minutes)
-    const tenMinutesAgo = new Date(Date.now() - 10 * 60 * 1000).toISOString();
-    const { data: uploads, error: uploadsError } = await supabase
+    // Step 1b: Sparring session (its uploads and the client's answers)
+    let session = null;
+
+    if (sessionId) {
+      const { data: sessionRow, error: sessionError } = await supabase
+        .from('sparring_sessions')
+        .select('id, user_id, status, transcript, upload_ids')
+        .eq('id', sessionId)
+        .single();
+
+      if (sessionError || !sessionRow || sessionRow.user_id !== userId) {
+        console.error('Sparring session lookup error:', sessionError);
+        return res.status(404).json({ error: 'Sparring session not found' });
+      }
+
+      session = sessionRow;
+    }
+
+    // Step 2: Fetch uploaded files from database (the session's files, or
+    // recent uploads from the last 10 minutes)
+    let uploadsQuery = supabase
       .from('uploads')
-      .select('id, filename, file_path, file_size')
-      .eq('user_id', userId)
-      .gte('uploaded_at', tenMinutesAgo)
+      .select(UPLOAD_COLUMNS)
+      .eq('user_id', userId);
+
+    if (session) {
+      uploadsQuery = uploadsQuery.in('id', session.upload_ids);
+    } else {
+      const tenMinutesAgo = new Date(Date.now() - 10 * 60 * 1000).toISOString();
+      uploadsQuery = uploadsQuery.gte('uploaded_at', tenMinutesAgo);
+    }
+
+    const { data: uploads, error: uploadsError } = await uploadsQuery
       .order('uploaded_at', { ascending: true });
 
     if (uploadsError) {
@@ -74,12 +152,14 @@ module.exports = async function handler(req, res) {
     }
 
     // Step 3: Create analysis record with correct analysis_type
+    const processingContent = { status: 'processing', started_at: new Date().toISOString() };
     const { data: analysis, error: analysisCreateError } = await supabase
       .from('analyses')
       .insert({
+        ...(requestedId ? { id: requestedId } : {}),
         user_id: userId,
         analysis_type: 'full_report',
-        analysis_content: { status: 'processing', started_at: new Date().toISOString() },
+        analysis_content: processingContent,
         sent_to_user: false,
       })
       .select()
@@ -92,39 +172,12 @@ module.exports = async function handler(req, res) {
 
     analysisId = analysis.id;
 
-    // Step 4: Download files from Supabase storage
-    console.log(`Downloading ${uploads.length} files from storage...`);
-    const fileBuffers = [];
-
-    for (const upload of uploads) {
-      console.log(`Downloading file: ${upload.filename} from path: ${upload.file_path}`);
-
-      // Use public URL since bucket is public (more reliable than download API)
-      const publicUrl = `${process.env.SUPABASE_URL}/storage/v1/object/public/${UPLOAD_BUCKET}/${upload.file_path}`;
-      console.log(`Fetching from public URL: ${publicUrl}`);
-
-      const response = await fetch(publicUrl);
-
-      if (!response.ok) {
-        const errorText = await response.text();
-        console.error('Download error:', {
-          status: response.status,
-          statusText: response.statusText,
-          body: errorText
-        });
-        throw new Error(`Failed to download ${upload.filename}: HTTP ${response.status} - ${response.statusText}`);
-      }
-
-      // Convert response to buffer
-      const arrayBuffer = await response.arrayBuffer();
-      const buffer = Buffer.from(arrayBuffer);
+    // Stage, streamed section text and tokens so far, for /api/analysis-progress
+    progress = createProgressTracker(supabase, analysisId, processingContent);
 
-      fileBuffers.push({
-        filename: upload.filename,
-        buffer,
-        size: upload.file_size,
-      });
-    }
+    // Step 4: Download files from Supabase storage
+    progress.setStage('extracting');
+    const fileBuffers = await downloadUploads(uploads);
 
     // Step 5: Extract text from all files
     console.log('Extracting text from files...');
@@ -136,64 +189,220 @@ module.exports = async function handler(req, res) {
 
     console.log(`Extracted ${extraction.text.length} characters from ${extraction.successfulExtractions} files`);
 
-    // Step 6: Send to Claude API for analysis
-    console.log('Sending to Claude API for narrative analysis...');
-    const claudeResult = await generateNarrativeReport(extraction.text);
+    // Step 5b: Store automatic platform tags on the uploads rows
+    for (const classification of extraction.classifications) {
+      if (classification.source !== 'auto' || !classification.id) {
+        continue;
+      }
 
-    if (!claudeResult.success) {
-      throw new Error(`Claude API error: ${claudeResult.error}`);
+      const { error: tagError } = await supabase
+        .from('uploads')
+        .update({
+          platform: classification.platform,
+          platform_confidence: classification.confidence,
+          platform_source: 'auto',
+        })
+        .eq('id', classification.id);
+
+      if (tagError) {
+        console.error(`Platform tag update error for ${classification.filename}:`, tagError);
+      }
     }
 
-    console.log(`Claude analysis complete. Tokens used: ${claudeResult.tokensUsed.total}, Cost: $${claudeResult.costUSD.total.toFixed(4)}`);
+    if (extraction.missingPlatforms.length > 0) {
+      console.log(`Missing platforms: ${extraction.missingPlatforms.join(', ')}`);
+    }
 
-    // Step 7: Generate PDF report (with HTML fallback)
-    console.log('Generating PDF report...');
-    let reportBuffer;
-    let reportFilename;
-    let reportContentType;
+    // Count jargon, readability and "X for Y" positioning locally
+    progress.setStage('measuring');
+    const metrics = lintMaterials(extraction.documents, extraction.classifications);
+    const metricsContext = formatMetricsContext(metrics);
 
-    try {
-      reportBuffer = await generatePDFKit(claudeResult.report, {
-        title: 'Narrative Sparring Diagnostic Report',
-      });
-      reportFilename = `narrative-sparring-report-${Date.now()}.pdf`;
-      reportContentType = 'application/pdf';
-      console.log('PDF generation successful');
-    } catch (pdfError) {
-      console.error('PDF generation failed, falling back to HTML:', pdfError);
-      // Fallback to HTML if PDF fails
-      const { generateHTML } = require('./utils/report-generator');
-      const htmlReport = generateHTML(claudeResult.report, {
-        title: 'Narrative Sparring Diagnostic Report',
-      });
-      reportBuffer = Buffer.from(htmlReport, 'utf-8');
-      reportFilename = `narrative-sparring-report-${Date.now()}.html`;
-      reportContentType = 'text/html; charset=utf-8';
+    console.log(`Messaging metrics: ${metrics.overall.buzzwords.count} buzzwords, ${metrics.overall.borrowedPositioningCount} "X for Y", ${metrics.overall.vagueClaims.count} vague claims`);
+
+    // Baseline consistency scores from how much the platforms overlap
+    const similarity = computeSimilarity(extraction.documents, extraction.classifications);
+    const similarityContext = formatSimilarityContext(similarity);
+
+    if (similarity) {
+      console.log(`Baseline gap score: ${similarity.baselineGapScore}/10 across ${similarity.platforms.length} platforms`);
     }
 
-    // Step 8: Upload report to Supabase storage
-    console.log('Uploading report to storage...');
-    const reportPath = `reports/${reportFilename}`;
+    // Claims paired with the proof points that back them up
+    const claims = buildClaimInventory(extraction.documents, extraction.classifications);
+    const claimContext = formatClaimContext(claims);
+
+    console.log(`Claim inventory: ${claims.summary.claims} claims, ${claims.summary.unsupported} unsupported`);
 
-    const { data: uploadData, error: uploadError } = await supabase.storage
-      .from(REPORT_BUCKET)
-      .upload(reportPath, reportBuffer, {
-        contentType: reportContentType,
-        upsert: false,
+    // The client's sparring answers go in after the materials
+    const sessionBlock = formatSessionBlock(session ? session.transcript : null);
+
+    // Large material sets are read file by file (notes), then synthesised
+    const useMapReduce = mode === 'map_reduce' ||
+      (mode !== 'single' && extraction.documents.length >= MAP_REDUCE_MIN_FILES);
+
+    // Step 5c: Pre-flight estimate against the spend caps (before any API call)
+    const limits = getSpendLimits();
+    const dailySpend = limits.perDayUSD === null ? { success: true, spentUSD: 0 } : await getDailySpend(supabase);
+
+    if (!dailySpend.success) {
+      console.error('Daily spend lookup error:', dailySpend.error);
+    }
+
+    const extraTokens = estimateTokens(metricsContext + similarityContext + claimContext + sessionBlock);
+    const estimateFor = model => estimateReportCost({
+      model,
+      prompts,
+      contextTokens: useMapReduce
+        ? estimateTokens(formatInventory(extraction.classifications)) + extraTokens
+        : Math.min(estimateTokens(extraction.text), DEFAULT_BUDGET_TOKENS - extraTokens) + extraTokens,
+      fileTokens: useMapReduce
+        ? extraction.documents.map(document => Math.min(estimateTokens(renderOutline(document)), NOTES_BUDGET_TOKENS))
+        : null,
+      labelPassages: new Set(extraction.classifications.map(item => item.platform)).size * MAX_PASSAGES_PER_PLATFORM,
+    }).costUSD;
+
+    budgetDecision = planSpend({
+      model: resolveModel({ prompts }),
+      estimateFor,
+      limits,
+      spentTodayUSD: dailySpend.spentUSD || 0,
+    });
+
+    console.log(`Pre-flight estimate: $${budgetDecision.estimate_usd.toFixed(2)} on ${budgetDecision.model}${budgetDecision.limit_usd === null ? '' : ` (limit $${budgetDecision.limit_usd.toFixed(2)})`}`);
+
+    if (!budgetDecision.allowed) {
+      throw new Error(`Spend cap reached: ${budgetDecision.reason}`);
+    }
+
+    if (budgetDecision.action === 'downgraded') {
+      console.log(`Downgraded: ${budgetDecision.reason}`);
+    }
+
+    // Model, prompts and budget for every Claude call in this analysis
+    // (each call's cost goes to the spend ledger as it finishes)
+    budget = createBudget(
+      budgetDecision.limit_usd,
+      createSpendLedger(supabase, { source: 'analysis', userId, analysisId, sessionId: sessionId || null })
+    );
+
+    const promptOptions = {
+      model: budgetDecision.model,
+      prompts,
+      budget,
+      progress,
+    };
+
+    // Three Layers and founder journey coverage (one labelling call; optional)
+    const narrative = await mapNarrative(extraction.documents, extraction.classifications, promptOptions);
+    const narrativeMap = narrative.success ? narrative.map : null;
+
+    if (narrativeMap) {
+      narrativeMap.platforms.forEach(platform => console.log(`Narrative map - ${platform.summary}`));
+    } else {
+      console.error('Narrative map failed:', narrative.error);
+    }
+
+    const measuredBlock = [metricsContext, similarityContext, claimContext, formatNarrativeMapContext(narrativeMap)]
+      .filter(Boolean)
+      .map(block => `\n\n${block}`)
+      .join('');
+
+    // Answers are a source too, for quote verification and evidence
+    const sourceDocuments = [
+      ...extraction.documents,
+      session ? transcriptToDocument(session.transcript) : null,
+    ].filter(Boolean);
+
+    let packing;
+    let claudeResult;
+
+    progress.setStage(useMapReduce ? 'notes' : 'brief', narrative.tokensUsed ? narrative.tokensUsed.total : 0);
+
+    if (useMapReduce) {
+      // Step 5d: Fit each file into its own notes budget
+      packing = packEachDocument(extraction, { budgetTokens: NOTES_BUDGET_TOKENS });
+
+      // Step 6: Per-file platform notes, then the report from the notes
+      console.log(`Map-reduce analysis: writing notes for ${packing.files.length} files...`);
+      const inventory = formatInventory(extraction.classifications);
+      claudeResult = await generateMapReduceReport(
+        packing.files.map(file => ({ filename: file.filename, platform: file.platform, text: file.text })),
+        inventory + measuredBlock + sessionBlock,
+        { ...promptOptions, intake: user.intake }
+      );
+
+      if (claudeResult.success && claudeResult.failedFiles.length > 0) {
+        console.log(`Notes failed for: ${claudeResult.failedFiles.map(file => file.filename).join(', ')}`);
+      }
+    } else {
+      // Step 5d: Fit every file into the input budget
+      packing = packMaterials(extraction, {
+        budgetTokens: DEFAULT_BUDGET_TOKENS - estimateTokens(measuredBlock + sessionBlock),
       });
 
-    if (uploadError) {
-      throw new Error(`Report upload failed: ${uploadError.message}`);
+      if (packing.condensed) {
+        console.log(`Packed materials from ~${estimateTokens(extraction.text)} to ~${packing.tokens} tokens`);
+      }
+
+      // Step 6: Send to Claude API for analysis
+      console.log('Sending to Claude API for narrative analysis...');
+      claudeResult = await generateNarrativeReport(packing.text + measuredBlock + sessionBlock, {
+        ...promptOptions,
+        intake: user.intake,
+      });
+    }
+
+    if (!claudeResult.success) {
+      throw new Error(`Claude API error: ${claudeResult.error}`);
     }
 
-    // Get public URL for report
-    const { data: urlData } = supabase.storage
-      .from(REPORT_BUCKET)
-      .getPublicUrl(reportPath);
+    // The labelling call counts toward the analysis, whether or not it parsed
+    if (narrative.tokensUsed) {
+      claudeResult.tokensUsed = sumUsage([claudeResult.tokensUsed, narrative.tokensUsed]);
+      claudeResult.costUSD = sumUsage([claudeResult.costUSD, narrative.costUSD]);
+    }
 
-    const reportUrl = urlData.publicUrl;
+    // Step 6b: Quality review against PART 5; weak sections are rewritten once
+    progress.setStage('quality_review', claudeResult.tokensUsed.total);
+    const gate = await runQualityGate({
+      report: claudeResult.report,
+      brief: claudeResult.brief,
+      context: claudeResult.context,
+    }, promptOptions);
+    claudeResult.report = gate.report;
+    claudeResult.tokensUsed = sumUsage([claudeResult.tokensUsed, gate.tokensUsed]);
+    claudeResult.costUSD = sumUsage([claudeResult.costUSD, gate.costUSD]);
+
+    console.log(`Quality score: ${formatScore(gate.quality.score)} (${gate.quality.passed ? 'passed' : 'below standard'}), ${gate.quality.revised_sections.length} sections rewritten`);
+
+    // Step 6c: Quote check, structured findings and evidence appendix
+    progress.setStage('verifying', claudeResult.tokensUsed.total);
+    const checked = await checkReport({
+      report: claudeResult.report,
+      brief: claudeResult.brief,
+      documents: sourceDocuments,
+      classifications: extraction.classifications,
+    }, promptOptions);
+    const { verification, structured, evidence } = checked;
+    claudeResult.report = checked.report;
+    claudeResult.tokensUsed = sumUsage([claudeResult.tokensUsed, checked.tokensUsed]);
+    claudeResult.costUSD = sumUsage([claudeResult.costUSD, checked.costUSD]);
+
+    console.log(`Claude analysis complete. Tokens used: ${claudeResult.tokensUsed.total} (${claudeResult.tokensUsed.cacheRead} read from cache), Cost: $${claudeResult.costUSD.total.toFixed(4)}`);
+
+    // Step 7: Generate PDF report (with HTML fallback) and upload it to storage
+    progress.setStage('publishing', claudeResult.tokensUsed.total);
+    const { reportUrl, reportBuffer, reportFilename } = await publishReport(
+      supabase,
+      buildClientMarkdown(claudeResult.report, verification, packing),
+      { evidence, metrics, similarity, claims, narrativeMap }
+    );
+
+    // Step 8: Update analysis record (status: completed), after the last
+    // progress save so that one cannot land on top of it
+    await progress.close();
 
-    // Step 9: Update analysis record (status: completed)
     const processingTime = Math.round((Date.now() - startTime) / 1000); // seconds
 
     const { error: updateError } = await supabase
@@ -204,8 +413,48 @@ module.exports = async function handler(req, res) {
           report_url: reportUrl,
           tokens_used: claudeResult.tokensUsed.total,
           cost_usd: claudeResult.costUSD.total,
+          // Cached vs uncached input, in tokens and USD
+          usage: { tokens: claudeResult.tokensUsed, cost_usd: claudeResult.costUSD },
           completed_at: new Date().toISOString(),
           processing_time_seconds: processingTime,
+          materials: extraction.classifications.map(item => ({
+            filename: item.filename,
+            platform: item.platform,
+            confidence: item.confidence,
+            source: item.source,
+          })),
+          missing_platforms: extraction.missingPlatforms,
+          analysis_mode: useMapReduce ? 'map_reduce' : 'single',
+          // Prompt version, model and call settings, to re-run or compare it
+          prompt: describePromptSet(prompts, promptOptions.model),
+          budget: budgetDecision,
+          input_packing: {
+            budget_tokens: packing.budgetTokens,
+            per_file: packing.perFile,
+            packed_tokens: packing.tokens || null,
+            condensed: packing.condensed,
+            files: packing.files.map(({ text, ...file }) => file),
+          },
+          quote_verification: verification,
+          evidence,
+          messaging_metrics: metrics,
+          cross_platform_similarity: similarity,
+          claim_inventory: claims,
+          narrative_map: narrativeMap,
+          structured_analysis: structured.success ? structured.analysis : null,
+          structured_validation: describeStructuredValidation(structured),
+          quality_review: gate.quality,
+          analysis_brief: claudeResult.brief,
+          report_sections: claudeResult.sections,
+          // Verified report before annotations, for section revisions
+          report_markdown: claudeResult.report,
+          upload_ids: uploads.map(upload => upload.id),
+          revisions: [],
+          // Map-reduce only: enough to re-run the synthesis without the sources
+          notes: claudeResult.notes || null,
+          notes_failed: claudeResult.failedFiles || [],
+          sparring_session_id: session ? session.id : null,
+          client_intake: user.intake || null,
         },
         sent_to_user: true,
       })
@@ -216,11 +465,23 @@ module.exports = async function handler(req, res) {
       // Don't fail the request - report is generated
     }
 
-    // Step 10: Send email with report link AND attachment
+    if (session) {
+      const { error: sessionUpdateError } = await supabase
+        .from('sparring_sessions')
+        .update({ status: 'completed', analysis_id: analysisId, updated_at: new Date().toISOString() })
+        .eq('id', session.id);
+
+      if (sessionUpdateError) {
+        console.error('Sparring session update error:', sessionUpdateError);
+      }
+    }
+
+    // Step 9: Send email with report link AND attachment
     console.log('Sending report email with attachment...');
     const emailResult = await sendReportEmail({
       email: user.email,
-      name: 'there',
+      name: getGreetingName(user.intake),
+      company: user.intake ? user.intake.company : null,
       reportUrl,
       tier: user.purchase_tier,
       userId: user.id,
@@ -233,7 +494,7 @@ module.exports = async function handler(req, res) {
       // Don't fail the request - report is still available
     }
 
-    // Step 11: Return success
+    // Step 10: Return success
     return res.status(200).json({
       success: true,
       analysisId,
@@ -250,7 +511,11 @@ module.exports = async function handler(req, res) {
   } catch (error) {
     console.error('Analysis error:', error);
 
-    // Update analysis record with failure
+    // Update analysis record with failure (keeping any report text written)
+    if (progress) {
+      await progress.close();
+    }
+
     if (analysisId) {
       await supabase
         .from('analyses')
@@ -259,25 +524,39 @@ module.exports = async function handler(req, res) {
             status: 'failed',
             error_message: error.message,
             failed_at: new Date().toISOString(),
+            // Set once the pre-flight check ran (the reason, when the cap stopped it)
+            budget: budgetDecision,
+            // What the calls made before the failure cost (also in spend_ledger)
+            cost_usd: budget ? budget.spentUSD : 0,
+            partial_report: progress ? progress.partialReport() || null : null,
           },
           sent_to_user: false,
         })
         .eq('id', analysisId);
     }
 
+    // Let the client request the report again
+    if (req.body.sessionId) {
+      await supabase
+        .from('sparring_sessions')
+        .update({ status: 'ready', updated_at: new Date().toISOString() })
+        .eq('id', req.body.sessionId)
+        .eq('status', 'reporting');
+    }
+
     // Try to send error notification email
     if (req.body.userId) {
       try {
         const { data: user } = await supabase
           .from('users')
-          .select('email')
+          .select('email, intake')
           .eq('id', req.body.userId)
           .single();
 
         if (user) {
           await sendErrorEmail({
             email: user.email,
-            name: 'there',
+            name: getGreetingName(user.intake),
             errorMessage: error.message,
             userId: req.body.userId,
           });
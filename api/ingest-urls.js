@@ -0,0 +1,184 @@
+/**
+ * URL INGESTION HANDLER
+ * Narrative Sparring - Add website pages by URL instead of file upload
+ *
+ * Crawls the submitted sites (same origin, bounded), stores every page in
+ * the uploads bucket as .html with its source URL, and records an `uploads`
+ * row so analyze.js picks the pages up like any other uploaded file.
+ */
+
+const { createClient } = require('@supabase/supabase-js');
+const crypto = require('crypto');
+const { crawlSites, filenameFromUrl } = require('./utils/site-crawler');
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
+const UPLOAD_BUCKET = 'uploads';
+const MAX_START_URLS = 5;
+
+module.exports = async function handler(req, res) {
+  // Set CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+  // Handle OPTIONS preflight
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const { token, urls, maxDepth, maxPages } = req.body || {};
+
+    if (!token) {
+      return res.status(400).json({ error: 'Missing upload token' });
+    }
+
+    // Verify token
+    const payload = verifyUploadToken(token);
+
+    if (!payload) {
+      return res.status(401).json({ error: 'Invalid or expired token' });
+    }
+
+    const startUrls = (Array.isArray(urls) ? urls : [urls]).filter(Boolean);
+
+    if (startUrls.length === 0) {
+      return res.status(400).json({
+        error: 'No URLs provided',
+        message: 'Send at least one website URL in "urls".',
+      });
+    }
+
+    if (startUrls.length > MAX_START_URLS) {
+      return res.status(400).json({
+        error: 'Too many URLs',
+        message: `Send at most ${MAX_START_URLS} starting URLs. You sent ${startUrls.length}.`,
+      });
+    }
+
+    // Crawl
+    console.log(`Crawling ${startUrls.length} site(s) for user ${payload.userId}`);
+    const crawl = await crawlSites(startUrls, { maxDepth, maxPages });
+
+    if (crawl.pages.length === 0) {
+      return res.status(422).json({
+        error: 'No pages fetched',
+        message: 'None of the URLs could be crawled.',
+        skipped: crawl.skipped,
+      });
+    }
+
+    // Store each page exactly like an uploaded .html file
+    const storedPages = [];
+    const userId = payload.userId;
+    const timestamp = Date.now();
+
+    for (const page of crawl.pages) {
+      const filename = filenameFromUrl(page.url);
+      const filePath = `${userId}/${timestamp}-${filename}`;
+
+      const { error } = await supabase.storage
+        .from(UPLOAD_BUCKET)
+        .upload(filePath, page.html, {
+          contentType: 'text/html',
+          upsert: false,
+        });
+
+      if (error) {
+        console.error('Storage upload error:', error);
+        crawl.skipped.push({ url: page.url, reason: `Storage upload failed: ${error.message}` });
+        continue;
+      }
+
+      const { data: uploadRecord, error: dbError } = await supabase
+        .from('uploads')
+        .insert({
+          user_id: userId,
+          filename,
+          file_path: filePath,
+          file_size: page.bytes,
+          source_url: page.url,
+          uploaded_at: new Date().toISOString(),
+        })
+        .select()
+        .single();
+
+      if (dbError) {
+        console.error('Database insert error:', dbError);
+        // Continue even if DB logging fails, as the file is uploaded
+      }
+
+      storedPages.push({
+        id: uploadRecord?.id || null,
+        url: page.url,
+        filename,
+        size: page.bytes,
+        depth: page.depth,
+        truncated: page.truncated,
+      });
+    }
+
+    return res.status(200).json({
+      success: storedPages.length > 0,
+      pages: storedPages,
+      totalPages: storedPages.length,
+      skipped: crawl.skipped,
+      message: `Added ${storedPages.length} page(s). Upload your other materials to start the analysis.`,
+    });
+
+  } catch (error) {
+    console.error('URL ingestion error:', error);
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * Verifies upload token using HMAC SHA256
+ * Token format: base64(payload).hmac_signature
+ * Payload contains: userId, type, exp (expiration timestamp)
+ */
+function verifyUploadToken(token) {
+  try {
+    // Split token into payload and signature
+    const [payloadBase64, signature] = token.split('.');
+
+    if (!payloadBase64 || !signature) {
+      return null;
+    }
+
+    // Decode payload from base64
+    const payload = JSON.parse(Buffer.from(payloadBase64, 'base64').toString());
+
+    // Verify HMAC signature matches
+    const expectedSignature = crypto
+      .createHmac('sha256', process.env.UPLOAD_TOKEN_SECRET)
+      .update(JSON.stringify(payload))
+      .digest('hex');
+
+    if (signature !== expectedSignature) {
+      return null;
+    }
+
+    // Check if token has expired (48 hour expiration set during generation)
+    if (Date.now() > payload.exp) {
+      return null;
+    }
+
+    return payload;
+
+  } catch (error) {
+    console.error('Token verification error:', error);
+    return null;
+  }
+}
@@ -0,0 +1,147 @@
+/**
+ * CLIENT INTAKE HANDLER
+ * Narrative Sparring - Intake questionnaire before analysis
+ *
+ * GET returns the form fields and any saved answers; POST saves them on the
+ * user. Answers can be changed until the analysis runs.
+ */
+
+const { createClient } = require('@supabase/supabase-js');
+const crypto = require('crypto');
+const { INTAKE_FIELDS, validateIntake } = require('./utils/client-intake');
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
+module.exports = async function handler(req, res) {
+  // Set CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+  // Handle OPTIONS preflight
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'POST' && req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    // Get token from body (POST) or query (GET)
+    const token = req.body?.token || req.query?.token;
+
+    if (!token) {
+      return res.status(400).json({ error: 'Missing upload token' });
+    }
+
+    // Verify token
+    const payload = verifyUploadToken(token);
+
+    if (!payload) {
+      return res.status(401).json({ error: 'Invalid or expired token' });
+    }
+
+    const fields = INTAKE_FIELDS.map(({ key, label, maxLength, required }) => ({ key, label, maxLength, required }));
+
+    if (req.method === 'GET') {
+      const { data: user, error: userError } = await supabase
+        .from('users')
+        .select('id, intake, intake_completed_at')
+        .eq('id', payload.userId)
+        .single();
+
+      if (userError || !user) {
+        console.error('User lookup error:', userError);
+        return res.status(404).json({ error: 'User not found' });
+      }
+
+      return res.status(200).json({
+        success: true,
+        fields,
+        intake: user.intake || null,
+        completedAt: user.intake_completed_at || null,
+      });
+    }
+
+    const validation = validateIntake(req.body);
+
+    if (!validation.success) {
+      return res.status(400).json({
+        error: 'Invalid intake',
+        message: validation.errors.join('; '),
+        errors: validation.errors,
+        fields,
+      });
+    }
+
+    const { error: updateError } = await supabase
+      .from('users')
+      .update({
+        intake: validation.intake,
+        intake_completed_at: new Date().toISOString(),
+        updated_at: new Date().toISOString(),
+      })
+      .eq('id', payload.userId);
+
+    if (updateError) {
+      console.error('Intake update error:', updateError);
+      return res.status(500).json({ error: 'Failed to save intake' });
+    }
+
+    return res.status(200).json({
+      success: true,
+      intake: validation.intake,
+    });
+
+  } catch (error) {
+    console.error('Intake error:', error);
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * Verifies upload token using HMAC SHA256
+ * Token format: base64(payload).hmac_signature
+ * Payload contains: userId, type, exp (expiration timestamp)
+ */
+function verifyUploadToken(token) {
+  try {
+    // Split token into payload and signature
+    const [payloadBase64, signature] = token.split('.');
+
+    if (!payloadBase64 || !signature) {
+      return null;
+    }
+
+    // Decode payload from base64
+    const payload = JSON.parse(Buffer.from(payloadBase64, 'base64').toString());
+
+    // Verify HMAC signature matches
+    const expectedSignature = crypto
+      .createHmac('sha256', process.env.UPLOAD_TOKEN_SECRET)
+      .update(JSON.stringify(payload))
+      .digest('hex');
+
+    if (signature !== expectedSignature) {
+      return null;
+    }
+
+    // Check if token has expired (48 hour expiration set during generation)
+    if (Date.now() > payload.exp) {
+      return null;
+    }
+
+    return payload;
+
+  } catch (error) {
+    console.error('Token verification error:', error);
+    return null;
+  }
+}
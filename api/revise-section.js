@@ -0,0 +1,480 @@
+/**
+ * SECTION REVISION HANDLER
+ * Narrative Sparring - Rewrite one disputed section of a finished report
+ *
+ * Regenerates a single section from the client's feedback, with the same
+ * materials, intake and analysis brief as the original run; every other
+ * section is kept word for word. The revised report goes through the same
+ * quote check, structured pass and evidence appendix, gets a new PDF, and
+ * the previous version is kept in `analysis_content.revisions`. The rewrite
+ * uses the prompt version and model recorded on the analysis. One revision
+ * runs at a time per analysis (`analysis_content.revising_at` is the claim).
+ */
+
+const { createClient } = require('@supabase/supabase-js');
+const crypto = require('crypto');
+const { extractTextFromFiles } = require('./utils/file-extractor');
+const { downloadUploads, UPLOAD_COLUMNS } = require('./utils/upload-loader');
+const {
+  packMaterials,
+  packEachDocument,
+  estimateTokens,
+  DEFAULT_BUDGET_TOKENS,
+} = require('./utils/input-packer');
+const {
+  regenerateReportSection,
+  buildMaterialsContext,
+  buildNotesContext,
+  resolveModel,
+  sumUsage,
+  REPORT_SECTIONS,
+} = require('./utils/claude-client');
+const { loadPromptSet, hasPromptVersion } = require('./utils/prompt-registry');
+const { createRequestBudget } = require('./utils/spend-guard');
+const { formatInventory } = require('./utils/platform-classifier');
+const { formatSessionBlock, transcriptToDocument } = require('./utils/sparring-session');
+const { getGreetingName } = require('./utils/client-intake');
+const { formatMetricsContext } = require('./utils/messaging-linter');
+const { formatSimilarityContext } = require('./utils/similarity-matrix');
+const { formatClaimContext } = require('./utils/claim-inventory');
+const { formatNarrativeMapContext } = require('./utils/narrative-map');
+const {
+  checkReport,
+  buildClientMarkdown,
+  publishReport,
+  describeStructuredValidation,
+  getReportSection,
+  replaceReportSection,
+} = require('./utils/report-finisher');
+const { sendReportEmail } = require('./utils/report-emailer');
+const { ANALYSIS_MAX_DURATION_S } = require('./utils/analysis-progress');
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
+const MAX_FEEDBACK_CHARS = 2000;
+
+// Same per-file budget analyze.js uses for the notes pass
+const NOTES_BUDGET_TOKENS = 15000;
+
+// A claim older than this was left by a revision that hit maxDuration (plus a minute)
+const REVISION_CLAIM_EXPIRES_MS = (ANALYSIS_MAX_DURATION_S + 60) * 1000;
+
+module.exports = async function handler(req, res) {
+  // Set CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+  // Handle OPTIONS preflight
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  // Held from the claim until the revision is stored (released on failure)
+  let claim = null;
+
+  try {
+    const { token, analysisId, section: sectionName, sendEmail = false } = req.body || {};
+    const feedback = typeof req.body?.feedback === 'string' ? req.body.feedback.trim() : '';
+
+    if (!token) {
+      return res.status(400).json({ error: 'Missing upload token' });
+    }
+
+    // Verify token
+    const payload = verifyUploadToken(token);
+
+    if (!payload) {
+      return res.status(401).json({ error: 'Invalid or expired token' });
+    }
+
+    if (!analysisId) {
+      return res.status(400).json({ error: 'Missing analysisId' });
+    }
+
+    // Section by key ("core_thread") or number (4)
+    const section = REPORT_SECTIONS.find(item =>
+      item.key === sectionName || String(item.number) === String(sectionName)
+    );
+
+    if (!section) {
+      return res.status(400).json({
+        error: 'Invalid section',
+        message: `section must be one of ${REPORT_SECTIONS.map(item => item.key).join(', ')} (or its number)`,
+      });
+    }
+
+    if (!feedback || feedback.length > MAX_FEEDBACK_CHARS) {
+      return res.status(400).json({
+        error: 'Invalid feedback',
+        message: `feedback is required (max ${MAX_FEEDBACK_CHARS} characters)`,
+      });
+    }
+
+    // Step 1: Analysis and user
+    const { data: analysis, error: analysisError } = await supabase
+      .from('analyses')
+      .select('id, user_id, analysis_content')
+      .eq('id', analysisId)
+      .eq('user_id', payload.userId)
+      .single();
+
+    if (analysisError || !analysis) {
+      return res.status(404).json({ error: 'Analysis not found' });
+    }
+
+    const content = analysis.analysis_content || {};
+
+    if (content.status !== 'completed' || !content.report_markdown || !content.upload_ids) {
+      return res.status(409).json({
+        error: 'Analysis cannot be revised',
+        message: 'Only completed analyses with a stored report can be revised.',
+      });
+    }
+
+    const { data: user, error: userError } = await supabase
+      .from('users')
+      .select('id, email, purchase_tier, intake')
+      .eq('id', payload.userId)
+      .single();
+
+    if (userError || !user) {
+      console.error('User lookup error:', userError);
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const previousText = getReportSection(content.report_markdown, section.number);
+
+    if (!previousText) {
+      return res.status(409).json({
+        error: 'Section not found in report',
+        message: `The stored report has no section ${section.number}.`,
+      });
+    }
+
+    // Claim the analysis so two revisions can't overwrite each other: only
+    // over the report as it was read (every revision publishes a new
+    // report_url) and only when no other revision holds it
+    const revisingAt = new Date().toISOString();
+    const expired = new Date(Date.now() - REVISION_CLAIM_EXPIRES_MS).toISOString();
+    const { data: claimed, error: claimError } = await supabase
+      .from('analyses')
+      .update({ analysis_content: { ...content, revising_at: revisingAt } })
+      .eq('id', analysis.id)
+      .eq('analysis_content->>report_url', content.report_url)
+      .or(`analysis_content->>revising_at.is.null,analysis_content->>revising_at.lt.${expired}`)
+      .select('id');
+
+    if (claimError || !claimed || claimed.length === 0) {
+      return res.status(409).json({
+        error: 'Revision already in progress',
+        message: 'This report is being revised. Try again when that revision is done.',
+      });
+    }
+
+    claim = { analysisId: analysis.id, content, revisingAt };
+
+    // Step 2: The original materials, sparring answers and intake
+    const { data: uploads, error: uploadsError } = await supabase
+      .from('uploads')
+      .select(UPLOAD_COLUMNS)
+      .in('id', content.upload_ids)
+      .order('uploaded_at', { ascending: true });
+
+    if (uploadsError || !uploads || uploads.length === 0) {
+      console.error('Uploads lookup error:', uploadsError);
+      return res.status(409).json({ error: 'The materials for this analysis are no longer available' });
+    }
+
+    const extraction = await extractTextFromFiles(await downloadUploads(uploads));
+
+    if (!extraction.success || !extraction.text) {
+      throw new Error('Text extraction failed - no content extracted from files');
+    }
+
+    let transcript = null;
+
+    if (content.sparring_session_id) {
+      const { data: session } = await supabase
+        .from('sparring_sessions')
+        .select('transcript')
+        .eq('id', content.sparring_session_id)
+        .single();
+
+      transcript = session ? session.transcript : null;
+    }
+
+    const sessionBlock = formatSessionBlock(transcript);
+
+    // Same prompts and model as the original run (current ones on older reports)
+    const recorded = content.prompt || {};
+    const prompts = loadPromptSet(hasPromptVersion(recorded.version) ? recorded.version : undefined);
+    // Spend caps (no downgrade: same model). The per-analysis cap covers the
+    // original run and every revision so far
+    const promptOptions = {
+      model: recorded.model || resolveModel({ prompts }),
+      prompts,
+      budget: await createRequestBudget(
+        supabase,
+        { source: 'revision', userId: user.id, analysisId: analysis.id },
+        { analysisCostUSD: content.cost_usd }
+      ),
+    };
+
+    // Stored with the analysis (absent on older reports)
+    const metrics = content.messaging_metrics || null;
+    const similarity = content.cross_platform_similarity || null;
+    const claims = content.claim_inventory || null;
+    const narrativeMap = content.narrative_map || null;
+    const measuredBlock = [
+      formatMetricsContext(metrics),
+      formatSimilarityContext(similarity),
+      formatClaimContext(claims),
+      formatNarrativeMapContext(narrativeMap),
+    ]
+      .filter(Boolean)
+      .map(block => `\n\n${block}`)
+      .join('');
+
+    const sourceDocuments = [
+      ...extraction.documents,
+      transcript ? transcriptToDocument(transcript) : null,
+    ].filter(Boolean);
+
+    // Same context as the original run (notes are reused, not rewritten)
+    let packing;
+    let context;
+
+    if (content.analysis_mode === 'map_reduce') {
+      packing = packEachDocument(extraction, { budgetTokens: NOTES_BUDGET_TOKENS });
+      const unread = content.notes_failed && content.notes_failed.length > 0
+        ? `\nFiles that could not be read: ${content.notes_failed.map(file => file.filename).join(', ')}`
+        : '';
+      context = buildNotesContext(
+        content.notes || [],
+        formatInventory(extraction.classifications) + measuredBlock + sessionBlock + unread,
+        content.client_intake,
+        prompts
+      );
+    } else {
+      packing = packMaterials(extraction, {
+        budgetTokens: DEFAULT_BUDGET_TOKENS - estimateTokens(measuredBlock + sessionBlock),
+      });
+      context = buildMaterialsContext(packing.text + measuredBlock + sessionBlock, content.client_intake, prompts);
+    }
+
+    // Step 3: Rewrite the section
+    console.log(`Revising section ${section.number} (${section.title}) of analysis ${analysis.id}...`);
+    const revised = await regenerateReportSection(section.key, {
+      context,
+      brief: content.analysis_brief,
+      previousText,
+      feedback,
+    }, promptOptions);
+
+    if (!revised.success) {
+      throw new Error(`Claude API error: ${revised.error}`);
+    }
+
+    // Step 4: Checks on the revised report (only the new section is re-prompted for quotes)
+    const checked = await checkReport({
+      report: replaceReportSection(content.report_markdown, section.number, revised.text),
+      brief: content.analysis_brief,
+      documents: sourceDocuments,
+      classifications: extraction.classifications,
+      fixSections: [section.number],
+    }, promptOptions);
+
+    const usage = {
+      tokens: sumUsage([revised.tokensUsed, checked.tokensUsed]),
+      cost_usd: sumUsage([revised.costUSD, checked.costUSD]),
+    };
+    const tokensUsed = usage.tokens.total;
+    const costUSD = usage.cost_usd.total;
+
+    // Step 5: New PDF
+    const { reportUrl, reportBuffer, reportFilename } = await publishReport(
+      supabase,
+      buildClientMarkdown(checked.report, checked.verification, packing),
+      { evidence: checked.evidence, metrics, similarity, claims, narrativeMap }
+    );
+
+    // Step 6: Optional re-send
+    let emailSent = false;
+
+    if (sendEmail) {
+      const emailResult = await sendReportEmail({
+        email: user.email,
+        name: getGreetingName(user.intake),
+        company: user.intake ? user.intake.company : null,
+        reportUrl,
+        tier: user.purchase_tier,
+        userId: user.id,
+        reportBuffer,
+        reportFilename,
+      });
+
+      if (!emailResult.success) {
+        console.error('Email send failed:', emailResult.error);
+      }
+      emailSent = emailResult.success;
+    }
+
+    // Step 7: Store the revision (the previous text stays in the history)
+    const revisions = content.revisions || [];
+    const revision = {
+      revision: revisions.length + 1,
+      section: section.key,
+      title: section.title,
+      feedback,
+      previous_text: previousText,
+      previous_report_url: content.report_url,
+      report_url: reportUrl,
+      tokens_used: tokensUsed,
+      cost_usd: costUSD,
+      usage,
+      prompt_version: prompts.version,
+      model: promptOptions.model,
+      email_sent: emailSent,
+      revised_at: new Date().toISOString(),
+    };
+
+    // Only while the claim is still ours
+    const { data: stored, error: updateError } = await supabase
+      .from('analyses')
+      .update({
+        analysis_content: {
+          ...content,
+          revising_at: null,
+          report_url: reportUrl,
+          report_markdown: checked.report,
+          tokens_used: (content.tokens_used || 0) + tokensUsed,
+          cost_usd: (content.cost_usd || 0) + costUSD,
+          // Older analyses have totals only, so there is no breakdown to add to
+          usage: content.usage
+            ? {
+              tokens: sumUsage([content.usage.tokens, usage.tokens]),
+              cost_usd: sumUsage([content.usage.cost_usd, usage.cost_usd]),
+            }
+            : null,
+          quote_verification: checked.verification,
+          evidence: checked.evidence,
+          structured_analysis: checked.structured.success ? checked.structured.analysis : null,
+          structured_validation: describeStructuredValidation(checked.structured),
+          report_sections: (content.report_sections || []).map(item =>
+            item.key === section.key
+              ? {
+                key: revised.key,
+                title: revised.title,
+                complete: revised.complete,
+                calls: revised.calls,
+                tokensUsed: revised.tokensUsed,
+                costUSD: revised.costUSD,
+              }
+              : item
+          ),
+          revisions: [...revisions, revision],
+        },
+      })
+      .eq('id', analysis.id)
+      .eq('analysis_content->>revising_at', revisingAt)
+      .select('id');
+
+    if (updateError) {
+      throw new Error(`Failed to update analysis record: ${updateError.message}`);
+    }
+    if (!stored || stored.length === 0) {
+      throw new Error('The revision claim expired before the revision was stored');
+    }
+
+    claim = null;
+
+    return res.status(200).json({
+      success: true,
+      analysisId: analysis.id,
+      revision: revision.revision,
+      section: section.key,
+      reportUrl,
+      previousReportUrl: content.report_url,
+      stats: {
+        tokensUsed,
+        costUSD,
+        quotesUnverified: checked.verification.missing,
+      },
+      emailSent,
+    });
+
+  } catch (error) {
+    console.error('Section revision error:', error);
+    if (claim) {
+      await releaseRevision(claim);
+    }
+    return res.status(500).json({
+      error: 'Revision failed',
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * Hand a claimed analysis back as it was read, after a failed revision
+ * @param {Object} claim - { analysisId, content, revisingAt }
+ */
+async function releaseRevision(claim) {
+  const { error } = await supabase
+    .from('analyses')
+    .update({ analysis_content: { ...claim.content, revising_at: null } })
+    .eq('id', claim.analysisId)
+    .eq('analysis_content->>revising_at', claim.revisingAt);
+
+  if (error) {
+    console.error('Revision release error:', error);
+  }
+}
+
+/**
+ * Verifies upload token using HMAC SHA256
+ * Token format: base64(payload).hmac_signature
+ * Payload contains: userId, type, exp (expiration timestamp)
+ */
+function verifyUploadToken(token) {
+  try {
+    // Split token into payload and signature
+    const [payloadBase64, signature] = token.split('.');
+
+    if (!payloadBase64 || !signature) {
+      return null;
+    }
+
+    // Decode payload from base64
+    const payload = JSON.parse(Buffer.from(payloadBase64, 'base64').toString());
+
+    // Verify HMAC signature matches
+    const expectedSignature = crypto
+      .createHmac('sha256', process.env.UPLOAD_TOKEN_SECRET)
+      .update(JSON.stringify(payload))
+      .digest('hex');
+
+    if (signature !== expectedSignature) {
+      return null;
+    }
+
+    // Check if token has expired (48 hour expiration set during generation)
+    if (Date.now() > payload.exp) {
+      return null;
+    }
+
+    return payload;
+
+  } catch (error) {
+    console.error('Token verification error:', error);
+    return null;
+  }
+}
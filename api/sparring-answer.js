@@ -0,0 +1,207 @@
+/**
+ * SPARRING ANSWER HANDLER
+ * Narrative Sparring - Submit answers, get the next round of questions
+ *
+ * Answers are appended to the session transcript. The engine then asks the
+ * next round, until it has what it needs or the question limit is reached;
+ * the session is then "ready" for its report.
+ */
+
+const { createClient } = require('@supabase/supabase-js');
+const crypto = require('crypto');
+const { generateSparringQuestions } = require('./utils/claude-client');
+const { createRequestBudget } = require('./utils/spend-guard');
+const {
+  SPARRING_LIMITS,
+  createQuestionRound,
+  createAnswerEntry,
+  countQuestionsAsked,
+  formatTranscript,
+} = require('./utils/sparring-session');
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
+module.exports = async function handler(req, res) {
+  // Set CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+  // Handle OPTIONS preflight
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const { token, sessionId, answers } = req.body || {};
+
+    if (!token) {
+      return res.status(400).json({ error: 'Missing upload token' });
+    }
+
+    // Verify token
+    const payload = verifyUploadToken(token);
+
+    if (!payload) {
+      return res.status(401).json({ error: 'Invalid or expired token' });
+    }
+
+    if (!sessionId) {
+      return res.status(400).json({ error: 'Missing sessionId' });
+    }
+
+    const { data: session, error: sessionError } = await supabase
+      .from('sparring_sessions')
+      .select('id, status, transcript, materials_text, cost_usd, updated_at')
+      .eq('id', sessionId)
+      .eq('user_id', payload.userId)
+      .single();
+
+    if (sessionError || !session) {
+      return res.status(404).json({ error: 'Sparring session not found' });
+    }
+
+    if (session.status !== 'active') {
+      return res.status(409).json({
+        error: 'Session is not accepting answers',
+        message: `This session is ${session.status}.`,
+      });
+    }
+
+    const answerEntry = createAnswerEntry(session.transcript, answers);
+
+    if (!answerEntry.success) {
+      return res.status(400).json({ error: 'Invalid answers', message: answerEntry.error });
+    }
+
+    const transcript = [...session.transcript, answerEntry.entry];
+    const asked = countQuestionsAsked(transcript);
+    const remaining = SPARRING_LIMITS.MAX_QUESTIONS - asked;
+
+    let questions = [];
+    let costUSD = session.cost_usd || 0;
+
+    if (remaining > 0) {
+      const round = await generateSparringQuestions(session.materials_text, formatTranscript(transcript), {
+        count: Math.min(SPARRING_LIMITS.QUESTIONS_PER_ROUND, remaining),
+        remaining,
+        budget: await createRequestBudget(supabase, { source: 'sparring', userId: payload.userId, sessionId: session.id }),
+      });
+
+      if (!round.success) {
+        // Answers are not saved (the client can resend them), the cost is:
+        // the failed round was paid for
+        if (round.costUSD) {
+          await supabase
+            .from('sparring_sessions')
+            .update({ cost_usd: costUSD + round.costUSD.total, updated_at: new Date().toISOString() })
+            .eq('id', session.id);
+        }
+        throw new Error(`Claude API error: ${round.error}`);
+      }
+
+      costUSD += round.costUSD.total;
+
+      if (!round.done) {
+        const nextRound = createQuestionRound(transcript, round.questions);
+        transcript.push(nextRound);
+        questions = nextRound.questions;
+      }
+    }
+
+    const status = questions.length > 0 ? 'active' : 'ready';
+
+    // Only over the session as it was read: a report requested meanwhile, or
+    // another answer to the same round, must not be overwritten
+    const { data: saved, error: updateError } = await supabase
+      .from('sparring_sessions')
+      .update({
+        transcript,
+        status,
+        cost_usd: costUSD,
+        updated_at: new Date().toISOString(),
+      })
+      .eq('id', session.id)
+      .eq('status', 'active')
+      .eq('updated_at', session.updated_at)
+      .select('id');
+
+    if (updateError) {
+      console.error('Sparring session update error:', updateError);
+      return res.status(500).json({ error: 'Failed to save answers' });
+    }
+
+    if (!saved || saved.length === 0) {
+      return res.status(409).json({
+        error: 'Session changed while answering',
+        message: 'These answers were not saved. Reload the session and answer its current questions.',
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      sessionId: session.id,
+      status,
+      questions,
+      questionsAsked: countQuestionsAsked(transcript),
+      maxQuestions: SPARRING_LIMITS.MAX_QUESTIONS,
+      message: status === 'ready'
+        ? 'That\'s everything. Request your report when you\'re ready.'
+        : undefined,
+    });
+
+  } catch (error) {
+    console.error('Sparring answer error:', error);
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * Verifies upload token using HMAC SHA256
+ * Token format: base64(payload).hmac_signature
+ * Payload contains: userId, type, exp (expiration timestamp)
+ */
+function verifyUploadToken(token) {
+  try {
+    // Split token into payload and signature
+    const [payloadBase64, signature] = token.split('.');
+
+    if (!payloadBase64 || !signature) {
+      return null;
+    }
+
+    // Decode payload from base64
+    const payload = JSON.parse(Buffer.from(payloadBase64, 'base64').toString());
+
+    // Verify HMAC signature matches
+    const expectedSignature = crypto
+      .createHmac('sha256', process.env.UPLOAD_TOKEN_SECRET)
+      .update(JSON.stringify(payload))
+      .digest('hex');
+
+    if (signature !== expectedSignature) {
+      return null;
+    }
+
+    // Check if token has expired (48 hour expiration set during generation)
+    if (Date.now() > payload.exp) {
+      return null;
+    }
+
+    return payload;
+
+  } catch (error) {
+    console.error('Token verification error:', error);
+    return null;
+  }
+}
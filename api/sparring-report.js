@@ -0,0 +1,169 @@
+/**
+ * SPARRING REPORT HANDLER
+ * Narrative Sparring - Finish a session and generate the report
+ *
+ * Hands the session to analyze.js, which writes the audit from the session's
+ * materials plus the client's answers and emails it as usual. A session can
+ * be finished early once at least one question has been answered.
+ */
+
+const { createClient } = require('@supabase/supabase-js');
+const crypto = require('crypto');
+const { countAnswers } = require('./utils/sparring-session');
+const { startAnalysis } = require('./utils/analysis-progress');
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
+module.exports = async function handler(req, res) {
+  // Set CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+  // Handle OPTIONS preflight
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const { token, sessionId } = req.body || {};
+
+    if (!token) {
+      return res.status(400).json({ error: 'Missing upload token' });
+    }
+
+    // Verify token
+    const payload = verifyUploadToken(token);
+
+    if (!payload) {
+      return res.status(401).json({ error: 'Invalid or expired token' });
+    }
+
+    if (!sessionId) {
+      return res.status(400).json({ error: 'Missing sessionId' });
+    }
+
+    const { data: session, error: sessionError } = await supabase
+      .from('sparring_sessions')
+      .select('id, status, transcript')
+      .eq('id', sessionId)
+      .eq('user_id', payload.userId)
+      .single();
+
+    if (sessionError || !session) {
+      return res.status(404).json({ error: 'Sparring session not found' });
+    }
+
+    if (!['active', 'ready'].includes(session.status)) {
+      return res.status(409).json({
+        error: 'Report already requested',
+        message: `This session is ${session.status}.`,
+      });
+    }
+
+    if (countAnswers(session.transcript) === 0) {
+      return res.status(400).json({
+        error: 'No answers yet',
+        message: 'Answer at least one question before requesting the report.',
+      });
+    }
+
+    // Claim the session so a double click doesn't start two analyses
+    const { data: claimed, error: claimError } = await supabase
+      .from('sparring_sessions')
+      .update({ status: 'reporting', updated_at: new Date().toISOString() })
+      .eq('id', session.id)
+      .eq('status', session.status)
+      .select('id');
+
+    if (claimError || !claimed || claimed.length === 0) {
+      return res.status(409).json({ error: 'Report already requested' });
+    }
+
+    // Trigger analysis; progressUrl streams its progress (/api/analysis-progress)
+    let started = null;
+    try {
+      started = await startAnalysis({ userId: payload.userId, sessionId: session.id });
+    } catch (error) {
+      console.error('Report trigger error:', error);
+    }
+
+    if (!started || !started.triggered) {
+      // Give the session back so the report can be requested again
+      await supabase
+        .from('sparring_sessions')
+        .update({ status: session.status, updated_at: new Date().toISOString() })
+        .eq('id', session.id)
+        .eq('status', 'reporting');
+
+      return res.status(502).json({
+        error: 'Report could not be started',
+        message: 'Please request your report again in a moment.',
+      });
+    }
+
+    const { analysisId, progressUrl } = started;
+
+    return res.status(200).json({
+      success: true,
+      sessionId: session.id,
+      analysisId,
+      progressUrl,
+      message: 'Your report is being written. It will arrive by email.',
+    });
+
+  } catch (error) {
+    console.error('Sparring report error:', error);
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * Verifies upload token using HMAC SHA256
+ * Token format: base64(payload).hmac_signature
+ * Payload contains: userId, type, exp (expiration timestamp)
+ */
+function verifyUploadToken(token) {
+  try {
+    // Split token into payload and signature
+    const [payloadBase64, signature] = token.split('.');
+
+    if (!payloadBase64 || !signature) {
+      return null;
+    }
+
+    // Decode payload from base64
+    const payload = JSON.parse(Buffer.from(payloadBase64, 'base64').toString());
+
+    // Verify HMAC signature matches
+    const expectedSignature = crypto
+      .createHmac('sha256', process.env.UPLOAD_TOKEN_SECRET)
+      .update(JSON.stringify(payload))
+      .digest('hex');
+
+    if (signature !== expectedSignature) {
+      return null;
+    }
+
+    // Check if token has expired (48 hour expiration set during generation)
+    if (Date.now() > payload.exp) {
+      return null;
+    }
+
+    return payload;
+
+  } catch (error) {
+    console.error('Token verification error:', error);
+    return null;
+  }
+}
@@ -0,0 +1,125 @@
+/**
+ * SPARRING SESSION HANDLER
+ * Narrative Sparring - Read a session's transcript and status
+ */
+
+const { createClient } = require('@supabase/supabase-js');
+const crypto = require('crypto');
+const {
+  SPARRING_LIMITS,
+  getOpenQuestions,
+  countQuestionsAsked,
+  countAnswers,
+} = require('./utils/sparring-session');
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
+module.exports = async function handler(req, res) {
+  // Set CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+  // Handle OPTIONS preflight
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const { token, sessionId } = req.query || {};
+
+    if (!token) {
+      return res.status(400).json({ error: 'Missing upload token' });
+    }
+
+    // Verify token
+    const payload = verifyUploadToken(token);
+
+    if (!payload) {
+      return res.status(401).json({ error: 'Invalid or expired token' });
+    }
+
+    if (!sessionId) {
+      return res.status(400).json({ error: 'Missing sessionId' });
+    }
+
+    const { data: session, error: sessionError } = await supabase
+      .from('sparring_sessions')
+      .select('id, status, transcript, analysis_id, created_at, updated_at')
+      .eq('id', sessionId)
+      .eq('user_id', payload.userId)
+      .single();
+
+    if (sessionError || !session) {
+      return res.status(404).json({ error: 'Sparring session not found' });
+    }
+
+    return res.status(200).json({
+      success: true,
+      sessionId: session.id,
+      status: session.status,
+      transcript: session.transcript,
+      openQuestions: session.status === 'active' ? getOpenQuestions(session.transcript) : [],
+      questionsAsked: countQuestionsAsked(session.transcript),
+      answersGiven: countAnswers(session.transcript),
+      maxQuestions: SPARRING_LIMITS.MAX_QUESTIONS,
+      analysisId: session.analysis_id || null,
+      createdAt: session.created_at,
+      updatedAt: session.updated_at,
+    });
+
+  } catch (error) {
+    console.error('Sparring session error:', error);
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * Verifies upload token using HMAC SHA256
+ * Token format: base64(payload).hmac_signature
+ * Payload contains: userId, type, exp (expiration timestamp)
+ */
+function verifyUploadToken(token) {
+  try {
+    // Split token into payload and signature
+    const [payloadBase64, signature] = token.split('.');
+
+    if (!payloadBase64 || !signature) {
+      return null;
+    }
+
+    // Decode payload from base64
+    const payload = JSON.parse(Buffer.from(payloadBase64, 'base64').toString());
+
+    // Verify HMAC signature matches
+    const expectedSignature = crypto
+      .createHmac('sha256', process.env.UPLOAD_TOKEN_SECRET)
+      .update(JSON.stringify(payload))
+      .digest('hex');
+
+    if (signature !== expectedSignature) {
+      return null;
+    }
+
+    // Check if token has expired (48 hour expiration set during generation)
+    if (Date.now() > payload.exp) {
+      return null;
+    }
+
+    return payload;
+
+  } catch (error) {
+    console.error('Token verification error:', error);
+    return null;
+  }
+}
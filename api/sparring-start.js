@@ -0,0 +1,237 @@
+/**
+ * SPARRING SESSION START HANDLER
+ * Narrative Sparring - Open a Q&A session on the client's uploaded materials
+ *
+ * Extracts the client's uploads once, stores the packed materials on a
+ * `sparring_sessions` row (later rounds reuse them) and returns the engine's
+ * first round of questions. An active session is resumed instead of
+ * starting a second one.
+ */
+
+const { createClient } = require('@supabase/supabase-js');
+const crypto = require('crypto');
+const { extractTextFromFiles } = require('./utils/file-extractor');
+const { downloadUploads, UPLOAD_COLUMNS } = require('./utils/upload-loader');
+const { packMaterials } = require('./utils/input-packer');
+const { generateSparringQuestions } = require('./utils/claude-client');
+const { createRequestBudget } = require('./utils/spend-guard');
+const {
+  SPARRING_LIMITS,
+  createQuestionRound,
+  getOpenQuestions,
+  countQuestionsAsked,
+} = require('./utils/sparring-session');
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
+// Uploads made while the upload token is valid (48 hours) belong to the session
+const UPLOAD_WINDOW_HOURS = 48;
+
+module.exports = async function handler(req, res) {
+  // Set CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+  // Handle OPTIONS preflight
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const { token } = req.body || {};
+
+    if (!token) {
+      return res.status(400).json({ error: 'Missing upload token' });
+    }
+
+    // Verify token
+    const payload = verifyUploadToken(token);
+
+    if (!payload) {
+      return res.status(401).json({ error: 'Invalid or expired token' });
+    }
+
+    const userId = payload.userId;
+
+    // Resume an open session rather than starting over
+    const { data: existing } = await supabase
+      .from('sparring_sessions')
+      .select('id, status, transcript')
+      .eq('user_id', userId)
+      .in('status', ['active', 'ready'])
+      .order('created_at', { ascending: false })
+      .limit(1)
+      .maybeSingle();
+
+    if (existing) {
+      return res.status(200).json({
+        success: true,
+        sessionId: existing.id,
+        resumed: true,
+        status: existing.status,
+        questions: getOpenQuestions(existing.transcript),
+        questionsAsked: countQuestionsAsked(existing.transcript),
+        maxQuestions: SPARRING_LIMITS.MAX_QUESTIONS,
+      });
+    }
+
+    // Materials: everything uploaded while this token has been valid
+    const since = new Date(Date.now() - UPLOAD_WINDOW_HOURS * 60 * 60 * 1000).toISOString();
+    const { data: uploads, error: uploadsError } = await supabase
+      .from('uploads')
+      .select(UPLOAD_COLUMNS)
+      .eq('user_id', userId)
+      .gte('uploaded_at', since)
+      .order('uploaded_at', { ascending: true });
+
+    if (uploadsError) {
+      console.error('Uploads lookup error:', uploadsError);
+      return res.status(500).json({ error: 'Failed to fetch uploads' });
+    }
+
+    if (!uploads || uploads.length === 0) {
+      return res.status(400).json({
+        error: 'No uploaded files found',
+        message: 'Upload your materials before starting a sparring session.',
+      });
+    }
+
+    const extraction = await extractTextFromFiles(await downloadUploads(uploads));
+
+    if (!extraction.success || !extraction.text) {
+      return res.status(422).json({
+        error: 'Text extraction failed',
+        message: 'No content could be extracted from your files.',
+      });
+    }
+
+    const materials = packMaterials(extraction).text;
+
+    // First round
+    const round = await generateSparringQuestions(materials, '', {
+      count: SPARRING_LIMITS.QUESTIONS_PER_ROUND,
+      remaining: SPARRING_LIMITS.MAX_QUESTIONS,
+      budget: await createRequestBudget(supabase, { source: 'sparring', userId }),
+    });
+
+    // A first round without questions is a failure too; either way the
+    // session is kept as 'failed' so what the call cost is not lost
+    if (!round.success || round.questions.length === 0) {
+      await recordFailedSession(userId, uploads, materials, round);
+      throw new Error(`Claude API error: ${round.success ? 'no questions in the first round' : round.error}`);
+    }
+
+    const transcript = [createQuestionRound([], round.questions)];
+
+    const { data: session, error: insertError } = await supabase
+      .from('sparring_sessions')
+      .insert({
+        user_id: userId,
+        status: 'active',
+        transcript,
+        materials_text: materials,
+        upload_ids: uploads.map(upload => upload.id),
+        cost_usd: round.costUSD.total,
+        created_at: new Date().toISOString(),
+        updated_at: new Date().toISOString(),
+      })
+      .select('id')
+      .single();
+
+    if (insertError) {
+      console.error('Sparring session insert error:', insertError);
+      return res.status(500).json({ error: 'Failed to create sparring session' });
+    }
+
+    return res.status(200).json({
+      success: true,
+      sessionId: session.id,
+      resumed: false,
+      status: 'active',
+      questions: transcript[0].questions,
+      questionsAsked: transcript[0].questions.length,
+      maxQuestions: SPARRING_LIMITS.MAX_QUESTIONS,
+    });
+
+  } catch (error) {
+    console.error('Sparring start error:', error);
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * Store a session whose first round failed, with what the call cost
+ */
+async function recordFailedSession(userId, uploads, materials, round) {
+  if (!round.costUSD) {
+    return;
+  }
+
+  const { error } = await supabase
+    .from('sparring_sessions')
+    .insert({
+      user_id: userId,
+      status: 'failed',
+      transcript: [],
+      materials_text: materials,
+      upload_ids: uploads.map(upload => upload.id),
+      cost_usd: round.costUSD.total,
+      created_at: new Date().toISOString(),
+      updated_at: new Date().toISOString(),
+    });
+
+  if (error) {
+    console.error('Failed sparring session insert error:', error);
+  }
+}
+
+/**
+ * Verifies upload token using HMAC SHA256
+ * Token format: base64(payload).hmac_signature
+ * Payload contains: userId, type, exp (expiration timestamp)
+ */
+function verifyUploadToken(token) {
+  try {
+    // Split token into payload and signature
+    const [payloadBase64, signature] = token.split('.');
+
+    if (!payloadBase64 || !signature) {
+      return null;
+    }
+
+    // Decode payload from base64
+    const payload = JSON.parse(Buffer.from(payloadBase64, 'base64').toString());
+
+    // Verify HMAC signature matches
+    const expectedSignature = crypto
+      .createHmac('sha256', process.env.UPLOAD_TOKEN_SECRET)
+      .update(JSON.stringify(payload))
+      .digest('hex');
+
+    if (signature !== expectedSignature) {
+      return null;
+    }
+
+    // Check if token has expired (48 hour expiration set during generation)
+    if (Date.now() > payload.exp) {
+      return null;
+    }
+
+    return payload;
+
+  } catch (error) {
+    console.error('Token verification error:', error);
+    return null;
+  }
+}
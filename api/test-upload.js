@@ -5,6 +5,7 @@
 
 const { createClient } = require('@supabase/supabase-js');
 const busboy = require('busboy');
+const { startAnalysis } = require('./utils/analysis-progress');
 
 const supabase = createClient(
   process.env.SUPABASE_URL,
@@ -124,21 +125,14 @@ module.exports = async function handler(req, res) {
 
         // Trigger analysis asynchronously but wait for request to be sent
         console.log('Triggering analysis for user:', TEST_USER_ID);
-        try {
-          // Start the request but don't wait for response
-          const analyzePromise = fetch('https://narrative-sparringv2.vercel.app/api/analyze', {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ userId: TEST_USER_ID }),
-          });
+        const { analysisId, progressUrl, triggered } = await startAnalysis({ userId: TEST_USER_ID });
 
-          // Wait just for the request to be initiated (not the response)
-          await Promise.race([
-            analyzePromise.then(() => console.log('Analysis triggered')),
-            new Promise(resolve => setTimeout(() => { console.log('Analysis trigger timeout, continuing anyway'); resolve(); }, 2000))
-          ]);
-        } catch (err) {
-          console.error('Analysis trigger error:', err);
+        if (!triggered && !responseAlreadySent) {
+          responseAlreadySent = true;
+          return res.status(502).json({
+            error: `Uploaded ${results.length} files, but the analysis could not be started - try again in a moment`,
+            uploaded: results,
+          });
         }
 
         if (!responseAlreadySent) {
@@ -146,6 +140,8 @@ module.exports = async function handler(req, res) {
           return res.status(200).json({
             success: true,
             uploaded: results,
+            analysisId,
+            progressUrl,
             message: `Analysis started - check your email in 3-5 minutes. Uploaded ${results.length} files.`
           });
         }
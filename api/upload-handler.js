@@ -6,6 +6,9 @@
 const { createClient } = require('@supabase/supabase-js');
 const crypto = require('crypto');
 const busboy = require('busboy');
+const { isLinkedInExport } = require('./utils/linkedin-extractor');
+const { PLATFORMS, isPlatform } = require('./utils/platform-classifier');
+const { startAnalysis } = require('./utils/analysis-progress');
 
 const supabase = createClient(
   process.env.SUPABASE_URL,
@@ -19,9 +22,11 @@ const ALLOWED_FILE_TYPES = [
   'application/vnd.openxmlformats-officedocument.presentationml.presentation', // PPTX
   'text/plain',                                                          // TXT
   'text/html',                                                           // HTML
+  'application/zip',                                                     // LinkedIn export
+  'application/x-zip-compressed',                                        // LinkedIn export (Windows)
 ];
 
-const ALLOWED_EXTENSIONS = ['.pdf', '.docx', '.pptx', '.txt', '.html'];
+const ALLOWED_EXTENSIONS = ['.pdf', '.docx', '.pptx', '.txt', '.html', '.zip'];
 const MAX_FILE_SIZE = 10 * 1024 * 1024; // 10MB in bytes
 const MIN_FILES_REQUIRED = 3;
 const UPLOAD_BUCKET = 'uploads';
@@ -43,7 +48,7 @@ module.exports = async function handler(req, res) {
 
   try {
     // Parse multipart form data
-    const { token, files } = await parseMultipartForm(req);
+    const { token, files, platforms, sparring } = await parseMultipartForm(req);
 
     if (!token) {
       return res.status(400).json({ error: 'Missing upload token' });
@@ -73,7 +78,7 @@ module.exports = async function handler(req, res) {
 
     // Validate each file
     for (const file of files) {
-      const validation = validateFile(file);
+      const validation = await validateFile(file);
       if (!validation.valid) {
         return res.status(400).json({
           error: 'Invalid file',
@@ -83,6 +88,16 @@ module.exports = async function handler(req, res) {
       }
     }
 
+    // Optional platform tags chosen by the client: { "<filename>": "website" | "linkedin" | ... }
+    const platformOverrides = parsePlatformOverrides(platforms);
+
+    if (platformOverrides.error) {
+      return res.status(400).json({
+        error: 'Invalid platforms',
+        message: platformOverrides.error,
+      });
+    }
+
     // Upload files to Supabase Storage
     const uploadedFiles = [];
     const userId = payload.userId;
@@ -107,7 +122,9 @@ module.exports = async function handler(req, res) {
         });
       }
 
-      // Log upload to database
+      // Log upload to database (platform is filled in during analysis unless the client chose one)
+      const platform = platformOverrides.values[file.filename] || null;
+
       const { data: uploadRecord, error: dbError } = await supabase
         .from('uploads')
         .insert({
@@ -115,6 +132,9 @@ module.exports = async function handler(req, res) {
           filename: file.filename,
           file_path: filePath,
           file_size: file.size,
+          platform,
+          platform_confidence: platform ? 1 : null,
+          platform_source: platform ? 'user' : null,
           uploaded_at: new Date().toISOString(),
         })
         .select()
@@ -129,34 +149,46 @@ module.exports = async function handler(req, res) {
         id: uploadRecord?.id || null,
         filename: file.filename,
         size: file.size,
+        platform,
       });
     }
 
-    // Trigger analysis (await to ensure it completes before function terminates)
-    // Always use production URL to avoid preview deployment protection
-    const analysisUrl = 'https://narrative-sparringv2.vercel.app/api/analyze';
+    // Sparring clients answer questions first; /api/sparring-report starts the analysis
+    if (sparring) {
+      return res.status(200).json({
+        success: true,
+        uploaded: uploadedFiles,
+        totalFiles: uploadedFiles.length,
+        readyForAnalysis: false,
+        message: 'Upload complete! Start your sparring session when you\'re ready.',
+      });
+    }
 
-    try {
-      console.log('Triggering analysis at:', analysisUrl);
-      const response = await fetch(analysisUrl, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ userId }),
+    // Trigger analysis without waiting for the report; the page follows it
+    // on progressUrl (/api/analysis-progress)
+    const { analysisId, progressUrl, triggered } = await startAnalysis({ userId });
+
+    if (!triggered) {
+      // The files are saved; the analysis picks up uploads from the last 10 minutes
+      return res.status(502).json({
+        error: 'Analysis could not be started',
+        message: 'Your files were uploaded, but the analysis did not start. Please try again in a moment.',
+        uploaded: uploadedFiles,
+        totalFiles: uploadedFiles.length,
+        readyForAnalysis: false,
       });
-      console.log('Analysis response status:', response.status);
-      const responseText = await response.text();
-      console.log('Analysis response:', responseText);
-      console.log('Analysis triggered for user:', userId);
-    } catch (err) {
-      console.error('Failed to trigger analysis:', err.message, err.stack);
     }
 
+    console.log('Analysis triggered for user:', userId);
+
     // Return success response
     return res.status(200).json({
       success: true,
       uploaded: uploadedFiles,
       totalFiles: uploadedFiles.length,
       readyForAnalysis: true,
+      analysisId,
+      progressUrl,
       message: 'Upload complete! Your analysis will begin shortly.',
     });
 
@@ -171,18 +203,26 @@ module.exports = async function handler(req, res) {
 
 /**
  * Parse multipart form data using busboy
- * Returns token and array of file objects with buffer, filename, mimetype, size
+ * Returns token, raw platforms field, sparring flag and array of file objects with buffer, filename, mimetype, size
  */
 function parseMultipartForm(req) {
   return new Promise((resolve, reject) => {
     const bb = busboy({ headers: req.headers });
     const files = [];
     let token = null;
+    let platforms = null;
+    let sparring = false;
 
     bb.on('field', (fieldname, value) => {
       if (fieldname === 'token') {
         token = value;
       }
+      if (fieldname === 'platforms') {
+        platforms = value;
+      }
+      if (fieldname === 'sparring') {
+        sparring = value === 'true';
+      }
     });
 
     bb.on('file', (fieldname, fileStream, info) => {
@@ -205,7 +245,7 @@ function parseMultipartForm(req) {
     });
 
     bb.on('finish', () => {
-      resolve({ token, files });
+      resolve({ token, files, platforms, sparring });
     });
 
     bb.on('error', (error) => {
@@ -218,8 +258,9 @@ function parseMultipartForm(req) {
 
 /**
  * Validate individual file for type, extension, and size
+ * ZIP archives are only accepted when they are a LinkedIn data export
  */
-function validateFile(file) {
+async function validateFile(file) {
   // Check file size
   if (file.size > MAX_FILE_SIZE) {
     return {
@@ -236,7 +277,7 @@ function validateFile(file) {
   if (!hasValidExtension) {
     return {
       valid: false,
-      error: `File ${file.filename} has invalid extension. Allowed: PDF, DOCX, PPTX, TXT, HTML`,
+      error: `File ${file.filename} has invalid extension. Allowed: PDF, DOCX, PPTX, TXT, HTML, LinkedIn export ZIP`,
     };
   }
 
@@ -244,13 +285,52 @@ function validateFile(file) {
   if (!ALLOWED_FILE_TYPES.includes(file.mimetype)) {
     return {
       valid: false,
-      error: `File ${file.filename} has invalid type (${file.mimetype}). Allowed: PDF, DOCX, PPTX, TXT, HTML`,
+      error: `File ${file.filename} has invalid type (${file.mimetype}). Allowed: PDF, DOCX, PPTX, TXT, HTML, LinkedIn export ZIP`,
+    };
+  }
+
+  if (file.filename.toLowerCase().endsWith('.zip') && !(await isLinkedInExport(file.buffer))) {
+    return {
+      valid: false,
+      error: `File ${file.filename} is not a LinkedIn data export. Only the ZIP from LinkedIn's "Download your data" is accepted.`,
     };
   }
 
   return { valid: true };
 }
 
+/**
+ * Parse the optional `platforms` form field (JSON object keyed by filename)
+ * @returns {Object} - { values, error }
+ */
+function parsePlatformOverrides(raw) {
+  if (!raw) {
+    return { values: {} };
+  }
+
+  let values;
+  try {
+    values = JSON.parse(raw);
+  } catch (error) {
+    return { values: {}, error: 'platforms must be a JSON object of { filename: platform }' };
+  }
+
+  if (!values || typeof values !== 'object' || Array.isArray(values)) {
+    return { values: {}, error: 'platforms must be a JSON object of { filename: platform }' };
+  }
+
+  for (const [filename, platform] of Object.entries(values)) {
+    if (!isPlatform(platform)) {
+      return {
+        values: {},
+        error: `Unknown platform "${platform}" for ${filename}. Allowed: ${Object.keys(PLATFORMS).join(', ')}`,
+      };
+    }
+  }
+
+  return { values };
+}
+
 /**
  * Verifies upload token using HMAC SHA256
  * Token format: base64(payload).hmac_signature
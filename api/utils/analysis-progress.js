@@ -0,0 +1,325 @@
+/**
+ * ANALYSIS PROGRESS MODULE
+ * Narrative Sparring - Live progress of a running analysis
+ *
+ * While analyze.js runs, a progress tracker holds the current stage, the
+ * status and streamed text of each report section, and the tokens used so
+ * far. It saves them to analysis_content.progress and partial_report at
+ * most every PERSIST_INTERVAL_MS, and /api/analysis-progress sends them to
+ * the browser as Server-Sent Events. A run stopped by the function time
+ * limit keeps the text it had written up to its last save.
+ *
+ * Progress is read with a per-analysis key (HMAC of the analysis ID with
+ * UPLOAD_TOKEN_SECRET) rather than the upload token, so it fits in an
+ * EventSource URL. The endpoints that start an analysis pick its ID up
+ * front and return progressUrl with the key in it.
+ */
+
+const crypto = require('crypto');
+const { estimateTokens } = require('./input-packer');
+const { REPORT_SECTIONS } = require('./claude-client');
+
+// Always use production URL to avoid preview deployment protection
+const API_BASE_URL = 'https://narrative-sparringv2.vercel.app';
+
+// Saves to Supabase at most this often while text streams in
+const PERSIST_INTERVAL_MS = 2000;
+
+// How long startAnalysis waits for /api/analyze to take the request
+const ANALYSIS_TRIGGER_WAIT_MS = 3000;
+
+// maxDuration of /api/analyze in vercel.json: the longest a run can take
+const ANALYSIS_MAX_DURATION_S = 300;
+
+// Stages in the order an analysis goes through them ("notes" is map-reduce only)
+const PROGRESS_STAGES = [
+  'queued',
+  'extracting',
+  'measuring',
+  'notes',
+  'brief',
+  'sections',
+  'quality_review',
+  'verifying',
+  'publishing',
+];
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Track one analysis and save its progress as it changes
+ * @param {Object} supabase - Supabase client
+ * @param {string} analysisId - analyses.id
+ * @param {Object} baseContent - analysis_content of the processing record (kept as is)
+ * @returns {Object} - { setStage, stream, addUsage, resetSection, endSection, failSection, snapshot, partialReport, close }
+ */
+function createProgressTracker(supabase, analysisId, baseContent) {
+  const sections = REPORT_SECTIONS.map(({ key, title }) => ({ key, title, status: 'pending', text: '' }));
+  // Exact tokens of finished calls, plus an estimate for text still streaming
+  const streamingChars = {};
+  let stage = 'queued';
+  let exactTokens = 0;
+  let timer = null;
+  let saving = Promise.resolve();
+  let closed = false;
+
+  const findSection = key => sections.find(section => section.key === key);
+
+  function snapshot() {
+    const streamed = Object.values(streamingChars).reduce((sum, chars) => sum + chars, 0);
+    const writing = sections.find(section => section.status === 'writing');
+
+    return {
+      stage,
+      step: PROGRESS_STAGES.indexOf(stage) + 1,
+      steps: PROGRESS_STAGES.length,
+      current_section: writing ? writing.key : null,
+      sections: sections.map(({ key, title, status, text }) => ({ key, title, status, tokens: estimateTokens(text) })),
+      tokens_so_far: exactTokens + Math.ceil(streamed / 4),
+      updated_at: new Date().toISOString(),
+    };
+  }
+
+  function partialReport() {
+    return sections
+      .filter(section => section.text)
+      .map(section => section.text)
+      .join('\n\n');
+  }
+
+  function save() {
+    const content = { ...baseContent, progress: snapshot(), partial_report: partialReport() };
+
+    saving = saving.then(async () => {
+      try {
+        const { error } = await supabase
+          .from('analyses')
+          .update({ analysis_content: content })
+          .eq('id', analysisId);
+
+        if (error) {
+          console.error('Progress save error:', error);
+        }
+      } catch (error) {
+        console.error('Progress save error:', error);
+      }
+    });
+
+    return saving;
+  }
+
+  function schedule() {
+    if (timer || closed) {
+      return;
+    }
+    timer = setTimeout(() => {
+      timer = null;
+      save();
+    }, PERSIST_INTERVAL_MS);
+  }
+
+  return {
+    /**
+     * Move to a stage; tokensUsed, when given, is the exact total so far
+     */
+    setStage(name, tokensUsed) {
+      stage = name;
+      if (typeof tokensUsed === 'number') {
+        exactTokens = tokensUsed;
+        Object.keys(streamingChars).forEach(key => delete streamingChars[key]);
+      }
+      schedule();
+    },
+
+    /**
+     * Stream handlers for one call (callClaude onText and onRetry); report
+     * sections keep their text, other keys (the brief) only count toward
+     * tokens. A retried call goes back to where this call started, so the
+     * text of a failed attempt is not kept.
+     */
+    stream(key) {
+      const section = findSection(key);
+      const start = { text: section ? section.text : '', chars: streamingChars[key] || 0 };
+
+      return {
+        onText(delta) {
+          streamingChars[key] = (streamingChars[key] || 0) + delta.length;
+
+          if (section) {
+            section.status = 'writing';
+            section.text += delta;
+          }
+          schedule();
+        },
+
+        onRetry() {
+          if (section) {
+            section.text = start.text;
+          }
+          streamingChars[key] = start.chars;
+          schedule();
+        },
+      };
+    },
+
+    /**
+     * A streamed call finished: its exact usage replaces the estimate
+     */
+    addUsage(tokensUsed, key = null) {
+      exactTokens += tokensUsed.total;
+      if (key) {
+        delete streamingChars[key];
+      }
+      schedule();
+    },
+
+    /**
+     * Start a section over (retry, or a rewrite of a finished section)
+     */
+    resetSection(key) {
+      const section = findSection(key);
+      if (section) {
+        section.status = 'writing';
+        section.text = '';
+      }
+      delete streamingChars[key];
+      schedule();
+    },
+
+    /**
+     * Final text of a section (continuations joined, heading added)
+     */
+    endSection(key, text) {
+      const section = findSection(key);
+      if (section) {
+        section.status = 'done';
+        section.text = text;
+      }
+      schedule();
+    },
+
+    failSection(key) {
+      const section = findSection(key);
+      if (section) {
+        section.status = 'failed';
+      }
+      schedule();
+    },
+
+    snapshot,
+    partialReport,
+
+    /**
+     * Save what is pending and stop; call before the final record is
+     * written so a late progress save cannot overwrite it
+     */
+    async close() {
+      clearTimeout(timer);
+      timer = null;
+
+      if (!closed) {
+        closed = true;
+        save();
+      }
+
+      await saving;
+    },
+  };
+}
+
+/**
+ * Start /api/analyze under a new analysis ID without waiting for the report
+ *
+ * The analysis runs in its own function invocation, which carries on after
+ * this one returns: Vercel does not cancel a Node function when the caller
+ * goes away (vercel.json does not opt in to supportsCancellation), it runs
+ * until it responds or hits maxDuration. So the wait below only has to get
+ * the request delivered. A request that fails, or that /api/analyze refuses
+ * within the wait (bad input, unknown user), comes back as triggered: false;
+ * a run that starts and fails later shows as failed on progressUrl.
+ * @param {Object} body - analyze.js request body: { userId, sessionId, ... }
+ * @returns {Object} - { analysisId, progressUrl, triggered } (triggered is
+ *   false when the request failed or was refused within the wait)
+ */
+async function startAnalysis(body) {
+  const analysisId = crypto.randomUUID();
+  const analysisUrl = `${API_BASE_URL}/api/analyze`;
+
+  console.log('Triggering analysis at:', analysisUrl);
+  const request = fetch(analysisUrl, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ ...body, analysisId }),
+  })
+    .then(response => {
+      console.log('Analysis response status:', response.status);
+      return response.ok;
+    })
+    .catch(err => {
+      console.error('Failed to trigger analysis:', err.message, err.stack);
+      return false;
+    });
+
+  // Long enough for the request to go out; not for the analysis to finish
+  const triggered = await Promise.race([
+    request,
+    new Promise(resolve => setTimeout(() => resolve(true), ANALYSIS_TRIGGER_WAIT_MS)),
+  ]);
+
+  return { analysisId, progressUrl: buildProgressUrl(analysisId), triggered };
+}
+
+/**
+ * SSE URL for one analysis, key included
+ * @param {string} analysisId
+ * @returns {string}
+ */
+function buildProgressUrl(analysisId) {
+  const params = new URLSearchParams({ analysisId, key: signProgressKey(analysisId) });
+  return `${API_BASE_URL}/api/analysis-progress?${params}`;
+}
+
+/**
+ * Key that lets the holder read one analysis's progress
+ * @param {string} analysisId
+ * @returns {string}
+ */
+function signProgressKey(analysisId) {
+  return crypto
+    .createHmac('sha256', process.env.UPLOAD_TOKEN_SECRET)
+    .update(`analysis-progress:${analysisId}`)
+    .digest('hex');
+}
+
+/**
+ * Check a progress key (constant-time)
+ * @returns {boolean}
+ */
+function verifyProgressKey(analysisId, key) {
+  if (typeof key !== 'string' || !isAnalysisId(analysisId)) {
+    return false;
+  }
+
+  const expected = Buffer.from(signProgressKey(analysisId));
+  const given = Buffer.from(key);
+
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+/**
+ * Whether a value can be an analyses.id (uuid)
+ * @returns {boolean}
+ */
+function isAnalysisId(value) {
+  return typeof value === 'string' && UUID_PATTERN.test(value);
+}
+
+module.exports = {
+  createProgressTracker,
+  startAnalysis,
+  buildProgressUrl,
+  verifyProgressKey,
+  isAnalysisId,
+  PROGRESS_STAGES,
+  ANALYSIS_MAX_DURATION_S,
+};
@@ -0,0 +1,213 @@
+/**
+ * STRUCTURED ANALYSIS SCHEMA
+ * Narrative Sparring - Machine-readable findings stored next to the report
+ *
+ * The markdown report is for the client; this object is for everything
+ * downstream (charts, comparisons between analyses, queries). Claude fills it
+ * in from the finished report and it is validated here before it is stored.
+ *
+ * {
+ *   platforms:    [{ platform, consistency_score (1-10), summary }]
+ *   gap_score:    { score (1-10), range: 'high'|'moderate'|'low' }
+ *   core_threads: [{ type: 'primary'|'secondary', thread, why }]    1-3, one primary
+ *   blind_spots:  [{ title, description, evidence: [{ platform, quote }] }]
+ *   actions:      [{ priority: 1|2|3, timeframe, action }]
+ * }
+ */
+
+const { PLATFORMS, isPlatform } = require('./platform-classifier');
+
+const GAP_RANGES = ['high', 'moderate', 'low'];
+const THREAD_TYPES = ['primary', 'secondary'];
+const ACTION_TIMEFRAMES = ['this_week', 'this_month', 'next_quarter'];
+
+// Shown to Claude verbatim, so field names and rules match validateAnalysis
+const SCHEMA_DESCRIPTION = `{
+  "platforms": [
+    { "platform": ${Object.keys(PLATFORMS).map(key => `"${key}"`).join(' | ')}, "consistency_score": 1-10, "summary": "one sentence" }
+  ],
+  "gap_score": { "score": 1-10, "range": "high" | "moderate" | "low" },
+  "core_threads": [
+    { "type": "primary" | "secondary", "thread": "1-3 sentences", "why": "one sentence" }
+  ],
+  "blind_spots": [
+    { "title": "short name", "description": "1-2 sentences", "evidence": [{ "platform": "website", "quote": "exact copy" }] }
+  ],
+  "actions": [
+    { "priority": 1 | 2 | 3, "timeframe": "this_week" | "this_month" | "next_quarter", "action": "specific action" }
+  ]
+}
+
+Rules:
+- Only platforms that were actually reviewed go in "platforms" (at least one).
+- 1 to 3 core_threads, exactly one with "type": "primary".
+- At least one blind spot; every blind spot has at least one evidence quote copied exactly.
+- At least one action; priority 1 = this week, 2 = this month, 3 = next quarter.
+- Scores are whole numbers.`;
+
+/**
+ * Validate a structured analysis object
+ * @param {Object} analysis - Parsed JSON from Claude
+ * @returns {Object} - { valid, errors: [string] }
+ */
+function validateAnalysis(analysis) {
+  const errors = [];
+
+  if (!isObject(analysis)) {
+    return { valid: false, errors: ['Top level must be a JSON object'] };
+  }
+
+  // platforms
+  if (!nonEmptyArray(analysis.platforms)) {
+    errors.push('"platforms" must be a non-empty array');
+  } else {
+    analysis.platforms.forEach((item, i) => {
+      const at = `platforms[${i}]`;
+      if (!isObject(item)) {
+        errors.push(`${at} must be an object`);
+        return;
+      }
+      if (!isPlatform(item.platform)) {
+        errors.push(`${at}.platform must be one of ${Object.keys(PLATFORMS).join(', ')}`);
+      }
+      checkScore(item.consistency_score, `${at}.consistency_score`, errors);
+      checkText(item.summary, `${at}.summary`, errors);
+    });
+  }
+
+  // gap_score
+  if (!isObject(analysis.gap_score)) {
+    errors.push('"gap_score" must be an object with "score" and "range"');
+  } else {
+    checkScore(analysis.gap_score.score, 'gap_score.score', errors);
+    if (!GAP_RANGES.includes(analysis.gap_score.range)) {
+      errors.push(`gap_score.range must be one of ${GAP_RANGES.join(', ')}`);
+    }
+  }
+
+  // core_threads
+  if (!nonEmptyArray(analysis.core_threads) || analysis.core_threads.length > 3) {
+    errors.push('"core_threads" must have 1 to 3 items');
+  } else {
+    analysis.core_threads.forEach((item, i) => {
+      const at = `core_threads[${i}]`;
+      if (!isObject(item)) {
+        errors.push(`${at} must be an object`);
+        return;
+      }
+      if (!THREAD_TYPES.includes(item.type)) {
+        errors.push(`${at}.type must be "primary" or "secondary"`);
+      }
+      checkText(item.thread, `${at}.thread`, errors);
+      checkText(item.why, `${at}.why`, errors);
+    });
+
+    const primaries = analysis.core_threads.filter(item => isObject(item) && item.type === 'primary');
+    if (primaries.length !== 1) {
+      errors.push(`core_threads must have exactly one "primary" thread (found ${primaries.length})`);
+    }
+  }
+
+  // blind_spots
+  if (!nonEmptyArray(analysis.blind_spots)) {
+    errors.push('"blind_spots" must be a non-empty array');
+  } else {
+    analysis.blind_spots.forEach((item, i) => {
+      const at = `blind_spots[${i}]`;
+      if (!isObject(item)) {
+        errors.push(`${at} must be an object`);
+        return;
+      }
+      checkText(item.title, `${at}.title`, errors);
+      checkText(item.description, `${at}.description`, errors);
+
+      if (!nonEmptyArray(item.evidence)) {
+        errors.push(`${at}.evidence must have at least one quote`);
+        return;
+      }
+      item.evidence.forEach((quote, j) => {
+        if (!isObject(quote)) {
+          errors.push(`${at}.evidence[${j}] must be an object`);
+          return;
+        }
+        if (!isPlatform(quote.platform)) {
+          errors.push(`${at}.evidence[${j}].platform must be one of ${Object.keys(PLATFORMS).join(', ')}`);
+        }
+        checkText(quote.quote, `${at}.evidence[${j}].quote`, errors);
+      });
+    });
+  }
+
+  // actions
+  if (!nonEmptyArray(analysis.actions)) {
+    errors.push('"actions" must be a non-empty array');
+  } else {
+    analysis.actions.forEach((item, i) => {
+      const at = `actions[${i}]`;
+      if (!isObject(item)) {
+        errors.push(`${at} must be an object`);
+        return;
+      }
+      if (![1, 2, 3].includes(item.priority)) {
+        errors.push(`${at}.priority must be 1, 2 or 3`);
+      }
+      if (!ACTION_TIMEFRAMES.includes(item.timeframe)) {
+        errors.push(`${at}.timeframe must be one of ${ACTION_TIMEFRAMES.join(', ')}`);
+      }
+      checkText(item.action, `${at}.action`, errors);
+    });
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors,
+  };
+}
+
+/**
+ * Pull the JSON object out of a model response (tolerates ```json fences
+ * and text around the object)
+ * @returns {Object} - { success, data, error }
+ */
+function parseAnalysisJSON(text) {
+  const fenced = text.match(/```(?:json)?\s*([\s\S]*?)```/);
+  const candidate = fenced ? fenced[1] : text;
+  const start = candidate.indexOf('{');
+  const end = candidate.lastIndexOf('}');
+
+  if (start === -1 || end <= start) {
+    return { success: false, error: 'No JSON object found in the response' };
+  }
+
+  try {
+    return { success: true, data: JSON.parse(candidate.slice(start, end + 1)) };
+  } catch (error) {
+    return { success: false, error: `Invalid JSON: ${error.message}` };
+  }
+}
+
+function checkScore(value, at, errors) {
+  if (!Number.isInteger(value) || value < 1 || value > 10) {
+    errors.push(`${at} must be a whole number from 1 to 10`);
+  }
+}
+
+function checkText(value, at, errors) {
+  if (typeof value !== 'string' || !value.trim()) {
+    errors.push(`${at} must be a non-empty string`);
+  }
+}
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function nonEmptyArray(value) {
+  return Array.isArray(value) && value.length > 0;
+}
+
+module.exports = {
+  SCHEMA_DESCRIPTION,
+  validateAnalysis,
+  parseAnalysisJSON,
+};
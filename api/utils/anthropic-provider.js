@@ -0,0 +1,98 @@
+/**
+ * ANTHROPIC PROVIDER
+ * Narrative Sparring - Claude through the Anthropic SDK
+ *
+ * Default provider (see llm-provider.js). Needs ANTHROPIC_API_KEY.
+ *
+ * Prompt caching: the system prompt, and request.cachePrefix when the first
+ * user message starts with it, are sent as their own blocks marked
+ * cache_control "ephemeral". A call with the same model, system prompt and
+ * prefix within five minutes reads them from the cache at a tenth of the
+ * input rate; the first one writes them at 1.25x. Blocks under the model's
+ * minimum cacheable length (1024 tokens, 2048 for Haiku) are sent normally.
+ */
+
+const Anthropic = require('@anthropic-ai/sdk');
+
+/**
+ * One messages.create call
+ * @param {Object} request - { model, system, messages, maxTokens, temperature, cachePrefix }
+ * @returns {Object} - { text, stopReason, usage: { input, output, cacheWrite, cacheRead } }
+ */
+async function createMessage(request) {
+  const response = await createClient().messages.create(toParams(request));
+
+  return fromResponse(response);
+}
+
+/**
+ * Same call as a stream; onText gets each piece of text as it arrives
+ * @param {Object} request - { model, system, messages, maxTokens, temperature, cachePrefix }
+ * @param {Function} onText - (delta) => void
+ * @returns {Object} - { text, stopReason, usage: { input, output, cacheWrite, cacheRead } }
+ */
+async function streamMessage(request, onText) {
+  const stream = createClient().messages.stream(toParams(request));
+  stream.on('text', onText);
+
+  return fromResponse(await stream.finalMessage());
+}
+
+function createClient() {
+  return new Anthropic({
+    apiKey: process.env.ANTHROPIC_API_KEY,
+  });
+}
+
+function toParams(request) {
+  return {
+    model: request.model,
+    max_tokens: request.maxTokens,
+    temperature: request.temperature,
+    system: request.system ? [cacheable(request.system)] : undefined,
+    messages: markCachePrefix(request.messages, request.cachePrefix),
+  };
+}
+
+/**
+ * Split the cached prefix off the first user message into its own block
+ */
+function markCachePrefix(messages, prefix) {
+  const index = messages.findIndex(message => message.role === 'user');
+  const message = messages[index];
+
+  if (!prefix || !message || typeof message.content !== 'string' || !message.content.startsWith(prefix)) {
+    return messages;
+  }
+
+  const rest = message.content.slice(prefix.length);
+  const content = rest ? [cacheable(prefix), { type: 'text', text: rest }] : [cacheable(prefix)];
+
+  return messages.map((item, i) => (i === index ? { ...item, content } : item));
+}
+
+function cacheable(text) {
+  return { type: 'text', text, cache_control: { type: 'ephemeral' } };
+}
+
+function fromResponse(response) {
+  return {
+    text: response.content
+      .filter(block => block.type === 'text')
+      .map(block => block.text)
+      .join(''),
+    stopReason: response.stop_reason,
+    usage: {
+      // input_tokens leaves out what was written to or read from the cache
+      input: response.usage.input_tokens,
+      output: response.usage.output_tokens,
+      cacheWrite: response.usage.cache_creation_input_tokens || 0,
+      cacheRead: response.usage.cache_read_input_tokens || 0,
+    },
+  };
+}
+
+module.exports = {
+  createMessage,
+  streamMessage,
+};
@@ -0,0 +1,346 @@
+/**
+ * CLAIM INVENTORY MODULE
+ * Narrative Sparring - Every claim in the materials, and what backs it up
+ *
+ * Blind Spot #6 (No Proof Points) from the files rather than by eye:
+ *
+ *   proof points - testimonials and case studies (whole blocks), client
+ *                  lists and metrics tied to a named client ("Acme cut
+ *                  churn 30%") (single sentences)
+ *   claims       - sentences with numbers, outcomes, superlatives, "proven",
+ *                  "leading" that aren't themselves proof
+ *
+ * Each claim is paired with the proof points elsewhere in the materials (never
+ * in its own block) that share its words (IDF-weighted, like the evidence
+ * appendix), with a bonus when the kind of proof fits the claim (a client list
+ * for "trusted by clients"). A claim with no pairing is flagged unsupported. Deterministic,
+ * no API calls.
+ */
+
+const { tokenize, describeSection } = require('./quote-verifier');
+const { PLATFORMS } = require('./platform-classifier');
+
+// Share of a claim's (IDF-weighted) words a proof point must cover, bonus included
+const MIN_SUPPORT_SCORE = 0.3;
+
+// Added when the kind of proof fits the kind of claim
+const AFFINITY_BONUS = 0.2;
+
+// Proof points listed per claim
+const MAX_SUPPORT = 2;
+
+// Claims in the report table (unsupported first); all are stored
+const MAX_TABLE_ROWS = 30;
+
+// Unsupported claims listed in the prompt
+const MAX_PROMPT_CLAIMS = 20;
+
+const CLAIM_PATTERNS = [
+  { kind: 'number', pattern: /(?:[$€£]\s?\d[\d,.]*|\b\d[\d,.]*\s*(?:%|percent\b|x\b|\+|k\b|million\b|billion\b)|\b\d[\d,]*\s+(?:clients|customers|companies|businesses|brands|users|founders|agencies|projects|years|countries|teams)\b)/i },
+  { kind: 'outcome', pattern: /\b(?:increase[sd]?|grow(?:s|n)?|grew|boost(?:s|ed)?|double[sd]?|triple[sd]?|reduce[sd]?|cuts?|save[sd]?|improve[sd]?|drive[sn]?|deliver(?:s|ed)?|generate[sd]?)\b[^.!?]{0,60}\b(?:revenue|sales|leads|conversions?|roi|growth|costs?|time|results|profits?|margins?|efficiency|retention|churn|pipeline|traffic|engagement)\b/i },
+  { kind: 'superlative', pattern: /(?:^|\s)#1\b|\b(?:best|no\.? ?1|number one|top-rated|fastest|largest|biggest|premier|ultimate|world-class|best-in-class|unmatched|unparalleled|second to none|most (?:trusted|advanced|innovative|experienced|powerful|effective|reliable))\b/i },
+  { kind: 'proven', pattern: /\b(?:proven|guaranteed?|award-winning|certified|trusted)\b/i },
+  { kind: 'leading', pattern: /\b(?:leading|leaders?|industry-leading|market-leading|pioneer(?:s|ing)?)\b/i },
+];
+
+const TESTIMONIAL_HEADING = /testimonial|what (?:our |my )?(?:clients|customers|people) say|reviews|kind words|in their words/i;
+const CASE_STUDY_HEADING = /case stud|success stor|client stor|customer stor|results for/i;
+const CASE_STUDY_FILENAME = /case[-_ ]?stud|success[-_ ]?stor/i;
+const QUOTED_ATTRIBUTION = /[“"][^”"]{25,}[”"]\s*(?:[-–—]|,)\s*[A-Z]/;
+const ATTRIBUTION_LINE = /^\s*[-–—]\s*[A-Z][\w.'’-]+(?:\s+[A-Z][\w.'’-]+)*\s*(?:,|$)/;
+const CLIENT_LIST = /\b(?:clients include|customers include|trusted by|worked with|working with|partners include|partnered with|as seen in|featured in|clients like|customers like|brands like)\b(.*)/i;
+const PROPER_NOUN = /(?<!^)(?<![.!?]\s)\b[A-Z][a-z]+(?:\s+[A-Z][a-z]+)*\b/g;
+
+// Capitalized words that don't name a client
+const NOT_NAMES = new Set([
+  'I', 'We', 'Our', 'You', 'Your', 'They', 'The', 'This', 'That', 'January', 'February', 'March',
+  'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December',
+  'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday', 'Leading',
+  'Brands', 'Clients', 'Customers', 'Companies',
+]);
+
+const SUPPORT_AFFINITY = [
+  { pattern: /\b(?:clients?|customers?|brands?|companies|businesses|agencies|founders|teams|trusted)\b/i, kinds: ['client_name', 'testimonial'] },
+  { pattern: /\b(?:revenue|sales|leads|conversions?|roi|growth|costs?|results|profits?|margins?|retention|churn|pipeline|proven)\b/i, kinds: ['case_study', 'metric', 'testimonial'] },
+];
+
+const STOP_WORDS = new Set([
+  'the', 'and', 'for', 'with', 'that', 'this', 'you', 'your', 'our', 'are', 'was', 'were', 'from',
+  'they', 'their', 'have', 'has', 'not', 'but', 'all', 'can', 'will', 'into', 'what', 'who', 'how',
+  'more', 'than', 'its', 'it\'s', 'about', 'each', 'every', 'one', 'them', 'been', 'also', 'just',
+  'we\'re', 'over', 'most', 'best', 'leading', 'proven', 'trusted',
+]);
+
+const PROOF_LABELS = {
+  testimonial: 'Testimonial',
+  case_study: 'Case study',
+  client_name: 'Named clients',
+  metric: 'Client metric',
+};
+
+/**
+ * Claims and proof points in the extracted documents
+ * @param {Array} documents - From document-model.js
+ * @param {Array} classifications - [{ filename, platform }]
+ * @returns {Object} - { claims, proofPoints, summary }
+ */
+function buildClaimInventory(documents, classifications = []) {
+  const platformOf = new Map(classifications.map(item => [item.filename, item.platform]));
+  const proofPoints = [];
+  // Block each proof point came from, so a passage never backs its own claims
+  const proofBlocks = [];
+  const candidates = [];
+  let blockId = 0;
+
+  for (const document of documents) {
+    const platform = platformOf.get(document.filename) || 'other';
+
+    for (const section of document.sections) {
+      const location = describeSection(section);
+      let heading = section.label || '';
+
+      section.blocks.forEach((block, i) => {
+        blockId += 1;
+        if (block.type === 'heading') {
+          heading = block.text;
+        }
+
+        const place = { filename: document.filename, platform, location };
+        const blockKind = classifyBlockProof(block, section.blocks[i + 1], heading, document.filename);
+
+        if (blockKind) {
+          proofPoints.push({ kind: blockKind, ...place, passage: truncate(block.text.replace(/\s+/g, ' ').trim(), 300) });
+          proofBlocks.push(blockId);
+          return;
+        }
+
+        for (const sentence of splitSentences(block.text)) {
+          const sentenceKind = block.type === 'heading' ? null : classifySentenceProof(sentence);
+          if (sentenceKind) {
+            proofPoints.push({ kind: sentenceKind, ...place, passage: truncate(sentence, 300) });
+            proofBlocks.push(blockId);
+            continue;
+          }
+
+          const kinds = CLAIM_PATTERNS.filter(item => item.pattern.test(sentence)).map(item => item.kind);
+          if (kinds.length > 0) {
+            candidates.push({ text: sentence, kinds, ...place, block: blockId });
+          }
+        }
+      });
+    }
+  }
+
+  // The same line on one platform (a repeated footer, a reused tagline) is one claim
+  const seen = new Set();
+  const unique = candidates.filter(claim => {
+    const key = `${claim.platform}:${claim.text.toLowerCase()}`;
+    if (seen.has(key)) {
+      return false;
+    }
+    seen.add(key);
+    return true;
+  });
+
+  const idf = buildIdf([...unique.map(claim => claim.text), ...proofPoints.map(proof => proof.passage)]);
+  const proofWords = proofPoints.map(proof => contentStems(proof.passage));
+
+  const claims = unique.map(({ block, ...claim }) => {
+    const support = findSupport(claim, block, proofPoints, proofBlocks, proofWords, idf);
+    return { ...claim, supported: support.length > 0, support };
+  });
+
+  const supported = claims.filter(claim => claim.supported).length;
+
+  return {
+    claims,
+    proofPoints,
+    summary: {
+      claims: claims.length,
+      supported,
+      unsupported: claims.length - supported,
+      proofPoints: Object.fromEntries(Object.keys(PROOF_LABELS).map(kind => [kind, proofPoints.filter(proof => proof.kind === kind).length])),
+    },
+  };
+}
+
+/**
+ * Proof kind of a whole block (testimonial or case study), or null
+ * @param {Object} next - The following block (an attribution line after a quote)
+ */
+function classifyBlockProof(block, next, heading, filename) {
+  const text = block.text;
+
+  if (block.type === 'heading') {
+    return null;
+  }
+  if (TESTIMONIAL_HEADING.test(heading) || QUOTED_ATTRIBUTION.test(text) ||
+    (/^\s*[“"]/.test(text) && next && ATTRIBUTION_LINE.test(next.text))) {
+    return 'testimonial';
+  }
+  if (CASE_STUDY_HEADING.test(heading) || CASE_STUDY_FILENAME.test(filename)) {
+    return 'case_study';
+  }
+
+  return null;
+}
+
+/**
+ * Proof kind of one sentence (client list or client metric), or null.
+ * A number and a name must share the sentence: "200 clients" next to "Based
+ * in London" is a claim, not a metric.
+ */
+function classifySentenceProof(sentence) {
+  const list = sentence.match(CLIENT_LIST);
+  if (list && findNames(list[1]).length > 0) {
+    return 'client_name';
+  }
+
+  if (CLAIM_PATTERNS[0].pattern.test(sentence) && findNames(sentence).length > 0) {
+    return 'metric';
+  }
+
+  return null;
+}
+
+/**
+ * Proof points covering enough of a claim's words, outside the claim's own block
+ * @returns {Array} - [{ kind, filename, location, passage, score }]
+ */
+function findSupport(claim, block, proofPoints, proofBlocks, proofWords, idf) {
+  const words = [...contentStems(claim.text)];
+  const total = words.reduce((sum, word) => sum + idf(word), 0);
+  const fits = SUPPORT_AFFINITY
+    .filter(item => item.pattern.test(claim.text))
+    .flatMap(item => item.kinds);
+
+  if (total === 0) {
+    return [];
+  }
+
+  return proofPoints
+    .map((proof, i) => {
+      if (proofBlocks[i] === block) {
+        return { proof, score: 0 };
+      }
+      // Naming clients doesn't show what they got out of it
+      if (proof.kind === 'client_name' && claim.kinds.includes('outcome')) {
+        return { proof, score: 0 };
+      }
+
+      const overlap = words.filter(word => proofWords[i].has(word)).reduce((sum, word) => sum + idf(word), 0) / total;
+      // Affinity only counts alongside some shared words, or for client lists
+      const bonus = fits.includes(proof.kind) && (overlap > 0 || proof.kind === 'client_name') ? AFFINITY_BONUS : 0;
+      return { proof, score: overlap + bonus };
+    })
+    .filter(item => item.score >= MIN_SUPPORT_SCORE)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, MAX_SUPPORT)
+    .map(({ proof, score }) => ({
+      kind: proof.kind,
+      filename: proof.filename,
+      location: proof.location,
+      passage: proof.passage,
+      score: Math.round(score * 100) / 100,
+    }));
+}
+
+/**
+ * Inventory as a labeled block for the prompt
+ * @returns {string} - '' with no claims
+ */
+function formatClaimContext(inventory) {
+  if (!inventory || inventory.claims.length === 0) {
+    return '';
+  }
+
+  const { summary } = inventory;
+  const unsupported = inventory.claims.filter(claim => !claim.supported);
+  const supported = inventory.claims.filter(claim => claim.supported);
+  const proofCounts = Object.entries(summary.proofPoints)
+    .map(([kind, count]) => `${PROOF_LABELS[kind].toLowerCase()}: ${count}`)
+    .join(', ');
+
+  return [
+    '=== CLAIM INVENTORY (found locally in the files - use it for Blind Spot #6 No Proof Points; an unsupported claim had no matching testimonial, case study, named client or client metric anywhere in the materials) ===',
+    `${summary.claims} claims, ${summary.supported} supported, ${summary.unsupported} unsupported. Proof points - ${proofCounts}.`,
+    ...(unsupported.length > 0 ? ['', 'Unsupported:'] : []),
+    ...unsupported.slice(0, MAX_PROMPT_CLAIMS).map(claim => `- [${platformLabel(claim.platform)}, ${claim.filename}] "${claim.text}" (${claim.kinds.join(', ')})`),
+    ...(unsupported.length > MAX_PROMPT_CLAIMS ? [`- ...and ${unsupported.length - MAX_PROMPT_CLAIMS} more`] : []),
+    ...(supported.length > 0 ? ['', 'Supported:'] : []),
+    ...supported.slice(0, MAX_PROMPT_CLAIMS).map(claim => `- [${platformLabel(claim.platform)}] "${claim.text}" <- ${PROOF_LABELS[claim.support[0].kind].toLowerCase()} in ${claim.support[0].filename}: "${truncate(claim.support[0].passage, 120)}"`),
+  ].join('\n');
+}
+
+/**
+ * Claim rows for the report appendix (shared by the PDF and HTML renderers)
+ * @returns {Object} - { columns: [string], rows: [[string]], notes: [string] }
+ */
+function buildClaimTable(inventory) {
+  const ordered = [
+    ...inventory.claims.filter(claim => !claim.supported),
+    ...inventory.claims.filter(claim => claim.supported),
+  ];
+
+  const rows = ordered.slice(0, MAX_TABLE_ROWS).map(claim => [
+    truncate(claim.text, 160),
+    `${platformLabel(claim.platform)} - ${claim.filename}, ${claim.location}`,
+    claim.kinds.join(', '),
+    claim.supported
+      ? claim.support.map(item => `${PROOF_LABELS[item.kind]}: ${item.filename}, ${item.location}`).join('; ')
+      : 'UNSUPPORTED',
+  ]);
+
+  const { summary } = inventory;
+  const notes = [
+    `${summary.claims} claims: ${summary.supported} supported, ${summary.unsupported} unsupported.`,
+    `Proof points found: ${Object.entries(summary.proofPoints).map(([kind, count]) => `${PROOF_LABELS[kind].toLowerCase()} ${count}`).join(', ')}.`,
+  ];
+  if (ordered.length > MAX_TABLE_ROWS) {
+    notes.push(`Showing ${MAX_TABLE_ROWS} of ${ordered.length} claims, unsupported first.`);
+  }
+  notes.push('A claim counts as supported when a testimonial, case study, named client or client metric elsewhere in your materials backs up the same point.');
+
+  return { columns: ['Claim', 'Where', 'Type', 'Support'], rows, notes };
+}
+
+function findNames(text) {
+  return (text.match(PROPER_NOUN) || []).filter(name => !NOT_NAMES.has(name.split(/\s+/)[0]));
+}
+
+function splitSentences(text) {
+  return text
+    .split(/(?<=[.!?])\s+|\n+/)
+    .map(sentence => sentence.replace(/\s+/g, ' ').trim())
+    .filter(sentence => tokenize(sentence).length >= 3);
+}
+
+function contentStems(text) {
+  return new Set(
+    tokenize(text)
+      .filter(word => word.length > 2 && !STOP_WORDS.has(word))
+      .map(word => word.replace(/ies$/, 'y').replace(/(?<=\w{3})(?:ing|ed|es|s)$/, ''))
+  );
+}
+
+function buildIdf(texts) {
+  const documentFrequency = new Map();
+  texts.forEach(text => contentStems(text).forEach(word => {
+    documentFrequency.set(word, (documentFrequency.get(word) || 0) + 1);
+  }));
+  return word => Math.log(1 + texts.length / (documentFrequency.get(word) || 1));
+}
+
+function platformLabel(platform) {
+  return PLATFORMS[platform] ? PLATFORMS[platform].label : platform;
+}
+
+function truncate(text, length) {
+  return text.length > length ? `${text.slice(0, length).trim()}…` : text;
+}
+
+module.exports = {
+  buildClaimInventory,
+  formatClaimContext,
+  buildClaimTable,
+};
@@ -2,426 +2,827 @@
  * CLAUDE API CLIENT MODULE
  * Narrative Sparring - AI Brain for narrative analysis
  *
- * Handles Claude API integration with retry logic and cost tracking
+ * Handles Claude API integration with retry logic and cost tracking; the
+ * calls themselves go through a provider (llm-provider.js).
+ * Large material sets use map-reduce: one "platform notes" call per file,
+ * then a synthesis call that writes the report from the notes alone.
+ * Either way the report is written as an analysis brief plus one call per
+ * section, so long reports aren't cut off by a single max_tokens limit.
+ * Prompt text, temperatures and max_tokens come from a versioned prompt set
+ * (prompt-registry.js); pass options.prompts to run a specific version.
  */
 
-const Anthropic = require('@anthropic-ai/sdk');
+const { getProvider } = require('./llm-provider');
+const { SCHEMA_DESCRIPTION, validateAnalysis, parseAnalysisJSON } = require('./analysis-schema');
+const { formatIntakeContext } = require('./client-intake');
+const { loadPromptSet, renderPrompt, promptSettings } = require('./prompt-registry');
+const { calculateCost } = require('./model-pricing');
+const { isBudgetSpent, chargeBudget } = require('./spend-guard');
+const { estimateTokens } = require('./input-packer');
 
-// Pricing (as of Claude 3.5 Sonnet)
-const PRICING = {
-  INPUT_PER_MILLION: 3.00,   // $3 per 1M input tokens
-  OUTPUT_PER_MILLION: 15.00, // $15 per 1M output tokens
-};
-
-/**
- * AI BRAIN SYSTEM PROMPT - COMPLETE SYSTEM
- * Narrative Sparring Autonomous Diagnostic Engine
- *
- * This is the complete AI BRAIN that powers all narrative audits.
- * Based on CRUDA's complete diagnostic methodology.
- */
-const AI_BRAIN_PROMPT = `# NARRATIVE SPARRING AI BRAIN — COMPLETE DIAGNOSTIC SYSTEM
-
-## PART 1: CORE IDENTITY & PHILOSOPHY
-
-### Who You Are
-
-**Role:** You are CRUDA's proprietary narrative diagnostic engine. You audit how founders and companies communicate across platforms, identify where messaging breaks down, and extract the core narrative thread that actually works.
-
-**What You Do:**
-- Analyze uploaded materials (website copy, LinkedIn profiles, pitch decks, sales docs, bios)
-- Ask strategic questions to expose blind spots
-- Score narrative consistency across platforms (1-10 scale)
-- Extract 1-3 core threads that work everywhere
-- Generate actionable audit report (12-15 pages)
-
-**What You DON'T Do:**
-- Create messaging from scratch (you find what's already there)
-- Make assumptions about the user's identity, background, or beliefs
-- Invent information not provided by the user
-- Generate racist, sexist, or harmful content
-- Give business advice outside narrative/messaging scope
-
-### The CRUDA Philosophy (Your Foundation)
-
-**Core Belief:** Most brands communicate from the product. CRUDA helps clients communicate from story. The best narratives aren't invented - they're extracted from what the founder already says when they close deals.
-
-**The Way of CRUDA (Four Principles):**
-
-1. **Look Inward** - The story is already there in how they talk about their work. Your job: find the pattern, not create one.
-
-2. **Find the Essence** - Strip away jargon, buzzwords, borrowed frameworks. Distill to the truth underneath.
-
-3. **Honor the Intention** - Respect what they're actually trying to build. Don't impose external narratives.
-
-4. **Stay True** - The narrative must be authentic to who they are. No "Shopify for X" positioning. No made-up founder stories.
-
-### Tone & Voice (How You Communicate)
-
-**Core Attributes:**
-- **Contemplative** - Rick Rubin energy, not hustle culture
-- **Direct** - Punk but peaceful, no bullshit
-- **Editorial** - New Yorker meets Monocle, not LinkedIn speak
-- **Pattern Recognition** - You see what they can't see yet
-- **Non-judgmental** - You diagnose, you don't shame
-
-**Language Patterns - DO:**
-"Here's what I'm seeing..."
-"Your website says X. Your LinkedIn says Y. Your pitch deck says Z."
-"This works because it's specific, true, and compounds."
-"Three years explaining what you do. The explanation changes every time."
-
-**Language Patterns - DON'T:**
-"Leverage synergies..."
-"Our proven methodology..."
-"You need to..."
-"This is wrong..."
-"Most companies..."
-
-**Sentence Structure:** Short sentences for impact. Fragments for rhythm. No corporate fluff. Conversational but sophisticated. A 9-year-old could understand, but it's classy.
-
-## PART 2: DIAGNOSTIC METHODOLOGY
-
-### Phase 1: Material Intake & Analysis
-
-Analyze what you've received. Make an inventory:
-1. What platforms are represented?
-2. What's missing? (e.g., no LinkedIn, no pitch deck)
-3. Initial observations:
-   - Do they talk about product or story?
-   - Is there a founder voice or corporate voice?
-   - Any immediate inconsistencies?
-
-### Phase 2: Cross-Platform Consistency Analysis
-
-**The Audit:** Compare what they say across platforms and score consistency (1-10 scale).
-
-**Platform-by-Platform Breakdown:**
-
-**WEBSITE ANALYSIS:**
-- Homepage hero
-- About page
-- Services/Products
-- Questions: Is there a founder story or just product features? How many different value propositions exist? Does it sound human or corporate?
-
-**LINKEDIN ANALYSIS:**
-- Headline, About section, Recent posts
-- Questions: Does this sound like a human or a résumé? Is their expertise visible or buried? Would a stranger understand what they do? Does this match the website messaging?
-
-**PITCH DECK ANALYSIS:**
-- Opening slide, Problem slide, Solution slide
-- Questions: Does the deck tell the same story as the website? Is there a founder narrative or just product features?
-
-**SALES MATERIALS ANALYSIS:**
-- Email templates, Proposals, One-pagers
-- Questions: Do these sound like the founder or a template? Is the language consistent with website/LinkedIn?
-
-**SCORING RUBRIC:**
-- 10/10 = Perfect consistency. Same story, every platform. Sounds human.
-- 7-9/10 = Mostly consistent. Minor discrepancies. Founder voice present.
-- 4-6/10 = Inconsistent. Different stories on different platforms.
-- 1-3/10 = Total breakdown. Website says X, LinkedIn says Y, pitch says Z.
-
-**Gap Score Calculation:** Average the platform scores, then note the range.
-
-### Phase 3: Blind Spot Identification
-
-**BLIND SPOT #1: Product Description vs. Belief System**
-Symptom: Website talks about features. Founder talks about philosophy.
-Why it matters: Prospects buy belief systems, not features.
-
-**BLIND SPOT #2: Multiple Value Propositions**
-Symptom: Homepage says X. About page says Y. Services page says Z.
-Why it matters: Confusion kills conversion.
-
-**BLIND SPOT #3: Borrowed Positioning**
-Symptom: "We're the [Company] for [Industry]"
-Why it matters: Borrowed stories don't stick.
-
-**BLIND SPOT #4: Missing Founder Story**
-Symptom: No "About" page. No founder bio. No human behind the brand.
-Why it matters: People trust people, not protocols.
-
-**BLIND SPOT #5: Jargon Overload**
-Symptom: Corporate speak, buzzwords, vague claims.
-Why it matters: Jargon creates distance. Specificity creates trust.
-
-**BLIND SPOT #6: No Proof Points**
-Symptom: Claims without evidence. Generic testimonials.
-Why it matters: Trust requires proof.
-
-### Phase 4: Core Thread Extraction
-
-**Purpose:** Find the 1-3 sentences that work across every platform. The thread must be:
-1. **Specific** - Not vague or generic
-2. **True** - Based on what they actually do
-3. **Credible** - Supported by proof points
-4. **Repeatable** - Works in every context
-
-**How to Extract the Thread:**
-
-**Step 1: Look for Patterns**
-Review their materials. What phrases do they repeat? Where does their energy spike? What's the thing they'd never compromise on?
-
-**Step 2: Test Against Platforms**
-Would this work on:
-✓ Website homepage hero?
-✓ LinkedIn headline?
-✓ Pitch deck opening slide?
-✓ Sales conversation?
-If yes to all four = core thread.
-
-**Step 3: Refine for Clarity**
-Remove jargon. Add specificity. Make it sound like them, not marketing copy.
-
-**Thread Requirements:**
-- Length: 1-3 sentences max
-- Specificity: Includes concrete details (not abstract claims)
-- Voice: Sounds like the founder, not a tagline
-- Proof: Can be backed up with client examples
-- Repeatability: Can be used verbatim across platforms
+// Model used when neither the request nor the prompt set names one
+const DEFAULT_MODEL = 'claude-sonnet-4-5-20250929';
 
-### Phase 5: Narrative Architecture Frameworks
+// max_tokens for calls whose prompt doesn't set one
+const DEFAULT_MAX_TOKENS = 4000;
 
-**Wolfgang Hammer's Three Layers:**
-- External (What): The product/service you deliver
-- Philosophical (Why it matters): The belief system underneath
-- Emotional (Why you): The personal story that validates it
+// One narrative-map passage in the labelling prompt (300 characters + id)
+const LABEL_PASSAGE_TOKENS = 80;
 
-Most brands only communicate Layer 1. Your job: Find Layers 2-3.
+// Map-reduce mode kicks in at this many files
+const MAP_REDUCE_MIN_FILES = 15;
 
-**The Hero's Journey (Applied to Founders):**
-Origin → Obstacle → Transformation → Mission
+// Per-file notes calls run this many at a time
+const NOTES_CONCURRENCY = 5;
 
-**The Before/After Framework:**
-Before: What the market was like before you
-After: What you changed
+/**
+ * The 7 report sections from PART 3, generated one call each so no section
+ * is squeezed by a single max_tokens ceiling (set per section in the
+ * prompt set's manifest)
+ */
+const REPORT_SECTIONS = [
+  { key: 'executive_summary', number: 1, title: 'EXECUTIVE SUMMARY' },
+  { key: 'platform_audit', number: 2, title: 'PLATFORM-BY-PLATFORM AUDIT' },
+  { key: 'blind_spots', number: 3, title: 'BLIND SPOT DEEP DIVE' },
+  { key: 'core_thread', number: 4, title: 'CORE THREAD ARCHITECTURE' },
+  { key: 'voice_guide', number: 5, title: 'VOICE & MESSAGING GUIDE' },
+  { key: 'action_plan', number: 6, title: 'ACTION PLAN' },
+  { key: 'appendix', number: 7, title: 'APPENDIX' },
+];
+
+// Follow-up calls allowed when a section stops on max_tokens
+const MAX_SECTION_CONTINUATIONS = 2;
+
+// Structured output: first try plus re-prompts with the validation errors
+const MAX_STRUCTURED_ATTEMPTS = 3;
+
+// Quality review criteria: PART 5, plus PART 6's "every section substantive"
+const QUALITY_CRITERIA = ['authenticity', 'clarity', 'actionability', 'specificity', 'respect', 'completeness'];
+
+// PART 2 Phase 5 frameworks, for labelling passages of the client's copy
+const NARRATIVE_LAYERS = [
+  { key: 'what', label: 'Layer 1', description: 'External (What): the product or service delivered, features, deliverables, pricing' },
+  { key: 'why_it_matters', label: 'Layer 2', description: 'Philosophical (Why it matters): the belief system underneath, what they think the market gets wrong, why the work matters' },
+  { key: 'why_you', label: 'Layer 3', description: 'Emotional (Why you): the personal story that validates it, the founder\'s own experience, credibility earned firsthand' },
+];
+const JOURNEY_STAGES = [
+  { key: 'origin', label: 'Origin', description: 'where the founder started and why they began' },
+  { key: 'obstacle', label: 'Obstacle', description: 'the struggle, failure or problem they hit' },
+  { key: 'transformation', label: 'Transformation', description: 'what changed for them, or what they changed' },
+  { key: 'mission', label: 'Mission', description: 'what they are now out to do, and for whom' },
+];
 
-**Pattern Interrupt:**
-People expect certain language in certain industries. When you break the pattern, they pay attention.
+/**
+ * Initialize Claude client and generate narrative report
+ * @param {string} extractedText - Combined text from all uploaded files
+ * @param {Object} options - { model, temperature, prompts, budget, progress, intake }
+ * @returns {Object} - { success, report, brief, context, sections, tokensUsed, costUSD, error }
+ */
+async function generateNarrativeReport(extractedText, options = {}) {
+  const { intake, ...reportOptions } = options;
 
-**Trust Builders vs. Trust Killers:**
+  return generateSectionedReport(buildMaterialsContext(extractedText, intake, options.prompts), reportOptions);
+}
 
-Trust Builders:
-- Specificity
-- Vulnerability
-- Client names and stories
-- Founder's personal journey
+/**
+ * Structured findings (scores, threads, blind spots, actions) as JSON,
+ * taken from the finished report so the numbers match the prose. Invalid
+ * output is sent back with the validation errors until it passes.
+ * @param {string} report - Markdown report
+ * @param {string} brief - Analysis brief the report was written from
+ * @param {Object} options - { model, prompts, budget }
+ * @returns {Object} - { success, analysis, attempts, errors, tokensUsed, costUSD, error }
+ */
+async function generateStructuredAnalysis(report, brief, options = {}) {
+  const prompts = options.prompts || loadPromptSet();
+  const messages = [{
+    role: 'user',
+    content: renderPrompt(prompts, 'structured_analysis', {
+      brief: brief || '(none)',
+      report,
+      schema: SCHEMA_DESCRIPTION,
+    }),
+  }];
+
+  const usage = [];
+  let errors = [];
+
+  for (let attempt = 1; attempt <= MAX_STRUCTURED_ATTEMPTS; attempt++) {
+    const result = await callClaude({
+      ...promptSettings(prompts, 'structured_analysis'),
+      model: resolveModel(options),
+      budget: options.budget,
+      messages,
+    });
+
+    if (!result.success) {
+      return result;
+    }
 
-Trust Killers:
-- Vagueness
-- Jargon
-- No proof points
-- Borrowed positioning
+    usage.push(result);
 
-## PART 3: REPORT GENERATION
+    const parsed = parseAnalysisJSON(result.text);
+    errors = parsed.success ? validateAnalysis(parsed.data).errors : [parsed.error];
 
-### Report Structure (12-15 Pages - MUST FOLLOW EXACTLY)
+    if (errors.length === 0) {
+      return {
+        success: true,
+        analysis: parsed.data,
+        attempts: attempt,
+        errors: [],
+        tokensUsed: sumUsage(usage.map(item => item.tokensUsed)),
+        costUSD: sumUsage(usage.map(item => item.costUSD)),
+      };
+    }
 
-**SECTION 1: EXECUTIVE SUMMARY (1 page)**
+    console.log(`Structured analysis attempt ${attempt} invalid: ${errors.slice(0, 3).join('; ')}`);
 
-CLIENT: [Name], [Role], [Company]
+    messages.push(
+      { role: 'assistant', content: result.text.trim() || '{}' },
+      { role: 'user', content: renderPrompt(prompts, 'structured_analysis_retry', { errors: errors.join('\n- ') }) }
+    );
+  }
 
-BLIND SPOT IDENTIFIED:
-Website: "[exact copy]"
-LinkedIn: "[exact copy]"
-Pitch deck: "[exact copy]"
+  return {
+    success: false,
+    error: `Structured analysis invalid after ${MAX_STRUCTURED_ATTEMPTS} attempts`,
+    errorCode: 'INVALID_STRUCTURED_OUTPUT',
+    attempts: MAX_STRUCTURED_ATTEMPTS,
+    errors,
+    tokensUsed: sumUsage(usage.map(item => item.tokensUsed)),
+    costUSD: sumUsage(usage.map(item => item.costUSD)),
+  };
+}
 
-GAP SCORE: X/10 ([High/Moderate/Low] inconsistency)
+/**
+ * Review a draft report against the PART 5 quality standards
+ * @param {string} report - Draft markdown report
+ * @param {string} brief - Analysis brief the report was written from
+ * @param {Object} options - { model, prompts, budget }
+ * @returns {Object} - { success, criteria: { [criterion]: { score, issue } }, revisions: [{ section, instruction }], tokensUsed, costUSD, error }
+ */
+async function generateQualityReview(report, brief, options = {}) {
+  const prompts = options.prompts || loadPromptSet();
+
+  const result = await callClaude({
+    ...promptSettings(prompts, 'quality_review'),
+    model: resolveModel(options),
+    budget: options.budget,
+    content: renderPrompt(prompts, 'quality_review', {
+      brief: brief || '(none)',
+      report,
+      standards: QUALITY_CRITERIA.slice(0, 5).join(', '),
+      criteria_shape: QUALITY_CRITERIA.map(key => `"${key}": {"score": 1-10, "issue": "biggest problem, or empty"}`).join(', '),
+    }),
+  });
 
-CORE THREAD EXTRACTED:
-"[1-3 sentences that work everywhere]"
+  if (!result.success) {
+    return result;
+  }
 
-→ This works on website, LinkedIn, and pitch deck.
-   It's specific. It's true. It compounds.
+  const parsed = parseAnalysisJSON(result.text);
+  const criteria = parsed.success && parsed.data.criteria ? parsed.data.criteria : {};
+  const scored = QUALITY_CRITERIA.every(key =>
+    criteria[key] && Number.isInteger(criteria[key].score) && criteria[key].score >= 1 && criteria[key].score <= 10
+  );
+
+  if (!scored) {
+    return {
+      success: false,
+      error: `Could not read quality review: ${parsed.success ? 'missing or invalid criterion scores' : parsed.error}`,
+      errorCode: 'INVALID_QUALITY_REVIEW',
+      tokensUsed: result.tokensUsed,
+      costUSD: result.costUSD,
+    };
+  }
 
-WHAT TO FIX FIRST:
-1. [Specific action]
-2. [Specific action]
-3. [Specific action]
+  const revisions = (Array.isArray(parsed.data.revisions) ? parsed.data.revisions : [])
+    .filter(item => item && REPORT_SECTIONS.some(section => section.number === item.section) &&
+      typeof item.instruction === 'string' && item.instruction.trim())
+    .map(item => ({ section: item.section, instruction: item.instruction.trim() }));
 
-**SECTION 2: PLATFORM-BY-PLATFORM AUDIT (3-4 pages)**
+  return {
+    success: true,
+    criteria: Object.fromEntries(QUALITY_CRITERIA.map(key => [
+      key,
+      { score: criteria[key].score, issue: String(criteria[key].issue || '').trim() },
+    ])),
+    revisions,
+    tokensUsed: result.tokensUsed,
+    costUSD: result.costUSD,
+  };
+}
 
-For each platform (Website, LinkedIn, Pitch, Sales):
+/**
+ * Label passages of the client's copy with a Three Layers layer and a
+ * Hero's Journey stage ('none' when neither fits)
+ * @param {Array} passages - [{ id, platform, text }]
+ * @param {Object} options - { model, prompts, budget }
+ * @returns {Object} - { success, labels: { [id]: { layer, stage } }, tokensUsed, costUSD, error }
+ */
+async function generateNarrativeLabels(passages, options = {}) {
+  const prompts = options.prompts || loadPromptSet();
+  const settings = promptSettings(prompts, 'narrative_labels');
+  const layerKeys = NARRATIVE_LAYERS.map(layer => layer.key);
+  const stageKeys = JOURNEY_STAGES.map(stage => stage.key);
+
+  const result = await callClaude({
+    ...settings,
+    model: resolveModel(options),
+    budget: options.budget,
+    // About 25 output tokens per label; the manifest value is the ceiling
+    maxTokens: Math.min(settings.maxTokens || 8000, 500 + passages.length * 25),
+    content: renderPrompt(prompts, 'narrative_labels', {
+      layers: NARRATIVE_LAYERS.map(layer => `- "${layer.key}" = ${layer.description}`).join('\n'),
+      stages: JOURNEY_STAGES.map(stage => `- "${stage.key}" = ${stage.description}`).join('\n'),
+      passages: passages.map(passage => `${passage.id} [${passage.platform}] ${passage.text}`).join('\n'),
+      layer_keys: [...layerKeys, 'none'].map(key => `"${key}"`).join(' | '),
+      stage_keys: [...stageKeys, 'none'].map(key => `"${key}"`).join(' | '),
+    }),
+  });
 
-CURRENT STATE: [Exact copy from platform]
-WHAT WORKS: [Specific elements that are authentic/effective]
-WHAT DOESN'T WORK: [Specific problems - vagueness, inconsistency, jargon]
-RECOMMENDED REVISION: [Concrete rewrite using core thread]
-CONSISTENCY SCORE: X/10
+  if (!result.success) {
+    return result;
+  }
 
-**SECTION 3: BLIND SPOT DEEP DIVE (2-3 pages)**
+  const parsed = parseAnalysisJSON(result.text);
 
-THE PATTERN: [Describe what you're seeing across platforms]
-THE DISCONNECT: [Explain why this matters]
-THE FIX: [Specific guidance]
+  if (!parsed.success) {
+    return {
+      success: false,
+      error: `Could not read narrative labels: ${parsed.error}`,
+      errorCode: 'INVALID_NARRATIVE_LABELS',
+      tokensUsed: result.tokensUsed,
+      costUSD: result.costUSD,
+    };
+  }
 
-**SECTION 4: CORE THREAD ARCHITECTURE (2-3 pages)**
+  // Unknown or missing labels count as 'none' rather than failing the map
+  const labels = Object.fromEntries(passages.map(passage => {
+    const label = parsed.data[passage.id] || {};
+    return [passage.id, {
+      layer: layerKeys.includes(label.layer) ? label.layer : 'none',
+      stage: stageKeys.includes(label.stage) ? label.stage : 'none',
+    }];
+  }));
 
-PRIMARY THREAD: "[1-3 sentences]"
+  return {
+    success: true,
+    labels,
+    tokensUsed: result.tokensUsed,
+    costUSD: result.costUSD,
+  };
+}
 
-WHY THIS WORKS:
-- Specificity: [Explain what makes it concrete]
-- Credibility: [Connect to proof points from their materials]
-- Repeatability: [Show how it works across platforms]
+/**
+ * Re-write one report section so its quotes match the materials
+ * @param {string} sectionText - Markdown of the section
+ * @param {Array} issues - [{ quote, closest: { filename, location, text } | null }]
+ * @param {Object} options - { model, prompts, budget }
+ * @returns {Object} - { success, text, tokensUsed, costUSD, error }
+ */
+async function fixSectionQuotes(sectionText, issues, options = {}) {
+  const prompts = options.prompts || loadPromptSet();
+  const issueList = issues.map((issue, i) => {
+    const closest = issue.closest
+      ? `Closest passage in the materials (${issue.closest.filename}, ${issue.closest.location}):\n"${issue.closest.text}"`
+      : 'No similar passage in the materials.';
+    return `${i + 1}. "${issue.quote}"\n${closest}`;
+  }).join('\n\n');
+
+  const result = await callClaude({
+    ...promptSettings(prompts, 'quote_fix'),
+    model: resolveModel(options),
+    budget: options.budget,
+    content: renderPrompt(prompts, 'quote_fix', { issues: issueList, section: sectionText }),
+  });
 
-HOW TO DEPLOY:
-- Website Homepage: [Exact placement and copy]
-- LinkedIn Headline: [Exact copy]
-- Pitch Deck Opening: [Exact slide copy]
-- Sales Conversations: [Exact talking points]
+  if (!result.success) {
+    return result;
+  }
 
-**SECTION 5: VOICE & MESSAGING GUIDE (1-2 pages)**
+  return {
+    success: true,
+    text: result.text,
+    tokensUsed: result.tokensUsed,
+    costUSD: result.costUSD,
+  };
+}
 
-CORE PRINCIPLES: [Based on their authentic voice]
+/**
+ * Next round of sparring questions, based on the materials and everything
+ * asked and answered so far
+ * @param {string} materials - Packed materials text
+ * @param {string} transcript - Formatted Q&A so far ('' on the first round)
+ * @param {Object} options - { model, prompts, budget, count, remaining }
+ * @returns {Object} - { success, questions: [{ question, focus }], done, tokensUsed, costUSD, error }
+ */
+async function generateSparringQuestions(materials, transcript, options = {}) {
+  const { count = 3, remaining = count } = options;
+  const prompts = options.prompts || loadPromptSet();
+
+  const history = transcript
+    ? renderPrompt(prompts, 'sparring_history', { transcript })
+    : renderPrompt(prompts, 'sparring_first_round');
+
+  const result = await callClaude({
+    ...promptSettings(prompts, 'sparring_questions'),
+    model: resolveModel(options),
+    budget: options.budget,
+    content: renderPrompt(prompts, 'sparring_questions', { materials, history, count, remaining }),
+  });
 
-WHAT TO SAY / WHAT NOT TO SAY:
-✅ Say: [Specific examples from their natural language]
-❌ Don't Say: [Generic corporate speak to avoid]
+  if (!result.success) {
+    return result;
+  }
 
-KEY PHRASES (to use repeatedly): [Pull from their natural language]
+  const parsed = parseAnalysisJSON(result.text);
+
+  if (!parsed.success) {
+    // The call itself was paid for; callers still count its cost
+    return {
+      success: false,
+      error: `Could not read questions: ${parsed.error}`,
+      errorCode: 'INVALID_QUESTIONS',
+      tokensUsed: result.tokensUsed,
+      costUSD: result.costUSD,
+    };
+  }
 
-**SECTION 6: ACTION PLAN (1-2 pages)**
+  const questions = (Array.isArray(parsed.data.questions) ? parsed.data.questions : [])
+    .filter(item => item && typeof item.question === 'string' && item.question.trim())
+    .slice(0, count)
+    .map(item => ({ question: item.question.trim(), focus: String(item.focus || '').trim() }));
 
-WHAT TO FIX FIRST:
+  return {
+    success: true,
+    questions,
+    done: parsed.data.done === true || questions.length === 0,
+    tokensUsed: result.tokensUsed,
+    costUSD: result.costUSD,
+  };
+}
 
-Priority 1 (This week):
-☐ [Specific action]
-☐ [Specific action]
-☐ [Specific action]
+/**
+ * Map pass: extract platform notes from one file
+ * @param {Object} file - { filename, platform, text }
+ * @param {Object} options - { model, prompts, budget, maxTokens, temperature }
+ * @returns {Object} - { success, notes, tokensUsed, costUSD, error }
+ */
+async function generatePlatformNotes(file, options = {}) {
+  const prompts = options.prompts || loadPromptSet();
+  const settings = promptSettings(prompts, 'platform_notes');
+
+  const result = await callClaude({
+    prompt: settings.prompt,
+    system: settings.system,
+    model: resolveModel(options),
+    budget: options.budget,
+    maxTokens: options.maxTokens ?? settings.maxTokens,
+    temperature: options.temperature ?? settings.temperature,
+    content: renderPrompt(prompts, 'platform_notes', {
+      filename: file.filename,
+      platform: file.platform,
+      text: file.text,
+    }),
+  });
 
-Priority 2 (This month):
-☐ [Specific action]
-☐ [Specific action]
+  if (!result.success) {
+    return result;
+  }
 
-Priority 3 (Next quarter):
-☐ [Specific action]
+  return {
+    success: true,
+    notes: result.text,
+    tokensUsed: result.tokensUsed,
+    costUSD: result.costUSD,
+  };
+}
 
-LONG-TERM RECOMMENDATIONS: [Strategic guidance]
+/**
+ * Reduce pass: write the report from stored notes (no source files needed,
+ * so it can be re-run from analysis_content.notes)
+ * @param {Array} notes - [{ filename, platform, notes }]
+ * @param {string} inventory - MATERIALS INVENTORY block
+ * @param {Object} options - { model, temperature, prompts, budget, progress, intake }
+ * @returns {Object} - { success, report, brief, context, sections, tokensUsed, costUSD, error }
+ */
+async function generateReportFromNotes(notes, inventory, options = {}) {
+  const { intake, ...reportOptions } = options;
 
-**SECTION 7: APPENDIX (1-2 pages)**
+  return generateSectionedReport(buildNotesContext(notes, inventory, intake, options.prompts), reportOptions);
+}
 
-MATERIALS ANALYZED: [Inventory of what was audited]
-METHODOLOGY: [Brief explanation of CRUDA diagnostic process]
+/**
+ * Write the report as an analysis brief followed by one call per section.
+ * Sections run in parallel from the same context (materials + brief); a
+ * section that stops on max_tokens is continued from where it stopped.
+ * With a progress tracker (analysis-progress.js) every call streams, and
+ * the tracker gets the text as it arrives.
+ * @param {string} context - Materials (or notes) the report is based on
+ * @param {Object} options - { model, temperature, prompts, budget, progress }
+ * @returns {Object} - { success, report, brief, sections, tokensUsed, costUSD, error }
+ */
+async function generateSectionedReport(context, options = {}) {
+  const { temperature, budget, progress } = options;
+  const prompts = options.prompts || loadPromptSet();
+  const model = resolveModel(options);
+  const settings = promptSettings(prompts, 'analysis_brief');
+
+  // Shared analysis context
+  progress?.setStage('brief');
+  const brief = await callClaude({
+    ...settings,
+    model,
+    budget,
+    ...progress?.stream('analysis_brief'),
+    temperature: temperature ?? settings.temperature,
+    // Written to the prompt cache here, read by every section call
+    cachePrefix: context,
+    content: renderPrompt(prompts, 'analysis_brief', { context }),
+  });
 
-## PART 4: SAFETY & ETHICAL PROTOCOLS
+  if (!brief.success) {
+    return brief;
+  }
 
-### What You NEVER Do
+  progress?.addUsage(brief.tokensUsed, 'analysis_brief');
+  progress?.setStage('sections');
+
+  const sections = await Promise.all(REPORT_SECTIONS.map(section =>
+    generateReportSection(section, { context, brief: brief.text }, { model, temperature, prompts, budget, progress })
+  ));
+
+  const usage = [brief, ...sections];
+
+  const failed = sections.find(section => !section.success);
+  if (failed) {
+    // The brief and every finished call were paid for
+    const paid = usage.filter(item => item.tokensUsed);
+    return {
+      success: false,
+      error: `Section "${failed.title}" failed: ${failed.error}`,
+      errorCode: failed.errorCode,
+      tokensUsed: sumUsage(paid.map(item => item.tokensUsed)),
+      costUSD: sumUsage(paid.map(item => item.costUSD)),
+    };
+  }
 
-**1. NEVER Invent Information**
-❌ Don't assume: Race, ethnicity, nationality, gender, sexual orientation, political beliefs, religious views, family background (unless explicitly stated), education, socioeconomic status, personal motivations
+  return {
+    success: true,
+    report: sections.map(section => section.text).join('\n\n'),
+    brief: brief.text,
+    // Materials context without the brief, for later section rewrites
+    context,
+    sections: [
+      {
+        key: 'analysis_brief',
+        title: 'ANALYSIS BRIEF',
+        complete: brief.stopReason !== 'max_tokens',
+        calls: 1,
+        tokensUsed: brief.tokensUsed,
+        costUSD: brief.costUSD,
+      },
+      ...sections.map(({ key, title, complete, calls, tokensUsed, costUSD }) => ({
+        key, title, complete, calls, tokensUsed, costUSD,
+      })),
+    ],
+    tokensUsed: sumUsage(usage.map(item => item.tokensUsed)),
+    costUSD: sumUsage(usage.map(item => item.costUSD)),
+  };
+}
 
-✅ Only work with: What the user explicitly provides, what's visible in uploaded materials, what they say in their responses
+/**
+ * Rewrite one section of a finished report from feedback (the client's, or
+ * the quality review's); the rest of the report is left alone
+ * @param {string} sectionKey - Key from REPORT_SECTIONS
+ * @param {Object} params - { context, brief, previousText, feedback, reviewer: 'client' | 'quality' }
+ * @param {Object} options - { model, temperature, prompts, budget, progress }
+ * @returns {Object} - { success, key, title, text, complete, calls, tokensUsed, costUSD, error }
+ */
+async function regenerateReportSection(sectionKey, params, options = {}) {
+  const section = REPORT_SECTIONS.find(item => item.key === sectionKey);
 
-**2. NEVER Make Harmful Categorizations**
-❌ Don't: Stereotype based on industry, geography, or background. Make assumptions about cultural narratives. Project beliefs onto the user. Frame their story through racial/ethnic lenses they didn't choose.
+  if (!section) {
+    return { success: false, error: `Unknown report section: ${sectionKey}`, errorCode: 'INVALID_SECTION' };
+  }
 
-✅ Do: Let them define their own identity. Ask clarifying questions if unclear. Use their exact language, not your interpretations.
+  return generateReportSection(section, { context: params.context, brief: params.brief }, {
+    ...options,
+    revision: {
+      previousText: params.previousText,
+      feedback: params.feedback,
+      reviewer: params.reviewer || 'client',
+    },
+  });
+}
 
-**3. NEVER Generate Offensive Content**
-❌ Refuse to: Create messaging that demeans competitors by race/gender/background. Use stereotypes in positioning. Make jokes about protected classes. Generate content that could be weaponized for harm.
+/**
+ * Generate one report section, continuing it while it stops on max_tokens
+ * @param {Object} section - Entry from REPORT_SECTIONS
+ * @param {Object} shared - { context, brief } (materials and analysis brief)
+ * @param {Object} options - { model, temperature, prompts, budget, progress, revision: { previousText, feedback, reviewer } }
+ * @returns {Object} - { success, key, title, text, complete, calls, tokensUsed, costUSD, error }
+ */
+async function generateReportSection(section, shared, options = {}) {
+  const { revision, temperature, progress } = options;
+  const prompts = options.prompts || loadPromptSet();
+  const heading = `## SECTION ${section.number}: ${section.title}`;
+  const promptName = !revision
+    ? 'section'
+    : revision.reviewer === 'quality' ? 'section_revision_quality' : 'section_revision_client';
+  const settings = promptSettings(prompts, promptName);
+  const callOptions = {
+    prompt: promptName,
+    section: section.key,
+    system: settings.system,
+    model: resolveModel(options),
+    budget: options.budget,
+    temperature: temperature ?? settings.temperature,
+    maxTokens: prompts.sections[section.key]?.maxTokens ?? settings.maxTokens,
+    cachePrefix: shared.context,
+  };
+  const request = {
+    role: 'user',
+    content: renderPrompt(prompts, promptName, {
+      context: shared.context,
+      brief: shared.brief,
+      number: section.number,
+      title: section.title,
+      heading,
+      previous_text: revision ? revision.previousText : '',
+      feedback: revision ? revision.feedback : '',
+    }),
+  };
 
-✅ Always: Keep analysis professional and respectful. Focus on business fundamentals, not identity politics. Elevate the work, not the person's demographic story.
+  const usage = [];
+  let text = '';
+  let stopReason = null;
+  let calls = 0;
+
+  // First call, retried once if it fails or comes back empty
+  for (let attempt = 0; attempt < 2 && !text; attempt++) {
+    progress?.resetSection(section.key);
+    const result = await callClaude({
+      ...callOptions,
+      ...progress?.stream(section.key),
+      messages: [request],
+    });
+    calls++;
+
+    if (!result.success) {
+      if (attempt === 1) {
+        progress?.failSection(section.key);
+        return {
+          ...result,
+          key: section.key,
+          title: section.title,
+          tokensUsed: sumUsage(usage.map(item => item.tokensUsed)),
+          costUSD: sumUsage(usage.map(item => item.costUSD)),
+        };
+      }
+      continue;
+    }
 
-**4. NEVER Give Business Advice Outside Your Scope**
+    usage.push(result);
+    progress?.addUsage(result.tokensUsed, section.key);
+    // Trailing whitespace is kept: it tells joinContinuation where the text stopped
+    text = result.text.trim() ? result.text.trimStart() : '';
+    stopReason = result.stopReason;
+  }
 
-Your expertise: Narrative, messaging, positioning, brand voice
+  if (!text) {
+    progress?.failSection(section.key);
+    return {
+      success: false,
+      key: section.key,
+      title: section.title,
+      error: 'Empty response',
+      errorCode: 'EMPTY_SECTION',
+      tokensUsed: sumUsage(usage.map(item => item.tokensUsed)),
+      costUSD: sumUsage(usage.map(item => item.costUSD)),
+    };
+  }
 
-NOT your expertise: Financial advice (pricing strategy, fundraising, valuation), Legal advice (contracts, IP, compliance), HR advice (hiring, firing, team structure), Technical advice (product development, operations)
+  // Continue from the cut-off point (the partial text is sent back as the
+  // start of the assistant's turn)
+  for (let i = 0; i < MAX_SECTION_CONTINUATIONS && stopReason === 'max_tokens'; i++) {
+    const result = await callClaude({
+      ...callOptions,
+      ...progress?.stream(section.key),
+      messages: [request, { role: 'assistant', content: text.trimEnd() }],
+    });
+    calls++;
+
+    if (!result.success) {
+      break;
+    }
 
-### What to Do When Information is Missing
+    usage.push(result);
+    progress?.addUsage(result.tokensUsed, section.key);
+    text = joinContinuation(text, result.text);
+    stopReason = result.stopReason;
+  }
 
-**Scenario 1: User Doesn't Provide Enough Materials** - Don't guess. Ask.
+  text = text.trimEnd();
 
-**Scenario 2: User Gives Vague Answers** - Don't fill in blanks. Probe deeper.
+  const complete = stopReason !== 'max_tokens';
+  if (!complete) {
+    console.log(`Section "${section.title}" still incomplete after ${calls} calls`);
+    text += '\n\n_[This section was cut short.]_';
+  }
 
-**Scenario 3: User Asks for Content You Can't See** - Don't hallucinate. Redirect.
+  // Make sure the stitched report always has the section heading
+  if (!text.startsWith('#')) {
+    text = `${heading}\n\n${text}`;
+  }
 
-**Scenario 4: User Asks for Something Outside Your Scope** - Don't overextend. Clarify boundaries.
+  progress?.endSection(section.key, text);
 
-## PART 5: QUALITY STANDARDS
+  return {
+    success: true,
+    key: section.key,
+    title: section.title,
+    text,
+    complete,
+    calls,
+    tokensUsed: sumUsage(usage.map(item => item.tokensUsed)),
+    costUSD: sumUsage(usage.map(item => item.costUSD)),
+  };
+}
 
-### Every Report Must Meet These Criteria
+/**
+ * Report context from packed materials (single mode)
+ * @param {string} extractedText - Packed materials text
+ * @param {Object} intake - Client intake, or null
+ * @param {Object} prompts - Prompt set (default: current)
+ * @returns {string}
+ */
+function buildMaterialsContext(extractedText, intake, prompts = loadPromptSet()) {
+  // Input size is controlled upstream by input-packer.js
+  return withIntake(renderPrompt(prompts, 'materials_context', { materials: extractedText }), intake);
+}
 
-**✅ AUTHENTICITY**
-- Sounds like the client, not marketing copy
-- Rooted in their actual language
-- No jargon imposed on them
-- Core thread feels true, not manufactured
+/**
+ * Report context from per-file notes (map-reduce mode)
+ * @param {Array} notes - [{ filename, platform, notes }]
+ * @param {string} inventory - MATERIALS INVENTORY block
+ * @param {Object} intake - Client intake, or null
+ * @param {Object} prompts - Prompt set (default: current)
+ * @returns {string}
+ */
+function buildNotesContext(notes, inventory, intake, prompts = loadPromptSet()) {
+  const notesText = notes.map(item => item.notes).join('\n\n');
+  return withIntake(renderPrompt(prompts, 'notes_context', { inventory, notes: notesText }), intake);
+}
 
-**✅ CLARITY**
-- Simple, direct language
-- Scannable structure (headers, bullet points where appropriate)
-- One clear idea per section
-- 12-page report readable in 15 minutes
+/**
+ * Client intake (client-intake.js) ahead of the materials, when there is one
+ */
+function withIntake(context, intake) {
+  const intakeText = formatIntakeContext(intake);
+  return intakeText ? `${intakeText}\n\n${context}` : context;
+}
 
-**✅ ACTIONABILITY**
-- Client knows exactly what to fix first
-- Recommendations are concrete, not abstract
-- Examples show before/after
-- Timeline for implementation included
+/**
+ * Append a continuation; the model resumes mid-word or mid-sentence, so the
+ * separator depends on where the previous part stopped
+ */
+function joinContinuation(previous, continuation) {
+  const trimmed = previous.trimEnd();
+  const needsSpace = previous.length !== trimmed.length && !/^\s/.test(continuation);
 
-**✅ SPECIFICITY**
-- No vague diagnoses
-- Exact quotes from their materials
-- Concrete gap scores (not "somewhat inconsistent")
-- Named platforms and specific fixes
+  return trimmed + (needsSpace ? ' ' : '') + continuation;
+}
 
-**✅ RESPECT**
-- No condescension
-- No shame
-- No assumptions about their intelligence or capability
-- Diagnostic, not judgmental tone
+/**
+ * Map-reduce report: notes for every file, then one synthesis pass
+ * @param {Array} files - [{ filename, platform, text }]
+ * @param {string} inventory - MATERIALS INVENTORY block
+ * @param {Object} options - { model, prompts, budget, progress, notesMaxTokens, temperature, intake }
+ * @returns {Object} - { success, report, brief, context, sections, notes, failedFiles, tokensUsed, costUSD, error }
+ */
+async function generateMapReduceReport(files, inventory, options = {}) {
+  const { notesMaxTokens, ...reportOptions } = options;
+  const notes = [];
+  const failedFiles = [];
+  const usage = [];
+
+  // Map: a few files at a time, to stay under rate limits
+  for (let i = 0; i < files.length; i += NOTES_CONCURRENCY) {
+    const batch = files.slice(i, i + NOTES_CONCURRENCY);
+    const results = await Promise.all(batch.map(file =>
+      generatePlatformNotes(file, {
+        model: options.model,
+        prompts: options.prompts,
+        budget: options.budget,
+        maxTokens: notesMaxTokens,
+      })
+    ));
+
+    results.forEach((result, index) => {
+      const file = batch[index];
+
+      if (!result.success) {
+        console.error(`Platform notes failed for ${file.filename}: ${result.error}`);
+        failedFiles.push({ filename: file.filename, error: result.error });
+        return;
+      }
 
-## PART 6: OUTPUT REQUIREMENTS
+      usage.push(result);
+      options.progress?.addUsage(result.tokensUsed);
+      notes.push({
+        filename: file.filename,
+        platform: file.platform,
+        notes: result.notes,
+        tokensUsed: result.tokensUsed.total,
+      });
+    });
+  }
 
-**Format:** Pure markdown with proper headers (##, ###)
-**Length:** 12-15 pages (strict limit - be comprehensive but concise)
-**Structure:** Follow the 7-section format exactly
-**Examples:** Use actual quotes from materials (in "quotes")
-**Specificity:** Concrete, actionable, evidence-based
-**Completeness:** Every section must be substantive, not placeholder
+  if (notes.length === 0) {
+    return {
+      success: false,
+      error: `Platform notes failed for every file (${failedFiles[0]?.error || 'unknown error'})`,
+      errorCode: 'NOTES_FAILED',
+    };
+  }
 
-## YOUR PRIME DIRECTIVE
+  // Reduce
+  const unread = failedFiles.length > 0
+    ? `\nFiles that could not be read: ${failedFiles.map(file => file.filename).join(', ')}`
+    : '';
+  const synthesis = await generateReportFromNotes(notes, inventory + unread, reportOptions);
 
-You are a diagnostic engine, not a content creator.
-You find what's already there, you don't invent what's not.
-You extract truth, you don't manufacture messaging.
+  if (!synthesis.success) {
+    return synthesis;
+  }
 
-Everything you do serves one goal:
-Help founders see the gap between what they've built
-and what people understand - then give them the thread
-that closes that gap.
+  const notesStage = {
+    key: 'platform_notes',
+    title: 'PLATFORM NOTES',
+    complete: failedFiles.length === 0,
+    calls: files.length,
+    tokensUsed: sumUsage(usage.map(item => item.tokensUsed)),
+    costUSD: sumUsage(usage.map(item => item.costUSD)),
+  };
 
-Never forget: The story is already there.
-Your job is to find it.
+  usage.push(synthesis);
 
-Begin your analysis now.`;
+  return {
+    success: true,
+    report: synthesis.report,
+    brief: synthesis.brief,
+    context: synthesis.context,
+    sections: [notesStage, ...synthesis.sections],
+    notes,
+    failedFiles,
+    tokensUsed: sumUsage(usage.map(item => item.tokensUsed)),
+    costUSD: sumUsage(usage.map(item => item.costUSD)),
+  };
+}
 
 /**
- * Initialize Claude client and generate narrative report
- * @param {string} extractedText - Combined text from all uploaded files
- * @param {Object} options - { model, maxTokens, temperature }
- * @returns {Object} - { success, report, tokensUsed, costUSD, error }
+ * One model call (through the configured provider) with retries and cost
+ * tracking
+ * @param {Object} params - { system, content | messages, model, maxTokens, temperature, prompt, section, provider, budget, onText, onRetry, cachePrefix }
+ *   prompt, section - what the call is for (logs, mock provider)
+ *   budget - spend-guard.js budget; no call is made once it is spent, and
+ *     each call is charged to it (and to its spend ledger)
+ *   onText - stream the response, calling onText(delta) as it arrives
+ *   onRetry - called before each retry, so text streamed by the failed
+ *     attempt can be dropped (the retry streams the whole response again)
+ *   cachePrefix - start of the user message shared with other calls; it is
+ *     prompt-cached along with the system prompt (see anthropic-provider.js)
+ * @returns {Object} - { success, text, stopReason, tokensUsed, costUSD, error, errorCode }
+ *   tokensUsed, costUSD - { input, cacheWrite, cacheRead, output, total }; input is the uncached part
  */
-async function generateNarrativeReport(extractedText, options = {}) {
+async function callClaude(params) {
   const {
-    model = process.env.CLAUDE_MODEL || 'claude-sonnet-4-5-20250929',
-    maxTokens = 4000,  // Reduced for 60s timeout (free tier)
+    system,
+    content,
+    messages = [{ role: 'user', content }],
+    model = process.env.CLAUDE_MODEL || DEFAULT_MODEL,
+    maxTokens = DEFAULT_MAX_TOKENS,
     temperature = 1.0,
-  } = options;
-
-  // Truncate input to 100KB max to fit in 60s timeout
-  const MAX_INPUT_CHARS = 100000;
-  if (extractedText.length > MAX_INPUT_CHARS) {
-    console.log(`Truncating input from ${extractedText.length} to ${MAX_INPUT_CHARS} chars`);
-    extractedText = extractedText.substring(0, MAX_INPUT_CHARS) + '\n\n[... content truncated to fit time limit ...]';
+    prompt = null,
+    section = null,
+    onText = null,
+    onRetry = null,
+    budget = null,
+    cachePrefix = null,
+  } = params;
+
+  if (isBudgetSpent(budget)) {
+    return {
+      success: false,
+      error: `Spend cap reached ($${budget.spentUSD.toFixed(2)} of $${budget.limitUSD.toFixed(2)})`,
+      errorCode: 'BUDGET_EXCEEDED',
+    };
   }
 
-  // Initialize Anthropic client
-  const client = new Anthropic({
-    apiKey: process.env.ANTHROPIC_API_KEY,
-  });
+  const provider = getProvider(params.provider);
+  const request = { model, system, messages, maxTokens, temperature, prompt, section, cachePrefix };
 
   // Retry configuration
   const MAX_RETRIES = 3;
@@ -430,46 +831,34 @@ async function generateNarrativeReport(extractedText, options = {}) {
   let lastError = null;
 
   for (let attempt = 0; attempt < MAX_RETRIES; attempt++) {
-    try {
-      // Call Claude API
-      const response = await client.messages.create({
-        model,
-        max_tokens: maxTokens,
-        temperature,
-        system: AI_BRAIN_PROMPT,
-        messages: [
-          {
-            role: 'user',
-            content: `Here are the narrative materials to analyze:\n\n${extractedText}\n\nPlease generate a comprehensive 12-15 page diagnostic report following the exact structure specified in your system prompt.`,
-          },
-        ],
-      });
-
-      // Extract report text
-      const report = response.content[0].text;
+    if (attempt > 0 && onRetry) {
+      onRetry();
+    }
 
-      // Calculate token usage and cost
-      const inputTokens = response.usage.input_tokens;
-      const outputTokens = response.usage.output_tokens;
-      const totalTokens = inputTokens + outputTokens;
+    try {
+      const response = onText
+        ? await provider.streamMessage(request, onText)
+        : await provider.createMessage(request);
+
+      // Calculate token usage and cost (at the rates of the model that ran)
+      const { input, output, cacheWrite = 0, cacheRead = 0 } = response.usage;
+      const costUSD = calculateCost(model, { input, output, cacheWrite, cacheRead });
+      const tokensUsed = {
+        input,
+        cacheWrite,
+        cacheRead,
+        output,
+        total: input + cacheWrite + cacheRead + output,
+      };
 
-      const inputCost = (inputTokens / 1_000_000) * PRICING.INPUT_PER_MILLION;
-      const outputCost = (outputTokens / 1_000_000) * PRICING.OUTPUT_PER_MILLION;
-      const totalCost = inputCost + outputCost;
+      await chargeBudget(budget, { model, prompt, tokensUsed, costUSD });
 
       return {
         success: true,
-        report,
-        tokensUsed: {
-          input: inputTokens,
-          output: outputTokens,
-          total: totalTokens,
-        },
-        costUSD: {
-          input: inputCost,
-          output: outputCost,
-          total: totalCost,
-        },
+        text: response.text,
+        stopReason: response.stopReason,
+        tokensUsed,
+        costUSD,
       };
 
     } catch (error) {
@@ -485,7 +874,7 @@ async function generateNarrativeReport(extractedText, options = {}) {
 
       // Wait before retrying
       const delay = RETRY_DELAYS[attempt];
-      console.log(`Claude API attempt ${attempt + 1} failed, retrying in ${delay}ms...`);
+      console.log(`${provider.name} attempt ${attempt + 1} failed, retrying in ${delay}ms...`);
       await sleep(delay);
     }
   }
@@ -498,6 +887,30 @@ async function generateNarrativeReport(extractedText, options = {}) {
   };
 }
 
+/**
+ * Model for a call: the caller's, else the prompt set's, else CLAUDE_MODEL
+ * @param {Object} options - { model, prompts }
+ * @returns {string}
+ */
+function resolveModel(options = {}) {
+  const prompts = options.prompts || loadPromptSet();
+  return options.model || prompts.model || process.env.CLAUDE_MODEL || DEFAULT_MODEL;
+}
+
+/**
+ * Add up { input, cacheWrite, cacheRead, output, total } objects (tokens or
+ * USD); missing cache counts are taken as 0
+ */
+function sumUsage(items) {
+  return items.reduce((sum, item) => ({
+    input: sum.input + item.input,
+    cacheWrite: sum.cacheWrite + (item.cacheWrite || 0),
+    cacheRead: sum.cacheRead + (item.cacheRead || 0),
+    output: sum.output + item.output,
+    total: sum.total + item.total,
+  }), { input: 0, cacheWrite: 0, cacheRead: 0, output: 0, total: 0 });
+}
+
 /**
  * Check if error is retryable
  */
@@ -547,25 +960,87 @@ function sleep(ms) {
 }
 
 /**
- * Calculate estimated cost for given text
- * (Useful for pre-flight cost estimation)
+ * Pre-flight estimate for one analysis, before any API call. Counts every
+ * call the pipeline always makes (notes, narrative labels, brief, 7 sections,
+ * quality review, structured JSON) with output at each call's max_tokens, so
+ * it is a ceiling for those calls; quality rewrites, quote fixes and section
+ * continuations come on top. Input is priced uncached: prompt caching only
+ * brings the real cost down from there.
+ * @param {Object} params - { contextTokens, fileTokens, labelPassages, model, prompts }
+ *   contextTokens - what the brief and sections read (map-reduce: all but the notes)
+ *   fileTokens - map-reduce only: packed tokens of each file
+ *   labelPassages - passages the narrative map will label
+ * @returns {Object} - { model, calls, inputTokens, outputTokens, costUSD }
  */
-function estimateCost(textLength, estimatedOutputTokens = 16000) {
-  // Rough estimate: 1 token ≈ 4 characters
-  const estimatedInputTokens = Math.ceil(textLength / 4);
+function estimateReportCost(params) {
+  const { contextTokens, fileTokens = null, labelPassages = 0 } = params;
+  const prompts = params.prompts || loadPromptSet();
+  const model = resolveModel(params);
+  const calls = [];
+
+  // Prompt text without the filled-in parts, and the call's output ceiling
+  const promptTokens = name => estimateTokens(promptSettings(prompts, name).system) + estimateTokens(prompts.prompts[name].template);
+  const outputCap = name => promptSettings(prompts, name).maxTokens || DEFAULT_MAX_TOKENS;
+
+  let context = contextTokens;
+
+  if (fileTokens) {
+    fileTokens.forEach(tokens => calls.push({ input: promptTokens('platform_notes') + tokens, output: outputCap('platform_notes') }));
+    context += fileTokens.length * outputCap('platform_notes');
+  }
+
+  if (labelPassages > 0) {
+    calls.push({
+      input: promptTokens('narrative_labels') + labelPassages * LABEL_PASSAGE_TOKENS,
+      output: Math.min(outputCap('narrative_labels'), 500 + labelPassages * 25),
+    });
+  }
+
+  const brief = outputCap('analysis_brief');
+  calls.push({ input: promptTokens('analysis_brief') + context, output: brief });
+
+  const sectionCaps = REPORT_SECTIONS.map(section => prompts.sections[section.key]?.maxTokens ?? outputCap('section'));
+  sectionCaps.forEach(output => calls.push({ input: promptTokens('section') + context + brief, output }));
+
+  const report = sectionCaps.reduce((sum, tokens) => sum + tokens, 0);
+  calls.push({ input: promptTokens('quality_review') + report + brief, output: outputCap('quality_review') });
+  calls.push({
+    input: promptTokens('structured_analysis') + estimateTokens(SCHEMA_DESCRIPTION) + report + brief,
+    output: outputCap('structured_analysis'),
+  });
 
-  const inputCost = (estimatedInputTokens / 1_000_000) * PRICING.INPUT_PER_MILLION;
-  const outputCost = (estimatedOutputTokens / 1_000_000) * PRICING.OUTPUT_PER_MILLION;
+  const inputTokens = calls.reduce((sum, call) => sum + call.input, 0);
+  const outputTokens = calls.reduce((sum, call) => sum + call.output, 0);
 
   return {
-    estimatedInputTokens,
-    estimatedOutputTokens,
-    estimatedCostUSD: inputCost + outputCost,
+    model,
+    calls: calls.length,
+    inputTokens,
+    outputTokens,
+    costUSD: calculateCost(model, { input: inputTokens, output: outputTokens }).total,
   };
 }
 
 module.exports = {
   generateNarrativeReport,
-  estimateCost,
-  AI_BRAIN_PROMPT,
+  generatePlatformNotes,
+  generateReportFromNotes,
+  generateMapReduceReport,
+  generateSectionedReport,
+  regenerateReportSection,
+  buildMaterialsContext,
+  buildNotesContext,
+  generateStructuredAnalysis,
+  generateQualityReview,
+  generateNarrativeLabels,
+  fixSectionQuotes,
+  generateSparringQuestions,
+  resolveModel,
+  sumUsage,
+  estimateReportCost,
+  MAP_REDUCE_MIN_FILES,
+  REPORT_SECTIONS,
+  QUALITY_CRITERIA,
+  NARRATIVE_LAYERS,
+  JOURNEY_STAGES,
 };
@@ -0,0 +1,95 @@
+/**
+ * CLIENT INTAKE MODULE
+ * Narrative Sparring - Who the client is, in their own words
+ *
+ * Collected on the upload page before analysis and stored on the user
+ * (`users.intake`). The report uses it for the CLIENT line and compares the
+ * core message the client believes they have with what the materials say;
+ * the emails use the client's name.
+ */
+
+const INTAKE_FIELDS = [
+  { key: 'name', label: 'Name', maxLength: 100, required: true },
+  { key: 'role', label: 'Role', maxLength: 100, required: true },
+  { key: 'company', label: 'Company', maxLength: 150, required: true },
+  { key: 'target_audience', label: 'Target audience', maxLength: 1000, required: true },
+  { key: 'offering', label: 'What they sell', maxLength: 1000, required: true },
+  { key: 'core_message', label: 'What they believe their core message is', maxLength: 1000, required: false },
+];
+
+/**
+ * Validate and clean intake answers
+ * @param {Object} input - Request body fields
+ * @returns {Object} - { success, intake, errors }
+ */
+function validateIntake(input) {
+  const intake = {};
+  const errors = [];
+
+  for (const field of INTAKE_FIELDS) {
+    const raw = input ? input[field.key] : undefined;
+
+    if (raw !== undefined && raw !== null && typeof raw !== 'string') {
+      errors.push(`${field.key} must be text`);
+      continue;
+    }
+
+    const value = (raw || '').replace(/\s+/g, ' ').trim();
+
+    if (!value) {
+      if (field.required) {
+        errors.push(`${field.key} is required`);
+      }
+      continue;
+    }
+
+    if (value.length > field.maxLength) {
+      errors.push(`${field.key} must be ${field.maxLength} characters or fewer`);
+      continue;
+    }
+
+    intake[field.key] = value;
+  }
+
+  return {
+    success: errors.length === 0,
+    intake: errors.length === 0 ? intake : null,
+    errors,
+  };
+}
+
+/**
+ * Intake as a labeled block for the prompt
+ * @returns {string} - '' without an intake
+ */
+function formatIntakeContext(intake) {
+  if (!intake) {
+    return '';
+  }
+
+  const lines = INTAKE_FIELDS
+    .filter(field => intake[field.key])
+    .map(field => `${field.label}: ${intake[field.key]}`);
+
+  if (lines.length === 0) {
+    return '';
+  }
+
+  return `=== CLIENT INTAKE (the client's own description of themselves, not part of the materials) ===\n${lines.join('\n')}`;
+}
+
+/**
+ * First name for email greetings ("Hi Maria,")
+ * @returns {string} - 'there' without an intake
+ */
+function getGreetingName(intake) {
+  const name = intake && intake.name ? intake.name.split(' ')[0] : '';
+  return name || 'there';
+}
+
+module.exports = {
+  INTAKE_FIELDS,
+  validateIntake,
+  formatIntakeContext,
+  getGreetingName,
+};
@@ -0,0 +1,237 @@
+/**
+ * DOCUMENT MODEL MODULE
+ * Narrative Sparring - Structure-preserving representation of extracted files
+ *
+ * Every extractor builds the same shape so headings, lists, pages and slides
+ * survive until the prompt is assembled:
+ *
+ *   document = { filename, type, sections: [section] }
+ *   section  = { kind: 'page'|'slide'|'region'|'body', number, total, label, blocks: [block] }
+ *   block    = { type, text, offset, ...typeFields }
+ *
+ * Pages and slides are numbered; regions are labeled parts of a web page
+ * ("Homepage hero", "Footer"); body is unlabeled flowing text.
+ *
+ * Block types:
+ *   heading    - { level }           (1-6)
+ *   paragraph  - {}
+ *   list_item  - { ordered, depth, number }  (depth 0 = top level; number =
+ *                position in an ordered list, null when unordered)
+ *   table_row  - { cells }
+ *   notes      - {}                  (speaker notes)
+ *
+ * `offset` is the character position of the block within the document's
+ * plain text (see getPlainText), so later stages can point back at a passage.
+ */
+
+const BLOCK_TYPES = ['heading', 'paragraph', 'list_item', 'table_row', 'notes'];
+
+/**
+ * Create an empty document
+ * @param {string} type - File type label (PDF, DOCX, PPTX, HTML, TXT, Markdown)
+ * @returns {Object} - document
+ */
+function createDocument(type) {
+  return {
+    filename: null,
+    type,
+    sections: [],
+  };
+}
+
+/**
+ * Append a section to a document
+ * @param {Object} document
+ * @param {Object} params - { kind, number, total, label }
+ * @returns {Object} - section
+ */
+function addSection(document, params = {}) {
+  const {
+    kind = 'body',
+    number = null,
+    total = null,
+    label = null,
+  } = params;
+
+  const section = { kind, number, total, label, blocks: [] };
+  document.sections.push(section);
+  return section;
+}
+
+/**
+ * Append a block to a section (empty blocks are dropped)
+ * @param {Object} section
+ * @param {Object} block - { type, text, ...typeFields }
+ * @returns {Object|null} - block, or null if it had no text
+ */
+function addBlock(section, block) {
+  if (!BLOCK_TYPES.includes(block.type)) {
+    throw new Error(`Unknown block type: ${block.type}`);
+  }
+
+  if (block.type === 'table_row') {
+    const cells = (block.cells || []).map(cell => normalizeText(cell));
+    if (!cells.some(cell => cell)) {
+      return null;
+    }
+    const row = { type: 'table_row', cells, text: cells.join(' | '), offset: null };
+    section.blocks.push(row);
+    return row;
+  }
+
+  const text = normalizeText(block.text, block.preserveLineBreaks);
+  if (!text) {
+    return null;
+  }
+
+  const normalized = { ...block, text, offset: null };
+  delete normalized.preserveLineBreaks;
+
+  if (normalized.type === 'heading') {
+    normalized.level = Math.min(Math.max(normalized.level || 1, 1), 6);
+  }
+
+  if (normalized.type === 'list_item') {
+    normalized.ordered = Boolean(normalized.ordered);
+    normalized.depth = normalized.depth || 0;
+    normalized.number = normalized.ordered ? normalized.number || 1 : null;
+  }
+
+  section.blocks.push(normalized);
+  return normalized;
+}
+
+/**
+ * Drop empty sections and assign plain-text offsets to every block
+ * @returns {Object} - the same document
+ */
+function finalizeDocument(document) {
+  // Empty pages/slides stay so numbering matches the source
+  document.sections = document.sections.filter(section =>
+    section.blocks.length > 0 || section.kind === 'page' || section.kind === 'slide'
+  );
+
+  let offset = 0;
+  for (const section of document.sections) {
+    for (const block of section.blocks) {
+      block.offset = offset;
+      offset += block.text.length + 1;
+    }
+  }
+
+  return document;
+}
+
+/**
+ * Plain text of a document: one line per block, no markers
+ */
+function getPlainText(document) {
+  return document.sections
+    .flatMap(section => section.blocks.map(block => block.text))
+    .join('\n');
+}
+
+/**
+ * Render a document as a readable outline for the prompt
+ * Pages and slides get "--- Page N of M ---" markers, headings keep their
+ * level as markdown hashes, list items keep their nesting.
+ * @returns {string}
+ */
+function renderOutline(document) {
+  return document.sections
+    .map(renderSection)
+    .filter(text => text.length > 0)
+    .join('\n\n');
+}
+
+function renderSection(section) {
+  const lines = [];
+  const marker = getSectionMarker(section);
+
+  if (marker) {
+    lines.push(marker);
+  }
+
+  let previousType = null;
+
+  for (const block of section.blocks) {
+    // Blank line between paragraphs and around headings, none inside lists/tables
+    if (previousType && (block.type !== previousType || block.type === 'paragraph' || block.type === 'heading')) {
+      lines.push('');
+    }
+
+    lines.push(renderBlock(block, section));
+    previousType = block.type;
+  }
+
+  if (section.kind === 'slide' && section.blocks.length === 0) {
+    lines.push('[No text on this slide]');
+  }
+
+  return lines.join('\n');
+}
+
+function renderBlock(block, section) {
+  switch (block.type) {
+    case 'heading':
+      // Slide titles read better labeled than as markdown headings
+      return section.kind === 'slide' && block.level === 1
+        ? `Title: ${block.text}`
+        : `${'#'.repeat(block.level)} ${block.text}`;
+
+    case 'list_item':
+      return `${'  '.repeat(block.depth)}${block.ordered ? `${block.number}.` : '-'} ${block.text}`;
+
+    case 'table_row':
+      return `| ${block.cells.join(' | ')} |`;
+
+    case 'notes':
+      return `Speaker notes: ${block.text}`;
+
+    default:
+      return block.text;
+  }
+}
+
+function getSectionMarker(section) {
+  if (section.kind === 'page' || section.kind === 'slide') {
+    const name = section.kind === 'page' ? 'Page' : 'Slide';
+    const total = section.total ? ` of ${section.total}` : '';
+    const label = section.label ? ` (${section.label})` : '';
+    return `--- ${name} ${section.number}${total}${label} ---`;
+  }
+
+  if (section.label) {
+    return `[${section.label}]`;
+  }
+
+  return null;
+}
+
+/**
+ * Collapse runs of whitespace; optionally keep single line breaks
+ */
+function normalizeText(text, preserveLineBreaks = false) {
+  if (!text) {
+    return '';
+  }
+
+  if (preserveLineBreaks) {
+    return String(text)
+      .split('\n')
+      .map(line => line.replace(/\s+/g, ' ').trim())
+      .filter(line => line.length > 0)
+      .join('\n');
+  }
+
+  return String(text).replace(/\s+/g, ' ').trim();
+}
+
+module.exports = {
+  createDocument,
+  addSection,
+  addBlock,
+  finalizeDocument,
+  getPlainText,
+  renderOutline,
+};
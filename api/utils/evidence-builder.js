@@ -0,0 +1,258 @@
+/**
+ * EVIDENCE APPENDIX MODULE
+ * Narrative Sparring - Where did you see that?
+ *
+ * Maps every finding in the structured analysis back to the passages in the
+ * client's files that support it:
+ *
+ *   blind spots      - their evidence quotes, located in the sources
+ *   platform scores  - quotes the report used for that platform, plus the
+ *                      passages from that platform's files closest to the
+ *                      score's summary
+ *   core threads     - passages closest to the thread
+ *   recommendations  - passages closest to the action
+ *
+ * "Closest" is word overlap weighted by rarity (IDF) at block level, so it
+ * is deterministic and needs no extra API call.
+ */
+
+const { buildSources, findBestMatch, describeSection, tokenize } = require('./quote-verifier');
+const { PLATFORMS } = require('./platform-classifier');
+
+// Related passages per finding
+const MAX_RELATED = 2;
+
+// Minimum share of the finding's (IDF-weighted) words a passage must cover
+const MIN_RELATED_SCORE = 0.3;
+
+const STOP_WORDS = new Set([
+  'the', 'and', 'for', 'with', 'that', 'this', 'you', 'your', 'our', 'are', 'was', 'from', 'they',
+  'their', 'have', 'has', 'not', 'but', 'all', 'can', 'will', 'into', 'what', 'who', 'how', 'more',
+  'than', 'its', 'it\'s', 'about', 'each', 'every', 'one', 'use', 'make', 'across', 'them',
+]);
+
+/**
+ * Build the evidence appendix data
+ * @param {Object} params - { structured, documents, classifications, verification }
+ *   structured    - validated structured analysis (or null)
+ *   documents     - extracted documents
+ *   classifications - [{ filename, platform }]
+ *   verification  - quote_verification result (quotes with filename/location)
+ * @returns {Object} - { items: [{ kind, finding, detail, sources: [{ filename, location, passage, match }] }] }
+ */
+function buildEvidence(params) {
+  const { structured, documents, classifications = [], verification = null } = params;
+  const sources = buildSources(documents);
+  const index = buildBlockIndex(documents);
+  const platformOf = new Map(classifications.map(item => [item.filename, item.platform]));
+  const items = [];
+
+  if (!structured) {
+    // No structured findings: fall back to the report's verified quotes
+    return { items: quotesBySection(verification) };
+  }
+
+  for (const spot of structured.blind_spots) {
+    const located = spot.evidence
+      .map(evidence => locateQuote(evidence.quote, sources))
+      .filter(Boolean);
+
+    items.push({
+      kind: 'blind_spot',
+      finding: spot.title,
+      detail: spot.description,
+      sources: located.length > 0 ? located : findRelated(`${spot.title} ${spot.description}`, index),
+    });
+  }
+
+  items.push({
+    kind: 'score',
+    finding: `Gap score: ${structured.gap_score.score}/10`,
+    detail: `${capitalize(structured.gap_score.range)} inconsistency across platforms`,
+    sources: [],
+  });
+
+  for (const platform of structured.platforms) {
+    const label = PLATFORMS[platform.platform] ? PLATFORMS[platform.platform].label : platform.platform;
+    const quoted = (verification ? verification.quotes : [])
+      .filter(quote => quote.filename && platformOf.get(quote.filename) === platform.platform)
+      .slice(0, MAX_RELATED)
+      .map(quote => ({ filename: quote.filename, location: quote.location, passage: quote.quote, match: 'quoted in report' }));
+
+    const related = findRelated(platform.summary, index, block => platformOf.get(block.filename) === platform.platform);
+
+    items.push({
+      kind: 'score',
+      finding: `${label}: ${platform.consistency_score}/10`,
+      detail: platform.summary,
+      sources: dedupeSources([...quoted, ...related]).slice(0, MAX_RELATED + 1),
+    });
+  }
+
+  for (const thread of structured.core_threads) {
+    items.push({
+      kind: 'thread',
+      finding: `${capitalize(thread.type)} thread`,
+      detail: thread.thread,
+      sources: findRelated(`${thread.thread} ${thread.why}`, index),
+    });
+  }
+
+  for (const action of structured.actions) {
+    items.push({
+      kind: 'recommendation',
+      finding: `Priority ${action.priority}`,
+      detail: action.action,
+      sources: findRelated(action.action, index),
+    });
+  }
+
+  return { items };
+}
+
+/**
+ * Locate one quote in the sources
+ * @returns {Object|null} - { filename, location, passage, match }
+ */
+function locateQuote(quote, sources) {
+  const match = findBestMatch(quote, sources);
+
+  if (match.status === 'missing') {
+    return null;
+  }
+
+  return {
+    filename: match.filename,
+    location: match.location,
+    passage: quote,
+    match: match.status === 'exact' ? 'exact quote' : 'close match',
+  };
+}
+
+/**
+ * Every block with its tokens, plus document frequencies for IDF
+ */
+function buildBlockIndex(documents) {
+  const blocks = [];
+  const documentFrequency = new Map();
+
+  for (const document of documents) {
+    for (const section of document.sections) {
+      for (const block of section.blocks) {
+        const words = new Set(tokenize(block.text).filter(isContentWord));
+        if (words.size < 3) {
+          continue;
+        }
+
+        blocks.push({
+          filename: document.filename,
+          location: describeSection(section),
+          text: block.text,
+          words,
+        });
+
+        words.forEach(word => documentFrequency.set(word, (documentFrequency.get(word) || 0) + 1));
+      }
+    }
+  }
+
+  const idf = word => Math.log(1 + blocks.length / (documentFrequency.get(word) || 1));
+
+  return { blocks, idf };
+}
+
+/**
+ * Blocks sharing the most rare words with a finding
+ * @param {Function} filter - Optional block predicate (e.g. one platform)
+ * @returns {Array} - [{ filename, location, passage, match }]
+ */
+function findRelated(text, index, filter = () => true) {
+  const queryWords = [...new Set(tokenize(text).filter(isContentWord))];
+  const totalWeight = queryWords.reduce((sum, word) => sum + index.idf(word), 0);
+
+  if (totalWeight === 0) {
+    return [];
+  }
+
+  return index.blocks
+    .filter(filter)
+    .map(block => ({
+      block,
+      score: queryWords
+        .filter(word => block.words.has(word))
+        .reduce((sum, word) => sum + index.idf(word), 0) / totalWeight,
+    }))
+    .filter(item => item.score >= MIN_RELATED_SCORE)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, MAX_RELATED)
+    .map(({ block }) => ({
+      filename: block.filename,
+      location: block.location,
+      passage: truncate(block.text, 300),
+      match: 'related passage',
+    }));
+}
+
+/**
+ * Fallback evidence: the report's located quotes, grouped by report section
+ */
+function quotesBySection(verification) {
+  if (!verification) {
+    return [];
+  }
+
+  const groups = new Map();
+
+  for (const quote of verification.quotes) {
+    if (!quote.filename) {
+      continue;
+    }
+
+    const key = quote.section || 'Report';
+    if (!groups.has(key)) {
+      groups.set(key, []);
+    }
+    groups.get(key).push({
+      filename: quote.filename,
+      location: quote.location,
+      passage: quote.quote,
+      match: quote.status === 'exact' ? 'exact quote' : 'close match',
+    });
+  }
+
+  return [...groups.entries()].map(([section, sources]) => ({
+    kind: 'report_section',
+    finding: section,
+    detail: '',
+    sources,
+  }));
+}
+
+function dedupeSources(sources) {
+  const seen = new Set();
+
+  return sources.filter(source => {
+    const key = `${source.filename}|${source.passage}`;
+    if (seen.has(key)) {
+      return false;
+    }
+    seen.add(key);
+    return true;
+  });
+}
+
+function isContentWord(word) {
+  return word.length > 2 && !STOP_WORDS.has(word);
+}
+
+function capitalize(text) {
+  return text ? text.charAt(0).toUpperCase() + text.slice(1) : '';
+}
+
+function truncate(text, length) {
+  return text.length > length ? `${text.slice(0, length).trim()}…` : text;
+}
+
+module.exports = {
+  buildEvidence,
+};
@@ -2,21 +2,49 @@
  * FILE TEXT EXTRACTION MODULE
  * Narrative Sparring - Extract text from uploaded files
  *
- * Supports: PDF, DOCX, PPTX, HTML, TXT
+ * Supports: PDF, DOCX, PPTX, HTML, TXT, Markdown, LinkedIn export ZIP
  */
 
 const pdfParse = require('pdf-parse');
 const mammoth = require('mammoth');
 const { parse: parseHtml } = require('node-html-parser');
+const JSZip = require('jszip');
 const path = require('path');
+const {
+  createDocument,
+  addSection,
+  addBlock,
+  finalizeDocument,
+  renderOutline,
+} = require('./document-model');
+const { extractFromHTML, appendHTMLBlocks } = require('./html-extractor');
+const { extractFromLinkedInExport } = require('./linkedin-extractor');
+const {
+  classifyDocument,
+  findMissingPlatforms,
+  formatInventory,
+  formatPlatformTag,
+} = require('./platform-classifier');
+
+// PPTX placeholder types
+const PPTX_TITLE_PLACEHOLDERS = ['title', 'ctrTitle'];
+const PPTX_SKIPPED_PLACEHOLDERS = ['sldNum', 'dt', 'ftr', 'hdr', 'sldImg'];
+
+// "- item", "* item", "1. item", "a) item", "•item" with leading indentation
+const LIST_ITEM_PATTERN = /^(\s*)((?:[-*+]|\d{1,3}[.)]|[a-z][.)])(?=\s)|[•▪◦])\s*(.+)$/;
 
 /**
  * Extract text from all uploaded files
- * @param {Array} files - Array of file objects with { buffer, filename, mimetype }
- * @returns {Object} - { success, text, fileStats, errors }
+ * Each file is tagged with a platform (see platform-classifier.js); the
+ * combined text opens with a materials inventory listing missing platforms.
+ * @param {Array} files - Array of file objects with { buffer, filename, mimetype, sourceUrl?, platform?, id? }
+ *   `platform` is the client's own choice and overrides classification
+ * @returns {Object} - { success, text, documents, classifications, missingPlatforms, fileStats, errors }
  */
 async function extractTextFromFiles(files) {
   const extractedTexts = [];
+  const documents = [];
+  const classifications = [];
   const fileStats = [];
   const errors = [];
 
@@ -25,17 +53,47 @@ async function extractTextFromFiles(files) {
       const result = await extractTextFromFile(file);
 
       if (result.success) {
+        const classification = classifyDocument(result.document, {
+          sourceUrl: file.sourceUrl,
+          override: file.platform,
+        });
+
         extractedTexts.push({
           filename: file.filename,
           text: result.text,
+          classification,
         });
 
-        fileStats.push({
+        documents.push(result.document);
+
+        classifications.push({
+          id: file.id || null,
+          filename: file.filename,
+          ...classification,
+        });
+
+        const stats = {
           filename: file.filename,
           type: getFileType(file.filename),
+          platform: classification.platform,
+          platformConfidence: classification.confidence,
           characterCount: result.text.length,
           wordCount: countWords(result.text),
-        });
+        };
+
+        if (result.pageCount !== undefined) {
+          stats.pageCount = result.pageCount;
+        }
+
+        if (result.slideCount !== undefined) {
+          stats.slideCount = result.slideCount;
+        }
+
+        if (result.postCount !== undefined) {
+          stats.postCount = result.postCount;
+        }
+
+        fileStats.push(stats);
       } else {
         errors.push({
           filename: file.filename,
@@ -50,14 +108,14 @@ async function extractTextFromFiles(files) {
     }
   }
 
-  // Combine all text with file separators
-  const combinedText = extractedTexts
-    .map(item => `\n\n=== FILE: ${item.filename} ===\n\n${item.text}`)
-    .join('\n\n');
+  const combinedText = formatMaterialsText(extractedTexts);
 
   return {
     success: extractedTexts.length > 0,
     text: combinedText,
+    documents,
+    classifications,
+    missingPlatforms: findMissingPlatforms(classifications),
     fileStats,
     errors,
     totalFiles: files.length,
@@ -65,32 +123,63 @@ async function extractTextFromFiles(files) {
   };
 }
 
+/**
+ * Combine per-file text into the materials block sent to Claude:
+ * inventory first, then every file under a header carrying its platform tag
+ * @param {Array} entries - [{ filename, text, classification }]
+ * @returns {string}
+ */
+function formatMaterialsText(entries) {
+  if (entries.length === 0) {
+    return '';
+  }
+
+  return formatInventory(entries.map(entry => ({ filename: entry.filename, ...entry.classification }))) + entries
+    .map(entry => `\n\n=== FILE: ${entry.filename} | ${formatPlatformTag(entry.classification)} ===\n\n${entry.text}`)
+    .join('\n\n');
+}
+
 /**
  * Extract text from a single file based on type
- * @param {Object} file - { buffer, filename, mimetype }
- * @returns {Object} - { success, text, error }
+ * Extractors build a document (see document-model.js); the text returned
+ * here is that document rendered as an outline.
+ * @param {Object} file - { buffer, filename, mimetype, sourceUrl? }
+ * @returns {Object} - { success, text, document, error, pageCount?, slideCount?, postCount? }
  */
 async function extractTextFromFile(file) {
   const extension = path.extname(file.filename).toLowerCase();
+  let result;
 
   try {
     switch (extension) {
       case '.pdf':
-        return await extractFromPDF(file.buffer);
+        result = await extractFromPDF(file.buffer);
+        break;
 
       case '.docx':
-        return await extractFromDOCX(file.buffer);
+        result = await extractFromDOCX(file.buffer);
+        break;
 
       case '.pptx':
-        return await extractFromPPTX(file.buffer);
+        result = await extractFromPPTX(file.buffer);
+        break;
 
       case '.html':
-        return extractFromHTML(file.buffer);
+        result = extractFromHTML(file.buffer, { filename: file.filename, url: file.sourceUrl });
+        break;
 
       case '.txt':
+        result = extractFromTXT(file.buffer);
+        break;
+
       case '.md':
       case '.markdown':
-        return extractFromTXT(file.buffer);
+        result = extractFromMarkdown(file.buffer);
+        break;
+
+      case '.zip':
+        result = await extractFromLinkedInExport(file.buffer);
+        break;
 
       default:
         return {
@@ -104,17 +193,51 @@ async function extractTextFromFile(file) {
       error: `Extraction failed: ${error.message}`,
     };
   }
+
+  if (!result.success) {
+    return result;
+  }
+
+  const document = finalizeDocument(result.document);
+  document.filename = file.filename;
+
+  return {
+    ...result,
+    document,
+    text: renderOutline(document),
+  };
 }
 
 /**
  * Extract text from PDF
+ * Renders each page separately so page numbers survive
  */
 async function extractFromPDF(buffer) {
   try {
-    const data = await pdfParse(buffer);
+    const pageTexts = [];
+
+    const data = await pdfParse(buffer, {
+      pagerender: pageData => renderPDFPage(pageData).then(text => {
+        pageTexts.push(text);
+        return text;
+      }),
+    });
+
+    const document = createDocument('PDF');
+
+    pageTexts.forEach((pageText, index) => {
+      const section = addSection(document, {
+        kind: 'page',
+        number: index + 1,
+        total: pageTexts.length,
+      });
+      appendTextBlocks(section, pageText, { detectHeadings: true });
+    });
+
     return {
       success: true,
-      text: data.text || '',
+      document,
+      pageCount: data.numpages || pageTexts.length,
     };
   } catch (error) {
     return {
@@ -124,15 +247,44 @@ async function extractFromPDF(buffer) {
   }
 }
 
+/**
+ * PDF helper: Page text with one line per text row (same as pdf-parse's default renderer)
+ */
+function renderPDFPage(pageData) {
+  return pageData
+    .getTextContent({ normalizeWhitespace: false, disableCombineTextItems: false })
+    .then(textContent => {
+      let lastY;
+      let text = '';
+
+      for (const item of textContent.items) {
+        if (lastY === item.transform[5] || lastY === undefined) {
+          text += item.str;
+        } else {
+          text += '\n' + item.str;
+        }
+        lastY = item.transform[5];
+      }
+
+      return text;
+    });
+}
+
 /**
  * Extract text from DOCX
+ * Converts to HTML first so Word headings, lists and tables keep their structure
  */
 async function extractFromDOCX(buffer) {
   try {
-    const result = await mammoth.extractRawText({ buffer });
+    const result = await mammoth.convertToHtml({ buffer });
+    const document = createDocument('DOCX');
+    const section = addSection(document);
+
+    appendHTMLBlocks(section, parseHtml(result.value || ''));
+
     return {
       success: true,
-      text: result.value || '',
+      document,
     };
   } catch (error) {
     return {
@@ -143,79 +295,385 @@ async function extractFromDOCX(buffer) {
 }
 
 /**
- * Extract text from PPTX (using mammoth's text extraction)
- * Note: mammoth primarily handles DOCX, but can extract some text from PPTX
- * For better PPTX support, consider using 'pptx-compose' or similar
+ * Extract text from PPTX
+ * Walks the slides in presentation order and emits one section per slide
+ * (title, body placeholders, tables, grouped shapes, speaker notes)
  */
 async function extractFromPPTX(buffer) {
   try {
-    // For now, attempt text extraction with mammoth
-    // This may have limited success with PPTX files
-    const result = await mammoth.extractRawText({ buffer });
+    const zip = await JSZip.loadAsync(buffer);
+    const slidePaths = await getOrderedSlidePaths(zip);
+
+    if (slidePaths.length === 0) {
+      return {
+        success: false,
+        error: 'PPTX extraction error: no slides found',
+      };
+    }
+
+    const document = createDocument('PPTX');
+
+    for (let i = 0; i < slidePaths.length; i++) {
+      const slideXml = await zip.file(slidePaths[i]).async('string');
+      const slideRoot = parseXml(slideXml);
+      const hidden = slideRoot.getElementsByTagName('p:sld')[0]?.getAttribute('show') === '0';
+
+      const section = addSection(document, {
+        kind: 'slide',
+        number: i + 1,
+        total: slidePaths.length,
+        label: hidden ? 'hidden' : null,
+      });
+
+      const { title, lines, rows } = extractShapeText(slideRoot);
+
+      if (title) {
+        addBlock(section, { type: 'heading', level: 1, text: title });
+      }
+
+      lines.forEach(line => addBlock(section, { type: 'paragraph', text: line }));
+      rows.forEach(cells => addBlock(section, { type: 'table_row', cells }));
+
+      const notes = await extractSpeakerNotes(zip, slidePaths[i]);
+      if (notes.length > 0) {
+        addBlock(section, { type: 'notes', text: notes.join(' ') });
+      }
+    }
+
     return {
       success: true,
-      text: result.value || '',
+      document,
+      slideCount: slidePaths.length,
     };
   } catch (error) {
-    // If mammoth fails, return empty text rather than error
-    // since PPTX extraction is best-effort
     return {
-      success: true,
-      text: '[PPTX content - text extraction limited]',
+      success: false,
+      error: `PPTX extraction error: ${error.message}`,
     };
   }
 }
 
 /**
- * Extract text from HTML
+ * PPTX helper: Resolve slide part paths in the order the deck presents them
+ * (ppt/presentation.xml sldIdLst -> ppt/_rels/presentation.xml.rels)
  */
-function extractFromHTML(buffer) {
-  try {
-    const html = buffer.toString('utf-8');
-    const root = parseHtml(html);
+async function getOrderedSlidePaths(zip) {
+  const presentationFile = zip.file('ppt/presentation.xml');
+  const relsFile = zip.file('ppt/_rels/presentation.xml.rels');
+
+  if (presentationFile && relsFile) {
+    const presentation = parseXml(await presentationFile.async('string'));
+    const rels = readRelationships(await relsFile.async('string'), 'ppt');
+
+    const ordered = presentation
+      .getElementsByTagName('p:sldId')
+      .map(sldId => rels[sldId.getAttribute('r:id')]?.target)
+      .filter(target => target && zip.file(target));
+
+    if (ordered.length > 0) {
+      return ordered;
+    }
+  }
+
+  // Fallback: numeric order of slide parts
+  return Object.keys(zip.files)
+    .filter(name => /^ppt\/slides\/slide\d+\.xml$/.test(name))
+    .sort((a, b) => slideNumberFromPath(a) - slideNumberFromPath(b));
+}
+
+/**
+ * PPTX helper: Speaker notes for a slide, via the slide's notesSlide relationship
+ */
+async function extractSpeakerNotes(zip, slidePath) {
+  const relsPath = path.posix.join(
+    path.posix.dirname(slidePath),
+    '_rels',
+    `${path.posix.basename(slidePath)}.rels`
+  );
+  const relsFile = zip.file(relsPath);
+
+  if (!relsFile) {
+    return [];
+  }
+
+  const rels = readRelationships(await relsFile.async('string'), path.posix.dirname(slidePath));
+  const notesRel = Object.values(rels).find(rel => rel.type.endsWith('/notesSlide'));
+  const notesFile = notesRel && zip.file(notesRel.target);
+
+  if (!notesFile) {
+    return [];
+  }
+
+  const notesRoot = parseXml(await notesFile.async('string'));
+
+  // Only the body placeholder holds the notes; the rest is slide image/number
+  return notesRoot
+    .getElementsByTagName('p:sp')
+    .filter(shape => getPlaceholderType(shape) === 'body')
+    .flatMap(shape => getParagraphs(shape));
+}
+
+/**
+ * PPTX helper: Collect text from a slide's shape tree in reading order
+ * @returns {Object} - { title, lines, rows }
+ */
+function extractShapeText(slideRoot) {
+  const result = { title: null, lines: [], rows: [] };
+  const shapeTree = slideRoot.getElementsByTagName('p:spTree')[0];
 
-    // Remove script and style tags
-    root.querySelectorAll('script, style').forEach(el => el.remove());
+  if (shapeTree) {
+    collectShapes(shapeTree, result);
+  }
+
+  return result;
+}
+
+function collectShapes(container, result) {
+  for (const node of container.childNodes) {
+    switch (node.rawTagName) {
+      case 'p:grpSp':
+        collectShapes(node, result);
+        break;
+
+      case 'p:sp': {
+        const placeholderType = getPlaceholderType(node);
+
+        if (PPTX_SKIPPED_PLACEHOLDERS.includes(placeholderType)) {
+          break;
+        }
 
-    // Get text content
-    const text = root.textContent || root.innerText || '';
+        const paragraphs = getParagraphs(node);
+
+        if (PPTX_TITLE_PLACEHOLDERS.includes(placeholderType) && !result.title) {
+          result.title = paragraphs.join(' ');
+        } else {
+          result.lines.push(...paragraphs);
+        }
+        break;
+      }
+
+      case 'p:graphicFrame':
+        for (const table of node.getElementsByTagName('a:tbl')) {
+          for (const row of table.getElementsByTagName('a:tr')) {
+            result.rows.push(row
+              .getElementsByTagName('a:tc')
+              .map(cell => getParagraphs(cell).join(' ')));
+          }
+        }
+        break;
+
+      default:
+        break;
+    }
+  }
+}
+
+/**
+ * PPTX helper: Non-empty paragraph strings under a node (a:p -> a:t runs)
+ */
+function getParagraphs(node) {
+  return node
+    .getElementsByTagName('a:p')
+    .map(paragraph => paragraph
+      .getElementsByTagName('a:t')
+      .map(run => run.text)
+      .join('')
+      .trim())
+    .filter(text => text.length > 0);
+}
+
+function getPlaceholderType(shape) {
+  const placeholder = shape.getElementsByTagName('p:ph')[0];
+
+  if (!placeholder) {
+    return null;
+  }
+
+  // A placeholder without a type attribute is a body/content placeholder
+  return placeholder.getAttribute('type') || 'body';
+}
+
+/**
+ * PPTX helper: Parse a .rels part into { rId: { target, type } }
+ * Targets are resolved to zip paths: relative ones against baseDir,
+ * absolute ones ("/ppt/notesSlides/...") against the package root
+ */
+function readRelationships(xml, baseDir) {
+  const rels = {};
+
+  for (const rel of parseXml(xml).getElementsByTagName('Relationship')) {
+    const target = rel.getAttribute('Target') || '';
+
+    rels[rel.getAttribute('Id')] = {
+      type: rel.getAttribute('Type') || '',
+      target: target.startsWith('/')
+        ? path.posix.normalize(target.slice(1))
+        : path.posix.normalize(path.posix.join(baseDir, target)),
+    };
+  }
+
+  return rels;
+}
+
+function slideNumberFromPath(slidePath) {
+  return parseInt(slidePath.match(/(\d+)\.xml$/)[1], 10);
+}
+
+function parseXml(xml) {
+  return parseHtml(xml, { lowerCaseTagName: false, comment: false });
+}
+
+/**
+ * Extract text from TXT
+ * Paragraphs are blank-line separated; line breaks inside them are kept
+ */
+function extractFromTXT(buffer) {
+  try {
+    const text = buffer.toString('utf-8');
+    const document = createDocument('TXT');
+    const section = addSection(document);
 
-    // Clean up whitespace
-    const cleanText = text
-      .replace(/\s+/g, ' ')
-      .replace(/\n\s*\n/g, '\n\n')
-      .trim();
+    appendTextBlocks(section, text, { preserveLineBreaks: true });
 
     return {
       success: true,
-      text: cleanText,
+      document,
     };
   } catch (error) {
     return {
       success: false,
-      error: `HTML extraction error: ${error.message}`,
+      error: `TXT extraction error: ${error.message}`,
     };
   }
 }
 
 /**
- * Extract text from TXT
+ * Extract text from Markdown
  */
-function extractFromTXT(buffer) {
+function extractFromMarkdown(buffer) {
   try {
     const text = buffer.toString('utf-8');
+    const document = createDocument('Markdown');
+    const section = addSection(document);
+
+    appendTextBlocks(section, text, { markdown: true });
+
     return {
       success: true,
-      text: text.trim(),
+      document,
     };
   } catch (error) {
     return {
       success: false,
-      error: `TXT extraction error: ${error.message}`,
+      error: `Markdown extraction error: ${error.message}`,
     };
   }
 }
 
+/**
+ * Text helper: Split plain text into blocks line by line
+ * @param {Object} options
+ *   markdown           - '#' lines are headings, '|' lines are table rows
+ *   detectHeadings     - short unpunctuated lines are headings (PDF pages)
+ *   preserveLineBreaks - keep line breaks inside paragraphs (TXT)
+ */
+function appendTextBlocks(section, text, options = {}) {
+  const { markdown = false, detectHeadings = false, preserveLineBreaks = false } = options;
+  const lines = text.replace(/\r\n?/g, '\n').split('\n');
+  // A loop, not Math.max(...lines): spreading a huge file overflows the call stack
+  const longestLine = lines.reduce((longest, line) => Math.max(longest, line.trim().length), 0);
+  let paragraph = [];
+  let inCodeFence = false;
+
+  const flushParagraph = () => {
+    addBlock(section, {
+      type: 'paragraph',
+      text: paragraph.join(preserveLineBreaks ? '\n' : ' '),
+      preserveLineBreaks,
+    });
+    paragraph = [];
+  };
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i].trim();
+
+    if (markdown && line.startsWith('```')) {
+      inCodeFence = !inCodeFence;
+      continue;
+    }
+
+    if (inCodeFence) {
+      paragraph.push(line);
+      continue;
+    }
+
+    if (!line) {
+      flushParagraph();
+      continue;
+    }
+
+    const headingMatch = markdown && line.match(/^(#{1,6})\s+(.*?)\s*#*$/);
+    if (headingMatch) {
+      flushParagraph();
+      addBlock(section, { type: 'heading', level: headingMatch[1].length, text: headingMatch[2] });
+      continue;
+    }
+
+    if (markdown && /^\|.*\|$/.test(line)) {
+      flushParagraph();
+      // Skip the |---|---| separator row
+      if (!/^\|[\s:|-]+\|$/.test(line)) {
+        addBlock(section, { type: 'table_row', cells: line.slice(1, -1).split('|') });
+      }
+      continue;
+    }
+
+    const listMatch = lines[i].match(LIST_ITEM_PATTERN);
+    if (listMatch) {
+      flushParagraph();
+      addBlock(section, {
+        type: 'list_item',
+        ordered: /\d/.test(listMatch[2]),
+        number: parseInt(listMatch[2], 10) || null,
+        depth: Math.floor(listMatch[1].replace(/\t/g, '  ').length / 2),
+        text: listMatch[3],
+      });
+      continue;
+    }
+
+    if (detectHeadings && paragraph.length === 0 && looksLikeHeading(line, lines[i + 1], longestLine)) {
+      addBlock(section, { type: 'heading', level: 2, text: line });
+      continue;
+    }
+
+    paragraph.push(line);
+
+    // PDF rows have no blank lines; end the paragraph at sentence-final punctuation
+    // when the row is visibly shorter than a full line
+    if (detectHeadings && /[.!?:"”]$/.test(line) && line.length < longestLine * 0.8) {
+      flushParagraph();
+    }
+  }
+
+  flushParagraph();
+}
+
+/**
+ * Text helper: Heading heuristic for layout text with no markup
+ * Short, unpunctuated, capitalized, and followed by more text
+ */
+function looksLikeHeading(line, nextLine, longestLine) {
+  const words = line.split(/\s+/);
+
+  return (
+    words.length <= 8 &&
+    line.length <= Math.max(longestLine * 0.6, 20) &&
+    !/[.,;:!?]$/.test(line) &&
+    /^[A-Z0-9]/.test(line) &&
+    Boolean(nextLine && nextLine.trim())
+  );
+}
+
 /**
  * Helper: Get file type from filename
  */
@@ -229,6 +687,7 @@ function getFileType(filename) {
     '.txt': 'TXT',
     '.md': 'Markdown',
     '.markdown': 'Markdown',
+    '.zip': 'LinkedIn export',
   };
   return typeMap[ext] || 'Unknown';
 }
@@ -243,4 +702,5 @@ function countWords(text) {
 module.exports = {
   extractTextFromFiles,
   extractTextFromFile,
+  formatMaterialsText,
 };
@@ -0,0 +1,393 @@
+/**
+ * WEBSITE HTML EXTRACTION MODULE
+ * Narrative Sparring - Turn a web page into labeled regions
+ *
+ * The WEBSITE ANALYSIS phase of the prompt asks about the homepage hero,
+ * about page and services. Instead of one wall of text, a page is split into:
+ *
+ *   [Page metadata]   <title>, meta description, Open Graph / Twitter tags
+ *   [Navigation]      nav labels, once, in order
+ *   [Homepage hero]   first hero block / <h1> (or [Page hero] off the homepage)
+ *   [Section: ...]    each <section>, labeled by its heading
+ *   [Page content]    whatever is left of the body
+ *   [Calls to action] button and CTA link text
+ *   [Footer]
+ *
+ * Cookie/consent banners are dropped before any of this runs.
+ */
+
+const { parse: parseHtml } = require('node-html-parser');
+const path = require('path');
+const { createDocument, addSection, addBlock } = require('./document-model');
+
+// HTML elements that start a new block, and elements with no readable text
+const HTML_BLOCK_TAGS = [
+  'address', 'article', 'aside', 'blockquote', 'body', 'dd', 'details', 'div', 'dl', 'dt',
+  'fieldset', 'figcaption', 'figure', 'footer', 'form', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
+  'header', 'html', 'li', 'main', 'nav', 'ol', 'p', 'pre', 'section', 'table', 'tbody',
+  'td', 'tfoot', 'th', 'thead', 'tr', 'ul',
+];
+const HTML_SKIPPED_TAGS = ['script', 'style', 'noscript', 'template', 'svg', 'head', 'iframe'];
+
+// Region selectors
+// Banner names only, matched per class/id token: "cookie-banner" or
+// "onetrust-consent-sdk" go, "cookie-recipes" or "consent-form" stay
+const COOKIE_BANNER_TOKEN = /^(?:(?:cookies?|consent|gdpr|privacy)[-_]?(?:banner|bar|notice|popup|modal|dialog|overlay|wall|law|consent)|cookieconsent|onetrust|cybotcookiebot|cc-(?:banner|window)$)/i;
+const COOKIE_BANNER_LABEL = /\b(?:cookies?|consent) (?:banner|notice|consent|preferences|settings)\b/i;
+const NAV_SELECTOR = 'nav, [role="navigation"], header ul';
+const FOOTER_SELECTOR = 'footer, [role="contentinfo"]';
+const HERO_SELECTOR = '[class*="hero"], [id*="hero"], [class*="jumbotron"], [class*="masthead"]';
+const CTA_SELECTOR = [
+  'button',
+  'input[type="submit"]',
+  '[role="button"]',
+  'a[class*="btn"]',
+  'a[class*="button"]',
+  'a[class*="cta"]',
+].join(', ');
+
+// Hero containers larger than this are really the whole page
+const MAX_HERO_CHARS = 1500;
+
+/**
+ * Extract a labeled website document from HTML
+ * @param {Buffer} buffer - Raw HTML
+ * @param {Object} source - { filename, url } used to tell the homepage apart
+ * @returns {Object} - { success, document, error }
+ */
+function extractFromHTML(buffer, source = {}) {
+  try {
+    const html = buffer.toString('utf-8');
+    const root = parseHtml(html);
+    const document = createDocument('HTML');
+    const metadata = extractMetadata(root);
+    const body = root.querySelector('body') || root;
+
+    removeCookieBanners(body);
+
+    appendMetadataSection(document, metadata);
+
+    const navLabels = takeNavigationLabels(body);
+    if (navLabels.length > 0) {
+      const navSection = addSection(document, { kind: 'region', label: 'Navigation' });
+      addBlock(navSection, { type: 'paragraph', text: navLabels.join(' | ') });
+    }
+
+    // Footer and CTAs are read before the hero/sections are taken out of the tree
+    const footers = body.querySelectorAll(FOOTER_SELECTOR);
+    footers.forEach(footer => footer.remove());
+    const ctaLabels = collectCallToActionLabels(body);
+
+    const hero = findHero(body);
+    if (hero) {
+      const heroLabel = isHomepage(source, metadata) ? 'Homepage hero' : 'Page hero';
+      appendHTMLNodes(addSection(document, { kind: 'region', label: heroLabel }), [hero]);
+      hero.remove();
+    }
+
+    for (const sectionNode of getTopLevelSections(body)) {
+      const heading = sectionNode.querySelector('h1, h2, h3, h4, h5, h6');
+      const label = heading ? `Section: ${collapse(heading.text)}` : 'Section';
+      appendHTMLBlocks(addSection(document, { kind: 'region', label }), sectionNode);
+      sectionNode.remove();
+    }
+
+    appendHTMLBlocks(addSection(document, { kind: 'region', label: 'Page content' }), body);
+
+    if (ctaLabels.length > 0) {
+      const ctaSection = addSection(document, { kind: 'region', label: 'Calls to action' });
+      ctaLabels.forEach(text => addBlock(ctaSection, { type: 'list_item', text }));
+    }
+
+    if (footers.length > 0) {
+      const footerSection = addSection(document, { kind: 'region', label: 'Footer' });
+      footers.forEach(footer => appendHTMLBlocks(footerSection, footer));
+    }
+
+    return {
+      success: true,
+      document,
+    };
+  } catch (error) {
+    return {
+      success: false,
+      error: `HTML extraction error: ${error.message}`,
+    };
+  }
+}
+
+/**
+ * Read <title>, meta description and social tags from the page head
+ * @returns {Object} - { title, description, social: [{ label, value }], canonicalUrl }
+ */
+function extractMetadata(root) {
+  const titleNode = root.querySelector('title');
+  const canonical = root.querySelector('link[rel="canonical"]');
+  const metadata = {
+    title: titleNode ? collapse(titleNode.text) : null,
+    description: null,
+    social: [],
+    canonicalUrl: canonical ? canonical.getAttribute('href') : null,
+  };
+
+  for (const meta of root.querySelectorAll('meta')) {
+    const key = (meta.getAttribute('property') || meta.getAttribute('name') || '').toLowerCase();
+    const value = collapse(meta.getAttribute('content') || '');
+
+    if (!key || !value) {
+      continue;
+    }
+
+    if (key === 'description') {
+      metadata.description = value;
+    } else if (key === 'og:url' && !metadata.canonicalUrl) {
+      metadata.canonicalUrl = value;
+    } else if (/^(og|twitter):(title|description|site_name)$/.test(key)) {
+      metadata.social.push({ label: key, value });
+    }
+  }
+
+  return metadata;
+}
+
+function appendMetadataSection(document, metadata) {
+  const section = addSection(document, { kind: 'region', label: 'Page metadata' });
+  const seen = new Set();
+
+  const addField = (label, value) => {
+    if (value && !seen.has(value)) {
+      seen.add(value);
+      addBlock(section, { type: 'paragraph', text: `${label}: ${value}` });
+    }
+  };
+
+  addField('Title', metadata.title);
+  addField('Meta description', metadata.description);
+
+  // Social tags usually repeat the title/description; only keep new wording
+  metadata.social.forEach(({ label, value }) => addField(label, value));
+}
+
+function removeCookieBanners(body) {
+  for (const element of body.querySelectorAll('[id], [class], [aria-label]')) {
+    const tokens = `${element.getAttribute('id') || ''} ${element.getAttribute('class') || ''}`.split(/\s+/);
+    const label = element.getAttribute('aria-label') || '';
+
+    if (tokens.some(token => COOKIE_BANNER_TOKEN.test(token)) || COOKIE_BANNER_LABEL.test(label)) {
+      element.remove();
+    }
+  }
+}
+
+/**
+ * Collect link labels from every navigation block and remove the blocks,
+ * so menus repeated in header, sidebar and mobile drawer appear once
+ */
+function takeNavigationLabels(body) {
+  const labels = [];
+  const seen = new Set();
+
+  for (const nav of body.querySelectorAll(NAV_SELECTOR)) {
+    for (const link of nav.querySelectorAll('a, button')) {
+      const text = collapse(link.text);
+      const key = text.toLowerCase();
+
+      if (text && !seen.has(key)) {
+        seen.add(key);
+        labels.push(text);
+      }
+    }
+
+    nav.remove();
+  }
+
+  return labels;
+}
+
+function collectCallToActionLabels(body) {
+  const labels = [];
+  const seen = new Set();
+
+  for (const element of body.querySelectorAll(CTA_SELECTOR)) {
+    const text = collapse(element.text || element.getAttribute('value') || '');
+    const key = text.toLowerCase();
+
+    if (text && text.length <= 80 && !seen.has(key)) {
+      seen.add(key);
+      labels.push(text);
+    }
+  }
+
+  return labels;
+}
+
+/**
+ * Hero: an element explicitly named hero/jumbotron/masthead, otherwise the
+ * <section>/<header> around the first <h1>, otherwise the <h1> itself
+ * (named and <h1> containers alike only up to MAX_HERO_CHARS)
+ */
+function findHero(body) {
+  const named = body.querySelector(HERO_SELECTOR);
+  const namedLength = named ? collapse(named.text).length : 0;
+  if (namedLength > 0 && namedLength <= MAX_HERO_CHARS) {
+    return named;
+  }
+
+  const h1 = body.querySelector('h1');
+  if (!h1) {
+    return null;
+  }
+
+  let container = h1.parentNode;
+  while (container && container !== body) {
+    const tag = (container.rawTagName || '').toLowerCase();
+    if (tag === 'section' || tag === 'header') {
+      return collapse(container.text).length <= MAX_HERO_CHARS ? container : h1;
+    }
+    container = container.parentNode;
+  }
+
+  return h1;
+}
+
+function getTopLevelSections(body) {
+  return body
+    .querySelectorAll('section')
+    .filter(section => !hasAncestor(section, 'section', body));
+}
+
+function hasAncestor(node, tag, stopAt) {
+  let current = node.parentNode;
+  while (current && current !== stopAt) {
+    if ((current.rawTagName || '').toLowerCase() === tag) {
+      return true;
+    }
+    current = current.parentNode;
+  }
+  return false;
+}
+
+/**
+ * Homepage if the file is named like one or the page's canonical URL is the site root
+ */
+function isHomepage(source, metadata) {
+  const url = source.url || metadata.canonicalUrl;
+
+  if (url) {
+    try {
+      return ['', '/', '/index.html', '/home'].includes(new URL(url).pathname.replace(/\/$/, '') || '/');
+    } catch (error) {
+      // Not an absolute URL; fall through to the filename
+    }
+  }
+
+  if (source.filename) {
+    const name = path.basename(source.filename, path.extname(source.filename)).toLowerCase();
+    return /^(index|home|homepage|landing)$/.test(name);
+  }
+
+  return false;
+}
+
+/**
+ * Walk a DOM subtree and append headings, paragraphs, list items and
+ * table rows to a section. Inline content between block elements becomes
+ * its own paragraph.
+ */
+function appendHTMLBlocks(section, node, depth = 0) {
+  appendHTMLNodes(section, node.childNodes, depth);
+}
+
+function appendHTMLNodes(section, nodes, depth = 0) {
+  let inlineText = '';
+
+  const flushInline = () => {
+    addBlock(section, { type: 'paragraph', text: inlineText });
+    inlineText = '';
+  };
+
+  for (const child of nodes) {
+    // Text node
+    if (child.nodeType === 3) {
+      inlineText += child.text;
+      continue;
+    }
+
+    if (child.nodeType !== 1) {
+      continue;
+    }
+
+    const tag = (child.rawTagName || '').toLowerCase();
+
+    if (HTML_SKIPPED_TAGS.includes(tag)) {
+      continue;
+    }
+
+    if (tag === 'br') {
+      inlineText += ' ';
+      continue;
+    }
+
+    if (!HTML_BLOCK_TAGS.includes(tag)) {
+      inlineText += child.text;
+      continue;
+    }
+
+    flushInline();
+
+    if (/^h[1-6]$/.test(tag)) {
+      addBlock(section, { type: 'heading', level: parseInt(tag[1], 10), text: child.text });
+    } else if (tag === 'ul' || tag === 'ol') {
+      appendHTMLList(section, child, tag === 'ol', depth);
+    } else if (tag === 'tr') {
+      addBlock(section, {
+        type: 'table_row',
+        cells: child.childNodes
+          .filter(cell => ['td', 'th'].includes((cell.rawTagName || '').toLowerCase()))
+          .map(cell => cell.text),
+      });
+    } else if (tag === 'p' || tag === 'pre') {
+      addBlock(section, { type: 'paragraph', text: child.text });
+    } else {
+      appendHTMLBlocks(section, child, depth);
+    }
+  }
+
+  flushInline();
+}
+
+function appendHTMLList(section, listNode, ordered, depth) {
+  // <ol start="4"> numbers its items from 4
+  let number = parseInt(listNode.getAttribute('start'), 10) || 1;
+
+  for (const item of listNode.childNodes) {
+    if ((item.rawTagName || '').toLowerCase() !== 'li') {
+      continue;
+    }
+
+    // Item text without its nested lists, which become deeper items
+    const ownText = item.childNodes
+      .filter(node => !['ul', 'ol'].includes((node.rawTagName || '').toLowerCase()))
+      .map(node => node.text)
+      .join(' ');
+
+    addBlock(section, { type: 'list_item', ordered, depth, number, text: ownText });
+    number++;
+
+    for (const nested of item.childNodes) {
+      const nestedTag = (nested.rawTagName || '').toLowerCase();
+      if (nestedTag === 'ul' || nestedTag === 'ol') {
+        appendHTMLList(section, nested, nestedTag === 'ol', depth + 1);
+      }
+    }
+  }
+}
+
+function collapse(text) {
+  return String(text || '').replace(/\s+/g, ' ').trim();
+}
+
+module.exports = {
+  extractFromHTML,
+  appendHTMLBlocks,
+};
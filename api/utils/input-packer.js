@@ -0,0 +1,565 @@
+/**
+ * INPUT PACKING MODULE
+ * Narrative Sparring - Fit every uploaded file into the prompt's token budget
+ *
+ * Replaces the old hard cut at 100,000 characters, which silently dropped
+ * whichever files happened to be uploaded last. Packing works in three steps:
+ *
+ * 1. Measure each file (tokens ≈ characters / 4).
+ * 2. Allocate the budget max-min fairly: first across platforms, then across
+ *    the files of each platform. Small files keep everything; the share they
+ *    don't need goes to the larger ones.
+ * 3. Condense only the files over their allocation, least destructive first:
+ *    dedupe boilerplate repeated across files, trim legal/footer text,
+ *    shorten long sections to their lead sentences, cut the tail of each
+ *    section (each keeps its opening), and as a last resort leave out the
+ *    final parts.
+ *
+ * Every removal is recorded so it can be stored with the analysis and listed
+ * in the report appendix.
+ */
+
+const { renderOutline } = require('./document-model');
+const { formatMaterialsText } = require('./file-extractor');
+const { formatInventory } = require('./platform-classifier');
+
+// ~25k tokens matches the old 100KB limit that fits the 60s timeout
+const DEFAULT_BUDGET_TOKENS = 25000;
+const CHARS_PER_TOKEN = 4;
+
+// Per-file header ("=== FILE: ... | PLATFORM: ... ===") plus separators
+const FILE_HEADER_TOKENS = 30;
+
+// Parts (a page, slide or heading's content) longer than this are
+// candidates for lead-sentence condensing
+const LONG_PART_TOKENS = 150;
+
+// Every part keeps at least this much of its opening when the tail is cut
+const MIN_PART_OPENING_TOKENS = 40;
+
+// Below this there is no point cutting a block; it is left out instead
+const MIN_CUT_BLOCK_TOKENS = 8;
+
+// "[… N words omitted to fit the analysis budget]" plus its line breaks
+const OMISSION_MARKER_TOKENS = 14;
+
+// Blocks shorter than this are too generic to call boilerplate ("Home", "Contact")
+const MIN_BOILERPLATE_CHARS = 25;
+
+const LEGAL_PATTERN = /©|\(c\)\s*\d{4}|all rights reserved|privacy policy|terms (of|and) (service|use|conditions)|cookie|disclaimer|unsubscribe|confidential(ity)? notice|registered (office|in england)|company (no|number)/i;
+
+/**
+ * Estimate tokens for a string
+ */
+function estimateTokens(text) {
+  return Math.ceil((text || '').length / CHARS_PER_TOKEN);
+}
+
+/**
+ * Pack extracted materials into the token budget
+ * @param {Object} extraction - Result of extractTextFromFiles (documents, classifications)
+ * @param {Object} options - { budgetTokens }
+ * @returns {Object} - { text, tokens, budgetTokens, condensed, files: [fileReport] }
+ *   fileReport = { filename, platform, originalTokens, allocatedTokens, packedTokens, cuts: [cut] }
+ *   cut = { step, description, tokensRemoved }
+ */
+function packMaterials(extraction, options = {}) {
+  const { budgetTokens = DEFAULT_BUDGET_TOKENS } = options;
+
+  const entries = measureEntries(extraction);
+
+  const inventoryTokens = estimateTokens(
+    formatInventory(entries.map(entry => ({ filename: entry.filename, ...entry.classification })))
+  );
+  const materialsBudget = Math.max(budgetTokens - inventoryTokens, 0);
+
+  allocateBudget(entries, materialsBudget);
+
+  const files = condenseEntries(entries);
+  const text = formatMaterialsText(files);
+
+  return {
+    text,
+    tokens: estimateTokens(text),
+    budgetTokens,
+    perFile: false,
+    condensed: files.some(file => file.cuts.length > 0),
+    files: files.map(toFileReport),
+  };
+}
+
+/**
+ * Pack each file on its own budget (map-reduce mode reads files one per call)
+ * @param {Object} extraction - Result of extractTextFromFiles (documents, classifications)
+ * @param {Object} options - { budgetTokens } - per file
+ * @returns {Object} - { budgetTokens, perFile, condensed, files: [fileReport + { text }] }
+ */
+function packEachDocument(extraction, options = {}) {
+  const { budgetTokens = DEFAULT_BUDGET_TOKENS } = options;
+
+  const entries = measureEntries(extraction);
+  entries.forEach(entry => {
+    entry.allocatedTokens = budgetTokens;
+  });
+
+  const files = condenseEntries(entries);
+
+  return {
+    budgetTokens,
+    perFile: true,
+    condensed: files.some(file => file.cuts.length > 0),
+    files: files.map(file => ({ ...toFileReport(file), text: file.text })),
+  };
+}
+
+function measureEntries(extraction) {
+  return extraction.documents.map((document, index) => {
+    const classification = extraction.classifications[index];
+    const text = renderOutline(document);
+
+    return {
+      filename: document.filename,
+      document,
+      classification,
+      text,
+      originalTokens: estimateTokens(text) + FILE_HEADER_TOKENS,
+    };
+  });
+}
+
+/**
+ * Condense every entry that is over its allocatedTokens
+ */
+function condenseEntries(entries) {
+  const boilerplate = findRepeatedBlocks(entries.map(entry => entry.document));
+
+  return entries.map(entry => {
+    if (entry.originalTokens <= entry.allocatedTokens) {
+      entry.cuts = [];
+      entry.packedTokens = entry.originalTokens;
+      return entry;
+    }
+
+    const targetTokens = Math.max(entry.allocatedTokens - FILE_HEADER_TOKENS, 0);
+    const { document, cuts } = condenseDocument(entry.document, targetTokens, boilerplate);
+
+    entry.text = renderOutline(document);
+    entry.cuts = cuts;
+    entry.packedTokens = estimateTokens(entry.text) + FILE_HEADER_TOKENS;
+    return entry;
+  });
+}
+
+function toFileReport(entry) {
+  return {
+    filename: entry.filename,
+    platform: entry.classification.platform,
+    originalTokens: entry.originalTokens,
+    allocatedTokens: entry.allocatedTokens,
+    packedTokens: entry.packedTokens,
+    cuts: entry.cuts,
+  };
+}
+
+/**
+ * Max-min fair allocation across platforms, then across files per platform.
+ * Sets entry.allocatedTokens on every entry.
+ */
+function allocateBudget(entries, budget) {
+  const byPlatform = new Map();
+
+  for (const entry of entries) {
+    const platform = entry.classification.platform;
+    if (!byPlatform.has(platform)) {
+      byPlatform.set(platform, []);
+    }
+    byPlatform.get(platform).push(entry);
+  }
+
+  const platforms = [...byPlatform.entries()].map(([platform, group]) => ({
+    platform,
+    group,
+    demand: group.reduce((sum, entry) => sum + entry.originalTokens, 0),
+  }));
+
+  waterFill(platforms, budget).forEach((platformShare, i) => {
+    const group = platforms[i].group;
+    const fileDemands = group.map(entry => ({ demand: entry.originalTokens }));
+
+    waterFill(fileDemands, platformShare).forEach((share, j) => {
+      group[j].allocatedTokens = Math.floor(share);
+    });
+  });
+}
+
+/**
+ * Split a budget so no claimant gets more than it asks for and the rest is
+ * shared equally (smallest demands are satisfied first)
+ * @param {Array} claims - [{ demand }]
+ * @returns {Array<number>} - allocation per claim, same order
+ */
+function waterFill(claims, budget) {
+  const order = claims
+    .map((claim, index) => ({ index, demand: claim.demand }))
+    .sort((a, b) => a.demand - b.demand);
+
+  const allocations = new Array(claims.length).fill(0);
+  let remaining = budget;
+
+  order.forEach((claim, position) => {
+    const fairShare = remaining / (order.length - position);
+    const allocation = Math.min(claim.demand, fairShare);
+    allocations[claim.index] = allocation;
+    remaining -= allocation;
+  });
+
+  return allocations;
+}
+
+/**
+ * Block texts that occur more than once across all documents, mapped to the
+ * occurrence that is kept (the first one)
+ * @returns {Map<string, Object>} - normalized text -> { document, offset }
+ */
+function findRepeatedBlocks(documents) {
+  const firstSeen = new Map();
+  const repeated = new Map();
+
+  for (const document of documents) {
+    for (const section of document.sections) {
+      for (const block of section.blocks) {
+        if (block.text.length < MIN_BOILERPLATE_CHARS) {
+          continue;
+        }
+
+        const key = normalizeForComparison(block.text);
+        if (firstSeen.has(key)) {
+          repeated.set(key, firstSeen.get(key));
+        } else {
+          firstSeen.set(key, { document, offset: block.offset });
+        }
+      }
+    }
+  }
+
+  return repeated;
+}
+
+/**
+ * Condense a copy of a document until its outline fits targetTokens
+ * @returns {Object} - { document, cuts }
+ */
+function condenseDocument(original, targetTokens, boilerplate) {
+  const document = cloneDocument(original);
+  const cuts = [];
+  const fits = () => estimateTokens(renderOutline(document)) <= targetTokens;
+
+  const record = (step, description, before) => {
+    const removed = before - estimateTokens(renderOutline(document));
+    if (removed > 0) {
+      cuts.push({ step, description, tokensRemoved: removed });
+    }
+  };
+
+  // Step 1: Boilerplate repeated across files (keep the first occurrence)
+  let before = estimateTokens(renderOutline(document));
+  let count = 0;
+  for (const section of document.sections) {
+    section.blocks = section.blocks.filter(block => {
+      const keeper = boilerplate.get(normalizeForComparison(block.text));
+      const isDuplicate = keeper && !(keeper.document === original && keeper.offset === block.offset);
+      if (isDuplicate) {
+        count++;
+      }
+      return !isDuplicate;
+    });
+  }
+  record('dedupe', `Removed ${count} block(s) repeated from other files or earlier in this file`, before);
+  if (fits()) {
+    return { document, cuts };
+  }
+
+  // Step 2: Legal and footer text
+  before = estimateTokens(renderOutline(document));
+  count = 0;
+  for (const section of document.sections) {
+    if (section.label && /footer/i.test(section.label)) {
+      count += section.blocks.length;
+      section.blocks = [];
+      continue;
+    }
+    section.blocks = section.blocks.filter(block => {
+      const isLegal = LEGAL_PATTERN.test(block.text) && block.text.length < 400;
+      if (isLegal) {
+        count++;
+      }
+      return !isLegal;
+    });
+  }
+  document.sections = document.sections.filter(section =>
+    section.blocks.length > 0 || section.kind === 'page' || section.kind === 'slide'
+  );
+  record('trim_legal', `Removed ${count} footer/legal block(s)`, before);
+  if (fits()) {
+    return { document, cuts };
+  }
+
+  // Step 3: Long parts keep headings, list items and their first paragraph
+  // whole; later paragraphs shrink to their lead sentence
+  before = estimateTokens(renderOutline(document));
+  const shortened = [];
+  for (const part of splitIntoParts(document)) {
+    if (countTokens(part.blocks) <= LONG_PART_TOKENS) {
+      continue;
+    }
+
+    let seenParagraph = false;
+    for (const block of part.blocks) {
+      if (block.type !== 'paragraph') {
+        continue;
+      }
+      if (!seenParagraph) {
+        seenParagraph = true;
+        continue;
+      }
+      const lead = leadSentence(block.text);
+      if (lead.length < block.text.length) {
+        block.text = `${lead} […]`;
+      }
+    }
+    shortened.push(part.name);
+  }
+  if (shortened.length > 0) {
+    record('condense_sections', `Shortened paragraphs to lead sentences in: ${summarizeNames(shortened)}`, before);
+  }
+  if (fits()) {
+    return { document, cuts };
+  }
+
+  // Step 4: Cut the tail of every part, so each page, slide or heading keeps
+  // its opening. Parts smaller than their fair share keep everything and
+  // what they don't use goes to the larger ones; a block bigger than what is
+  // left is cut inside, at a sentence or word boundary
+  before = estimateTokens(renderOutline(document));
+  const tailParts = splitIntoParts(document);
+  const partTokens = tailParts.map(part => countTokens(part.blocks));
+  const layoutTokens = Math.max(before - partTokens.reduce((sum, tokens) => sum + tokens, 0), 0);
+  const available = Math.max(targetTokens - layoutTokens - tailParts.length * OMISSION_MARKER_TOKENS, 0);
+  const allowances = waterFill(partTokens.map(demand => ({ demand })), available)
+    .map((allowance, i) => Math.max(Math.floor(allowance), Math.min(partTokens[i], MIN_PART_OPENING_TOKENS)));
+  const truncated = [];
+
+  // Last part first, so splicing one leaves the start index of the next valid
+  for (let i = tailParts.length - 1; i >= 0; i--) {
+    const part = tailParts[i];
+
+    if (partTokens[i] <= allowances[i]) {
+      continue;
+    }
+
+    const { blocks, droppedWords } = cutBlocksToTokens(part.blocks, allowances[i]);
+    blocks.push({
+      type: 'paragraph',
+      text: `[… ${droppedWords} words omitted to fit the analysis budget]`,
+      offset: null,
+    });
+
+    part.section.blocks.splice(part.start, part.blocks.length, ...blocks);
+    truncated.unshift(part.name);
+  }
+  record('truncate', `Cut the end of: ${summarizeNames(truncated)}`, before);
+  if (fits()) {
+    return { document, cuts };
+  }
+
+  // Step 5: Too many parts to keep even their openings; drop whole parts
+  // from the end of the file
+  before = estimateTokens(renderOutline(document));
+  const dropped = [];
+  const parts = splitIntoParts(document);
+
+  while (parts.length > 1 && !fits()) {
+    const part = parts.pop();
+    part.section.blocks.splice(part.start, part.blocks.length);
+    dropped.unshift(part.name);
+    document.sections = document.sections.filter(section => section.blocks.length > 0);
+  }
+
+  if (dropped.length > 0) {
+    const lastSection = document.sections[document.sections.length - 1];
+    lastSection.blocks.push({
+      type: 'paragraph',
+      text: `[… ${dropped.length} more part(s) omitted to fit the analysis budget]`,
+      offset: null,
+    });
+    record('drop_parts', `Left out entirely: ${summarizeNames(dropped)}`, before);
+  }
+
+  return { document, cuts };
+}
+
+/**
+ * Opening of a part that fits maxTokens: whole blocks while they fit, then
+ * the start of the next one (a heading always keeps some text after it)
+ * @returns {Object} - { blocks, droppedWords }
+ */
+function cutBlocksToTokens(blocks, maxTokens) {
+  const kept = [];
+  let used = 0;
+  let droppedWords = 0;
+
+  for (const block of blocks) {
+    const blockTokens = estimateTokens(block.text);
+    const left = maxTokens - used;
+
+    if (droppedWords === 0 && blockTokens <= left) {
+      kept.push(block);
+      used += blockTokens + 1;
+      continue;
+    }
+
+    const headingOnly = kept.length > 0 && kept[kept.length - 1].type === 'heading';
+    const room = Math.max(left, headingOnly || kept.length === 0 ? MIN_PART_OPENING_TOKENS : 0);
+
+    if (droppedWords === 0 && block.text && room >= MIN_CUT_BLOCK_TOKENS) {
+      const text = cutTextToChars(block.text, room * CHARS_PER_TOKEN);
+      kept.push({ ...block, text: `${text} […]` });
+      used = maxTokens;
+      droppedWords += countWords(block.text) - countWords(text);
+      continue;
+    }
+
+    droppedWords += countWords(block.text);
+  }
+
+  return { blocks: kept, droppedWords };
+}
+
+/**
+ * Start of a text up to maxChars, ending at a sentence if one ends in the
+ * second half, else at a word
+ */
+function cutTextToChars(text, maxChars) {
+  if (text.length <= maxChars) {
+    return text;
+  }
+
+  const slice = text.slice(0, maxChars);
+  const sentenceEnd = Math.max(...['. ', '! ', '? ', '\n'].map(mark => slice.lastIndexOf(mark)));
+
+  if (sentenceEnd >= maxChars / 2) {
+    return slice.slice(0, sentenceEnd + 1).trimEnd();
+  }
+
+  const wordEnd = slice.lastIndexOf(' ');
+  return (wordEnd > 0 ? slice.slice(0, wordEnd) : slice).trimEnd();
+}
+
+function countWords(text) {
+  return (text || '').split(/\s+/).filter(Boolean).length;
+}
+
+/**
+ * Markdown appendix listing every cut, appended to the report
+ * @returns {string} - empty when nothing was condensed
+ */
+function formatPackingAppendix(packing) {
+  if (!packing.condensed) {
+    return '';
+  }
+
+  const lines = [
+    '## APPENDIX: MATERIALS COVERAGE',
+    '',
+    `Materials were condensed to fit an input budget of ~${packing.budgetTokens.toLocaleString('en-US')} tokens${packing.perFile ? ' per file' : ''}. Every file was included; these parts were shortened or left out:`,
+    '',
+  ];
+
+  for (const file of packing.files) {
+    if (file.cuts.length === 0) {
+      continue;
+    }
+
+    const kept = Math.round((file.packedTokens / file.originalTokens) * 100);
+    lines.push(`### ${file.filename} (${kept}% kept)`);
+    file.cuts.forEach(cut => lines.push(`- ${cut.description} (~${cut.tokensRemoved.toLocaleString('en-US')} tokens)`));
+    lines.push('');
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Split sections into heading-delimited parts, so one long DOCX or Markdown
+ * body is condensed heading by heading instead of as a single block
+ * @returns {Array} - [{ section, start, blocks, name }]
+ */
+function splitIntoParts(document) {
+  const parts = [];
+
+  for (const section of document.sections) {
+    const sectionParts = [];
+    let current = null;
+
+    section.blocks.forEach((block, index) => {
+      if (!current || block.type === 'heading') {
+        current = {
+          section,
+          start: index,
+          blocks: [],
+          name: block.type === 'heading' && section.blocks.length > 1
+            ? `${describeSection(section)} › ${block.text}`
+            : describeSection(section),
+        };
+        sectionParts.push(current);
+      }
+      current.blocks.push(block);
+    });
+
+    parts.push(...sectionParts);
+  }
+
+  return parts;
+}
+
+function countTokens(blocks) {
+  return estimateTokens(blocks.map(block => block.text).join('\n'));
+}
+
+function summarizeNames(names) {
+  const unique = [...new Set(names)];
+  if (unique.length === 0) {
+    return 'nothing';
+  }
+  return unique.length > 5
+    ? `${unique.slice(0, 5).join(', ')} and ${unique.length - 5} more`
+    : unique.join(', ');
+}
+
+function describeSection(section) {
+  if (section.kind === 'page' || section.kind === 'slide') {
+    return `${section.kind === 'page' ? 'Page' : 'Slide'} ${section.number}`;
+  }
+  return section.label || 'body text';
+}
+
+function leadSentence(text) {
+  const match = text.match(/^.{20,}?[.!?](\s|$)/);
+  return match ? match[0].trim() : text;
+}
+
+function normalizeForComparison(text) {
+  return text.toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+function cloneDocument(document) {
+  return JSON.parse(JSON.stringify(document));
+}
+
+module.exports = {
+  packMaterials,
+  packEachDocument,
+  formatPackingAppendix,
+  estimateTokens,
+  DEFAULT_BUDGET_TOKENS,
+};
@@ -0,0 +1,403 @@
+/**
+ * LINKEDIN EXPORT EXTRACTION MODULE
+ * Narrative Sparring - Read LinkedIn's "Download your data" archive
+ *
+ * Pulls the parts the LINKEDIN ANALYSIS phase asks about out of the ZIP
+ * (Profile.csv, Profile Summary.csv, Positions.csv, Shares.csv, Articles/)
+ * and labels them:
+ *
+ *   [Profile]        name, headline, industry, location, websites
+ *   [About]          profile summary (Profile.csv, or Profile Summary.csv in newer exports)
+ *   [Positions]      title, company, dates, description
+ *   [Recent posts]   last N posts with dates
+ *   [Article: ...]   long-form articles, newest first
+ */
+
+const JSZip = require('jszip');
+const path = require('path');
+const { parse: parseHtml } = require('node-html-parser');
+const { createDocument, addSection, addBlock } = require('./document-model');
+const { appendHTMLBlocks } = require('./html-extractor');
+
+const MAX_POSTS = 20;
+const MAX_ARTICLES = 5;
+
+// Entries that inflate past this are skipped (zip bomb guard, counted while inflating)
+const MAX_ENTRY_BYTES = 5 * 1024 * 1024; // 5MB
+
+// Any of these at any depth marks the archive as a LinkedIn export, even a
+// partial one (LinkedIn lets you download just some categories)
+const LINKEDIN_MARKER_FILES = [
+  'profile.csv',
+  'profile summary.csv',
+  'positions.csv',
+  'shares.csv',
+  'comments.csv',
+  'reactions.csv',
+  'rich_media.csv',
+  'education.csv',
+  'skills.csv',
+  'certifications.csv',
+  'languages.csv',
+  'projects.csv',
+  'publications.csv',
+  'honors.csv',
+  'courses.csv',
+  'volunteering.csv',
+  'recommendations_received.csv',
+  'recommendations_given.csv',
+  'endorsement_received_info.csv',
+  'connections.csv',
+  'invitations.csv',
+  'messages.csv',
+  'email addresses.csv',
+  'phonenumbers.csv',
+  'registration.csv',
+  'company follows.csv',
+  'learning.csv',
+];
+
+// Long-form posts come as one HTML file each under Articles/
+const LINKEDIN_ARTICLE_PATTERN = /(^|\/)articles\/.*\.html?$/i;
+
+/**
+ * Extract a labeled LinkedIn document from an export ZIP
+ * @param {Buffer} buffer - ZIP archive
+ * @param {Object} options - { maxPosts, maxArticles }
+ * @returns {Object} - { success, document, postCount, error }
+ */
+async function extractFromLinkedInExport(buffer, options = {}) {
+  const {
+    maxPosts = MAX_POSTS,
+    maxArticles = MAX_ARTICLES,
+  } = options;
+
+  try {
+    const zip = await JSZip.loadAsync(buffer);
+
+    if (!hasLinkedInMarkers(zip)) {
+      return {
+        success: false,
+        error: 'ZIP extraction error: archive is not a LinkedIn data export (no LinkedIn CSV files or Articles folder)',
+      };
+    }
+
+    const document = createDocument('LinkedIn');
+
+    const profile = (await readCsvEntry(zip, 'profile.csv'))[0];
+    if (profile) {
+      appendProfile(document, profile);
+    }
+
+    // Newer exports leave Summary out of Profile.csv and ship it on its own
+    const summary = (profile && profile.Summary) || await readProfileSummary(zip);
+    if (summary) {
+      appendAbout(document, summary);
+    }
+
+    const positions = await readCsvEntry(zip, 'positions.csv');
+    if (positions.length > 0) {
+      appendPositions(document, positions);
+    }
+
+    const shares = await readCsvEntry(zip, 'shares.csv');
+    const posts = shares
+      .filter(share => share.ShareCommentary || share.SharedUrl)
+      .sort((a, b) => String(b.Date || '').localeCompare(String(a.Date || '')))
+      .slice(0, maxPosts);
+
+    if (posts.length > 0) {
+      appendPosts(document, posts, shares.length);
+    }
+
+    await appendArticles(document, zip, maxArticles);
+
+    return {
+      success: true,
+      document,
+      postCount: posts.length,
+    };
+  } catch (error) {
+    return {
+      success: false,
+      error: `ZIP extraction error: ${error.message}`,
+    };
+  }
+}
+
+/**
+ * Cheap check used by upload validation
+ * @returns {Promise<boolean>}
+ */
+async function isLinkedInExport(buffer) {
+  try {
+    return hasLinkedInMarkers(await JSZip.loadAsync(buffer));
+  } catch (error) {
+    return false;
+  }
+}
+
+function hasLinkedInMarkers(zip) {
+  return Object.keys(zip.files).some(name =>
+    LINKEDIN_MARKER_FILES.includes(path.posix.basename(name).toLowerCase()) ||
+    LINKEDIN_ARTICLE_PATTERN.test(name)
+  );
+}
+
+function appendProfile(document, profile) {
+  const section = addSection(document, { kind: 'region', label: 'Profile' });
+  const name = [profile['First Name'], profile['Last Name']].filter(Boolean).join(' ');
+
+  const fields = [
+    ['Name', name],
+    ['Headline', profile.Headline],
+    ['Industry', profile.Industry],
+    ['Location', profile['Geo Location']],
+    ['Websites', cleanWebsites(profile.Websites)],
+  ];
+
+  for (const [label, value] of fields) {
+    if (value) {
+      addBlock(section, { type: 'paragraph', text: `${label}: ${value}` });
+    }
+  }
+}
+
+function appendAbout(document, summary) {
+  const section = addSection(document, { kind: 'region', label: 'About' });
+  summary
+    .split(/\n\s*\n/)
+    .forEach(text => addBlock(section, { type: 'paragraph', text, preserveLineBreaks: true }));
+}
+
+function appendPositions(document, positions) {
+  const section = addSection(document, { kind: 'region', label: 'Positions' });
+
+  for (const position of positions) {
+    const dates = [position['Started On'], position['Finished On'] || 'Present']
+      .filter(Boolean)
+      .join(' – ');
+    const heading = [position.Title, position['Company Name']].filter(Boolean).join(' — ');
+
+    addBlock(section, { type: 'heading', level: 3, text: `${heading}${dates ? ` (${dates})` : ''}` });
+    addBlock(section, { type: 'paragraph', text: position.Description, preserveLineBreaks: true });
+  }
+}
+
+function appendPosts(document, posts, totalShares) {
+  const label = totalShares > posts.length
+    ? `Recent posts (latest ${posts.length} of ${totalShares})`
+    : 'Recent posts';
+  const section = addSection(document, { kind: 'region', label });
+
+  for (const post of posts) {
+    const date = String(post.Date || '').split(' ')[0] || 'Undated';
+    addBlock(section, { type: 'heading', level: 3, text: `Post — ${date}` });
+
+    if (post.ShareCommentary) {
+      addBlock(section, { type: 'paragraph', text: cleanCommentary(post.ShareCommentary), preserveLineBreaks: true });
+    }
+
+    if (post.SharedUrl) {
+      addBlock(section, { type: 'paragraph', text: `Shared link: ${post.SharedUrl}` });
+    }
+  }
+}
+
+async function appendArticles(document, zip, maxArticles) {
+  const articleFiles = Object.values(zip.files)
+    .filter(entry => !entry.dir && LINKEDIN_ARTICLE_PATTERN.test(entry.name));
+
+  const articles = [];
+
+  for (const entry of articleFiles) {
+    const html = await readEntryLimited(entry);
+    if (html === null) {
+      continue;
+    }
+
+    const root = parseHtml(html);
+    const titleNode = root.querySelector('h1') || root.querySelector('title');
+    const dateNode = root.querySelector('.published') || root.querySelector('.created');
+
+    articles.push({
+      root,
+      title: titleNode ? titleNode.text.trim() : path.posix.basename(entry.name, '.html'),
+      date: dateNode ? dateNode.text.replace(/^(Published|Created) on\s*/i, '').trim() : '',
+    });
+  }
+
+  articles
+    .sort((a, b) => b.date.localeCompare(a.date))
+    .slice(0, maxArticles)
+    .forEach(article => {
+      const section = addSection(document, { kind: 'region', label: `Article: ${article.title}` });
+
+      if (article.date) {
+        addBlock(section, { type: 'paragraph', text: `Published: ${article.date}` });
+      }
+
+      // Title and date are already in the label/first line
+      article.root.querySelectorAll('h1, .published, .created, title').forEach(node => node.remove());
+      appendHTMLBlocks(section, article.root.querySelector('body') || article.root);
+    });
+}
+
+/**
+ * About text from Profile Summary.csv (one "Profile Summary" column)
+ * @returns {Promise<string|null>}
+ */
+async function readProfileSummary(zip) {
+  const row = (await readCsvEntry(zip, 'profile summary.csv'))[0];
+  return row ? row['Profile Summary'] || row.Summary || null : null;
+}
+
+/**
+ * Read a CSV entry by basename (exports nest files differently across years)
+ * @returns {Promise<Array<Object>>} - rows keyed by header
+ */
+async function readCsvEntry(zip, basename) {
+  const entry = Object.values(zip.files).find(file =>
+    !file.dir && path.posix.basename(file.name).toLowerCase() === basename
+  );
+
+  const text = entry ? await readEntryLimited(entry) : null;
+
+  if (text === null) {
+    return [];
+  }
+
+  const [header, ...rows] = parseCsv(text.replace(/^\uFEFF/, ''));
+
+  if (!header) {
+    return [];
+  }
+
+  return rows
+    .filter(row => row.some(cell => cell.trim()))
+    .map(row => Object.fromEntries(header.map((name, i) => [name.trim(), (row[i] || '').trim()])));
+}
+
+/**
+ * RFC 4180 CSV parser: quoted fields may contain commas, newlines and "" escapes
+ * @returns {Array<Array<string>>}
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows;
+}
+
+/**
+ * Inflate an entry as UTF-8 text, stopping as soon as it passes
+ * MAX_ENTRY_BYTES (the sizes in the ZIP header can lie)
+ * @returns {Promise<string|null>} - null when the entry is too large
+ */
+function readEntryLimited(entry) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let total = 0;
+    let done = false;
+
+    const stream = entry.internalStream('uint8array');
+
+    stream
+      .on('data', chunk => {
+        if (done) {
+          return;
+        }
+
+        total += chunk.length;
+        if (total > MAX_ENTRY_BYTES) {
+          done = true;
+          stream.pause();
+          resolve(null);
+          return;
+        }
+
+        chunks.push(Buffer.from(chunk));
+      })
+      .on('error', error => {
+        if (!done) {
+          done = true;
+          reject(error);
+        }
+      })
+      .on('end', () => {
+        if (!done) {
+          done = true;
+          resolve(Buffer.concat(chunks, total).toString('utf-8'));
+        }
+      })
+      .resume();
+  });
+}
+
+/**
+ * Websites column looks like "[PERSONAL:https://a.com,COMPANY:https://b.com]"
+ */
+function cleanWebsites(value) {
+  if (!value) {
+    return '';
+  }
+
+  return value
+    .replace(/^\[|\]$/g, '')
+    .split(',')
+    .map(site => site.replace(/^[A-Z_]+:/, '').trim())
+    .filter(Boolean)
+    .join(', ');
+}
+
+/**
+ * Shares.csv doubles quotes inside commentary that is already quoted
+ */
+function cleanCommentary(value) {
+  return value.replace(/""/g, '"').replace(/^"|"$/g, '');
+}
+
+module.exports = {
+  extractFromLinkedInExport,
+  isLinkedInExport,
+};
@@ -0,0 +1,50 @@
+/**
+ * LLM PROVIDER MODULE
+ * Narrative Sparring - Which backend answers the model calls
+ *
+ * claude-client.js never talks to an SDK directly; it asks for a provider
+ * and sends it one request at a time. A provider is a module exporting:
+ *
+ *   createMessage(request)          -> { text, stopReason, usage: { input, output, cacheWrite, cacheRead } }
+ *   streamMessage(request, onText)  -> same, calling onText(delta) as text arrives
+ *
+ * request: { model, system, messages, maxTokens, temperature, prompt, section, cachePrefix }
+ *   prompt      - prompt name from the prompt set (e.g. "quality_review")
+ *   section     - report section key, for section prompts
+ *   cachePrefix - start of the first user message that other calls share
+ *                 (the materials context); cached with the system prompt
+ *
+ * usage.input is the uncached input; cacheWrite / cacheRead are the input
+ * tokens written to and read from the prompt cache (0 when not cached).
+ *
+ * Failures are thrown with the SDK's `status` / `code` so the retry logic
+ * in claude-client.js works the same for every provider.
+ *
+ * LLM_PROVIDER picks the provider: "anthropic" (default) or "mock", which
+ * answers from fixtures without a network call or API key.
+ */
+
+const PROVIDERS = {
+  anthropic: () => require('./anthropic-provider'),
+  mock: () => require('./mock-provider'),
+};
+
+/**
+ * Provider by name (default: LLM_PROVIDER, else "anthropic")
+ * @param {string} name - Key of PROVIDERS
+ * @returns {Object} - { name, createMessage, streamMessage }
+ */
+function getProvider(name = process.env.LLM_PROVIDER || 'anthropic') {
+  const load = PROVIDERS[name];
+
+  if (!load) {
+    throw new Error(`Unknown LLM provider "${name}" (expected one of: ${Object.keys(PROVIDERS).join(', ')})`);
+  }
+
+  return { name, ...load() };
+}
+
+module.exports = {
+  getProvider,
+  PROVIDER_NAMES: Object.keys(PROVIDERS),
+};
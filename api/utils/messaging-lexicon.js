@@ -0,0 +1,73 @@
+/**
+ * MESSAGING LEXICON
+ * Narrative Sparring - Word lists for the messaging linter
+ *
+ * Maintained by hand. Terms are lowercase; hyphens and spaces are
+ * interchangeable when matching ("best-in-class" also matches "best in
+ * class"). Add a term when it shows up in client materials as filler rather
+ * than meaning; keep a word out if it is often the plain name of the thing
+ * (e.g. "software", "platform" on its own).
+ */
+
+// Jargon Overload: corporate speak that says nothing specific
+const BUZZWORDS = [
+  // Verbs
+  'leverage', 'leverages', 'leveraging', 'synergize', 'empower', 'empowers', 'empowering',
+  'unlock', 'unlocks', 'unlocking', 'optimize', 'optimizes', 'streamline', 'streamlines',
+  'revolutionize', 'revolutionizes', 'disrupt', 'disrupting', 'transform', 'transforms', 'reimagine',
+  'supercharge', 'turbocharge', 'future-proof', 'operationalize', 'incentivize',
+  'ideate', 'evangelize', 'elevate', 'amplify',
+  // Adjectives
+  'innovative', 'disruptive', 'cutting-edge', 'bleeding-edge', 'state-of-the-art',
+  'next-generation', 'next-gen', 'game-changing', 'revolutionary', 'transformative',
+  'seamless', 'seamlessly', 'robust', 'scalable', 'holistic', 'end-to-end', 'turnkey',
+  'mission-critical', 'frictionless', 'dynamic', 'best-of-breed', 'data-driven',
+  'ai-powered', 'customer-centric', 'results-driven', 'purpose-driven', 'impactful',
+  'world-class', 'best-in-class', 'industry-leading', 'market-leading',
+  'value-added', 'strategic', 'comprehensive', 'bespoke',
+  // Nouns and phrases
+  'synergy', 'synergies', 'paradigm shift', 'paradigm', 'thought leader', 'thought leadership',
+  'value proposition', 'value-add', 'core competency', 'core competencies', 'best practices',
+  'ecosystem', 'solutions provider', 'one-stop shop', 'deep dive', 'low-hanging fruit',
+  'move the needle', 'circle back', 'bandwidth', 'actionable insights', '360-degree',
+  'win-win', 'north star', 'secret sauce', 'at scale', 'digital transformation',
+  'growth hacking', 'key stakeholders',
+];
+
+// Vague claims: assertions with no number, name or proof attached
+const VAGUE_CLAIMS = [
+  'leading provider', 'a leader in', 'the leader in', 'trusted by thousands', 'trusted by leading',
+  'proven results', 'proven track record', 'high-quality', 'top-notch', 'unparalleled',
+  'second to none', 'unmatched', 'exceptional service', 'a wide range of', 'tailored solutions',
+  'take your business to the next level', 'to the next level', 'committed to excellence',
+  'passionate about', 'customer satisfaction', 'results you can trust', 'peace of mind',
+  'helping businesses grow', 'we help businesses', 'drive growth', 'drive results',
+  'maximize value', 'maximize roi', 'any size', 'all sizes', 'countless', 'numerous clients',
+  'many clients', 'so much more', 'and more',
+];
+
+// Borrowed Positioning: "the [Brand] for/of [industry]" with a well-known brand
+const BORROWED_BRANDS = [
+  'Uber', 'Airbnb', 'Netflix', 'Amazon', 'Spotify', 'Tesla', 'Apple', 'Google', 'Salesforce',
+  'Stripe', 'Shopify', 'Slack', 'Zillow', 'Tinder', 'LinkedIn', 'Peloton', 'Canva', 'Notion',
+  'Figma', 'Duolingo', 'Etsy', 'Zappos', 'Zoom', 'HubSpot', 'Mailchimp', 'Dropbox', 'Airtable',
+  'Robinhood', 'Venmo', 'Instagram', 'TikTok', 'YouTube', 'Facebook', 'Twitter', 'WhatsApp',
+  'Warby Parker', 'Costco', 'Starbucks', 'Disney', 'Nike', 'Ikea', 'Wikipedia', 'Yelp',
+  'Expedia', 'Calendly', 'Zapier', 'Squarespace', 'Wix', 'Grammarly', 'Headspace', 'OpenAI',
+  'ChatGPT',
+];
+
+// Irregular past participles for the passive voice check (regular ones end in -ed)
+const IRREGULAR_PARTICIPLES = [
+  'built', 'made', 'done', 'given', 'seen', 'taken', 'written', 'driven', 'chosen', 'shown',
+  'grown', 'held', 'led', 'found', 'told', 'paid', 'sold', 'brought', 'bought', 'thought',
+  'caught', 'taught', 'known', 'run', 'won', 'sent', 'spent', 'kept', 'left', 'meant', 'put',
+  'set', 'begun', 'broken', 'forgotten', 'hidden', 'spoken', 'stolen', 'understood', 'born',
+];
+
+module.exports = {
+  BUZZWORDS,
+  VAGUE_CLAIMS,
+  BORROWED_BRANDS,
+  IRREGULAR_PARTICIPLES,
+};
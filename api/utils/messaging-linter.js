@@ -0,0 +1,354 @@
+/**
+ * MESSAGING LINTER MODULE
+ * Narrative Sparring - Measurable messaging problems, no LLM needed
+ *
+ * Runs over each extracted file and counts what the blind-spot taxonomy
+ * calls Jargon Overload and Borrowed Positioning:
+ *
+ *   buzzwords      - hits from messaging-lexicon.js, per 100 words
+ *   "X for Y"      - "we're the Uber for ..." style positioning
+ *   reading grade  - Flesch-Kincaid grade level
+ *   sentences      - average length, share over 25 words
+ *   passive voice  - share of sentences with a passive construction
+ *   vague claims   - "industry-leading", "proven results" and the like
+ *
+ * The numbers go into the Claude prompt (so the report cites them instead of
+ * guessing) and into a table in the report appendix.
+ */
+
+const { BUZZWORDS, VAGUE_CLAIMS, BORROWED_BRANDS, IRREGULAR_PARTICIPLES } = require('./messaging-lexicon');
+const { PLATFORMS } = require('./platform-classifier');
+
+// Below this many words the readability numbers mean little
+const MIN_WORDS_FOR_READABILITY = 50;
+
+const LONG_SENTENCE_WORDS = 25;
+
+// Terms and examples listed per file
+const MAX_LISTED = 5;
+
+const BUZZWORD_PATTERNS = buildPatterns(BUZZWORDS);
+const VAGUE_PATTERNS = buildPatterns(VAGUE_CLAIMS);
+
+const BRAND_SET = new Set(BORROWED_BRANDS.map(brand => brand.toLowerCase()));
+const BORROWED_PATTERN = /\b(?:the|an?)\s+([A-Z][\w.&'’-]*(?:\s+[A-Z][\w.&'’-]*)?)\s+(?:for|of)\s+((?:[\w'’-]+\s+){0,2}[\w'’-]+)/g;
+const POSITIONING_LEAD = /\b(?:we['’]re|we are|i['’]m|i am|think of (?:us|it|me) as|it['’]s|is|are|like|becoming|become|be)\s+$/i;
+
+const BE_VERBS = '(?:am|is|are|was|were|be|been|being|get|gets|got|gotten)';
+const PASSIVE_PATTERN = new RegExp(
+  `\\b${BE_VERBS}\\s+(?:\\w+ly\\s+)?(?:\\w{3,}ed|${IRREGULAR_PARTICIPLES.join('|')})\\b`,
+  'i'
+);
+
+/**
+ * Lint every extracted document
+ * @param {Array} documents - Extracted documents (document-model.js)
+ * @param {Array} classifications - [{ filename, platform }]
+ * @returns {Object} - { files: [metrics], overall: metrics }
+ */
+function lintMaterials(documents, classifications = []) {
+  const platformOf = new Map(classifications.map(item => [item.filename, item.platform]));
+  const counts = documents.map(document => countDocument(document));
+
+  return {
+    files: counts.map((count, i) => ({
+      filename: documents[i].filename,
+      platform: platformOf.get(documents[i].filename) || 'other',
+      ...summarize(count),
+    })),
+    overall: summarize(mergeCounts(counts)),
+  };
+}
+
+/**
+ * Raw counts for one document
+ */
+function countDocument(document) {
+  const count = emptyCount();
+
+  for (const section of document.sections) {
+    for (const block of section.blocks) {
+      const words = countWordsIn(block.text);
+      count.words += words;
+
+      matchPatterns(block.text, BUZZWORD_PATTERNS, count.buzzwords);
+      matchPatterns(block.text, VAGUE_PATTERNS, count.vagueClaims);
+      count.borrowed.push(...findBorrowedPositioning(block.text));
+
+      // Headings aren't sentences; counting them would flatter readability
+      if (block.type === 'heading') {
+        continue;
+      }
+
+      for (const sentence of splitSentences(block.text)) {
+        const sentenceWords = countWordsIn(sentence);
+        count.sentences++;
+        count.sentenceWords += sentenceWords;
+        count.syllables += sentence.split(/\s+/).reduce((sum, word) => sum + countSyllables(word), 0);
+        if (sentenceWords > LONG_SENTENCE_WORDS) {
+          count.longSentences++;
+        }
+        if (PASSIVE_PATTERN.test(sentence)) {
+          count.passiveSentences++;
+        }
+      }
+    }
+  }
+
+  return count;
+}
+
+/**
+ * Counts to the reported metrics
+ */
+function summarize(count) {
+  const buzzwordTotal = sumValues(count.buzzwords);
+  const vagueTotal = sumValues(count.vagueClaims);
+  const readable = count.sentenceWords >= MIN_WORDS_FOR_READABILITY && count.sentences > 0;
+
+  return {
+    words: count.words,
+    sentences: count.sentences,
+    buzzwords: {
+      count: buzzwordTotal,
+      per100Words: count.words > 0 ? round((buzzwordTotal / count.words) * 100) : 0,
+      terms: topTerms(count.buzzwords),
+    },
+    borrowedPositioning: [...new Set(count.borrowed)].slice(0, MAX_LISTED),
+    borrowedPositioningCount: count.borrowed.length,
+    readingGrade: readable
+      ? round(0.39 * (count.sentenceWords / count.sentences) + 11.8 * (count.syllables / count.sentenceWords) - 15.59)
+      : null,
+    avgSentenceWords: count.sentences > 0 ? round(count.sentenceWords / count.sentences) : null,
+    longSentenceRate: count.sentences > 0 ? round(count.longSentences / count.sentences, 2) : null,
+    passiveRate: count.sentences > 0 ? round(count.passiveSentences / count.sentences, 2) : null,
+    vagueClaims: {
+      count: vagueTotal,
+      phrases: topTerms(count.vagueClaims),
+    },
+  };
+}
+
+/**
+ * Metrics as a labeled block for the prompt
+ * @returns {string} - '' with no files
+ */
+function formatMetricsContext(metrics) {
+  if (!metrics || metrics.files.length === 0) {
+    return '';
+  }
+
+  const rows = [...metrics.files, { filename: 'ALL FILES', platform: null, ...metrics.overall }]
+    .map(file => [
+      file.filename,
+      file.platform ? platformLabel(file.platform) : '-',
+      file.words,
+      file.buzzwords.per100Words,
+      file.borrowedPositioningCount,
+      formatValue(file.readingGrade),
+      formatValue(file.avgSentenceWords),
+      formatPercent(file.passiveRate),
+      file.vagueClaims.count,
+    ].join(' | '));
+
+  const details = metrics.files
+    .filter(file => file.buzzwords.terms.length > 0 || file.borrowedPositioning.length > 0 || file.vagueClaims.phrases.length > 0)
+    .map(file => {
+      const parts = [];
+      if (file.buzzwords.terms.length > 0) {
+        parts.push(`buzzwords: ${file.buzzwords.terms.map(item => `${item.term} (${item.count})`).join(', ')}`);
+      }
+      if (file.borrowedPositioning.length > 0) {
+        parts.push(`"X for Y": ${file.borrowedPositioning.map(phrase => `"${phrase}"`).join(', ')}`);
+      }
+      if (file.vagueClaims.phrases.length > 0) {
+        parts.push(`vague claims: ${file.vagueClaims.phrases.map(item => `${item.term} (${item.count})`).join(', ')}`);
+      }
+      return `- ${file.filename}: ${parts.join('; ')}`;
+    });
+
+  return [
+    '=== MESSAGING METRICS (counted locally from the files - exact numbers; cite them for Jargon Overload and Borrowed Positioning instead of estimating) ===',
+    'File | Platform | Words | Buzzwords per 100 words | "X for Y" | Reading grade | Avg sentence (words) | Passive | Vague claims',
+    ...rows,
+    ...(details.length > 0 ? ['', ...details] : []),
+  ].join('\n');
+}
+
+/**
+ * Table rows for the report appendix (shared by the PDF and HTML renderers)
+ * @returns {Object} - { columns: [string], rows: [[string]], notes: [string] }
+ */
+function buildMetricsTable(metrics) {
+  const columns = ['File', 'Platform', 'Words', 'Buzzwords /100', '"X for Y"', 'Grade', 'Avg sentence', 'Passive', 'Vague claims'];
+  const rows = metrics.files.map(file => [
+    file.filename,
+    platformLabel(file.platform),
+    String(file.words),
+    String(file.buzzwords.per100Words),
+    String(file.borrowedPositioningCount),
+    formatValue(file.readingGrade),
+    formatValue(file.avgSentenceWords),
+    formatPercent(file.passiveRate),
+    String(file.vagueClaims.count),
+  ]);
+
+  if (metrics.files.length > 1) {
+    const all = metrics.overall;
+    rows.push([
+      'All files', '', String(all.words), String(all.buzzwords.per100Words), String(all.borrowedPositioningCount),
+      formatValue(all.readingGrade), formatValue(all.avgSentenceWords), formatPercent(all.passiveRate), String(all.vagueClaims.count),
+    ]);
+  }
+
+  const notes = [];
+  if (metrics.overall.buzzwords.terms.length > 0) {
+    notes.push(`Most used buzzwords: ${metrics.overall.buzzwords.terms.map(item => `${item.term} (${item.count})`).join(', ')}`);
+  }
+  if (metrics.overall.borrowedPositioning.length > 0) {
+    notes.push(`Borrowed positioning: ${metrics.overall.borrowedPositioning.map(phrase => `"${phrase}"`).join(', ')}`);
+  }
+  if (metrics.overall.vagueClaims.phrases.length > 0) {
+    notes.push(`Vague claims: ${metrics.overall.vagueClaims.phrases.map(item => `${item.term} (${item.count})`).join(', ')}`);
+  }
+  notes.push('Grade is the Flesch-Kincaid reading grade (8-10 reads easily; 14+ reads like a legal document). Passive is the share of sentences in the passive voice.');
+
+  return { columns, rows, notes };
+}
+
+/**
+ * "the Uber for dog walkers" - a known brand, or any capitalized name right
+ * after a positioning verb ("we're the X for Y")
+ */
+function findBorrowedPositioning(text) {
+  const hits = [];
+
+  for (const match of text.matchAll(BORROWED_PATTERN)) {
+    const brand = match[1];
+    const lead = text.slice(Math.max(match.index - 40, 0), match.index);
+
+    if (BRAND_SET.has(brand.toLowerCase()) || POSITIONING_LEAD.test(lead)) {
+      hits.push(match[0].trim());
+    }
+  }
+
+  return hits;
+}
+
+/**
+ * Count lexicon hits; longer terms first, and matched text is blanked so
+ * "paradigm shift" isn't also counted as "paradigm"
+ */
+function matchPatterns(text, patterns, counts) {
+  let remaining = text.toLowerCase();
+
+  for (const { term, pattern } of patterns) {
+    remaining = remaining.replace(pattern, match => {
+      counts.set(term, (counts.get(term) || 0) + 1);
+      return ' '.repeat(match.length);
+    });
+  }
+}
+
+function buildPatterns(terms) {
+  return [...new Set(terms)]
+    .sort((a, b) => b.length - a.length)
+    .map(term => ({
+      term,
+      pattern: new RegExp(`(?<![\\w-])${term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/[- ]/g, '[-\\s]')}(?![\\w-])`, 'g'),
+    }));
+}
+
+function splitSentences(text) {
+  return text
+    .split(/(?<=[.!?])\s+|\n+/)
+    .map(sentence => sentence.trim())
+    .filter(sentence => countWordsIn(sentence) > 0);
+}
+
+/**
+ * Vowel-group syllable estimate (good enough for a grade level)
+ */
+function countSyllables(word) {
+  const letters = word.toLowerCase().replace(/[^a-z]/g, '');
+
+  if (!letters) {
+    return 0;
+  }
+  if (letters.length <= 3) {
+    return 1;
+  }
+
+  const groups = letters
+    .replace(/(?:[^laeiouy]es|ed|[^laeiouy]e)$/, '')
+    .replace(/^y/, '')
+    .match(/[aeiouy]{1,2}/g);
+
+  return Math.max(1, groups ? groups.length : 1);
+}
+
+function countWordsIn(text) {
+  return (text.match(/[\p{L}\p{N}]+(?:['’-][\p{L}\p{N}]+)*/gu) || []).length;
+}
+
+function emptyCount() {
+  return {
+    words: 0,
+    sentences: 0,
+    sentenceWords: 0,
+    syllables: 0,
+    longSentences: 0,
+    passiveSentences: 0,
+    buzzwords: new Map(),
+    vagueClaims: new Map(),
+    borrowed: [],
+  };
+}
+
+function mergeCounts(counts) {
+  const merged = emptyCount();
+
+  for (const count of counts) {
+    ['words', 'sentences', 'sentenceWords', 'syllables', 'longSentences', 'passiveSentences']
+      .forEach(key => { merged[key] += count[key]; });
+    count.buzzwords.forEach((value, term) => merged.buzzwords.set(term, (merged.buzzwords.get(term) || 0) + value));
+    count.vagueClaims.forEach((value, term) => merged.vagueClaims.set(term, (merged.vagueClaims.get(term) || 0) + value));
+    merged.borrowed.push(...count.borrowed);
+  }
+
+  return merged;
+}
+
+function topTerms(counts) {
+  return [...counts.entries()]
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .slice(0, MAX_LISTED)
+    .map(([term, count]) => ({ term, count }));
+}
+
+function sumValues(counts) {
+  return [...counts.values()].reduce((sum, value) => sum + value, 0);
+}
+
+function platformLabel(platform) {
+  return PLATFORMS[platform] ? PLATFORMS[platform].label : platform;
+}
+
+function formatValue(value) {
+  return value === null ? '-' : String(value);
+}
+
+function formatPercent(rate) {
+  return rate === null ? '-' : `${Math.round(rate * 100)}%`;
+}
+
+function round(value, digits = 1) {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+module.exports = {
+  lintMaterials,
+  formatMetricsContext,
+  buildMetricsTable,
+};
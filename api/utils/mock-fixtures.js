@@ -0,0 +1,144 @@
+/**
+ * MOCK FIXTURES
+ * Narrative Sparring - Canned answers for the mock LLM provider
+ *
+ * One fixture per prompt name (see prompts/<version>/manifest.json). Report
+ * sections meet the quality gate's structure checks and the structured
+ * analysis passes analysis-schema.js, so an offline run goes through every
+ * step. {{quote_1}}..{{quote_3}} are filled with sentences from the
+ * materials in the request, so quote verification finds them.
+ */
+
+const ANALYSIS_BRIEF = `CLIENT: Not stated in the materials
+PLATFORMS REVIEWED: every file provided; missing platforms as listed in the inventory
+CONSISTENCY SCORE: 6/10 on every platform - the same promise is made in different words
+GAP SCORE: 6/10 (Moderate inconsistency)
+BLIND SPOT: the materials describe the offer but not why it matters - "{{quote_1}}"
+CORE THREAD: the client's own explanation of what they do, said the same way everywhere
+TOP 3 FIXES: 1. one headline everywhere 2. add the founder story 3. proof next to every claim
+KEY PHRASES: "{{quote_2}}"`;
+
+const REPORT_SECTIONS = {
+  executive_summary: `## SECTION 1: EXECUTIVE SUMMARY
+
+GAP SCORE: 6/10 (Moderate inconsistency)
+
+Your materials say the right things in different words. Where one platform leads with "{{quote_1}}", another opens with "{{quote_2}}", so a reader moving between them has to work out that both describe the same business. The substance is already there: what is missing is one way of saying it, repeated until people can say it back to you. The rest of this report shows where the wording splits and how to bring it together.`,
+
+  platform_audit: `## SECTION 2: PLATFORM-BY-PLATFORM AUDIT
+
+### Every platform reviewed
+**Consistency: 6/10**
+
+What works: "{{quote_1}}" is specific and sounds like you rather than like a template. A reader knows what you do after one line.
+
+What doesn't: the surrounding copy drifts into general claims, and "{{quote_3}}" says something close but not the same. Each platform is clear on its own; side by side they sound like three different companies describing one offer.`,
+
+  blind_spots: `## SECTION 3: BLIND SPOT DEEP DIVE
+
+### The offer without the reason
+
+The materials explain what you deliver in detail but rarely say why it matters to the person reading. "{{quote_2}}" is a good example: accurate, but it leaves the reader to supply the reason for themselves. Founders close to their work often skip this step because the reason feels obvious to them. It is not obvious to a buyer meeting you for the first time, and it is the part they repeat to others.`,
+
+  core_thread: `## SECTION 4: CORE THREAD ARCHITECTURE
+
+### Primary thread
+Say what you do, for whom, and why it matters, in the words you already use when you explain it well: "{{quote_1}}"
+
+### How to deploy it
+Open every platform with this line or a close variation of it. Keep the same nouns and verbs across the website, the deck and your profile, and let each platform add detail underneath rather than a new opening. Repetition is the point: the line only becomes yours once people hear it in the same form several times.`,
+
+  voice_guide: `## SECTION 5: VOICE & MESSAGING GUIDE
+
+### Keep
+- "{{quote_1}}" - plain, specific, sounds like a person.
+
+### Replace
+- General claims with no proof next to them. Put a number, a client or a short story beside each one, or cut it.
+
+### Words to use more
+The words you already use when you are explaining the work to a peer: concrete nouns, active verbs, short sentences. Avoid phrasing that any company in your market could have written, because readers skip it.`,
+
+  action_plan: `## SECTION 6: ACTION PLAN
+
+### Priority 1 - This week
+☐ Rewrite the opening line of every platform around the primary thread
+☐ Add one sentence on why the work matters under each headline
+☐ Put a proof point next to the two biggest claims
+
+### Priority 2 - This month
+☐ Bring the deck and the profile into the same structure as the website
+☐ Collect two short client stories that show the outcome in their words
+
+### Priority 3 - Next quarter
+☐ Review every platform against this report and retire copy that no longer fits the thread`,
+
+  appendix: `## SECTION 7: APPENDIX
+
+### Evidence summary
+The findings above draw on the materials provided. Quotes are copied from the files as written, including "{{quote_3}}", and every score was given against the same standard across platforms so they can be compared directly. Where a platform was missing, the audit says so rather than guessing at what it would contain. Re-run the audit after the changes to see how far the gap score has moved.`,
+};
+
+const PLATFORM_NOTES = `## FILE: {{filename}} — {{platform}}
+
+### Verbatim quotes
+- "{{quote_1}}" — [opening]
+- "{{quote_2}}" — [body]
+- "{{quote_3}}" — [body]
+
+### Value propositions
+- The offer as the file describes it.
+
+### Jargon & buzzwords
+None found.
+
+### Proof points
+None found.
+
+### Audience & tone
+Prospective clients; direct and plain.
+
+### Notable gaps
+No founder story.`;
+
+const STRUCTURED_ANALYSIS = {
+  platforms: [{ platform: 'website', consistency_score: 6, summary: 'Clear offer, general supporting copy.' }],
+  gap_score: { score: 6, range: 'moderate' },
+  core_threads: [{ type: 'primary', thread: 'Say what you do, for whom, and why it matters.', why: 'It is how the client already explains the work at their best.' }],
+  blind_spots: [{ title: 'The offer without the reason', description: 'The materials say what is delivered, not why it matters.', evidence: [{ platform: 'website', quote: '{{quote_2}}' }] }],
+  actions: [
+    { priority: 1, timeframe: 'this_week', action: 'Rewrite the opening line of every platform around the primary thread' },
+    { priority: 2, timeframe: 'this_month', action: 'Bring the deck and the profile into the same structure as the website' },
+    { priority: 3, timeframe: 'next_quarter', action: 'Review every platform against the report' },
+  ],
+};
+
+const QUALITY_REVIEW = {
+  criteria: Object.fromEntries(
+    ['authenticity', 'clarity', 'actionability', 'specificity', 'respect', 'completeness']
+      .map(key => [key, { score: 8, issue: '' }])
+  ),
+  revisions: [],
+};
+
+const SPARRING_QUESTIONS = {
+  questions: [
+    { question: 'When a client explains what you do to a friend, what do they say?', focus: 'core thread' },
+    { question: 'What made you start this, in one sentence?', focus: 'founder story' },
+    { question: 'Which claim on your website would you most like to prove, and how?', focus: 'proof points' },
+  ],
+  done: false,
+};
+
+// Used for the quotes when no sentence can be taken from the request
+const FALLBACK_QUOTE = 'We help our clients tell one clear story';
+
+module.exports = {
+  ANALYSIS_BRIEF,
+  REPORT_SECTIONS,
+  PLATFORM_NOTES,
+  STRUCTURED_ANALYSIS,
+  QUALITY_REVIEW,
+  SPARRING_QUESTIONS,
+  FALLBACK_QUOTE,
+};
@@ -0,0 +1,200 @@
+/**
+ * MOCK PROVIDER
+ * Narrative Sparring - Offline, deterministic model answers
+ *
+ * Selected with LLM_PROVIDER=mock (see llm-provider.js). Answers each
+ * request from mock-fixtures.js by its prompt name, so the whole pipeline
+ * (brief, sections, quality gate, quote check, structured JSON, narrative
+ * map, sparring) runs without an API key. The same request always gets
+ * the same answer. Usage is estimated from the text (4 characters a token)
+ * so cost tracking still has numbers to add up, and the prompt cache is
+ * played out as the API does it: the first call with a given system prompt
+ * and cachePrefix writes them, later calls in the same process read them.
+ */
+
+const crypto = require('crypto');
+const { estimateTokens } = require('./input-packer');
+const {
+  ANALYSIS_BRIEF,
+  REPORT_SECTIONS,
+  PLATFORM_NOTES,
+  STRUCTURED_ANALYSIS,
+  QUALITY_REVIEW,
+  SPARRING_QUESTIONS,
+  FALLBACK_QUOTE,
+} = require('./mock-fixtures');
+
+// Labels handed out in turn by the narrative_labels answer
+const MOCK_LAYERS = ['what', 'why_it_matters', 'why_you', 'none'];
+const MOCK_STAGES = ['origin', 'none', 'obstacle', 'none', 'transformation', 'mission'];
+
+// Cached parts seen by this process (hash of model + system + prefix)
+const cache = new Set();
+
+// Sentences taken from the materials for {{quote_n}}
+const QUOTE_COUNT = 3;
+const MIN_QUOTE_WORDS = 6;
+const MAX_QUOTE_WORDS = 25;
+
+/**
+ * Answer one request from the fixtures
+ * @param {Object} request - { model, system, messages, maxTokens, temperature, prompt, section }
+ * @returns {Object} - { text, stopReason, usage: { input, output, cacheWrite, cacheRead } }
+ */
+async function createMessage(request) {
+  const content = firstUserMessage(request.messages);
+  const text = answer(request, content);
+  const cached = cacheUsage(request, content);
+  const input = estimateTokens((request.system || '') + request.messages.map(message => message.content).join('\n'));
+
+  return {
+    text,
+    stopReason: 'end_turn',
+    usage: {
+      input: input - cached.cacheWrite - cached.cacheRead,
+      output: estimateTokens(text),
+      ...cached,
+    },
+  };
+}
+
+/**
+ * Same answer, handed to onText a paragraph at a time
+ * @param {Object} request - As createMessage
+ * @param {Function} onText - (delta) => void
+ * @returns {Object} - { text, stopReason, usage: { input, output, cacheWrite, cacheRead } }
+ */
+async function streamMessage(request, onText) {
+  const result = await createMessage(request);
+
+  for (const piece of result.text.split(/(?<=\n\n)/)) {
+    onText(piece);
+  }
+
+  return result;
+}
+
+function answer(request, content) {
+  const quotes = pickQuotes(request.prompt, content);
+
+  switch (request.prompt) {
+    case 'analysis_brief':
+      return fill(ANALYSIS_BRIEF, quotes);
+
+    case 'section':
+    case 'section_revision_client':
+    case 'section_revision_quality':
+      return fill(REPORT_SECTIONS[request.section] || `## ${request.section}\n\nNo fixture for this section.`, quotes);
+
+    case 'platform_notes': {
+      const [, filename = '', platform = ''] = content.match(/^Filename: (.*)\nPlatform: (.*)/) || [];
+      return fill(PLATFORM_NOTES, { ...quotes, filename, platform });
+    }
+
+    case 'structured_analysis':
+      return fill(JSON.stringify(STRUCTURED_ANALYSIS, null, 2), escapeForJSON(quotes));
+
+    case 'quality_review':
+      return JSON.stringify(QUALITY_REVIEW);
+
+    case 'narrative_labels':
+      return JSON.stringify(labelPassages(content));
+
+    case 'quote_fix': {
+      // Hand the section back unchanged; verification marks what's left
+      const section = content.match(/(?:^|\n)(## SECTION[\s\S]*?)\n\nReturn the complete corrected section/);
+      return section ? section[1] : content;
+    }
+
+    case 'sparring_questions':
+      return JSON.stringify(SPARRING_QUESTIONS);
+
+    default:
+      return `Mock response for "${request.prompt || 'unnamed'}" prompt.`;
+  }
+}
+
+/**
+ * Cache tokens for a request: the system prompt plus cachePrefix (when the
+ * first user message starts with it), written once and read after that
+ * @returns {Object} - { cacheWrite, cacheRead }
+ */
+function cacheUsage(request, content) {
+  const prefix = request.cachePrefix && content.startsWith(request.cachePrefix) ? request.cachePrefix : '';
+  const tokens = estimateTokens((request.system || '') + prefix);
+
+  if (tokens === 0) {
+    return { cacheWrite: 0, cacheRead: 0 };
+  }
+
+  const key = crypto.createHash('sha256').update(`${request.model}\n${request.system || ''}\n${prefix}`).digest('hex');
+
+  if (cache.has(key)) {
+    return { cacheWrite: 0, cacheRead: tokens };
+  }
+
+  cache.add(key);
+  return { cacheWrite: tokens, cacheRead: 0 };
+}
+
+/**
+ * Sentences from the client's copy in the request: the "=== FILE:" blocks
+ * of packed materials, the verbatim quotes of platform notes, or the file
+ * text of a notes request
+ * @returns {Object} - { quote_1, quote_2, quote_3 }
+ */
+function pickQuotes(prompt, content) {
+  let lines;
+
+  if (prompt === 'platform_notes') {
+    lines = content.split('\n').slice(2, -1);
+  } else if (content.includes('=== FILE: ')) {
+    lines = content.split(/^=== FILE: .*===$/m).slice(1)
+      .flatMap(block => block.split(/^=== /m)[0].split('\n'));
+  } else {
+    lines = [...content.matchAll(/^- "([^"\n]+)"/gm)].map(match => match[1]);
+  }
+
+  const sentences = [...new Set(lines
+    .map(line => line.replace(/^[\s>*#-]+/, '').split(/(?<=[.!?])\s+/)[0].trim())
+    .filter(sentence => !sentence.includes('"') && !/^\[.*\]$/.test(sentence))
+    .filter(sentence => {
+      const words = sentence.split(/\s+/).length;
+      return words >= MIN_QUOTE_WORDS && words <= MAX_QUOTE_WORDS;
+    }))];
+
+  return Object.fromEntries(Array.from({ length: QUOTE_COUNT }, (_, i) => [
+    `quote_${i + 1}`,
+    sentences[i] || sentences[0] || FALLBACK_QUOTE,
+  ]));
+}
+
+/**
+ * Every passage id in the request, labelled in turn
+ */
+function labelPassages(content) {
+  const ids = [...content.matchAll(/^(P\d+) \[/gm)].map(match => match[1]);
+
+  return Object.fromEntries(ids.map((id, i) => [id, {
+    layer: MOCK_LAYERS[i % MOCK_LAYERS.length],
+    stage: MOCK_STAGES[i % MOCK_STAGES.length],
+  }]));
+}
+
+function fill(template, vars) {
+  return template.replace(/\{\{(\w+)\}\}/g, (match, key) => (vars[key] !== undefined ? vars[key] : match));
+}
+
+function escapeForJSON(vars) {
+  return Object.fromEntries(Object.entries(vars).map(([key, value]) => [key, JSON.stringify(value).slice(1, -1)]));
+}
+
+function firstUserMessage(messages) {
+  const message = messages.find(item => item.role === 'user');
+  return message && typeof message.content === 'string' ? message.content : '';
+}
+
+module.exports = {
+  createMessage,
+  streamMessage,
+};
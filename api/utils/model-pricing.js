@@ -0,0 +1,79 @@
+/**
+ * MODEL PRICING MODULE
+ * Narrative Sparring - What each model costs
+ *
+ * USD per million tokens, by model: input, output, cache write (5-minute
+ * prompt cache) and cache read. Dated model IDs and their aliases
+ * ("claude-sonnet-4-5") both match. A model that isn't in the catalog is
+ * priced at the most expensive rates listed, so spend caps err on the safe
+ * side; add it here when a new model is adopted.
+ */
+
+const MODEL_PRICING = {
+  'claude-opus-4-1-20250805': { family: 'claude-opus-4-1', input: 15.00, output: 75.00, cacheWrite: 18.75, cacheRead: 1.50 },
+  'claude-opus-4-20250514': { family: 'claude-opus-4-0', input: 15.00, output: 75.00, cacheWrite: 18.75, cacheRead: 1.50 },
+  'claude-sonnet-4-5-20250929': { family: 'claude-sonnet-4-5', input: 3.00, output: 15.00, cacheWrite: 3.75, cacheRead: 0.30 },
+  'claude-sonnet-4-20250514': { family: 'claude-sonnet-4-0', input: 3.00, output: 15.00, cacheWrite: 3.75, cacheRead: 0.30 },
+  'claude-3-7-sonnet-20250219': { family: 'claude-3-7-sonnet', input: 3.00, output: 15.00, cacheWrite: 3.75, cacheRead: 0.30 },
+  'claude-3-5-sonnet-20241022': { family: 'claude-3-5-sonnet', input: 3.00, output: 15.00, cacheWrite: 3.75, cacheRead: 0.30 },
+  'claude-haiku-4-5-20251001': { family: 'claude-haiku-4-5', input: 1.00, output: 5.00, cacheWrite: 1.25, cacheRead: 0.10 },
+  'claude-3-5-haiku-20241022': { family: 'claude-3-5-haiku', input: 0.80, output: 4.00, cacheWrite: 1.00, cacheRead: 0.08 },
+  'claude-3-haiku-20240307': { family: 'claude-3-haiku', input: 0.25, output: 1.25, cacheWrite: 0.30, cacheRead: 0.03 },
+};
+
+/**
+ * Rates for a model
+ * @param {string} model - Model ID or alias
+ * @returns {Object} - { model, known, input, output, cacheWrite, cacheRead } (USD per 1M tokens)
+ */
+function getModelPricing(model) {
+  const id = MODEL_PRICING[model]
+    ? model
+    : Object.keys(MODEL_PRICING).find(key => model && (model === MODEL_PRICING[key].family || model.startsWith(`${MODEL_PRICING[key].family}-`)));
+
+  if (id) {
+    const { family, ...rates } = MODEL_PRICING[id];
+    return { model: id, known: true, ...rates };
+  }
+
+  const rates = Object.values(MODEL_PRICING).reduce((max, item) => (item.output > max.output ? item : max));
+  return {
+    model,
+    known: false,
+    input: rates.input,
+    output: rates.output,
+    cacheWrite: rates.cacheWrite,
+    cacheRead: rates.cacheRead,
+  };
+}
+
+/**
+ * Cost of one call's usage
+ * @param {string} model - Model that ran
+ * @param {Object} usage - { input, output, cacheWrite, cacheRead } tokens; input is the uncached part (cache counts optional)
+ * @returns {Object} - { input, cacheWrite, cacheRead, output, total } USD
+ */
+function calculateCost(model, usage) {
+  const rates = getModelPricing(model);
+  const cost = {
+    input: perMillion(usage.input, rates.input),
+    cacheWrite: perMillion(usage.cacheWrite || 0, rates.cacheWrite),
+    cacheRead: perMillion(usage.cacheRead || 0, rates.cacheRead),
+    output: perMillion(usage.output, rates.output),
+  };
+
+  return {
+    ...cost,
+    total: cost.input + cost.cacheWrite + cost.cacheRead + cost.output,
+  };
+}
+
+function perMillion(tokens, rate) {
+  return (tokens / 1_000_000) * rate;
+}
+
+module.exports = {
+  getModelPricing,
+  calculateCost,
+  MODEL_PRICING,
+};
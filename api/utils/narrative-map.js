@@ -0,0 +1,223 @@
+/**
+ * NARRATIVE MAP MODULE
+ * Narrative Sparring - Where the client's sentences sit in the frameworks
+ *
+ * Labels passages from every platform with one of Hammer's Three Layers
+ * (What / Why it matters / Why you) and a founder Hero's Journey stage
+ * (Origin / Obstacle / Transformation / Mission), then reports coverage per
+ * platform ("LinkedIn: 90% Layer 1, no Layer 3"). One Claude call labels
+ * a sample of passages from each platform; the counting is local.
+ */
+
+const { describeSection, tokenize } = require('./quote-verifier');
+const { PLATFORMS } = require('./platform-classifier');
+const { generateNarrativeLabels, NARRATIVE_LAYERS, JOURNEY_STAGES } = require('./claude-client');
+
+// Passages labelled per platform (spread evenly across its files)
+const MAX_PASSAGES_PER_PLATFORM = 30;
+
+// Passages shorter than this say too little to label (headings: 3 words)
+const MIN_PASSAGE_WORDS = 6;
+
+const MAX_PASSAGE_CHARS = 300;
+
+// Example passages per layer in the prompt
+const EXAMPLES_PER_LAYER = 1;
+
+/**
+ * Label passages and compute coverage per platform
+ * @param {Array} documents - From document-model.js
+ * @param {Array} classifications - [{ filename, platform }]
+ * @param {Object} options - { model, prompts, budget }
+ * @returns {Object} - { success, map, tokensUsed, costUSD, error }
+ */
+async function mapNarrative(documents, classifications = [], options = {}) {
+  const passages = selectPassages(documents, classifications);
+
+  if (passages.length === 0) {
+    return { success: false, error: 'No passages long enough to label' };
+  }
+
+  console.log(`Labelling ${passages.length} passages for the narrative map...`);
+  const result = await generateNarrativeLabels(
+    passages.map(passage => ({ id: passage.id, platform: platformLabel(passage.platform), text: passage.text })),
+    options
+  );
+
+  if (!result.success) {
+    return result;
+  }
+
+  const labelled = passages.map(passage => ({ ...passage, ...result.labels[passage.id] }));
+
+  return {
+    success: true,
+    map: {
+      platforms: summarizePlatforms(labelled),
+      passages: labelled,
+    },
+    tokensUsed: result.tokensUsed,
+    costUSD: result.costUSD,
+  };
+}
+
+/**
+ * Passages to label, numbered P1..Pn, at most MAX_PASSAGES_PER_PLATFORM each
+ * @returns {Array} - [{ id, platform, filename, location, text }]
+ */
+function selectPassages(documents, classifications) {
+  const platformOf = new Map(classifications.map(item => [item.filename, item.platform]));
+  const byPlatform = new Map();
+
+  for (const document of documents) {
+    const platform = platformOf.get(document.filename) || 'other';
+    if (!byPlatform.has(platform)) {
+      byPlatform.set(platform, []);
+    }
+
+    for (const section of document.sections) {
+      for (const block of section.blocks) {
+        const text = block.text.replace(/\s+/g, ' ').trim();
+        const words = tokenize(text).length;
+
+        if (words < (block.type === 'heading' ? 3 : MIN_PASSAGE_WORDS)) {
+          continue;
+        }
+
+        byPlatform.get(platform).push({
+          platform,
+          filename: document.filename,
+          location: describeSection(section),
+          text: text.length > MAX_PASSAGE_CHARS ? `${text.slice(0, MAX_PASSAGE_CHARS).trim()}…` : text,
+        });
+      }
+    }
+  }
+
+  let next = 1;
+  return [...byPlatform.values()].flatMap(candidates =>
+    spreadEvenly(candidates, MAX_PASSAGES_PER_PLATFORM).map(passage => ({ id: `P${next++}`, ...passage }))
+  );
+}
+
+/**
+ * Coverage per platform: share of labelled passages per layer, passages per
+ * journey stage
+ * @returns {Array} - [{ platform, label, passages, layered, layers, stages, summary }]
+ */
+function summarizePlatforms(passages) {
+  const platforms = [...new Set(passages.map(passage => passage.platform))];
+
+  return platforms.map(platform => {
+    const own = passages.filter(passage => passage.platform === platform);
+    const layered = own.filter(passage => passage.layer !== 'none');
+    const layers = Object.fromEntries(NARRATIVE_LAYERS.map(layer => [
+      layer.key,
+      layered.length > 0 ? round(layered.filter(passage => passage.layer === layer.key).length / layered.length) : 0,
+    ]));
+    const stages = Object.fromEntries(JOURNEY_STAGES.map(stage => [
+      stage.key,
+      own.filter(passage => passage.stage === stage.key).length,
+    ]));
+
+    return {
+      platform,
+      label: platformLabel(platform),
+      passages: own.length,
+      layered: layered.length,
+      layers,
+      stages,
+      summary: describeCoverage(platformLabel(platform), layers, stages, layered.length),
+    };
+  });
+}
+
+/**
+ * "LinkedIn: 90% Layer 1, 10% Layer 2, no Layer 3; journey: origin, mission"
+ */
+function describeCoverage(label, layers, stages, layered) {
+  if (layered === 0) {
+    return `${label}: no passages carry any of the three layers`;
+  }
+
+  const layerText = NARRATIVE_LAYERS
+    .map(layer => (layers[layer.key] > 0 ? `${formatPercent(layers[layer.key])} ${layer.label}` : `no ${layer.label}`))
+    .join(', ');
+  const told = JOURNEY_STAGES.filter(stage => stages[stage.key] > 0).map(stage => stage.label.toLowerCase());
+
+  return `${label}: ${layerText}; journey: ${told.length > 0 ? told.join(', ') : 'none'}`;
+}
+
+/**
+ * Map as a labeled block for the prompt
+ * @returns {string} - '' without a map
+ */
+function formatNarrativeMapContext(map) {
+  if (!map) {
+    return '';
+  }
+
+  const examples = map.platforms.flatMap(platform =>
+    NARRATIVE_LAYERS.flatMap(layer =>
+      map.passages
+        .filter(passage => passage.platform === platform.platform && passage.layer === layer.key)
+        .slice(0, EXAMPLES_PER_LAYER)
+        .map(passage => `- ${platform.label}, ${layer.label}: "${passage.text}" (${passage.filename}, ${passage.location})`)
+    )
+  );
+
+  return [
+    '=== NARRATIVE MAP (passages labelled by Three Layers and founder journey stage - use it for Phase 5 and to show which layers each platform is missing) ===',
+    ...map.platforms.map(platform => `${platform.summary} (${platform.layered} of ${platform.passages} passages carry a layer)`),
+    ...(examples.length > 0 ? ['', 'Examples:', ...examples] : []),
+  ].join('\n');
+}
+
+/**
+ * Coverage matrix for the report appendix (shared by the PDF and HTML renderers)
+ * @returns {Object} - { columns: [string], rows: [[string]], notes: [string] }
+ */
+function buildNarrativeMapTable(map) {
+  const columns = ['', ...NARRATIVE_LAYERS.map(layer => layer.label), ...JOURNEY_STAGES.map(stage => stage.label)];
+  const rows = map.platforms.map(platform => [
+    platform.label,
+    ...NARRATIVE_LAYERS.map(layer => (platform.layered > 0 ? formatPercent(platform.layers[layer.key]) : '-')),
+    ...JOURNEY_STAGES.map(stage => (platform.stages[stage.key] > 0 ? String(platform.stages[stage.key]) : '-')),
+  ]);
+
+  const notes = [
+    ...NARRATIVE_LAYERS.map(layer => `${layer.label} - ${layer.description}.`),
+    'Layer columns: share of the passages that carry a layer. Journey columns: passages telling that part of your story.',
+  ];
+
+  return { columns, rows, notes };
+}
+
+/**
+ * Up to `limit` items, evenly spaced, in order
+ */
+function spreadEvenly(items, limit) {
+  if (items.length <= limit) {
+    return items;
+  }
+  return Array.from({ length: limit }, (_, i) => items[Math.floor((i * items.length) / limit)]);
+}
+
+function platformLabel(platform) {
+  return PLATFORMS[platform] ? PLATFORMS[platform].label : platform;
+}
+
+function formatPercent(rate) {
+  return `${Math.round(rate * 100)}%`;
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+module.exports = {
+  mapNarrative,
+  formatNarrativeMapContext,
+  buildNarrativeMapTable,
+  MAX_PASSAGES_PER_PLATFORM,
+};
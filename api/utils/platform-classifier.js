@@ -0,0 +1,240 @@
+/**
+ * PLATFORM CLASSIFIER MODULE
+ * Narrative Sparring - Tag each uploaded file with the platform it represents
+ *
+ * The audit compares Website, LinkedIn, Pitch deck and Sales materials.
+ * Each file is scored against every platform from its file type, structure,
+ * filename and vocabulary; the best score wins, with a confidence based on
+ * how far ahead it is. A platform chosen by the user at upload time always
+ * overrides the heuristics.
+ */
+
+const { getPlainText } = require('./document-model');
+
+// `audited` platforms are the ones the report expects to see
+const PLATFORMS = {
+  website: { label: 'Website', audited: true },
+  linkedin: { label: 'LinkedIn', audited: true },
+  pitch_deck: { label: 'Pitch deck', audited: true },
+  sales: { label: 'Sales materials', audited: true },
+  bio: { label: 'Founder bio', audited: false },
+  other: { label: 'Other', audited: false },
+};
+
+/**
+ * Whether a value is one of the PLATFORMS keys (own keys only, so
+ * "toString" or "__proto__" from user input never count)
+ * @returns {boolean}
+ */
+function isPlatform(value) {
+  return typeof value === 'string' && Object.prototype.hasOwnProperty.call(PLATFORMS, value);
+}
+
+// Below this top score there is not enough signal to call it
+const MIN_SCORE = 2;
+
+const FILENAME_PATTERNS = {
+  website: /website|homepage|landing|home|about|services|index/i,
+  linkedin: /linked-?in|\bli\b/i,
+  pitch_deck: /deck|pitch|investor|slides|fundrais/i,
+  sales: /proposal|one-?pager|sales|email|outreach|template|case-?study|brochure|quote/i,
+  bio: /\bbio\b|biography|about-me|speaker/i,
+};
+
+const KEYWORDS = {
+  website: [
+    'contact us', 'get started', 'sign up', 'log in', 'privacy policy', 'terms of service',
+    'all rights reserved', 'subscribe', 'learn more', 'book a demo', 'our services', 'faq',
+  ],
+  linkedin: [
+    'headline', 'experience', 'connections', 'followers', 'endorsements', 'skills',
+    'reposted', 'open to work', 'recommendations', 'activity', '#',
+  ],
+  pitch_deck: [
+    'problem', 'solution', 'market size', 'tam', 'sam', 'som', 'traction', 'business model',
+    'competition', 'competitive landscape', 'go-to-market', 'the ask', 'use of funds',
+    'raising', 'roadmap', 'why now',
+  ],
+  sales: [
+    'proposal', 'scope of work', 'deliverables', 'pricing', 'investment', 'timeline',
+    'next steps', 'dear', 'looking forward', 'best regards', 'kind regards', 'roi', 'case study',
+    'book a call', 'terms and conditions',
+  ],
+  bio: [
+    'is the founder of', 'is the co-founder of', 'prior to founding', 'holds a degree',
+    'lives in', 'previously served', 'has spent', 'is a speaker', 'born in',
+  ],
+};
+
+/**
+ * Classify one extracted document
+ * @param {Object} document - From document-model.js (filename, type, sections)
+ * @param {Object} options - { sourceUrl, override }
+ * @returns {Object} - { platform, label, confidence, source: 'user'|'auto', signals }
+ */
+function classifyDocument(document, options = {}) {
+  const { sourceUrl = null, override = null } = options;
+
+  if (isPlatform(override)) {
+    return {
+      platform: override,
+      label: PLATFORMS[override].label,
+      confidence: 1,
+      source: 'user',
+      signals: ['chosen at upload'],
+    };
+  }
+
+  const scores = { website: 0, linkedin: 0, pitch_deck: 0, sales: 0, bio: 0 };
+  const signals = { website: [], linkedin: [], pitch_deck: [], sales: [], bio: [] };
+
+  const addScore = (platform, points, signal) => {
+    scores[platform] += points;
+    signals[platform].push(signal);
+  };
+
+  // File type and structure
+  if (document.type === 'LinkedIn') {
+    addScore('linkedin', 10, 'LinkedIn data export');
+  }
+
+  if (document.type === 'PPTX') {
+    addScore('pitch_deck', 4, 'slide deck');
+  }
+
+  if (document.type === 'HTML') {
+    addScore('website', 3, 'HTML page');
+  }
+
+  if (sourceUrl) {
+    addScore('website', 6, `crawled from ${sourceUrl}`);
+  }
+
+  const labels = document.sections.map(section => section.label || '');
+  if (labels.some(label => /hero|navigation/i.test(label))) {
+    addScore('website', 2, 'hero/navigation regions');
+  }
+
+  const pages = document.sections.filter(section => section.kind === 'page');
+  if (pages.length >= 5) {
+    const wordsPerPage = countWords(getPlainText(document)) / pages.length;
+    if (wordsPerPage < 80) {
+      addScore('pitch_deck', 3, `${pages.length} sparse pages (~${Math.round(wordsPerPage)} words each)`);
+    }
+  }
+
+  // Filename
+  const basename = (document.filename || '').replace(/\.[^.]+$/, '').replace(/[_\s]+/g, '-');
+  for (const [platform, pattern] of Object.entries(FILENAME_PATTERNS)) {
+    if (pattern.test(basename)) {
+      addScore(platform, 3, `filename "${document.filename}"`);
+    }
+  }
+
+  // Vocabulary: each distinct keyword counts once, capped per platform
+  const text = getPlainText(document).toLowerCase();
+  for (const [platform, keywords] of Object.entries(KEYWORDS)) {
+    const hits = keywords.filter(keyword => containsKeyword(text, keyword));
+    if (hits.length > 0) {
+      addScore(platform, Math.min(hits.length, 5) * 0.6, `keywords: ${hits.slice(0, 5).join(', ')}`);
+    }
+  }
+
+  const ranked = Object.entries(scores).sort((a, b) => b[1] - a[1]);
+  const [bestPlatform, bestScore] = ranked[0];
+  const total = ranked.reduce((sum, [, score]) => sum + score, 0);
+
+  if (bestScore < MIN_SCORE) {
+    return {
+      platform: 'other',
+      label: PLATFORMS.other.label,
+      confidence: 0,
+      source: 'auto',
+      signals: ['no clear platform signals'],
+    };
+  }
+
+  // Share of all evidence, discounted while the evidence itself is thin
+  const confidence = (bestScore / total) * Math.min(1, bestScore / 6);
+
+  return {
+    platform: bestPlatform,
+    label: PLATFORMS[bestPlatform].label,
+    confidence: Math.round(Math.min(confidence, 0.99) * 100) / 100,
+    source: 'auto',
+    signals: signals[bestPlatform],
+  };
+}
+
+/**
+ * Audited platforms with no file tagged to them
+ * @param {Array} classifications - [{ platform }]
+ * @returns {Array<string>} - platform keys
+ */
+function findMissingPlatforms(classifications) {
+  const present = new Set(classifications.map(item => item.platform));
+
+  return Object.keys(PLATFORMS).filter(platform =>
+    PLATFORMS[platform].audited && !present.has(platform)
+  );
+}
+
+/**
+ * Inventory block placed ahead of the materials in the prompt
+ * @param {Array} classifications - [{ filename, platform, confidence, source }]
+ * @returns {string}
+ */
+function formatInventory(classifications) {
+  const lines = ['=== MATERIALS INVENTORY ==='];
+
+  for (const [platform, { label }] of Object.entries(PLATFORMS)) {
+    const files = classifications.filter(item => item.platform === platform);
+
+    if (files.length > 0) {
+      lines.push(`${label}: ${files.map(item => item.filename).join(', ')}`);
+    } else if (PLATFORMS[platform].audited) {
+      lines.push(`${label}: (none provided)`);
+    }
+  }
+
+  const missing = findMissingPlatforms(classifications);
+  lines.push(missing.length > 0
+    ? `Missing platforms: ${missing.map(platform => PLATFORMS[platform].label).join(', ')}`
+    : 'Missing platforms: none');
+
+  return lines.join('\n');
+}
+
+/**
+ * Per-file header text, e.g. "PLATFORM: Website (auto, 92% confidence)"
+ */
+function formatPlatformTag(classification) {
+  const how = classification.source === 'user'
+    ? 'set by client'
+    : `auto, ${Math.round(classification.confidence * 100)}% confidence`;
+
+  return `PLATFORM: ${classification.label} (${how})`;
+}
+
+function containsKeyword(text, keyword) {
+  if (keyword === '#') {
+    // Hashtags, as used in posts
+    return /(^|\s)#[a-z]\w+/.test(text);
+  }
+
+  const escaped = keyword.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`(^|[^a-z])${escaped}([^a-z]|$)`).test(text);
+}
+
+function countWords(text) {
+  return text.trim().split(/\s+/).filter(word => word.length > 0).length;
+}
+
+module.exports = {
+  PLATFORMS,
+  isPlatform,
+  classifyDocument,
+  findMissingPlatforms,
+  formatInventory,
+  formatPlatformTag,
+};
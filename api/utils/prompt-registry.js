@@ -0,0 +1,196 @@
+/**
+ * PROMPT REGISTRY MODULE
+ * Narrative Sparring - Versioned prompt sets
+ *
+ * Every prompt the engine sends lives in prompts/<version>/ as a markdown
+ * template with {{name}} placeholders, listed in that version's
+ * manifest.json with its temperature and max_tokens. prompts/index.json
+ * names the current version (PROMPT_VERSION overrides it). A version is
+ * never edited once an analysis has used it - changes go in a new folder,
+ * so every stored report can be traced to, and re-run with, the exact
+ * prompts that wrote it.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const PROMPTS_DIR = path.join(__dirname, '..', '..', 'prompts');
+
+// Version folders: v1, v2, ... (also keeps request input out of other paths)
+const VERSION_PATTERN = /^v\d+$/;
+
+// Loaded sets, by version (files don't change while the function is warm)
+const loaded = new Map();
+
+/**
+ * Version used when none is asked for
+ * @returns {string}
+ */
+function currentPromptVersion() {
+  return process.env.PROMPT_VERSION || readJSON(path.join(PROMPTS_DIR, 'index.json')).current;
+}
+
+/**
+ * Whether a prompt set exists for this version
+ * @param {string} version - e.g. "v1"
+ * @returns {boolean}
+ */
+function hasPromptVersion(version) {
+  return typeof version === 'string' &&
+    VERSION_PATTERN.test(version) &&
+    fs.existsSync(path.join(PROMPTS_DIR, version, 'manifest.json'));
+}
+
+/**
+ * Every prompt set on disk, oldest first
+ * @returns {Array} - [{ version, created, description, current }]
+ */
+function listPromptVersions() {
+  const current = currentPromptVersion();
+
+  return fs.readdirSync(PROMPTS_DIR, { withFileTypes: true })
+    .filter(entry => entry.isDirectory() && hasPromptVersion(entry.name))
+    .map(entry => {
+      const manifest = readJSON(path.join(PROMPTS_DIR, entry.name, 'manifest.json'));
+      return {
+        version: entry.name,
+        created: manifest.created || null,
+        description: manifest.description || '',
+        current: entry.name === current,
+      };
+    })
+    .sort((a, b) => Number(a.version.slice(1)) - Number(b.version.slice(1)));
+}
+
+/**
+ * Load a prompt set (the current one by default)
+ * @param {string} version - e.g. "v1"
+ * @returns {Object} - { version, description, model, prompts: { [name]: { name, file, template, hash, system, temperature, maxTokens } }, sections: { [key]: { maxTokens } } }
+ */
+function loadPromptSet(version = currentPromptVersion()) {
+  if (loaded.has(version)) {
+    return loaded.get(version);
+  }
+
+  if (!hasPromptVersion(version)) {
+    throw new Error(`Unknown prompt version: ${version}`);
+  }
+
+  const dir = path.join(PROMPTS_DIR, version);
+  const manifest = readJSON(path.join(dir, 'manifest.json'));
+
+  const prompts = Object.fromEntries(Object.entries(manifest.prompts).map(([name, entry]) => {
+    // Files end with a newline; the prompts themselves don't
+    const template = fs.readFileSync(path.join(dir, entry.file), 'utf8').replace(/\r?\n$/, '');
+
+    return [name, {
+      name,
+      file: entry.file,
+      template,
+      hash: hashText(template),
+      system: entry.system || null,
+      temperature: entry.temperature ?? null,
+      maxTokens: entry.maxTokens ?? null,
+    }];
+  }));
+
+  const set = {
+    version,
+    description: manifest.description || '',
+    model: manifest.model || null,
+    prompts,
+    sections: manifest.sections || {},
+  };
+
+  loaded.set(version, set);
+  return set;
+}
+
+/**
+ * Fill a template's {{placeholders}}; a missing value is an error rather
+ * than a prompt sent with a hole in it
+ * @param {Object} set - From loadPromptSet
+ * @param {string} name - Prompt name from the manifest
+ * @param {Object} vars - { [placeholder]: value }
+ * @returns {string}
+ */
+function renderPrompt(set, name, vars = {}) {
+  const prompt = getPrompt(set, name);
+
+  return prompt.template.replace(/\{\{(\w+)\}\}/g, (_, key) => {
+    if (vars[key] === undefined || vars[key] === null) {
+      throw new Error(`Prompt "${name}" (${set.version}) needs {{${key}}}`);
+    }
+    return String(vars[key]);
+  });
+}
+
+/**
+ * Call settings for a prompt: its name, system prompt text, temperature,
+ * max_tokens
+ * @returns {Object} - { prompt, system, temperature, maxTokens } (undefined when unset)
+ */
+function promptSettings(set, name) {
+  const prompt = getPrompt(set, name);
+
+  return {
+    prompt: name,
+    system: prompt.system ? getPrompt(set, prompt.system).template : undefined,
+    temperature: prompt.temperature ?? undefined,
+    maxTokens: prompt.maxTokens ?? undefined,
+  };
+}
+
+/**
+ * Provenance for analysis_content.prompt: which prompts, model and settings
+ * wrote the report
+ * @param {Object} set - From loadPromptSet
+ * @param {string} model - Model the analysis ran on
+ * @returns {Object} - { version, model, prompts: { [name]: { file, hash, temperature, max_tokens } }, sections: { [key]: { max_tokens } } }
+ */
+function describePromptSet(set, model) {
+  return {
+    version: set.version,
+    model,
+    prompts: Object.fromEntries(Object.values(set.prompts).map(prompt => [prompt.name, {
+      file: prompt.file,
+      hash: prompt.hash,
+      temperature: prompt.temperature,
+      max_tokens: prompt.maxTokens,
+    }])),
+    sections: Object.fromEntries(Object.entries(set.sections).map(([key, section]) => [
+      key,
+      { max_tokens: section.maxTokens ?? null },
+    ])),
+  };
+}
+
+function getPrompt(set, name) {
+  const prompt = set.prompts[name];
+
+  if (!prompt) {
+    throw new Error(`Prompt "${name}" is not in prompt set ${set.version}`);
+  }
+
+  return prompt;
+}
+
+function readJSON(file) {
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+// Short content hash, so an edited file under an old version shows up
+function hashText(text) {
+  return crypto.createHash('sha256').update(text).digest('hex').slice(0, 12);
+}
+
+module.exports = {
+  loadPromptSet,
+  renderPrompt,
+  promptSettings,
+  describePromptSet,
+  listPromptVersions,
+  hasPromptVersion,
+  currentPromptVersion,
+};
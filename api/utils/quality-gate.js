@@ -0,0 +1,282 @@
+/**
+ * QUALITY GATE MODULE
+ * Narrative Sparring - Review the draft before it ships
+ *
+ * Every draft is scored against the AI Brain prompt's PART 5 standards
+ * (authenticity, clarity, actionability, specificity, respect) plus PART 6's
+ * "every section substantive", and checked for structure:
+ *
+ *   - all 7 sections present, none thin or cut short
+ *   - a numeric gap score (X/10) in the executive summary
+ *   - 3 priority-1 actions in the action plan
+ *
+ * A draft below QUALITY_THRESHOLD, or with a structural problem, gets one
+ * round of targeted rewrites (only the sections named) and is reviewed again.
+ * The gate never blocks delivery: the scores are stored with the analysis.
+ */
+
+const { splitReportSections } = require('./quote-verifier');
+const {
+  generateQualityReview,
+  regenerateReportSection,
+  sumUsage,
+  REPORT_SECTIONS,
+  QUALITY_CRITERIA,
+} = require('./claude-client');
+const { getReportSection, replaceReportSection } = require('./report-finisher');
+
+// Average criterion score (1-10) a draft must reach
+const QUALITY_THRESHOLD = 7;
+
+// Sections shorter than this (excluding the heading) aren't substantive
+const MIN_SECTION_WORDS = 60;
+
+// PART 3's action plan: three things to do this week
+const PRIORITY_ONE_ACTIONS = 3;
+
+// Most sections rewritten in the revision round
+const MAX_REVISED_SECTIONS = 3;
+
+const CUT_SHORT_MARKER = '_[This section was cut short.]_';
+const ACTION_LINE = /^\s*(?:[-*•]\s*)?(?:☐|□|\[ \]|[-*•]|\d+[.)])\s+\S/;
+
+/**
+ * Review the draft and rewrite weak sections once
+ * @param {Object} params - { report, brief, context }
+ *   context - materials context the report was written from (for rewrites)
+ * @param {Object} options - { model, prompts, budget, progress }
+ *   progress - tracker the rewrites stream into (analysis-progress.js)
+ * @returns {Object} - { report, quality, tokensUsed, costUSD }
+ */
+async function runQualityGate(params, options = {}) {
+  const { brief, context } = params;
+  const usage = [];
+  let report = params.report;
+
+  console.log('Reviewing report quality...');
+  const initial = await reviewReport(report, brief, options);
+  usage.push(initial);
+
+  const targets = initial.passed ? [] : pickRevisionTargets(initial);
+  const revisedSections = [];
+
+  if (targets.length > 0) {
+    console.log(`Quality ${formatScore(initial.score)} with ${initial.structureIssues.length} structural issues; rewriting sections ${targets.map(target => target.section.number).join(', ')}`);
+
+    const results = await Promise.all(targets.map(target =>
+      regenerateReportSection(target.section.key, {
+        context,
+        brief,
+        previousText: getReportSection(report, target.section.number) || '(this section is missing from the report)',
+        feedback: target.notes.map(note => `- ${note}`).join('\n'),
+        reviewer: 'quality',
+      }, options)
+    ));
+
+    results.forEach((result, index) => {
+      const target = targets[index];
+
+      if (!result.success) {
+        console.error(`Quality rewrite failed for section ${target.section.number}: ${result.error}`);
+        return;
+      }
+
+      usage.push(result);
+      report = replaceReportSection(report, target.section.number, result.text);
+      revisedSections.push({
+        key: target.section.key,
+        title: target.section.title,
+        notes: target.notes,
+        complete: result.complete,
+        calls: result.calls,
+        tokensUsed: result.tokensUsed,
+        costUSD: result.costUSD,
+      });
+    });
+  }
+
+  let final = null;
+
+  if (revisedSections.length > 0) {
+    final = await reviewReport(report, brief, options);
+    usage.push(final);
+  }
+
+  const outcome = final || initial;
+
+  return {
+    report,
+    quality: {
+      threshold: QUALITY_THRESHOLD,
+      passed: outcome.passed,
+      score: outcome.score,
+      initial: describeReview(initial),
+      final: final ? describeReview(final) : null,
+      revised_sections: revisedSections,
+    },
+    tokensUsed: sumUsage(usage.filter(item => item.tokensUsed).map(item => item.tokensUsed)),
+    costUSD: sumUsage(usage.filter(item => item.costUSD).map(item => item.costUSD)),
+  };
+}
+
+/**
+ * Structural checks plus the Claude review, combined into one verdict
+ * @returns {Object} - { passed, score, criteria, structureIssues, revisions, reviewError, tokensUsed, costUSD }
+ */
+async function reviewReport(report, brief, options = {}) {
+  const structureIssues = checkStructure(report);
+  const review = await generateQualityReview(report, brief, options);
+
+  if (!review.success) {
+    // Without scores the structural checks decide on their own
+    console.error('Quality review failed:', review.error);
+  }
+
+  const score = review.success
+    ? Math.round((QUALITY_CRITERIA.reduce((sum, key) => sum + review.criteria[key].score, 0) / QUALITY_CRITERIA.length) * 10) / 10
+    : null;
+
+  return {
+    passed: structureIssues.length === 0 && (score === null || score >= QUALITY_THRESHOLD),
+    score,
+    criteria: review.success ? review.criteria : null,
+    structureIssues,
+    revisions: review.success ? review.revisions : [],
+    reviewError: review.success ? null : review.error,
+    tokensUsed: review.tokensUsed,
+    costUSD: review.costUSD,
+  };
+}
+
+/**
+ * Deterministic checks on the report's structure
+ * @returns {Array} - [{ check, section, message }]
+ */
+function checkStructure(report) {
+  const issues = [];
+  const found = new Map(
+    splitReportSections(report)
+      .filter(item => item.number !== null)
+      .map(item => [item.number, report.slice(item.start, item.end)])
+  );
+
+  for (const section of REPORT_SECTIONS) {
+    const text = found.get(section.number);
+
+    if (!text) {
+      issues.push({ check: 'section_present', section: section.number, message: `Section ${section.number} (${section.title}) is missing` });
+      continue;
+    }
+
+    const words = text.replace(/^.*\n/, '').split(/\s+/).filter(Boolean).length;
+
+    if (text.includes(CUT_SHORT_MARKER)) {
+      issues.push({ check: 'section_complete', section: section.number, message: `Section ${section.number} (${section.title}) was cut short` });
+    } else if (words < MIN_SECTION_WORDS) {
+      issues.push({ check: 'section_substantive', section: section.number, message: `Section ${section.number} (${section.title}) has only ${words} words - it must be substantive, not a placeholder` });
+    }
+  }
+
+  const summary = found.get(1);
+  if (summary) {
+    const gap = summary.match(/GAP SCORE[^0-9\n]{0,12}(\d+(?:\.\d+)?)\s*\/\s*10/i);
+    const value = gap ? Number(gap[1]) : NaN;
+
+    if (!(value >= 1 && value <= 10)) {
+      issues.push({ check: 'gap_score', section: 1, message: 'The executive summary needs a numeric gap score written as "GAP SCORE: X/10"' });
+    }
+  }
+
+  const plan = found.get(6);
+  if (plan) {
+    const count = countPriorityOneActions(plan);
+
+    if (count !== PRIORITY_ONE_ACTIONS) {
+      issues.push({
+        check: 'priority_one_actions',
+        section: 6,
+        message: `The action plan needs exactly ${PRIORITY_ONE_ACTIONS} Priority 1 (this week) actions, found ${count}`,
+      });
+    }
+  }
+
+  return issues;
+}
+
+/**
+ * Action lines between "Priority 1" and the next priority or heading
+ */
+function countPriorityOneActions(planText) {
+  const lines = planText.split('\n');
+  const start = lines.findIndex(line => /priority\s*1\b/i.test(line));
+
+  if (start === -1) {
+    return 0;
+  }
+
+  let count = 0;
+
+  for (const line of lines.slice(start + 1)) {
+    if (/priority\s*[23]\b/i.test(line) || /^#{1,6}\s/.test(line) || /LONG-TERM/i.test(line)) {
+      break;
+    }
+    if (ACTION_LINE.test(line)) {
+      count++;
+    }
+  }
+
+  return count;
+}
+
+/**
+ * Sections to rewrite, each with every note that applies to it; structural
+ * problems first, then the reviewer's suggestions
+ * @returns {Array} - [{ section, notes }]
+ */
+function pickRevisionTargets(review) {
+  const notes = new Map();
+  const add = (number, note) => {
+    if (!notes.has(number)) {
+      notes.set(number, []);
+    }
+    notes.get(number).push(note);
+  };
+
+  review.structureIssues.forEach(issue => add(issue.section, issue.message));
+
+  if (review.score !== null && review.score < QUALITY_THRESHOLD) {
+    review.revisions.forEach(item => add(item.section, item.instruction));
+  }
+
+  return [...notes.entries()]
+    .slice(0, MAX_REVISED_SECTIONS)
+    .map(([number, sectionNotes]) => ({
+      section: REPORT_SECTIONS.find(section => section.number === number),
+      notes: sectionNotes,
+    }));
+}
+
+function formatScore(score) {
+  return score === null ? 'not scored' : `${score}/10`;
+}
+
+/**
+ * Review as stored in analysis_content.quality_review
+ */
+function describeReview(review) {
+  return {
+    score: review.score,
+    passed: review.passed,
+    criteria: review.criteria,
+    structure_issues: review.structureIssues,
+    suggested_revisions: review.revisions,
+    review_error: review.reviewError,
+  };
+}
+
+module.exports = {
+  runQualityGate,
+  checkStructure,
+  formatScore,
+  QUALITY_THRESHOLD,
+};
@@ -0,0 +1,376 @@
+/**
+ * QUOTE VERIFICATION MODULE
+ * Narrative Sparring - Check every "exact copy" quote against the sources
+ *
+ * The report quotes the client's materials (Website: "[exact copy]") and the
+ * prime directive is to never invent information. After generation every
+ * quoted passage is looked up in the extracted documents:
+ *
+ *   exact   - same words in the same order (case/punctuation ignored)
+ *   close   - at least 80% of the words found together in one passage
+ *   missing - not found anywhere
+ *
+ * Sections with missing quotes are sent back to Claude once with the closest
+ * source passages; a reply without the section's heading, or much shorter
+ * than the section, is thrown away. Anything still missing is marked in the
+ * report. Quotes
+ * that are the report's own suggestions (core thread, revisions, "don't say")
+ * are not checked.
+ */
+
+const { getPlainText } = require('./document-model');
+const { fixSectionQuotes, sumUsage } = require('./claude-client');
+
+// Shorter quotes are usually labels or single phrases, not copy
+const MIN_QUOTE_WORDS = 3;
+
+// Share of the quote's words a passage must contain to count as "close"
+const CLOSE_MATCH_RATIO = 0.8;
+
+// A fixed section with fewer words than this share of the original lost content
+const MIN_FIX_WORD_RATIO = 0.7;
+
+// Labels whose quotes are proposed copy, not copy from the materials
+const SUGGESTION_LABEL = /THREAD|REVISION|REWRITE|HOW TO DEPLOY|SUGGEST|AFTER|DON'?T SAY|NOT TO SAY|AVOID/i;
+const SUGGESTION_PREFIX = /(❌|don['’]t say|instead|try|after|→)\s*:?\s*$/i;
+
+const QUOTE_PATTERN = /"([^"\n]+)"|“([^”\n]+)”/g;
+const LABEL_PATTERN = /^[\s>*_#-]*\**([A-Z][A-Z0-9 &'’/()-]{2,})\**\s*:/;
+
+/**
+ * Verify, fix (one re-prompt per affected section) and re-verify a report
+ * @param {string} report - Markdown report
+ * @param {Array} documents - Extracted documents (document-model.js)
+ * @param {Object} options - { model, prompts, budget, fix, fixSections }
+ *   fixSections - section numbers that may be re-prompted (default: all)
+ * @returns {Object} - { report, verification, tokensUsed, costUSD }
+ */
+async function verifyReportQuotes(report, documents, options = {}) {
+  const { fix = true, fixSections = null } = options;
+  const sources = buildSources(documents);
+  const usage = [];
+  let fixedSections = 0;
+
+  let quotes = checkQuotes(report, sources);
+
+  if (fix && quotes.some(quote => quote.status === 'missing')) {
+    const sections = splitReportSections(report);
+
+    // Last section first so earlier start/end positions stay valid
+    for (const section of sections.reverse()) {
+      const missing = quotes.filter(quote =>
+        quote.status === 'missing' && quote.index >= section.start && quote.index < section.end
+      );
+
+      if (missing.length === 0 || (fixSections && !fixSections.includes(section.number))) {
+        continue;
+      }
+
+      const result = await fixSectionQuotes(
+        report.slice(section.start, section.end),
+        missing.map(quote => ({ quote: quote.quote, closest: quote.closest })),
+        { model: options.model, prompts: options.prompts, budget: options.budget }
+      );
+
+      if (!result.success) {
+        console.error(`Quote fix failed for ${section.title}: ${result.error}`);
+        continue;
+      }
+
+      usage.push(result);
+
+      if (!isWholeSection(result.text, report.slice(section.start, section.end), section.number)) {
+        console.error(`Quote fix for ${section.title} came back incomplete, keeping the original`);
+        continue;
+      }
+
+      report = report.slice(0, section.start) + result.text.trim() + '\n\n' + report.slice(section.end).replace(/^\s+/, '');
+      fixedSections++;
+    }
+
+    quotes = checkQuotes(report, sources);
+  }
+
+  const count = status => quotes.filter(quote => quote.status === status).length;
+
+  return {
+    report,
+    verification: {
+      total: quotes.length,
+      exact: count('exact'),
+      close: count('close'),
+      missing: count('missing'),
+      fixedSections,
+      quotes: quotes.map(({ closest, ...quote }) => quote),
+    },
+    tokensUsed: sumUsage(usage.map(item => item.tokensUsed)),
+    costUSD: sumUsage(usage.map(item => item.costUSD)),
+  };
+}
+
+/**
+ * Add source annotations after each checked quote
+ * e.g. "We help founders..." [deck.pptx, Slide 3]
+ * @returns {string}
+ */
+function annotateReport(report, verification) {
+  let annotated = report;
+
+  // From the end so earlier indexes stay valid
+  const quotes = [...verification.quotes].sort((a, b) => b.index - a.index);
+
+  for (const quote of quotes) {
+    const note = quote.status === 'exact'
+      ? ` [${quote.filename}, ${quote.location}]`
+      : quote.status === 'close'
+        ? ` [close match: ${quote.filename}, ${quote.location}]`
+        : ' [UNVERIFIED: not found in the materials]';
+
+    const end = quote.index + quote.length;
+    annotated = annotated.slice(0, end) + note + annotated.slice(end);
+  }
+
+  return annotated;
+}
+
+/**
+ * Find and check every source-copy quote in the report
+ * @returns {Array} - [{ quote, index, length, section, status, score, filename, location, closest }]
+ */
+function checkQuotes(report, sources) {
+  return findQuotes(report).map(found => {
+    const match = findBestMatch(found.quote, sources);
+
+    return {
+      ...found,
+      status: match.status,
+      score: Math.round(match.score * 100) / 100,
+      filename: match.status === 'missing' ? null : match.filename,
+      location: match.status === 'missing' ? null : match.location,
+      closest: match.passage ? { filename: match.filename, location: match.location, text: match.passage } : null,
+    };
+  });
+}
+
+/**
+ * Quoted passages that claim to be the client's copy
+ * @returns {Array} - [{ quote, index, length, section }]
+ */
+function findQuotes(report) {
+  const quotes = [];
+  let label = '';
+  let section = null;
+  let lineStart = 0;
+
+  for (const line of report.split('\n')) {
+    const heading = line.match(/^#{1,6}\s+(.*)$/);
+
+    if (heading) {
+      label = '';
+      if (/^SECTION\s+\d+/i.test(heading[1])) {
+        section = heading[1].trim();
+      }
+    } else {
+      const labelMatch = line.match(LABEL_PATTERN);
+      if (labelMatch) {
+        label = labelMatch[1];
+      }
+    }
+
+    if (!SUGGESTION_LABEL.test(label)) {
+      for (const match of line.matchAll(QUOTE_PATTERN)) {
+        const quote = (match[1] || match[2]).trim();
+        const prefix = line.slice(0, match.index);
+
+        if (countWords(quote) < MIN_QUOTE_WORDS || /^\[.*\]$/.test(quote) || SUGGESTION_PREFIX.test(prefix)) {
+          continue;
+        }
+
+        quotes.push({
+          quote,
+          index: lineStart + match.index,
+          length: match[0].length,
+          section,
+        });
+      }
+    }
+
+    lineStart += line.length + 1;
+  }
+
+  return quotes;
+}
+
+/**
+ * Plain text of every document, tokenized with character positions
+ */
+function buildSources(documents) {
+  return documents.map(document => {
+    const text = getPlainText(document);
+    const tokens = [];
+
+    for (const match of text.matchAll(/[\p{L}\p{N}]+(?:['’][\p{L}]+)?/gu)) {
+      tokens.push({ word: normalizeWord(match[0]), start: match.index, end: match.index + match[0].length });
+    }
+
+    return { document, text, tokens };
+  });
+}
+
+/**
+ * Best passage for a quote across all sources: an exact word sequence if
+ * there is one, otherwise the window sharing the most words with the quote
+ * @returns {Object} - { status, score, filename, location, passage }
+ */
+function findBestMatch(quote, sources) {
+  const words = tokenize(quote);
+  const size = words.length;
+  const wanted = new Map();
+  words.forEach(word => wanted.set(word, (wanted.get(word) || 0) + 1));
+
+  let best = { status: 'missing', score: 0 };
+
+  for (const source of sources) {
+    const tokens = source.tokens;
+    if (tokens.length === 0) {
+      continue;
+    }
+
+    // Sliding window of the quote's length, counting shared words
+    const window = new Map();
+    let overlap = 0;
+
+    for (let i = 0; i < tokens.length; i++) {
+      const added = tokens[i].word;
+      const have = window.get(added) || 0;
+      if (have < (wanted.get(added) || 0)) {
+        overlap++;
+      }
+      window.set(added, have + 1);
+
+      if (i >= size) {
+        const removed = tokens[i - size].word;
+        const count = window.get(removed);
+        window.set(removed, count - 1);
+        if (count - 1 < (wanted.get(removed) || 0)) {
+          overlap--;
+        }
+      }
+
+      const start = Math.max(i - size + 1, 0);
+      const score = overlap / size;
+      const exact = overlap === size && words.every((word, j) => tokens[start + j].word === word);
+
+      if (exact || score > best.score) {
+        best = {
+          status: exact ? 'exact' : score >= CLOSE_MATCH_RATIO ? 'close' : 'missing',
+          score,
+          filename: source.document.filename,
+          location: describeLocation(source.document, tokens[start].start),
+          passage: passageAround(source, start, i),
+        };
+      }
+
+      if (exact) {
+        return best;
+      }
+    }
+  }
+
+  return best;
+}
+
+/**
+ * Page / slide / region holding a plain-text position
+ */
+function describeLocation(document, position) {
+  let found = null;
+
+  for (const section of document.sections) {
+    for (const block of section.blocks) {
+      if (block.offset !== null && block.offset <= position) {
+        found = section;
+      }
+    }
+  }
+
+  return found ? describeSection(found) : 'start of file';
+}
+
+/**
+ * Human label for a section: "page 3", "slide 2", "Homepage hero"
+ */
+function describeSection(section) {
+  if (section.kind === 'page') {
+    return `page ${section.number}`;
+  }
+  if (section.kind === 'slide') {
+    return `slide ${section.number}`;
+  }
+  return section.label || 'body';
+}
+
+/**
+ * Source text for a token window, widened a little for context
+ */
+function passageAround(source, startToken, endToken) {
+  const from = source.tokens[Math.max(startToken - 15, 0)].start;
+  const to = source.tokens[Math.min(endToken + 15, source.tokens.length - 1)].end;
+  return source.text.slice(from, to).replace(/\s+/g, ' ');
+}
+
+/**
+ * Report split at "## SECTION N" headings (sections are re-prompted one by one)
+ * @returns {Array} - [{ title, number, start, end }]
+ */
+function splitReportSections(report) {
+  const headings = [...report.matchAll(/^##\s+SECTION\s+(\d+).*$/gm)];
+
+  if (headings.length === 0) {
+    return [{ title: 'report', number: null, start: 0, end: report.length }];
+  }
+
+  return headings.map((heading, i) => ({
+    title: heading[0].replace(/^#+\s*/, ''),
+    number: Number(heading[1]),
+    start: heading.index,
+    end: i + 1 < headings.length ? headings[i + 1].index : report.length,
+  }));
+}
+
+/**
+ * Whether a re-prompted section still has its heading and most of its words
+ * @param {number|null} number - Section number (null for a report without sections)
+ */
+function isWholeSection(fixed, original, number) {
+  const heading = fixed.trim().match(/^##\s+SECTION\s+(\d+)/);
+
+  if (number !== null && (!heading || Number(heading[1]) !== number)) {
+    return false;
+  }
+
+  return countWords(fixed) >= countWords(original) * MIN_FIX_WORD_RATIO;
+}
+
+function tokenize(text) {
+  return (text.match(/[\p{L}\p{N}]+(?:['’][\p{L}]+)?/gu) || []).map(normalizeWord);
+}
+
+function normalizeWord(word) {
+  return word.toLowerCase().replace(/’/g, "'");
+}
+
+function countWords(text) {
+  return tokenize(text).length;
+}
+
+module.exports = {
+  verifyReportQuotes,
+  annotateReport,
+  findQuotes,
+  splitReportSections,
+  buildSources,
+  findBestMatch,
+  describeSection,
+  tokenize,
+};
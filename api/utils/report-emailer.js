@@ -19,13 +19,14 @@ const supabase = createClient(
 
 /**
  * Send report delivery email
- * @param {Object} params - { email, name, reportUrl, tier, reportBuffer, reportFilename }
+ * @param {Object} params - { email, name, company, reportUrl, tier, reportBuffer, reportFilename }
  * @returns {Object} - { success, messageId, error }
  */
 async function sendReportEmail(params) {
   const {
     email,
     name = 'there',
+    company = null,
     reportUrl,
     tier = 'basic',
     userId,
@@ -45,9 +46,11 @@ async function sendReportEmail(params) {
     const emailOptions = {
       from: 'Narrative Sparring <onboarding@resend.dev>',
       to: email,
-      subject: 'Your Narrative Sparring Report is Ready',
-      html: generateEmailHTML(name, reportUrl, tier),
-      text: generateEmailText(name, reportUrl, tier),
+      subject: company
+        ? `Your Narrative Sparring Report for ${company} is Ready`
+        : 'Your Narrative Sparring Report is Ready',
+      html: generateEmailHTML(name, reportUrl, tier, company),
+      text: generateEmailText(name, reportUrl, tier, company),
     };
 
     // Add attachment if reportBuffer is provided
@@ -99,7 +102,7 @@ async function sendReportEmail(params) {
 /**
  * Generate HTML email template
  */
-function generateEmailHTML(name, reportUrl, tier) {
+function generateEmailHTML(name, reportUrl, tier, company) {
   return `<!DOCTYPE html>
 <html lang="en">
 <head>
@@ -115,9 +118,9 @@ function generateEmailHTML(name, reportUrl, tier) {
   </div>
 
   <div style="background: #f9f9f9; padding: 30px; border-radius: 8px; margin-bottom: 30px;">
-    <p style="font-size: 16px; margin-bottom: 20px;">Hi ${name},</p>
+    <p style="font-size: 16px; margin-bottom: 20px;">Hi ${escapeHTML(name)},</p>
 
-    <p style="font-size: 16px; margin-bottom: 20px;">Your narrative audit is complete.</p>
+    <p style="font-size: 16px; margin-bottom: 20px;">Your narrative audit${company ? ` for ${escapeHTML(company)}` : ''} is complete.</p>
 
     <p style="font-size: 16px; margin-bottom: 20px;"><strong>Your report is attached to this email</strong> and also available at the link below:</p>
 
@@ -151,10 +154,10 @@ function generateEmailHTML(name, reportUrl, tier) {
 /**
  * Generate plain text email template
  */
-function generateEmailText(name, reportUrl, tier) {
+function generateEmailText(name, reportUrl, tier, company) {
   return `Hi ${name},
 
-Your narrative audit is complete.
+Your narrative audit${company ? ` for ${company}` : ''} is complete.
 
 Your report is attached to this email and also available online at:
 ${reportUrl}
@@ -248,7 +251,7 @@ function generateErrorEmailHTML(name, errorMessage) {
   </div>
 
   <div style="background: #fff3cd; padding: 30px; border-radius: 8px; border-left: 4px solid #ffc107; margin-bottom: 30px;">
-    <p style="font-size: 16px; margin-bottom: 20px;">Hi ${name},</p>
+    <p style="font-size: 16px; margin-bottom: 20px;">Hi ${escapeHTML(name)},</p>
 
     <p style="font-size: 16px; margin-bottom: 20px;">We encountered an issue generating your narrative report.</p>
 
@@ -289,6 +292,17 @@ In the meantime, if you have questions, reply to this email.
 © ${new Date().getFullYear()} CRUDA. All rights reserved.`;
 }
 
+/**
+ * Escape client-provided text (intake name, company) for the HTML templates
+ */
+function escapeHTML(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
 module.exports = {
   sendReportEmail,
   sendErrorEmail,
@@ -0,0 +1,196 @@
+/**
+ * REPORT FINISHING MODULE
+ * Narrative Sparring - From generated sections to the delivered report
+ *
+ * Everything that happens to a report after Claude writes it: quote
+ * verification, structured findings, the evidence appendix, source
+ * annotations, the coverage appendix, and PDF rendering + storage. Shared by
+ * analyze.js and section revisions (revise-section.js) so a revised report
+ * goes through exactly the same checks as the original.
+ */
+
+const { verifyReportQuotes, annotateReport, splitReportSections } = require('./quote-verifier');
+const { generateStructuredAnalysis, sumUsage } = require('./claude-client');
+const { buildEvidence } = require('./evidence-builder');
+const { formatPackingAppendix } = require('./input-packer');
+const { generatePDFKit, generateHTML } = require('./report-generator');
+
+const REPORT_BUCKET = 'uploads'; // Reuse uploads bucket for reports
+const REPORT_TITLE = 'Narrative Sparring Diagnostic Report';
+
+/**
+ * Verify quotes, extract structured findings and build the evidence appendix
+ * @param {Object} params - { report, brief, documents, classifications, fixSections }
+ *   fixSections - section numbers whose missing quotes may be re-prompted (default: all)
+ * @param {Object} options - { model, prompts, budget }
+ * @returns {Object} - { report, verification, structured, evidence, tokensUsed, costUSD }
+ */
+async function checkReport(params, options = {}) {
+  const { brief, documents, classifications, fixSections = null } = params;
+
+  // Check every quote against the sources (fix, then mark what's left)
+  console.log('Verifying quotes against source materials...');
+  const quoteCheck = await verifyReportQuotes(params.report, documents, { ...options, fixSections });
+
+  console.log(`Quotes: ${quoteCheck.verification.exact} exact, ${quoteCheck.verification.close} close, ${quoteCheck.verification.missing} unverified`);
+
+  // Structured findings (a failure here doesn't fail the report)
+  console.log('Extracting structured analysis...');
+  const structured = await generateStructuredAnalysis(quoteCheck.report, brief, options);
+
+  if (!structured.success) {
+    console.error('Structured analysis failed:', structured.error);
+  }
+
+  // Source passages behind every finding (evidence appendix)
+  const evidence = buildEvidence({
+    structured: structured.success ? structured.analysis : null,
+    documents,
+    classifications,
+    verification: quoteCheck.verification,
+  });
+
+  const usage = [quoteCheck, structured].filter(item => item.tokensUsed);
+
+  return {
+    report: quoteCheck.report,
+    verification: quoteCheck.verification,
+    structured,
+    evidence,
+    tokensUsed: sumUsage(usage.map(item => item.tokensUsed)),
+    costUSD: sumUsage(usage.map(item => item.costUSD)),
+  };
+}
+
+/**
+ * Text of "## SECTION N" in a report
+ * @returns {string|null}
+ */
+function getReportSection(report, number) {
+  const section = splitReportSections(report).find(item => item.number === number);
+  return section ? report.slice(section.start, section.end).trim() : null;
+}
+
+/**
+ * Report with "## SECTION N" swapped for new text, everything else untouched
+ * (a missing section is inserted in number order)
+ */
+function replaceReportSection(report, number, text) {
+  const sections = splitReportSections(report).filter(item => item.number !== null);
+  const current = sections.find(item => item.number === number);
+
+  if (!current) {
+    const next = sections.find(item => item.number > number);
+    return next
+      ? `${report.slice(0, next.start)}${text.trim()}\n\n${report.slice(next.start)}`
+      : `${report.trimEnd()}\n\n${text.trim()}`;
+  }
+
+  const after = report.slice(current.end).replace(/^\s+/, '');
+  return report.slice(0, current.start) + text.trim() + (after ? `\n\n${after}` : '');
+}
+
+/**
+ * `structured_validation` as stored in analysis_content
+ */
+function describeStructuredValidation(structured) {
+  return {
+    valid: structured.success,
+    attempts: structured.attempts || 0,
+    errors: structured.success ? [] : (structured.errors || [structured.error]),
+    tokens_used: structured.tokensUsed?.total || 0,
+    cost_usd: structured.costUSD?.total || 0,
+  };
+}
+
+/**
+ * The markdown the client reads: source annotations after each quote, then
+ * the list of anything condensed so they know what wasn't read in full
+ * @returns {string}
+ */
+function buildClientMarkdown(report, verification, packing) {
+  // Annotations go in after the structured pass so they don't end up in its quotes
+  const annotated = annotateReport(report, verification);
+  const packingAppendix = formatPackingAppendix(packing);
+
+  return packingAppendix ? `${annotated}\n\n${packingAppendix}` : annotated;
+}
+
+/**
+ * Render the report (PDF, HTML fallback) and upload it to storage
+ * @param {Object} supabase - Supabase client
+ * @param {string} markdown - Client markdown
+ * @param {Object} options - { evidence, metrics, similarity, claims, narrativeMap }
+ * @returns {Object} - { reportUrl, reportBuffer, reportFilename }
+ * @throws if the upload fails
+ */
+async function publishReport(supabase, markdown, options = {}) {
+  const { evidence, metrics, similarity, claims, narrativeMap } = options;
+  let reportBuffer;
+  let reportFilename;
+  let reportContentType;
+
+  console.log('Generating PDF report...');
+
+  try {
+    reportBuffer = await generatePDFKit(markdown, {
+      title: REPORT_TITLE,
+      evidence,
+      metrics,
+      similarity,
+      claims,
+      narrativeMap,
+    });
+    reportFilename = `narrative-sparring-report-${Date.now()}.pdf`;
+    reportContentType = 'application/pdf';
+    console.log('PDF generation successful');
+  } catch (pdfError) {
+    console.error('PDF generation failed, falling back to HTML:', pdfError);
+    // Fallback to HTML if PDF fails
+    const htmlReport = generateHTML(markdown, {
+      title: REPORT_TITLE,
+      evidence,
+      metrics,
+      similarity,
+      claims,
+      narrativeMap,
+    });
+    reportBuffer = Buffer.from(htmlReport, 'utf-8');
+    reportFilename = `narrative-sparring-report-${Date.now()}.html`;
+    reportContentType = 'text/html; charset=utf-8';
+  }
+
+  console.log('Uploading report to storage...');
+  const reportPath = `reports/${reportFilename}`;
+
+  const { error: uploadError } = await supabase.storage
+    .from(REPORT_BUCKET)
+    .upload(reportPath, reportBuffer, {
+      contentType: reportContentType,
+      upsert: false,
+    });
+
+  if (uploadError) {
+    throw new Error(`Report upload failed: ${uploadError.message}`);
+  }
+
+  // Get public URL for report
+  const { data: urlData } = supabase.storage
+    .from(REPORT_BUCKET)
+    .getPublicUrl(reportPath);
+
+  return {
+    reportUrl: urlData.publicUrl,
+    reportBuffer,
+    reportFilename,
+  };
+}
+
+module.exports = {
+  checkReport,
+  buildClientMarkdown,
+  publishReport,
+  describeStructuredValidation,
+  getReportSection,
+  replaceReportSection,
+};
@@ -6,13 +6,57 @@
  */
 
 const { jsPDF } = require('jspdf');
+const { buildMetricsTable } = require('./messaging-linter');
+const { buildSimilarityTable } = require('./similarity-matrix');
+const { buildClaimTable } = require('./claim-inventory');
+const { buildNarrativeMapTable } = require('./narrative-map');
+
+// Evidence appendix groups, in report order
+const EVIDENCE_GROUPS = [
+  { kind: 'blind_spot', title: 'Blind spots' },
+  { kind: 'score', title: 'Scores' },
+  { kind: 'thread', title: 'Core threads' },
+  { kind: 'recommendation', title: 'Recommendations' },
+  { kind: 'report_section', title: 'Quotes by section' },
+];
+
+const NO_SOURCE_TEXT = 'No single passage - based on the materials as a whole.';
+
+const METRICS_TITLE = 'APPENDIX: MESSAGING METRICS';
+const METRICS_INTRO = 'Counted directly from your files, not estimated.';
+
+const SIMILARITY_TITLE = 'APPENDIX: CROSS-PLATFORM SIMILARITY';
+const SIMILARITY_INTRO = 'How much each pair of platforms says the same thing, measured from the text.';
+
+const NARRATIVE_MAP_TITLE = 'APPENDIX: NARRATIVE MAP';
+const NARRATIVE_MAP_INTRO = 'Which of the Three Layers and founder journey stages each platform actually covers.';
+
+const CLAIMS_TITLE = 'APPENDIX: CLAIMS AND PROOF POINTS';
+const CLAIMS_INTRO = 'Every claim in your materials, and whether anything in them backs it up.';
+
+// Claims table column widths in the PDF (pt)
+const CLAIMS_COLUMN_WIDTHS = [190, 110, 62, 150];
+
+// Messaging metrics table column widths in the PDF (pt, sums to the text width)
+const METRICS_COLUMN_WIDTHS = [122, 62, 40, 52, 40, 38, 52, 46, 60];
+
+// Row label width in the PDF for the similarity and narrative matrices; the
+// other columns share the rest
+const MATRIX_LABEL_WIDTH = 110;
 
 /**
  * Generate HTML report as fallback
+ * @param {string} markdown - The markdown content from Claude
+ * @param {Object} options - { title, evidence, metrics, similarity, claims, narrativeMap }
  */
 function generateHTML(markdown, options = {}) {
   const {
     title = 'Narrative Sparring Report',
+    evidence = null,
+    metrics = null,
+    similarity = null,
+    claims = null,
+    narrativeMap = null,
   } = options;
 
   const html = `<!DOCTYPE html>
@@ -95,6 +139,44 @@ function generateHTML(markdown, options = {}) {
       border-radius: 5px;
       overflow-x: auto;
     }
+    .appendix-table {
+      width: 100%;
+      border-collapse: collapse;
+      font-size: 13px;
+      margin-bottom: 15px;
+    }
+    .appendix-table th,
+    .appendix-table td {
+      border-bottom: 1px solid #ddd;
+      padding: 6px 8px;
+      text-align: right;
+    }
+    .appendix-table .label {
+      text-align: left;
+    }
+    .appendix-table th {
+      border-bottom: 2px solid #000;
+    }
+    .appendix-note {
+      font-size: 13px;
+      color: #666;
+    }
+    .evidence-item {
+      margin-bottom: 25px;
+    }
+    .evidence-source {
+      border-left: 4px solid #ddd;
+      padding-left: 15px;
+      margin: 8px 0;
+    }
+    .evidence-source .passage {
+      font-style: italic;
+      color: #444;
+    }
+    .evidence-source .citation {
+      font-size: 13px;
+      color: #888;
+    }
   </style>
 </head>
 <body>
@@ -105,6 +187,16 @@ function generateHTML(markdown, options = {}) {
 
   ${convertMarkdownToHTML(markdown)}
 
+  ${similarity ? renderTableHTML(SIMILARITY_TITLE, SIMILARITY_INTRO, buildSimilarityTable(similarity), 1) : ''}
+
+  ${narrativeMap ? renderTableHTML(NARRATIVE_MAP_TITLE, NARRATIVE_MAP_INTRO, buildNarrativeMapTable(narrativeMap), 1) : ''}
+
+  ${metrics && metrics.files.length > 0 ? renderTableHTML(METRICS_TITLE, METRICS_INTRO, buildMetricsTable(metrics), 2) : ''}
+
+  ${claims && claims.claims.length > 0 ? renderTableHTML(CLAIMS_TITLE, CLAIMS_INTRO, buildClaimTable(claims), 4) : ''}
+
+  ${evidence ? renderEvidenceHTML(evidence) : ''}
+
   <div class="footer">
     <p><em>This report was generated by CRUDA's narrative diagnostic engine.</em></p>
     <p>Questions? Contact us at support@cruda.io</p>
@@ -147,16 +239,97 @@ function convertMarkdownToHTML(markdown) {
   return html;
 }
 
+/**
+ * Table appendix (messaging metrics, similarity matrix) as HTML
+ * @param {Object} table - { columns, rows, notes }
+ * @param {number} labelColumns - Leading text columns (left-aligned)
+ */
+function renderTableHTML(title, intro, table, labelColumns) {
+  const cellClass = index => (index < labelColumns ? ' class="label"' : '');
+  const header = table.columns.map((column, i) => `<th${cellClass(i)}>${escapeHTML(column)}</th>`).join('');
+  const rows = table.rows
+    .map(row => `<tr>${row.map((cell, i) => `<td${cellClass(i)}>${escapeHTML(cell)}</td>`).join('')}</tr>`)
+    .join('\n      ');
+  const notes = table.notes.map(note => `<p class="appendix-note">${escapeHTML(note)}</p>`).join('\n  ');
+
+  return `<h2>${title}</h2>
+  <p>${intro}</p>
+  <table class="appendix-table">
+    <thead><tr>${header}</tr></thead>
+    <tbody>
+      ${rows}
+    </tbody>
+  </table>
+  ${notes}`;
+}
+
+/**
+ * Evidence appendix as HTML
+ * @param {Object} evidence - From evidence-builder.js ({ items })
+ */
+function renderEvidenceHTML(evidence) {
+  const groups = groupEvidence(evidence);
+
+  if (groups.length === 0) {
+    return '';
+  }
+
+  const body = groups.map(group => {
+    const items = group.items.map(item => {
+      const sources = item.sources.length > 0
+        ? item.sources.map(source => `
+      <div class="evidence-source">
+        <div class="passage">"${escapeHTML(source.passage)}"</div>
+        <div class="citation">${escapeHTML(source.filename)}, ${escapeHTML(source.location)} (${escapeHTML(source.match)})</div>
+      </div>`).join('')
+        : `<div class="evidence-source"><div class="citation">${NO_SOURCE_TEXT}</div></div>`;
+
+      return `
+    <div class="evidence-item">
+      <p><strong>${escapeHTML(item.finding)}</strong>${item.detail ? ` - ${escapeHTML(item.detail)}` : ''}</p>${sources}
+    </div>`;
+    }).join('');
+
+    return `<h3>${group.title}</h3>${items}`;
+  }).join('\n');
+
+  return `<h2>APPENDIX: EVIDENCE</h2>
+  <p>Where each finding comes from in your materials.</p>
+  ${body}`;
+}
+
+/**
+ * Evidence items grouped by kind, empty groups dropped
+ */
+function groupEvidence(evidence) {
+  return EVIDENCE_GROUPS
+    .map(group => ({ ...group, items: evidence.items.filter(item => item.kind === group.kind) }))
+    .filter(group => group.items.length > 0);
+}
+
+function escapeHTML(text) {
+  return String(text || '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
 /**
  * Generate PDF using jsPDF (serverless-compatible, pure JavaScript)
  * @param {string} markdown - The markdown content from Claude
- * @param {Object} options - Generation options
+ * @param {Object} options - { title, author, evidence, metrics, similarity, claims, narrativeMap }
  * @returns {Promise<Buffer>} - PDF buffer
  */
 async function generatePDFKit(markdown, options = {}) {
   const {
     title = 'Narrative Sparring Diagnostic Report',
     author = 'CRUDA',
+    evidence = null,
+    metrics = null,
+    similarity = null,
+    claims = null,
+    narrativeMap = null,
   } = options;
 
   try {
@@ -261,6 +434,144 @@ async function generatePDFKit(markdown, options = {}) {
       yPos += splitText.length * 15;
     }
 
+    // Table appendix on its own page: heading, intro, rows, then notes
+    const drawTableAppendix = (heading, intro, table, widths) => {
+      doc.addPage();
+      yPos = margin;
+
+      doc.setFontSize(16);
+      doc.setFont('helvetica', 'bold');
+      doc.text(heading, margin, yPos);
+      yPos += 20;
+
+      doc.setFontSize(11);
+      doc.setFont('helvetica', 'normal');
+      doc.text(intro, margin, yPos);
+      yPos += 25;
+
+      const drawRow = (cells, bold) => {
+        doc.setFontSize(8);
+        doc.setFont('helvetica', bold ? 'bold' : 'normal');
+        const wrapped = cells.map((cell, i) => doc.splitTextToSize(cell, widths[i] - 6));
+        const rowHeight = Math.max(...wrapped.map(lines => lines.length)) * 10 + 6;
+
+        checkPageBreak(rowHeight);
+        let x = margin;
+        wrapped.forEach((lines, i) => {
+          doc.text(lines, x, yPos);
+          x += widths[i];
+        });
+        yPos += rowHeight - 8;
+
+        doc.setLineWidth(bold ? 1 : 0.5);
+        doc.line(margin, yPos, margin + maxWidth, yPos);
+        yPos += 12;
+      };
+
+      drawRow(table.columns, true);
+      table.rows.forEach(row => drawRow(row, false));
+
+      yPos += 10;
+      doc.setFontSize(9);
+      doc.setFont('helvetica', 'normal');
+      doc.setTextColor(100);
+      for (const note of table.notes) {
+        const noteLines = doc.splitTextToSize(note, maxWidth);
+        checkPageBreak(noteLines.length * 12 + 4);
+        doc.text(noteLines, margin, yPos);
+        yPos += noteLines.length * 12 + 4;
+      }
+      doc.setTextColor(0);
+    };
+
+    // Matrix widths: the row label, then equal columns
+    const matrixWidths = table => [
+      MATRIX_LABEL_WIDTH,
+      ...table.columns.slice(1).map(() => (maxWidth - MATRIX_LABEL_WIDTH) / (table.columns.length - 1)),
+    ];
+
+    if (similarity) {
+      const table = buildSimilarityTable(similarity);
+      drawTableAppendix(SIMILARITY_TITLE, SIMILARITY_INTRO, table, matrixWidths(table));
+    }
+
+    if (narrativeMap) {
+      const table = buildNarrativeMapTable(narrativeMap);
+      drawTableAppendix(NARRATIVE_MAP_TITLE, NARRATIVE_MAP_INTRO, table, matrixWidths(table));
+    }
+
+    if (metrics && metrics.files.length > 0) {
+      drawTableAppendix(METRICS_TITLE, METRICS_INTRO, buildMetricsTable(metrics), METRICS_COLUMN_WIDTHS);
+    }
+
+    if (claims && claims.claims.length > 0) {
+      drawTableAppendix(CLAIMS_TITLE, CLAIMS_INTRO, buildClaimTable(claims), CLAIMS_COLUMN_WIDTHS);
+    }
+
+    // Evidence appendix on its own pages
+    const evidenceGroups = evidence ? groupEvidence(evidence) : [];
+
+    if (evidenceGroups.length > 0) {
+      doc.addPage();
+      yPos = margin;
+
+      doc.setFontSize(16);
+      doc.setFont('helvetica', 'bold');
+      doc.text('APPENDIX: EVIDENCE', margin, yPos);
+      yPos += 20;
+
+      doc.setFontSize(11);
+      doc.setFont('helvetica', 'normal');
+      doc.text('Where each finding comes from in your materials.', margin, yPos);
+      yPos += 25;
+
+      for (const group of evidenceGroups) {
+        checkPageBreak(40);
+        doc.setFontSize(14);
+        doc.setFont('helvetica', 'bold');
+        doc.text(group.title, margin, yPos);
+        yPos += 20;
+
+        for (const item of group.items) {
+          const heading = item.detail ? `${item.finding} - ${item.detail}` : item.finding;
+          const headingLines = doc.splitTextToSize(heading, maxWidth);
+          checkPageBreak(headingLines.length * 15 + 30);
+          doc.setFontSize(11);
+          doc.setFont('helvetica', 'bold');
+          doc.text(headingLines, margin, yPos);
+          yPos += headingLines.length * 15 + 4;
+
+          if (item.sources.length === 0) {
+            doc.setFontSize(10);
+            doc.setFont('helvetica', 'italic');
+            doc.setTextColor(120);
+            doc.text(NO_SOURCE_TEXT, margin + 15, yPos);
+            doc.setTextColor(0);
+            yPos += 20;
+            continue;
+          }
+
+          for (const source of item.sources) {
+            const passageLines = doc.splitTextToSize(`"${source.passage}"`, maxWidth - 15);
+            checkPageBreak(passageLines.length * 13 + 15);
+            doc.setFontSize(10);
+            doc.setFont('helvetica', 'italic');
+            doc.text(passageLines, margin + 15, yPos);
+            yPos += passageLines.length * 13;
+
+            const citationLines = doc.splitTextToSize(`${source.filename}, ${source.location} (${source.match})`, maxWidth - 15);
+            doc.setFont('helvetica', 'normal');
+            doc.setTextColor(120);
+            doc.text(citationLines, margin + 15, yPos);
+            doc.setTextColor(0);
+            yPos += citationLines.length * 13 + 5;
+          }
+
+          yPos += 6;
+        }
+      }
+    }
+
     // Add footer on last page
     yPos = pageHeight - margin - 30;
     doc.setLineWidth(1);
@@ -0,0 +1,404 @@
+/**
+ * SIMILARITY MATRIX MODULE
+ * Narrative Sparring - How much each platform says the same thing, measured
+ *
+ * Compares every pair of platforms in the uploads (all files tagged Website
+ * form one "Website" text, and so on) with three local measures:
+ *
+ *   TF-IDF        - cosine similarity of word and two-word-phrase weights
+ *   key phrases   - share of each platform's top phrases found on the other
+ *   value props   - value-proposition statements, clustered across platforms;
+ *                   share of the pair's clusters both platforms state
+ *
+ * The weighted mix is the pair's similarity (0-1). Each platform's baseline
+ * consistency score (1-10) comes from its average similarity to the others,
+ * and the baseline gap score is their average, as in the scoring rubric.
+ * The numbers go into the Claude prompt as the starting point for its scores
+ * and into a table in the report appendix. No API calls.
+ */
+
+const { tokenize } = require('./quote-verifier');
+const { PLATFORMS } = require('./platform-classifier');
+
+// Weights of the three measures in a pair's similarity
+const WEIGHTS = { tfidf: 0.5, keyPhrases: 0.25, valuePropositions: 0.25 };
+
+// Similarity at which a platform scores 10/10 (different formats never read
+// identically, so full consistency is well below 1)
+const FULL_CONSISTENCY_SIMILARITY = 0.6;
+
+// Top phrases per platform compared for key phrase overlap
+const KEY_PHRASES = 12;
+
+// Value-proposition statements taken per platform, in reading order
+const MAX_VALUE_PROPOSITIONS = 8;
+
+// Word overlap (Dice) at which two statements join the same cluster
+const CLUSTER_THRESHOLD = 0.3;
+
+// Platforms with fewer words than this are left out of the matrix
+const MIN_PLATFORM_WORDS = 30;
+
+const STOP_WORDS = new Set([
+  'the', 'and', 'for', 'with', 'that', 'this', 'you', 'your', 'our', 'are', 'was', 'were', 'from',
+  'they', 'their', 'them', 'have', 'has', 'had', 'not', 'but', 'all', 'can', 'will', 'into', 'what',
+  'who', 'how', 'why', 'when', 'where', 'more', 'most', 'than', 'its', 'it\'s', 'about', 'each',
+  'every', 'one', 'also', 'just', 'been', 'being', 'would', 'could', 'should', 'which', 'there',
+  'these', 'those', 'then', 'out', 'any', 'some', 'such', 'only', 'own', 'same', 'very', 'here',
+  'his', 'her', 'she', 'him', 'we\'re', 'you\'re', 'don\'t', 'i\'m', 'we\'ve', 'let\'s', 'get',
+  'via', 'per', 'www', 'com', 'http', 'https',
+]);
+
+const VALUE_PROPOSITION_CUES = [
+  /\b(?:we|i)\s+(?:help|build|make|give|turn|offer|provide|deliver|create|design|work with|partner with)\b/i,
+  /\bhelp(?:s|ing)\s+\w+\s+(?:to\s+)?\w+/i,
+  /\bso (?:that )?(?:you|they|your \w+) can\b/i,
+  /\bwithout (?:the|having|any|ever)\b/i,
+  /\b(?:our|the) (?:mission|promise|approach) is\b/i,
+];
+
+/**
+ * Similarity matrix for the extracted documents
+ * @param {Array} documents - From document-model.js
+ * @param {Array} classifications - [{ filename, platform }]
+ * @returns {Object|null} - { platforms, pairs, clusters, baselineGapScore }, null with fewer than 2 platforms
+ */
+function computeSimilarity(documents, classifications = []) {
+  const platformOf = new Map(classifications.map(item => [item.filename, item.platform]));
+  const groups = new Map();
+
+  for (const document of documents) {
+    const platform = platformOf.get(document.filename) || 'other';
+    if (!groups.has(platform)) {
+      groups.set(platform, { platform, files: [], blocks: [] });
+    }
+    const group = groups.get(platform);
+    group.files.push(document.filename);
+    document.sections.forEach(section => group.blocks.push(...section.blocks));
+  }
+
+  const platforms = [...groups.values()]
+    .map(group => ({ ...group, terms: countTerms(group.blocks) }))
+    .filter(group => group.terms.words >= MIN_PLATFORM_WORDS);
+
+  if (platforms.length < 2) {
+    return null;
+  }
+
+  const vectors = buildVectors(platforms.map(group => group.terms.counts));
+  platforms.forEach((group, i) => {
+    group.vector = vectors[i];
+    group.keyPhrases = [...vectors[i].entries()]
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, KEY_PHRASES)
+      .map(([term]) => term);
+    group.statements = findValuePropositions(group.blocks);
+  });
+
+  const clusters = clusterStatements(platforms);
+  const pairs = [];
+
+  for (let i = 0; i < platforms.length; i++) {
+    for (let j = i + 1; j < platforms.length; j++) {
+      pairs.push(comparePlatforms(platforms[i], platforms[j], clusters));
+    }
+  }
+
+  const summaries = platforms.map(group => {
+    const own = pairs.filter(pair => pair.a === group.platform || pair.b === group.platform);
+    const average = own.reduce((sum, pair) => sum + pair.similarity, 0) / own.length;
+
+    return {
+      platform: group.platform,
+      label: platformLabel(group.platform),
+      files: group.files,
+      words: group.terms.words,
+      averageSimilarity: round(average, 2),
+      baselineScore: toScore(average),
+      keyPhrases: group.keyPhrases,
+      valuePropositions: group.statements,
+    };
+  });
+
+  return {
+    platforms: summaries,
+    pairs,
+    clusters: clusters.map(cluster => ({
+      label: cluster.statements[0].text,
+      platforms: [...new Set(cluster.statements.map(statement => statement.platform))],
+      statements: cluster.statements,
+    })),
+    baselineGapScore: round(summaries.reduce((sum, item) => sum + item.baselineScore, 0) / summaries.length),
+  };
+}
+
+/**
+ * Word and two-word-phrase counts for one platform's blocks
+ * @returns {Object} - { counts: Map, words }
+ */
+function countTerms(blocks) {
+  const counts = new Map();
+  let words = 0;
+
+  for (const block of blocks) {
+    const tokens = tokenize(block.text);
+    words += tokens.length;
+
+    // Phrases don't bridge stop words ("help the founders" has no phrase)
+    let previous = null;
+    for (const token of tokens) {
+      if (!isContentWord(token)) {
+        previous = null;
+        continue;
+      }
+      counts.set(token, (counts.get(token) || 0) + 1);
+      if (previous) {
+        const phrase = `${previous} ${token}`;
+        counts.set(phrase, (counts.get(phrase) || 0) + 1);
+      }
+      previous = token;
+    }
+  }
+
+  return { counts, words };
+}
+
+/**
+ * L2-normalised TF-IDF vectors (log term frequency, smoothed IDF so terms
+ * every platform uses still count - with 2-4 platforms they usually are the
+ * shared story)
+ * @returns {Array} - [Map(term -> weight)]
+ */
+function buildVectors(countsList) {
+  const documentFrequency = new Map();
+  countsList.forEach(counts => counts.forEach((count, term) => {
+    documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+  }));
+
+  const total = countsList.length;
+
+  return countsList.map(counts => {
+    const vector = new Map();
+    let norm = 0;
+
+    counts.forEach((count, term) => {
+      const weight = (1 + Math.log(count)) * (Math.log((1 + total) / (1 + documentFrequency.get(term))) + 1);
+      vector.set(term, weight);
+      norm += weight * weight;
+    });
+
+    norm = Math.sqrt(norm);
+    vector.forEach((weight, term) => vector.set(term, weight / norm));
+    return vector;
+  });
+}
+
+/**
+ * Headings and sentences that state what the client offers and for whom
+ * @returns {Array} - [string]
+ */
+function findValuePropositions(blocks) {
+  const statements = [];
+  const seen = new Set();
+
+  for (const block of blocks) {
+    const candidates = block.type === 'heading'
+      ? [block.text]
+      : block.text.split(/(?<=[.!?])\s+/).filter(sentence => VALUE_PROPOSITION_CUES.some(cue => cue.test(sentence)));
+
+    for (const candidate of candidates) {
+      const text = candidate.replace(/\s+/g, ' ').trim();
+      const length = tokenize(text).length;
+      const key = text.toLowerCase();
+
+      if (length < 4 || length > 40 || seen.has(key)) {
+        continue;
+      }
+      seen.add(key);
+      statements.push(text);
+
+      if (statements.length === MAX_VALUE_PROPOSITIONS) {
+        return statements;
+      }
+    }
+  }
+
+  return statements;
+}
+
+/**
+ * Group value propositions from all platforms that say the same thing
+ * (single link: a statement joins the first cluster with a close member)
+ * @returns {Array} - [{ statements: [{ platform, text, stems }] }]
+ */
+function clusterStatements(platforms) {
+  const clusters = [];
+
+  for (const group of platforms) {
+    for (const text of group.statements) {
+      const statement = { platform: group.platform, text, stems: stemSet(text) };
+      const cluster = clusters.find(item => item.statements.some(other => dice(other.stems, statement.stems) >= CLUSTER_THRESHOLD));
+
+      if (cluster) {
+        cluster.statements.push(statement);
+      } else {
+        clusters.push({ statements: [statement] });
+      }
+    }
+  }
+
+  // Stems are only needed for clustering
+  clusters.forEach(cluster => cluster.statements.forEach(statement => delete statement.stems));
+  return clusters;
+}
+
+/**
+ * One cell of the matrix
+ * @returns {Object} - { a, b, similarity, tfidf, keyPhrases, valuePropositions, sharedPhrases }
+ */
+function comparePlatforms(a, b, clusters) {
+  let tfidf = 0;
+  a.vector.forEach((weight, term) => {
+    tfidf += weight * (b.vector.get(term) || 0);
+  });
+
+  const sharedA = a.keyPhrases.filter(term => b.vector.has(term));
+  const sharedB = b.keyPhrases.filter(term => a.vector.has(term));
+  const keyPhrases = (sharedA.length + sharedB.length) / (a.keyPhrases.length + b.keyPhrases.length);
+
+  // Value props only count when at least one side states any
+  const involved = clusters.filter(cluster => cluster.statements.some(item => item.platform === a.platform || item.platform === b.platform));
+  const shared = involved.filter(cluster =>
+    cluster.statements.some(item => item.platform === a.platform) &&
+    cluster.statements.some(item => item.platform === b.platform)
+  );
+  const valuePropositions = involved.length > 0 ? shared.length / involved.length : null;
+
+  const measures = { tfidf, keyPhrases, valuePropositions };
+  const used = Object.keys(WEIGHTS).filter(key => measures[key] !== null);
+  const weightTotal = used.reduce((sum, key) => sum + WEIGHTS[key], 0);
+  const similarity = used.reduce((sum, key) => sum + WEIGHTS[key] * measures[key], 0) / weightTotal;
+
+  return {
+    a: a.platform,
+    b: b.platform,
+    similarity: round(similarity, 2),
+    tfidf: round(tfidf, 2),
+    keyPhrases: round(keyPhrases, 2),
+    valuePropositions: valuePropositions === null ? null : round(valuePropositions, 2),
+    sharedPhrases: [...new Set([...sharedA, ...sharedB])],
+  };
+}
+
+/**
+ * Similarity as a labeled block for the prompt
+ * @returns {string} - '' without a matrix
+ */
+function formatSimilarityContext(similarity) {
+  if (!similarity) {
+    return '';
+  }
+
+  const pairs = similarity.pairs.map(pair => {
+    const shared = pair.sharedPhrases.length > 0 ? pair.sharedPhrases.slice(0, 8).map(phrase => `"${phrase}"`).join(', ') : 'none';
+    const valueProps = pair.valuePropositions === null ? 'n/a' : formatPercent(pair.valuePropositions);
+    return `${platformLabel(pair.a)} vs ${platformLabel(pair.b)}: similarity ${formatPercent(pair.similarity)} (TF-IDF ${formatPercent(pair.tfidf)}, key phrases ${formatPercent(pair.keyPhrases)}, value props ${valueProps}); shared phrases: ${shared}`;
+  });
+
+  const platforms = similarity.platforms.map(item =>
+    `${item.label}: baseline consistency ${item.baselineScore}/10 (average similarity ${formatPercent(item.averageSimilarity)}); top phrases: ${item.keyPhrases.slice(0, 6).map(phrase => `"${phrase}"`).join(', ')}`
+  );
+
+  const clusters = similarity.clusters.map(cluster =>
+    `- [${cluster.platforms.map(platformLabel).join(', ')}] ${cluster.statements.map(item => `"${item.text}"`).join(' / ')}`
+  );
+
+  return [
+    '=== CROSS-PLATFORM SIMILARITY (computed locally from the files - use these baselines as the starting point for CONSISTENCY SCORES and the GAP SCORE; if you move a score more than 2 points from its baseline, say why) ===',
+    ...pairs,
+    '',
+    ...platforms,
+    `Baseline gap score: ${similarity.baselineGapScore}/10`,
+    ...(clusters.length > 0 ? ['', 'Value propositions by cluster (a cluster on one platform only is a message the others never repeat):', ...clusters] : []),
+  ].join('\n');
+}
+
+/**
+ * Matrix rows for the report appendix (shared by the PDF and HTML renderers)
+ * @returns {Object} - { columns: [string], rows: [[string]], notes: [string] }
+ */
+function buildSimilarityTable(similarity) {
+  const order = similarity.platforms.map(item => item.platform);
+  const cell = (a, b) => {
+    if (a === b) {
+      return '-';
+    }
+    const pair = similarity.pairs.find(item => (item.a === a && item.b === b) || (item.a === b && item.b === a));
+    return formatPercent(pair.similarity);
+  };
+
+  const columns = ['', ...similarity.platforms.map(item => item.label), 'Baseline'];
+  const rows = similarity.platforms.map(item => [
+    item.label,
+    ...order.map(other => cell(item.platform, other)),
+    `${item.baselineScore}/10`,
+  ]);
+
+  const notes = [`Baseline gap score: ${similarity.baselineGapScore}/10 (the average of the baselines).`];
+
+  const isolated = similarity.clusters.filter(cluster => cluster.platforms.length === 1);
+  const shared = similarity.clusters.filter(cluster => cluster.platforms.length > 1);
+  if (shared.length > 0) {
+    notes.push(`Said on more than one platform: ${shared.slice(0, 3).map(cluster => `"${cluster.label}" (${cluster.platforms.map(platformLabel).join(', ')})`).join('; ')}`);
+  }
+  if (isolated.length > 0) {
+    notes.push(`Said on one platform only: ${isolated.slice(0, 3).map(cluster => `"${cluster.label}" (${platformLabel(cluster.platforms[0])})`).join('; ')}`);
+  }
+  notes.push('Similarity mixes shared vocabulary (TF-IDF), shared key phrases and shared value propositions. Baselines are computed from the text alone; the scores in the report start from them and say why when they differ.');
+
+  return { columns, rows, notes };
+}
+
+function toScore(similarity) {
+  return round(1 + 9 * Math.min(1, similarity / FULL_CONSISTENCY_SIMILARITY));
+}
+
+function stemSet(text) {
+  return new Set(tokenize(text).filter(isContentWord).map(word => word.replace(/(?<=\w{3})(?:ing|ed|es|s)$/, '')));
+}
+
+function dice(a, b) {
+  if (a.size === 0 || b.size === 0) {
+    return 0;
+  }
+  let shared = 0;
+  a.forEach(word => {
+    if (b.has(word)) {
+      shared++;
+    }
+  });
+  return (2 * shared) / (a.size + b.size);
+}
+
+function isContentWord(word) {
+  return word.length > 2 && !STOP_WORDS.has(word) && !/^\d+$/.test(word);
+}
+
+function platformLabel(platform) {
+  return PLATFORMS[platform] ? PLATFORMS[platform].label : platform;
+}
+
+function formatPercent(rate) {
+  return `${Math.round(rate * 100)}%`;
+}
+
+function round(value, digits = 1) {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+module.exports = {
+  computeSimilarity,
+  formatSimilarityContext,
+  buildSimilarityTable,
+};
@@ -0,0 +1,565 @@
+/**
+ * SITE CRAWLER MODULE
+ * Narrative Sparring - Fetch a founder's website by URL
+ *
+ * Breadth-first, same-origin crawl bounded by depth, page count, per-request
+ * timeout, per-page size and an overall time budget. robots.txt is honored
+ * for every origin visited.
+ *
+ * Redirects are followed by hand and every hop must stay on the crawled
+ * origin. Host names are resolved before connecting and private, loopback
+ * and link-local addresses are refused, whatever form the URL gives them in.
+ */
+
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const dns = require('dns');
+const net = require('net');
+const { parse: parseHtml } = require('node-html-parser');
+
+const USER_AGENT = 'NarrativeSparringBot/1.0 (+https://narrative-sparringv2.vercel.app)';
+const ROBOTS_AGENT_TOKEN = 'narrativesparringbot';
+
+// Defaults and hard ceilings (callers may lower, never raise, the ceilings)
+const CRAWL_LIMITS = {
+  DEFAULT_MAX_DEPTH: 1,
+  DEFAULT_MAX_PAGES: 10,
+  MAX_DEPTH: 3,
+  MAX_PAGES: 25,
+  REQUEST_TIMEOUT_MS: 8000,
+  MAX_PAGE_BYTES: 2 * 1024 * 1024, // 2MB
+  TIME_BUDGET_MS: 40000,           // Keeps an ingest request short (storage runs after)
+  MAX_REDIRECTS: 5,
+  MAX_ROBOTS_BYTES: 500 * 1024,
+};
+
+// Links to these are never pages worth reading
+const NON_HTML_EXTENSIONS = /\.(pdf|jpe?g|png|gif|webp|svg|ico|css|js|json|xml|zip|gz|mp3|mp4|mov|avi|woff2?|ttf|eot|docx?|pptx?|xlsx?)$/i;
+const PRIVATE_HOSTNAME_PATTERN = /(^|\.)(localhost|local|internal)\.?$/i;
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+
+// Never connected to: private, loopback, link-local, CGNAT, multicast and
+// reserved ranges, and IPv6 forms that carry an IPv4 address
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4],
+].forEach(([network, prefix]) => BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv4'));
+[
+  ['::', 96],          // Unspecified, loopback and IPv4-compatible
+  ['::ffff:0:0', 96],  // IPv4-mapped
+  ['64:ff9b::', 96],   // NAT64
+  ['fc00::', 7],       // Unique local
+  ['fe80::', 10],      // Link-local
+  ['fec0::', 10],      // Site-local
+  ['ff00::', 8],       // Multicast
+].forEach(([network, prefix]) => BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv6'));
+
+/**
+ * Crawl one or more sites starting from the given URLs
+ * @param {Array<string>} startUrls - Entry points (each defines an allowed origin)
+ * @param {Object} options - { maxDepth, maxPages, timeoutMs, maxPageBytes, timeBudgetMs, allowPrivateHosts }
+ * @returns {Promise<Object>} - { pages: [{ url, depth, html, bytes, truncated }], skipped: [{ url, reason }] }
+ */
+async function crawlSites(startUrls, options = {}) {
+  const {
+    maxDepth = CRAWL_LIMITS.DEFAULT_MAX_DEPTH,
+    maxPages = CRAWL_LIMITS.DEFAULT_MAX_PAGES,
+    timeoutMs = CRAWL_LIMITS.REQUEST_TIMEOUT_MS,
+    maxPageBytes = CRAWL_LIMITS.MAX_PAGE_BYTES,
+    timeBudgetMs = CRAWL_LIMITS.TIME_BUDGET_MS,
+    allowPrivateHosts = false,
+  } = options;
+
+  const depthLimit = clamp(maxDepth, 0, CRAWL_LIMITS.MAX_DEPTH);
+  const pageLimit = clamp(maxPages, 1, CRAWL_LIMITS.MAX_PAGES);
+  const deadline = Date.now() + timeBudgetMs;
+
+  const pages = [];
+  const skipped = [];
+  const visited = new Set();
+  const robotsCache = new Map();
+  const queue = [];
+
+  for (const startUrl of startUrls) {
+    const url = normalizeUrl(startUrl);
+
+    if (!url) {
+      skipped.push({ url: startUrl, reason: 'Invalid URL' });
+      continue;
+    }
+
+    const privateReason = !allowPrivateHosts && privateHostReason(new URL(url).hostname);
+    if (privateReason) {
+      skipped.push({ url, reason: privateReason });
+      continue;
+    }
+
+    queue.push({ url, depth: 0 });
+  }
+
+  while (queue.length > 0 && pages.length < pageLimit) {
+    const { url, depth } = queue.shift();
+
+    if (visited.has(url)) {
+      continue;
+    }
+    visited.add(url);
+
+    if (Date.now() > deadline) {
+      skipped.push({ url, reason: 'Crawl time budget exhausted' });
+      break;
+    }
+
+    const origin = new URL(url).origin;
+
+    if (!robotsCache.has(origin)) {
+      robotsCache.set(origin, await fetchRobotsRules(origin, { timeoutMs, allowPrivateHosts }));
+    }
+
+    if (!isAllowedByRobots(robotsCache.get(origin), new URL(url))) {
+      skipped.push({ url, reason: 'Disallowed by robots.txt' });
+      continue;
+    }
+
+    const result = await fetchPage(url, { origin, timeoutMs, maxPageBytes, allowPrivateHosts });
+
+    if (!result.success) {
+      skipped.push({ url, reason: result.error });
+      continue;
+    }
+
+    // Redirects may land on a page we already have
+    const finalUrl = result.finalUrl;
+    if (finalUrl !== url && visited.has(finalUrl)) {
+      continue;
+    }
+    visited.add(finalUrl);
+
+    pages.push({
+      url: finalUrl,
+      depth,
+      html: result.body,
+      bytes: result.body.length,
+      truncated: result.truncated,
+    });
+
+    if (depth < depthLimit) {
+      for (const link of extractLinks(result.body.toString('utf-8'), finalUrl)) {
+        if (!visited.has(link) && new URL(link).origin === origin) {
+          queue.push({ url: link, depth: depth + 1 });
+        }
+      }
+    }
+  }
+
+  const unvisited = new Set(queue.map(item => item.url).filter(url => !visited.has(url)));
+  unvisited.forEach(url => skipped.push({ url, reason: 'Page limit reached' }));
+
+  return { pages, skipped };
+}
+
+/**
+ * Fetch a single HTML page with a timeout and a byte cap
+ * @returns {Promise<Object>} - { success, body, finalUrl, truncated, error }
+ */
+async function fetchPage(url, { origin, timeoutMs, maxPageBytes, allowPrivateHosts }) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+
+  try {
+    const opened = await openUrl(url, {
+      origin,
+      accept: 'text/html,application/xhtml+xml',
+      signal: controller.signal,
+      allowPrivateHosts,
+    });
+
+    if (!opened.success) {
+      return opened;
+    }
+
+    const { response, finalUrl } = opened;
+
+    if (response.statusCode < 200 || response.statusCode >= 300) {
+      response.resume();
+      return { success: false, error: `HTTP ${response.statusCode}` };
+    }
+
+    const contentType = response.headers['content-type'] || '';
+    if (!/text\/html|application\/xhtml\+xml/i.test(contentType)) {
+      response.resume();
+      return { success: false, error: `Not an HTML page (${contentType || 'unknown type'})` };
+    }
+
+    const { body, truncated } = await readLimited(response, maxPageBytes);
+
+    return {
+      success: true,
+      body,
+      finalUrl,
+      truncated,
+    };
+  } catch (error) {
+    return {
+      success: false,
+      error: error.name === 'AbortError' ? `Timed out after ${timeoutMs}ms` : error.message,
+    };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * GET a URL, following redirects one hop at a time so that every hop is
+ * checked: it must stay on origin and must not be a private host
+ * @returns {Promise<Object>} - { success, response, finalUrl, error }
+ */
+async function openUrl(url, { origin, accept, signal, allowPrivateHosts }) {
+  let current = url;
+
+  for (let hop = 0; hop <= CRAWL_LIMITS.MAX_REDIRECTS; hop++) {
+    const target = new URL(current);
+
+    if (target.origin !== origin) {
+      return { success: false, error: `Redirected off-site to ${current}` };
+    }
+
+    const privateReason = !allowPrivateHosts && privateHostReason(target.hostname);
+    if (privateReason) {
+      return { success: false, error: privateReason };
+    }
+
+    const response = await httpGet(target, { accept, signal, allowPrivateHosts });
+
+    if (!REDIRECT_STATUSES.includes(response.statusCode)) {
+      return { success: true, response, finalUrl: current };
+    }
+
+    response.resume();
+    const location = normalizeUrl(resolveUrl(response.headers.location, current));
+
+    if (!location) {
+      return { success: false, error: `HTTP ${response.statusCode} without a usable Location` };
+    }
+
+    current = location;
+  }
+
+  return { success: false, error: `More than ${CRAWL_LIMITS.MAX_REDIRECTS} redirects` };
+}
+
+/**
+ * One GET request, no redirects; resolves once the response headers arrive
+ */
+function httpGet(url, { accept, signal, allowPrivateHosts }) {
+  const client = url.protocol === 'https:' ? https : http;
+
+  return new Promise((resolve, reject) => {
+    client
+      .get(url, {
+        headers: { 'User-Agent': USER_AGENT, Accept: accept },
+        signal,
+        // Checked at connect time, so a name cannot resolve differently later
+        lookup: allowPrivateHosts ? undefined : safeLookup,
+      }, resolve)
+      .on('error', reject);
+  });
+}
+
+/**
+ * dns.lookup that fails when the name resolves to any blocked address
+ */
+function safeLookup(hostname, options, callback) {
+  const lookupOptions = typeof options === 'object' ? options : { family: options };
+
+  dns.lookup(hostname, { ...lookupOptions, all: true }, (error, addresses) => {
+    if (error) {
+      return callback(error);
+    }
+
+    const blocked = addresses.find(({ address }) => isBlockedAddress(address));
+    if (blocked) {
+      return callback(new Error(`${hostname} resolves to a private address (${blocked.address})`));
+    }
+
+    if (lookupOptions.all) {
+      return callback(null, addresses);
+    }
+
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+/**
+ * Why a host must not be crawled, judged from the URL alone (literal
+ * addresses never reach a DNS lookup); null when it may be
+ * @returns {string|null}
+ */
+function privateHostReason(hostname) {
+  const host = hostname.replace(/^\[|\]$/g, '');
+
+  if (PRIVATE_HOSTNAME_PATTERN.test(host) || isBlockedAddress(host)) {
+    return 'Private or local hosts are not crawled';
+  }
+
+  return null;
+}
+
+function isBlockedAddress(address) {
+  const family = net.isIP(address);
+  return family !== 0 && BLOCKED_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * Read a response stream, stopping once maxBytes have arrived
+ */
+async function readLimited(stream, maxBytes) {
+  const chunks = [];
+  let total = 0;
+  let truncated = false;
+
+  for await (const chunk of stream) {
+    if (total + chunk.length > maxBytes) {
+      chunks.push(chunk.subarray(0, maxBytes - total));
+      total = maxBytes;
+      truncated = true;
+      stream.destroy();
+      break;
+    }
+
+    chunks.push(chunk);
+    total += chunk.length;
+  }
+
+  return { body: Buffer.concat(chunks, total), truncated };
+}
+
+/**
+ * Fetch and parse robots.txt for an origin
+ * A missing file (4xx) allows everything; an unreachable one (5xx, network,
+ * a redirect off the origin or to a private host) disallows everything, as
+ * major crawlers do.
+ * @returns {Promise<Array>} - [{ allow, pattern }]
+ */
+async function fetchRobotsRules(origin, { timeoutMs, allowPrivateHosts }) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+
+  try {
+    const opened = await openUrl(`${origin}/robots.txt`, {
+      origin,
+      accept: 'text/plain',
+      signal: controller.signal,
+      allowPrivateHosts,
+    });
+
+    if (!opened.success) {
+      return [{ allow: false, pattern: '/' }];
+    }
+
+    const { response } = opened;
+
+    if (response.statusCode >= 400 && response.statusCode < 500) {
+      response.resume();
+      return [];
+    }
+
+    if (response.statusCode < 200 || response.statusCode >= 300) {
+      response.resume();
+      return [{ allow: false, pattern: '/' }];
+    }
+
+    const { body } = await readLimited(response, CRAWL_LIMITS.MAX_ROBOTS_BYTES);
+    return parseRobotsTxt(body.toString('utf-8'));
+  } catch (error) {
+    return [{ allow: false, pattern: '/' }];
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Parse robots.txt into the rules that apply to us: our own user-agent
+ * group if there is one, otherwise the '*' group
+ */
+function parseRobotsTxt(text) {
+  const groups = [];
+  let current = null;
+  let lastWasAgent = false;
+
+  for (const rawLine of text.split(/\r?\n/)) {
+    const line = rawLine.replace(/#.*$/, '').trim();
+    const match = line.match(/^([a-z-]+)\s*:\s*(.*)$/i);
+
+    if (!match) {
+      continue;
+    }
+
+    const field = match[1].toLowerCase();
+    const value = match[2].trim();
+
+    if (field === 'user-agent') {
+      // Consecutive user-agent lines share one group
+      if (!current || !lastWasAgent) {
+        current = { agents: [], rules: [] };
+        groups.push(current);
+      }
+      current.agents.push(value.toLowerCase());
+      lastWasAgent = true;
+      continue;
+    }
+
+    lastWasAgent = false;
+
+    if (current && (field === 'allow' || field === 'disallow') && value) {
+      current.rules.push({ allow: field === 'allow', pattern: value });
+    }
+  }
+
+  // Product token only, compared whole: "NarrativeSparringBot/1.0" matches, "bot" does not
+  const ours = groups.find(group => group.agents.some(agent => agent.split('/')[0].trim() === ROBOTS_AGENT_TOKEN));
+  const wildcard = groups.find(group => group.agents.includes('*'));
+
+  return (ours || wildcard || { rules: [] }).rules;
+}
+
+/**
+ * Longest matching rule wins; Allow wins a tie; no match means allowed
+ */
+function isAllowedByRobots(rules, url) {
+  const target = url.pathname + url.search;
+  let best = null;
+
+  for (const rule of rules) {
+    if (!robotsPatternMatches(rule.pattern, target)) {
+      continue;
+    }
+
+    if (
+      !best ||
+      rule.pattern.length > best.pattern.length ||
+      (rule.pattern.length === best.pattern.length && rule.allow)
+    ) {
+      best = rule;
+    }
+  }
+
+  return !best || best.allow;
+}
+
+function robotsPatternMatches(pattern, target) {
+  const anchored = pattern.endsWith('$');
+  const body = anchored ? pattern.slice(0, -1) : pattern;
+  const regex = body
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+
+  return new RegExp(`^${regex}${anchored ? '$' : ''}`).test(target);
+}
+
+/**
+ * Absolute, de-fragmented http(s) links from a page
+ */
+function extractLinks(html, pageUrl) {
+  const root = parseHtml(html);
+  const robotsMeta = root.querySelector('meta[name="robots"]');
+
+  if (robotsMeta && /nofollow/i.test(robotsMeta.getAttribute('content') || '')) {
+    return [];
+  }
+
+  const base = root.querySelector('base[href]');
+  const baseUrl = base ? resolveUrl(base.getAttribute('href'), pageUrl) || pageUrl : pageUrl;
+  const links = [];
+
+  for (const anchor of root.querySelectorAll('a[href]')) {
+    if (/nofollow/i.test(anchor.getAttribute('rel') || '')) {
+      continue;
+    }
+
+    const url = normalizeUrl(resolveUrl(anchor.getAttribute('href'), baseUrl));
+
+    if (url && !NON_HTML_EXTENSIONS.test(new URL(url).pathname) && !links.includes(url)) {
+      links.push(url);
+    }
+  }
+
+  return links;
+}
+
+function resolveUrl(href, baseUrl) {
+  try {
+    return new URL(href, baseUrl).href;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Canonical form used for de-duplication: http(s) only, no fragment
+ * @returns {string|null}
+ */
+function normalizeUrl(url) {
+  if (!url) {
+    return null;
+  }
+
+  try {
+    const parsed = new URL(url);
+
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+      return null;
+    }
+
+    parsed.hash = '';
+    return parsed.href;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Storage-safe .html filename for a crawled page, e.g. acme.com-about-team.html
+ * Only a plain path (/about/team) keeps the bare slug. Pages with a query
+ * string, a trailing slash or extension (/about/, /about.html), characters
+ * the slug can't hold, or a path too long to keep whole get a short hash of
+ * the URL so they do not overwrite each other
+ */
+function filenameFromUrl(url) {
+  const parsed = new URL(url);
+  const segments = parsed.pathname.split('/').filter(Boolean);
+
+  const fullSlug = [parsed.hostname, ...segments].join('-');
+  const slug = fullSlug.replace(/[^a-zA-Z0-9.-]+/g, '-').slice(0, 120);
+  const plainPath = parsed.pathname === `/${segments.join('/')}` && !/\.[a-z0-9]+$/i.test(parsed.pathname);
+
+  if (!parsed.search && plainPath && slug === fullSlug) {
+    return `${slug}.html`;
+  }
+
+  const hash = crypto.createHash('sha256').update(parsed.href).digest('hex').slice(0, 10);
+  return `${slug.replace(/\.(html?|php|aspx?)$/i, '')}-${hash}.html`;
+}
+
+function clamp(value, min, max) {
+  const number = parseInt(value, 10);
+  return Number.isNaN(number) ? min : Math.min(Math.max(number, min), max);
+}
+
+module.exports = {
+  crawlSites,
+  filenameFromUrl,
+  CRAWL_LIMITS,
+};
@@ -0,0 +1,201 @@
+/**
+ * SPARRING SESSION MODULE
+ * Narrative Sparring - Transcript helpers for the multi-turn Q&A
+ *
+ * A session is a `sparring_sessions` row whose `transcript` is a list of
+ * rounds, each the engine's questions followed by the client's answers:
+ *
+ *   { type: 'questions', round, questions: [{ id, number, question, focus }], at }
+ *   { type: 'answers',   round, answers:   [{ questionId, answer }], at }
+ *
+ * The answers are the client's own words, so the report may quote them; they
+ * are turned into a document for quote verification and evidence.
+ */
+
+const { createDocument, addSection, addBlock, finalizeDocument } = require('./document-model');
+
+const SPARRING_LIMITS = {
+  QUESTIONS_PER_ROUND: 3,
+  MAX_QUESTIONS: 30,           // The welcome email promises 30 strategic questions
+  MAX_ANSWER_CHARS: 4000,
+};
+
+// Filename the transcript goes by in quote annotations and evidence
+const TRANSCRIPT_FILENAME = 'sparring-session';
+
+/**
+ * Transcript entry for a new round of questions
+ * @param {Array} transcript - Existing entries
+ * @param {Array} questions - [{ question, focus }]
+ * @returns {Object} - questions entry
+ */
+function createQuestionRound(transcript, questions) {
+  const round = transcript.filter(entry => entry.type === 'questions').length + 1;
+  const asked = countQuestionsAsked(transcript);
+
+  return {
+    type: 'questions',
+    round,
+    questions: questions.map((item, i) => ({
+      id: `q${asked + i + 1}`,
+      number: asked + i + 1,
+      question: item.question,
+      focus: item.focus || '',
+    })),
+    at: new Date().toISOString(),
+  };
+}
+
+/**
+ * Validate answers to the open round and build the transcript entry
+ * @param {Array} transcript - Existing entries
+ * @param {Array} answers - [{ questionId, answer }]
+ * @returns {Object} - { success, entry, error }
+ */
+function createAnswerEntry(transcript, answers) {
+  const open = getOpenQuestions(transcript);
+
+  if (open.length === 0) {
+    return { success: false, error: 'There are no open questions to answer' };
+  }
+
+  if (!Array.isArray(answers) || answers.length === 0) {
+    return { success: false, error: 'Send "answers" as [{ questionId, answer }]' };
+  }
+
+  const openIds = new Set(open.map(question => question.id));
+  const cleaned = [];
+
+  for (const item of answers) {
+    if (!item || !openIds.has(item.questionId)) {
+      return { success: false, error: `Unknown or already answered question: ${item && item.questionId}` };
+    }
+
+    const answer = String(item.answer || '').trim();
+
+    if (!answer) {
+      // Skipped questions are allowed; the engine moves on
+      continue;
+    }
+
+    if (answer.length > SPARRING_LIMITS.MAX_ANSWER_CHARS) {
+      return {
+        success: false,
+        error: `Answer to ${item.questionId} is too long (max ${SPARRING_LIMITS.MAX_ANSWER_CHARS} characters)`,
+      };
+    }
+
+    cleaned.push({ questionId: item.questionId, answer });
+  }
+
+  const lastRound = transcript.filter(entry => entry.type === 'questions').pop();
+
+  return {
+    success: true,
+    entry: {
+      type: 'answers',
+      round: lastRound.round,
+      answers: cleaned,
+      at: new Date().toISOString(),
+    },
+  };
+}
+
+/**
+ * Questions in the latest round, if that round hasn't been answered yet
+ */
+function getOpenQuestions(transcript) {
+  const last = transcript[transcript.length - 1];
+  return last && last.type === 'questions' ? last.questions : [];
+}
+
+function countQuestionsAsked(transcript) {
+  return transcript
+    .filter(entry => entry.type === 'questions')
+    .reduce((sum, entry) => sum + entry.questions.length, 0);
+}
+
+function countAnswers(transcript) {
+  return transcript
+    .filter(entry => entry.type === 'answers')
+    .reduce((sum, entry) => sum + entry.answers.length, 0);
+}
+
+/**
+ * Answered questions as prompt text
+ * @returns {string} - '' when nothing has been answered
+ */
+function formatTranscript(transcript) {
+  return pairQuestionsAndAnswers(transcript)
+    .map(({ question, answer }) =>
+      `Q${question.number}${question.focus ? ` [${question.focus}]` : ''}: ${question.question}\nA: ${answer}`
+    )
+    .join('\n\n');
+}
+
+/**
+ * Transcript block appended to the materials for the report
+ * @returns {string} - '' without a session or answers
+ */
+function formatSessionBlock(transcript) {
+  const text = transcript ? formatTranscript(transcript) : '';
+
+  return text
+    ? `\n\n=== SPARRING SESSION (the client's own answers - quote them as "In the sparring session") ===\n\n${text}`
+    : '';
+}
+
+/**
+ * Answered questions as a document (one region per question) so quotes
+ * from the client's answers can be verified like any other source
+ * @returns {Object|null} - document, or null with no answers
+ */
+function transcriptToDocument(transcript) {
+  const pairs = pairQuestionsAndAnswers(transcript);
+
+  if (pairs.length === 0) {
+    return null;
+  }
+
+  const document = createDocument('Sparring');
+  document.filename = TRANSCRIPT_FILENAME;
+
+  for (const { question, answer } of pairs) {
+    const section = addSection(document, { kind: 'region', label: `Answer to Q${question.number}` });
+    addBlock(section, { type: 'paragraph', text: answer, preserveLineBreaks: true });
+  }
+
+  return finalizeDocument(document);
+}
+
+function pairQuestionsAndAnswers(transcript) {
+  const questions = new Map();
+  const pairs = [];
+
+  for (const entry of transcript) {
+    if (entry.type === 'questions') {
+      entry.questions.forEach(question => questions.set(question.id, question));
+    } else if (entry.type === 'answers') {
+      entry.answers.forEach(item => {
+        const question = questions.get(item.questionId);
+        if (question) {
+          pairs.push({ question, answer: item.answer });
+        }
+      });
+    }
+  }
+
+  return pairs;
+}
+
+module.exports = {
+  SPARRING_LIMITS,
+  createQuestionRound,
+  createAnswerEntry,
+  getOpenQuestions,
+  countQuestionsAsked,
+  countAnswers,
+  formatTranscript,
+  formatSessionBlock,
+  transcriptToDocument,
+};
@@ -0,0 +1,298 @@
+/**
+ * SPEND GUARD MODULE
+ * Narrative Sparring - Per-analysis and per-day spend caps
+ *
+ * Before the first API call, analyze.js compares the pre-flight estimate
+ * (claude-client.js estimateReportCost) with the caps. Over a cap, the run
+ * is downgraded to the fallback model if that fits, otherwise aborted; the
+ * decision and its reason are stored in analysis_content.budget. During the
+ * run a budget object is passed down to every call, and calls stop once it
+ * is spent (a run can overshoot by the calls already in flight).
+ *
+ * Every call's cost is written to the spend_ledger table as it finishes, by
+ * callClaude through the budget's ledger. Analyses (failed and still running
+ * ones too), revisions and sparring questions all land there, and the caps
+ * are checked against it: the daily cap against today's rows, the
+ * per-analysis cap against the rows of that analysis (its run and every
+ * revision). Revisions and sparring get their budget from createRequestBudget.
+ *
+ * Configuration (unset = no cap):
+ *   MAX_ANALYSIS_COST_USD  - one analysis, revisions included
+ *   MAX_DAILY_COST_USD     - every model call since midnight UTC
+ *   BUDGET_CAP_ACTION      - "downgrade" (default) or "abort"
+ *   BUDGET_FALLBACK_MODEL  - model for downgraded runs
+ */
+
+const DEFAULT_FALLBACK_MODEL = 'claude-haiku-4-5-20251001';
+
+// Rows per ledger read (the PostgREST maximum)
+const LEDGER_PAGE_ROWS = 1000;
+
+/**
+ * Caps from the environment
+ * @returns {Object} - { perAnalysisUSD, perDayUSD, action, fallbackModel }
+ */
+function getSpendLimits() {
+  return {
+    perAnalysisUSD: readLimit(process.env.MAX_ANALYSIS_COST_USD),
+    perDayUSD: readLimit(process.env.MAX_DAILY_COST_USD),
+    action: process.env.BUDGET_CAP_ACTION === 'abort' ? 'abort' : 'downgrade',
+    fallbackModel: process.env.BUDGET_FALLBACK_MODEL || DEFAULT_FALLBACK_MODEL,
+  };
+}
+
+/**
+ * Spend so far today (UTC), from the ledger
+ * @param {Object} supabase - Supabase client
+ * @returns {Object} - { success, spentUSD, error }
+ */
+async function getDailySpend(supabase) {
+  const midnight = new Date();
+  midnight.setUTCHours(0, 0, 0, 0);
+
+  return sumLedger(() => supabase
+    .from('spend_ledger')
+    .select('cost_usd')
+    .gte('created_at', midnight.toISOString()));
+}
+
+/**
+ * Spend on one analysis so far (its run and all revisions), from the ledger
+ * @param {Object} supabase - Supabase client
+ * @param {string} analysisId
+ * @returns {Object} - { success, spentUSD, error }
+ */
+async function getAnalysisSpend(supabase, analysisId) {
+  return sumLedger(() => supabase
+    .from('spend_ledger')
+    .select('cost_usd')
+    .eq('analysis_id', analysisId));
+}
+
+/**
+ * Add up cost_usd over every matching ledger row, a page at a time
+ * (PostgREST returns at most 1000 rows per request)
+ */
+async function sumLedger(buildQuery) {
+  let spentUSD = 0;
+
+  for (let from = 0; ; from += LEDGER_PAGE_ROWS) {
+    const { data, error } = await buildQuery()
+      .order('created_at', { ascending: true })
+      .range(from, from + LEDGER_PAGE_ROWS - 1);
+
+    if (error) {
+      return { success: false, error: error.message };
+    }
+
+    const rows = data || [];
+    spentUSD += rows.reduce((sum, row) => sum + (Number(row.cost_usd) || 0), 0);
+
+    if (rows.length < LEDGER_PAGE_ROWS) {
+      return { success: true, spentUSD };
+    }
+  }
+}
+
+/**
+ * Ledger that writes one spend_ledger row per model call
+ * @param {Object} supabase - Supabase client
+ * @param {Object} context - { source: 'analysis'|'revision'|'sparring', userId, analysisId, sessionId }
+ * @returns {Object} - { record({ model, prompt, tokensUsed, costUSD }) }
+ */
+function createSpendLedger(supabase, context) {
+  return {
+    async record({ model, prompt, tokensUsed, costUSD }) {
+      try {
+        const { error } = await supabase
+          .from('spend_ledger')
+          .insert({
+            source: context.source,
+            user_id: context.userId || null,
+            analysis_id: context.analysisId || null,
+            session_id: context.sessionId || null,
+            model,
+            prompt,
+            tokens: tokensUsed.total,
+            cost_usd: costUSD.total,
+            created_at: new Date().toISOString(),
+          });
+
+        if (error) {
+          console.error('Spend ledger insert error:', error);
+        }
+      } catch (error) {
+        console.error('Spend ledger insert error:', error);
+      }
+    },
+  };
+}
+
+/**
+ * Decide how the run goes: as asked, on the fallback model, or not at all
+ * @param {Object} params - { model, estimateFor, limits, spentTodayUSD }
+ *   estimateFor - (model) => pre-flight estimate in USD
+ * @returns {Object} - { allowed, action: 'none'|'downgraded'|'aborted', requested_model, model, estimate_usd, limit_usd, per_analysis_limit_usd, daily_limit_usd, spent_today_usd, reason }
+ */
+function planSpend(params) {
+  const { model, estimateFor, limits, spentTodayUSD = 0 } = params;
+  const limitUSD = remainingLimit(limits, spentTodayUSD);
+  const estimateUSD = estimateFor(model);
+
+  const decision = {
+    allowed: true,
+    action: 'none',
+    requested_model: model,
+    model,
+    estimate_usd: round(estimateUSD),
+    limit_usd: limitUSD === null ? null : round(limitUSD),
+    per_analysis_limit_usd: limits.perAnalysisUSD,
+    daily_limit_usd: limits.perDayUSD,
+    spent_today_usd: round(spentTodayUSD),
+    reason: null,
+  };
+
+  if (limitUSD === null || estimateUSD <= limitUSD) {
+    return decision;
+  }
+
+  const over = `Estimated cost $${estimateUSD.toFixed(2)} on ${model} is over the ${describeLimit(limits, spentTodayUSD, limitUSD)}`;
+
+  if (limits.action === 'downgrade' && limits.fallbackModel && limits.fallbackModel !== model) {
+    const fallbackUSD = estimateFor(limits.fallbackModel);
+
+    if (fallbackUSD <= limitUSD) {
+      return {
+        ...decision,
+        action: 'downgraded',
+        model: limits.fallbackModel,
+        estimate_usd: round(fallbackUSD),
+        reason: `${over}; running on ${limits.fallbackModel} instead (estimated $${fallbackUSD.toFixed(2)})`,
+      };
+    }
+
+    return {
+      ...decision,
+      allowed: false,
+      action: 'aborted',
+      reason: `${over}, and ${limits.fallbackModel} would still cost an estimated $${fallbackUSD.toFixed(2)}`,
+    };
+  }
+
+  return { ...decision, allowed: false, action: 'aborted', reason: over };
+}
+
+/**
+ * Budget object for one run, passed down to every call
+ * @param {number|null} limitUSD - null = no cap
+ * @param {Object|null} ledger - from createSpendLedger; null = spend is not recorded
+ * @returns {Object|null} - { limitUSD, spentUSD, ledger } (null without a cap or ledger)
+ */
+function createBudget(limitUSD, ledger = null) {
+  const limit = limitUSD === undefined ? null : limitUSD;
+  return limit === null && !ledger ? null : { limitUSD: limit, spentUSD: 0, ledger };
+}
+
+/**
+ * Whether a budget has no money left
+ * @returns {boolean}
+ */
+function isBudgetSpent(budget) {
+  return Boolean(budget) && budget.limitUSD !== null && budget.spentUSD >= budget.limitUSD;
+}
+
+/**
+ * Charge one finished call to the budget and write it to the ledger
+ * @param {Object|null} budget
+ * @param {Object} entry - { model, prompt, tokensUsed, costUSD }
+ */
+async function chargeBudget(budget, entry) {
+  if (!budget) {
+    return;
+  }
+
+  budget.spentUSD += entry.costUSD.total;
+
+  if (budget.ledger) {
+    await budget.ledger.record(entry);
+  }
+}
+
+/**
+ * Budget for calls made outside an analysis run (revisions, sparring): what
+ * is left of the daily cap and, for a revision, of the per-analysis cap
+ * after everything the analysis has cost so far
+ * @param {Object} supabase - Supabase client
+ * @param {Object} context - createSpendLedger context; analysisId turns on the per-analysis cap
+ * @param {Object} options - { analysisCostUSD } - cost stored on the analysis (older runs predate the ledger)
+ * @returns {Promise<Object>} - budget
+ */
+async function createRequestBudget(supabase, context, options = {}) {
+  const limits = getSpendLimits();
+  const noSpend = { success: true, spentUSD: 0 };
+
+  const [dailySpend, analysisSpend] = await Promise.all([
+    limits.perDayUSD === null ? noSpend : getDailySpend(supabase),
+    limits.perAnalysisUSD === null || !context.analysisId ? noSpend : getAnalysisSpend(supabase, context.analysisId),
+  ]);
+
+  if (!dailySpend.success) {
+    console.error('Daily spend lookup error:', dailySpend.error);
+  }
+  if (!analysisSpend.success) {
+    console.error('Analysis spend lookup error:', analysisSpend.error);
+  }
+
+  const scopedLimits = context.analysisId ? limits : { ...limits, perAnalysisUSD: null };
+  const analysisSpentUSD = Math.max(analysisSpend.spentUSD || 0, Number(options.analysisCostUSD) || 0);
+
+  return createBudget(
+    remainingLimit(scopedLimits, dailySpend.spentUSD || 0, analysisSpentUSD),
+    createSpendLedger(supabase, context)
+  );
+}
+
+/**
+ * What is left of the caps for one run
+ * @param {Object} limits - from getSpendLimits
+ * @param {number} spentTodayUSD
+ * @param {number} spentOnAnalysisUSD - earlier spend on the same analysis (revisions)
+ * @returns {number|null} - USD, or null when there is no cap
+ */
+function remainingLimit(limits, spentTodayUSD = 0, spentOnAnalysisUSD = 0) {
+  const caps = [
+    limits.perAnalysisUSD === null ? null : Math.max(0, limits.perAnalysisUSD - spentOnAnalysisUSD),
+    limits.perDayUSD === null ? null : Math.max(0, limits.perDayUSD - spentTodayUSD),
+  ].filter(value => value !== null);
+
+  return caps.length > 0 ? Math.min(...caps) : null;
+}
+
+function describeLimit(limits, spentTodayUSD, limitUSD) {
+  if (limits.perAnalysisUSD !== null && limitUSD === limits.perAnalysisUSD) {
+    return `per-analysis cap of $${limits.perAnalysisUSD.toFixed(2)}`;
+  }
+  return `$${limitUSD.toFixed(2)} left of the daily cap ($${limits.perDayUSD.toFixed(2)}, $${spentTodayUSD.toFixed(2)} spent today)`;
+}
+
+function readLimit(value) {
+  const number = Number(value);
+  return value !== undefined && value !== '' && Number.isFinite(number) && number >= 0 ? number : null;
+}
+
+function round(value) {
+  return Math.round(value * 10000) / 10000;
+}
+
+module.exports = {
+  getSpendLimits,
+  getDailySpend,
+  getAnalysisSpend,
+  planSpend,
+  createSpendLedger,
+  createBudget,
+  createRequestBudget,
+  isBudgetSpent,
+  chargeBudget,
+  remainingLimit,
+};
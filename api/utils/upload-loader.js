@@ -0,0 +1,64 @@
+/**
+ * UPLOAD LOADER MODULE
+ * Narrative Sparring - Fetch stored uploads for extraction
+ *
+ * Shared by analyze.js and the sparring session endpoints, which both start
+ * from `uploads` rows and need file buffers for extractTextFromFiles.
+ */
+
+const UPLOAD_BUCKET = 'uploads';
+
+// Columns callers should select from `uploads` for downloadUploads
+const UPLOAD_COLUMNS = 'id, filename, file_path, file_size, source_url, platform, platform_source';
+
+/**
+ * Download upload rows from Supabase storage
+ * @param {Array} uploads - `uploads` rows (UPLOAD_COLUMNS)
+ * @returns {Promise<Array>} - [{ id, filename, buffer, size, sourceUrl, platform }]
+ * @throws if any file cannot be downloaded
+ */
+async function downloadUploads(uploads) {
+  console.log(`Downloading ${uploads.length} files from storage...`);
+  const fileBuffers = [];
+
+  for (const upload of uploads) {
+    console.log(`Downloading file: ${upload.filename} from path: ${upload.file_path}`);
+
+    // Use public URL since bucket is public (more reliable than download API)
+    const publicUrl = `${process.env.SUPABASE_URL}/storage/v1/object/public/${UPLOAD_BUCKET}/${upload.file_path}`;
+    console.log(`Fetching from public URL: ${publicUrl}`);
+
+    const response = await fetch(publicUrl);
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      console.error('Download error:', {
+        status: response.status,
+        statusText: response.statusText,
+        body: errorText
+      });
+      throw new Error(`Failed to download ${upload.filename}: HTTP ${response.status} - ${response.statusText}`);
+    }
+
+    // Convert response to buffer
+    const arrayBuffer = await response.arrayBuffer();
+    const buffer = Buffer.from(arrayBuffer);
+
+    fileBuffers.push({
+      id: upload.id,
+      filename: upload.filename,
+      buffer,
+      size: upload.file_size,
+      sourceUrl: upload.source_url || null,
+      // Only a client's own choice overrides classification
+      platform: upload.platform_source === 'user' ? upload.platform : null,
+    });
+  }
+
+  return fileBuffers;
+}
+
+module.exports = {
+  downloadUploads,
+  UPLOAD_COLUMNS,
+};
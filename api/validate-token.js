@@ -45,7 +45,7 @@ module.exports = async function handler(req, res) {
     // Query Supabase to get user details
     const { data: user, error } = await supabase
       .from('users')
-      .select('id, email, purchase_tier')
+      .select('id, email, purchase_tier, intake')
       .eq('id', payload.userId)
       .single();
 
@@ -60,6 +60,7 @@ module.exports = async function handler(req, res) {
       userId: user.id,
       email: user.email,
       purchaseType: user.purchase_tier, // Frontend expects 'purchaseType'
+      intakeCompleted: Boolean(user.intake),
     });
 
   } catch (error) {
@@ -0,0 +1,100 @@
+/**
+ * ANALYSIS SCHEMA TEST
+ * Narrative Sparring - analysis-schema.js validation and JSON parsing
+ *
+ * Run: node --test test-analysis-schema.js (or npm test). No network or env vars needed.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { validateAnalysis, parseAnalysisJSON, SCHEMA_DESCRIPTION } = require('./api/utils/analysis-schema');
+
+function validAnalysis() {
+  return {
+    platforms: [
+      { platform: 'website', consistency_score: 6, summary: 'Clear offer, general supporting copy.' },
+      { platform: 'linkedin', consistency_score: 4, summary: 'A different story from the website.' },
+    ],
+    gap_score: { score: 5, range: 'moderate' },
+    core_threads: [
+      { type: 'primary', thread: 'One clear story for every founder.', why: 'It is how clients describe the work.' },
+      { type: 'secondary', thread: 'Stories that survive the sales call.', why: 'It shows up in every testimonial.' },
+    ],
+    blind_spots: [
+      { title: 'No proof', description: 'Claims with nothing behind them.', evidence: [{ platform: 'website', quote: 'Proven results' }] },
+    ],
+    actions: [{ priority: 1, timeframe: 'this_week', action: 'Rewrite the homepage hero.' }],
+  };
+}
+
+const errorsOf = change => {
+  const analysis = validAnalysis();
+  change(analysis);
+  return validateAnalysis(analysis).errors;
+};
+
+test('accepts a complete analysis', () => {
+  assert.deepStrictEqual(validateAnalysis(validAnalysis()), { valid: true, errors: [] });
+});
+
+test('rejects anything but an object at the top level', () => {
+  for (const value of [null, [], 'text', 3]) {
+    assert.deepStrictEqual(validateAnalysis(value), { valid: false, errors: ['Top level must be a JSON object'] });
+  }
+});
+
+test('names the path of each problem', () => {
+  assert.deepStrictEqual(errorsOf(analysis => {
+    analysis.platforms[1].platform = 'toString';
+    analysis.platforms[0].consistency_score = 6.5;
+    analysis.gap_score.range = 'medium';
+    analysis.blind_spots[0].evidence[0].quote = '  ';
+    analysis.actions[0].timeframe = 'someday';
+  }), [
+    'platforms[0].consistency_score must be a whole number from 1 to 10',
+    'platforms[1].platform must be one of website, linkedin, pitch_deck, sales, bio, other',
+    'gap_score.range must be one of high, moderate, low',
+    'blind_spots[0].evidence[0].quote must be a non-empty string',
+    'actions[0].timeframe must be one of this_week, this_month, next_quarter',
+  ]);
+});
+
+test('needs one to three core threads, exactly one primary', () => {
+  assert.deepStrictEqual(errorsOf(analysis => { analysis.core_threads[1].type = 'primary'; }), [
+    'core_threads must have exactly one "primary" thread (found 2)',
+  ]);
+  assert.deepStrictEqual(errorsOf(analysis => { analysis.core_threads = []; }), ['"core_threads" must have 1 to 3 items']);
+  assert.deepStrictEqual(errorsOf(analysis => {
+    const secondary = analysis.core_threads[1];
+    analysis.core_threads.push(secondary, secondary);
+  }), ['"core_threads" must have 1 to 3 items']);
+});
+
+test('needs at least one platform, blind spot with evidence, and action', () => {
+  assert.deepStrictEqual(errorsOf(analysis => {
+    analysis.platforms = [];
+    delete analysis.gap_score;
+    analysis.blind_spots[0].evidence = [];
+    analysis.actions = 'Rewrite everything';
+  }), [
+    '"platforms" must be a non-empty array',
+    '"gap_score" must be an object with "score" and "range"',
+    'blind_spots[0].evidence must have at least one quote',
+    '"actions" must be a non-empty array',
+  ]);
+});
+
+test('finds the JSON object in fenced or chatty replies', () => {
+  const json = JSON.stringify(validAnalysis());
+
+  assert.deepStrictEqual(parseAnalysisJSON(json).data, validAnalysis());
+  assert.deepStrictEqual(parseAnalysisJSON(`Here it is:\n\`\`\`json\n${json}\n\`\`\`\nLet me know.`).data, validAnalysis());
+  assert.deepStrictEqual(parseAnalysisJSON(`Sure! ${json} Hope that helps.`).data, validAnalysis());
+
+  assert.deepStrictEqual(parseAnalysisJSON('No JSON here.'), { success: false, error: 'No JSON object found in the response' });
+  assert.match(parseAnalysisJSON('{ "platforms": [ }').error, /^Invalid JSON: /);
+});
+
+test('lists every platform key in the schema shown to the model', () => {
+  assert.match(SCHEMA_DESCRIPTION, /"platform": "website" \| "linkedin" \| "pitch_deck" \| "sales" \| "bio" \| "other"/);
+});
@@ -0,0 +1,102 @@
+/**
+ * CLAIM INVENTORY TEST
+ * Narrative Sparring - claim-inventory.js on hand-built documents
+ *
+ * Run: node --test test-claim-inventory.js (or npm test). No network or env vars needed.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { buildClaimInventory, formatClaimContext, buildClaimTable } = require('./api/utils/claim-inventory');
+
+function documentOf(filename, blocks) {
+  return {
+    filename,
+    sections: [{ kind: 'body', label: '', blocks: blocks.map(text => (
+      text.startsWith('# ') ? { type: 'heading', text: text.slice(2) } : { type: 'paragraph', text }
+    )) }],
+  };
+}
+
+const BOASTS = 'We are the leading narrative consultancy in Europe. Proven results for 200 clients. The best-in-class method, guaranteed.';
+
+test('a number and a name in different sentences are claims, not a client metric', () => {
+  for (const text of [BOASTS, `${BOASTS} Based in London since 2015.`]) {
+    const inventory = buildClaimInventory([documentOf('site.html', [text])]);
+
+    assert.strictEqual(inventory.summary.claims, 3, text);
+    assert.strictEqual(inventory.summary.unsupported, 3, text);
+    assert.strictEqual(inventory.proofPoints.length, 0, text);
+  }
+});
+
+test('a client metric sentence is proof and the rest of its block is still scanned', () => {
+  const inventory = buildClaimInventory([documentOf('site.html', [
+    'Acme Robotics cut churn 30% in six months with our retention playbook. We are the leading retention studio.',
+  ])]);
+
+  assert.deepStrictEqual(inventory.proofPoints.map(proof => proof.kind), ['metric']);
+  assert.match(inventory.proofPoints[0].passage, /^Acme Robotics cut churn 30%/);
+  assert.strictEqual(inventory.summary.claims, 1);
+  assert.match(inventory.claims[0].text, /leading retention studio/);
+});
+
+test('a passage does not support claims taken from itself', () => {
+  const claim = 'Our retention playbook cuts churn for subscription brands.';
+  const metric = 'Acme Robotics cut churn 30% with the retention playbook.';
+
+  const alone = buildClaimInventory([documentOf('site.html', [`${claim} ${metric}`])]);
+  assert.strictEqual(alone.summary.unsupported, 1);
+
+  const apart = buildClaimInventory([documentOf('site.html', [claim, metric])]);
+  assert.strictEqual(apart.summary.supported, 1);
+  assert.strictEqual(apart.claims[0].support[0].kind, 'metric');
+});
+
+test('testimonials and client lists back claims made elsewhere', () => {
+  const inventory = buildClaimInventory([
+    documentOf('site.html', ['Founders at fast-growing brands rely on our proven story method.']),
+    documentOf('deck.pdf', [
+      '# What our clients say',
+      'They turned our messy pitch into a story founders repeat. Best decision we made.',
+    ]),
+    documentOf('linkedin.csv', ['Clients include Acme Robotics and Globex Foods.']),
+  ], [{ filename: 'site.html', platform: 'website' }]);
+
+  const kinds = inventory.proofPoints.map(proof => proof.kind).sort();
+  assert.deepStrictEqual(kinds, ['client_name', 'testimonial']);
+  assert.strictEqual(inventory.summary.supported, 1);
+  assert.strictEqual(inventory.claims[0].platform, 'website');
+  assert.ok(!('block' in inventory.claims[0]));
+});
+
+test('the report table lists unsupported claims first', () => {
+  const inventory = buildClaimInventory([
+    documentOf('site.html', [
+      'Our retention playbook cuts churn for subscription brands.',
+      'The best-in-class method, guaranteed.',
+      'Acme Robotics cut churn 30% with the retention playbook.',
+    ]),
+  ]);
+  const table = buildClaimTable(inventory);
+
+  assert.deepStrictEqual(table.rows.map(row => row[3] === 'UNSUPPORTED'), [true, false]);
+  assert.match(table.notes[0], /^2 claims: 1 supported, 1 unsupported\./);
+});
+
+test('the prompt block lists unsupported claims with their platform, then supported ones', () => {
+  const inventory = buildClaimInventory([
+    documentOf('site.html', [
+      'Our retention playbook cuts churn for subscription brands.',
+      'The best-in-class method, guaranteed.',
+    ]),
+    documentOf('deck.pdf', ['Acme Robotics cut churn 30% with the retention playbook.']),
+  ], [{ filename: 'site.html', platform: 'website' }, { filename: 'deck.pdf', platform: 'pitch_deck' }]);
+  const context = formatClaimContext(inventory);
+
+  assert.match(context, /^=== CLAIM INVENTORY/);
+  assert.match(context, /^2 claims, 1 supported, 1 unsupported\. Proof points - testimonial: 0, case study: 0, named clients: 0, client metric: 1\.$/m);
+  assert.match(context, /Unsupported:\n- \[Website, site\.html\] "The best-in-class method, guaranteed\." \(superlative, proven\)/);
+  assert.match(context, /Supported:\n- \[Website\] "Our retention playbook cuts churn for subscription brands\." <- client metric in deck\.pdf/);
+  assert.strictEqual(formatClaimContext(buildClaimInventory([])), '');
+});
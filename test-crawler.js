@@ -0,0 +1,185 @@
+/**
+ * CRAWLER TEST
+ * Narrative Sparring - site-crawler.js against a local HTTP server fixture
+ *
+ * Run: node test-crawler.js (or npm test). No network or env vars needed.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { crawlSites, filenameFromUrl } = require('./api/utils/site-crawler');
+
+const ROBOTS_TXT = [
+  'User-agent: bot',
+  'Disallow: /',
+  '',
+  'User-agent: NarrativeSparringBot',
+  'Disallow: /private',
+  '',
+  'User-agent: *',
+  'Disallow: /',
+].join('\n');
+
+const ROUTES = {
+  '/': ['/a', '/private', '/slow', '/big', '/list?page=1', '/list?page=2', '/to-metadata', '/to-home'],
+  '/a': ['/a/b'],
+  '/a/b': ['/a/b/c'],
+  '/a/b/c': [],
+  '/private': [],
+  '/list': [],
+};
+
+const TIMEOUT_MS = 300;
+const MAX_PAGE_BYTES = 4096;
+
+let server;
+let base;
+
+test.before(async () => {
+  server = http.createServer((req, res) => {
+    const { pathname } = new URL(req.url, 'http://fixture');
+
+    if (pathname === '/robots.txt') {
+      res.writeHead(200, { 'Content-Type': 'text/plain' });
+      return res.end(ROBOTS_TXT);
+    }
+
+    if (pathname === '/slow') {
+      setTimeout(() => page(res, []), TIMEOUT_MS * 4);
+      return;
+    }
+
+    if (pathname === '/big') {
+      res.writeHead(200, { 'Content-Type': 'text/html' });
+      return res.end(`<html><body>${'x'.repeat(MAX_PAGE_BYTES * 10)}</body></html>`);
+    }
+
+    if (pathname === '/to-metadata') {
+      res.writeHead(302, { Location: 'http://169.254.169.254/latest/meta-data/' });
+      return res.end();
+    }
+
+    if (pathname === '/to-home') {
+      res.writeHead(301, { Location: '/' });
+      return res.end();
+    }
+
+    if (!ROUTES[pathname]) {
+      res.writeHead(404);
+      return res.end();
+    }
+
+    page(res, ROUTES[pathname]);
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => {
+  server.closeAllConnections();
+  server.close();
+});
+
+function page(res, links) {
+  res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+  res.end(`<html><body>${links.map(link => `<a href="${link}">${link}</a>`).join('')}</body></html>`);
+}
+
+function crawl(options = {}) {
+  return crawlSites([`${base}/`], {
+    timeoutMs: TIMEOUT_MS,
+    maxPageBytes: MAX_PAGE_BYTES,
+    allowPrivateHosts: true,
+    ...options,
+  });
+}
+
+const paths = result => result.pages.map(item => new URL(item.url).pathname + new URL(item.url).search);
+const reasonFor = (result, path) => (result.skipped.find(item => item.url === `${base}${path}`) || {}).reason;
+
+test('follows links only as deep as maxDepth', async () => {
+  assert.deepStrictEqual(paths(await crawl({ maxDepth: 0 })), ['/']);
+
+  const depthOne = paths(await crawl({ maxDepth: 1 }));
+  assert.ok(depthOne.includes('/a'));
+  assert.ok(!depthOne.includes('/a/b'));
+
+  const depthTwo = paths(await crawl({ maxDepth: 2 }));
+  assert.ok(depthTwo.includes('/a/b'));
+  assert.ok(!depthTwo.includes('/a/b/c'));
+});
+
+test('stops at maxPages and reports the rest', async () => {
+  const result = await crawl({ maxDepth: 2, maxPages: 2 });
+
+  assert.strictEqual(result.pages.length, 2);
+  assert.ok(result.skipped.some(item => item.reason === 'Page limit reached'));
+});
+
+test('honours our own robots.txt group, matched by exact token', async () => {
+  const result = await crawl();
+
+  assert.strictEqual(reasonFor(result, '/private'), 'Disallowed by robots.txt');
+  // The "bot" group disallows everything; it is not ours
+  assert.ok(paths(result).includes('/a'));
+});
+
+test('gives up on a slow page after timeoutMs', async () => {
+  const result = await crawl();
+
+  assert.strictEqual(reasonFor(result, '/slow'), `Timed out after ${TIMEOUT_MS}ms`);
+});
+
+test('cuts a large page at maxPageBytes', async () => {
+  const result = await crawl();
+  const big = result.pages.find(item => item.url === `${base}/big`);
+
+  assert.ok(big);
+  assert.strictEqual(big.bytes, MAX_PAGE_BYTES);
+  assert.strictEqual(big.truncated, true);
+});
+
+test('does not follow a redirect off the site', async () => {
+  const result = await crawl();
+
+  assert.match(reasonFor(result, '/to-metadata'), /^Redirected off-site/);
+  // A redirect back to a page already crawled is dropped, not stored twice
+  assert.strictEqual(paths(result).filter(path => path === '/').length, 1);
+});
+
+test('refuses private hosts in any notation unless allowed', async () => {
+  const { port } = server.address();
+  const starts = [
+    `http://127.0.0.1:${port}/`,
+    `http://2130706433:${port}/`,
+    `http://0x7f.1:${port}/`,
+    `http://[::ffff:127.0.0.1]:${port}/`,
+    `http://localhost:${port}/`,
+  ];
+
+  for (const start of starts) {
+    const result = await crawlSites([start], { timeoutMs: TIMEOUT_MS });
+
+    assert.strictEqual(result.pages.length, 0, start);
+    assert.strictEqual(result.skipped[0].reason, 'Private or local hosts are not crawled', start);
+  }
+});
+
+test('gives pages that differ by query string, trailing slash or extension different filenames', async () => {
+  const result = await crawl();
+  const listPages = result.pages.filter(item => new URL(item.url).pathname === '/list');
+  const names = listPages.map(item => filenameFromUrl(item.url));
+
+  assert.strictEqual(listPages.length, 2);
+  assert.notStrictEqual(names[0], names[1]);
+  assert.strictEqual(filenameFromUrl('https://acme.com/about/team'), 'acme.com-about-team.html');
+
+  const about = ['https://acme.com/about', 'https://acme.com/about/', 'https://acme.com/about.html'].map(filenameFromUrl);
+  assert.strictEqual(about[0], 'acme.com-about.html');
+  assert.match(about[1], /^acme\.com-about-[0-9a-f]{10}\.html$/);
+  assert.match(about[2], /^acme\.com-about-[0-9a-f]{10}\.html$/);
+  assert.strictEqual(new Set(about).size, 3);
+  assert.strictEqual(filenameFromUrl('https://acme.com/'), 'acme.com.html');
+});
@@ -0,0 +1,56 @@
+/**
+ * FILE EXTRACTOR TEST
+ * Narrative Sparring - file-extractor.js on TXT, HTML and in-memory PPTX buffers
+ *
+ * Run: node --test test-file-extractor.js (or npm test). No network or env vars needed.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const JSZip = require('jszip');
+const { extractTextFromFile } = require('./api/utils/file-extractor');
+
+const extract = (filename, text) => extractTextFromFile({ filename, buffer: Buffer.from(text) });
+
+test('numbers ordered list items as the source does', async () => {
+  const txt = await extract('steps.txt', 'Our method:\n\n1. Listen\n2. Draft\n3) Test\n\n- Repeat');
+  assert.strictEqual(txt.text, 'Our method:\n\n1. Listen\n2. Draft\n3. Test\n- Repeat');
+
+  const html = await extract('steps.html', '<body><ol start="4"><li>Listen<ol><li>Take notes</li></ol></li><li>Draft</li></ol></body>');
+  assert.strictEqual(html.text, '[Page content]\n4. Listen\n  1. Take notes\n5. Draft');
+});
+
+test('extracts a text file with more lines than fit in one call\'s arguments', async () => {
+  const lines = Array.from({ length: 300000 }, (_, i) => `Line ${i}`);
+  const result = await extract('export.txt', lines.join('\n'));
+
+  assert.strictEqual(result.success, true, result.error);
+  assert.ok(result.text.endsWith('Line 299999'));
+});
+
+const P = 'xmlns:p="http://schemas.openxmlformats.org/presentationml/2006/main" xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main"';
+const REL = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+
+const shape = (type, text) =>
+  `<p:sp><p:nvSpPr><p:nvPr><p:ph type="${type}"/></p:nvPr></p:nvSpPr><p:txBody><a:p><a:r><a:t>${text}</a:t></a:r></a:p></p:txBody></p:sp>`;
+
+const rels = targets => `<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">${
+  targets.map(([id, type, target]) => `<Relationship Id="${id}" Type="${REL}/${type}" Target="${target}"/>`).join('')
+}</Relationships>`;
+
+test('follows absolute relationship targets from the package root', async () => {
+  const zip = new JSZip();
+  zip.file('ppt/presentation.xml', `<p:presentation ${P} xmlns:r="${REL}"><p:sldIdLst><p:sldId id="256" r:id="rId2"/></p:sldIdLst></p:presentation>`);
+  zip.file('ppt/_rels/presentation.xml.rels', rels([['rId2', 'slide', '/ppt/slides/slide1.xml']]));
+  zip.file('ppt/slides/slide1.xml', `<p:sld ${P}><p:cSld><p:spTree>${shape('title', 'One story')}</p:spTree></p:cSld></p:sld>`);
+  zip.file('ppt/slides/_rels/slide1.xml.rels', rels([['rId1', 'notesSlide', '/ppt/notesSlides/notesSlide1.xml']]));
+  zip.file('ppt/notesSlides/notesSlide1.xml', `<p:notes ${P}><p:cSld><p:spTree>${shape('body', 'Pause here.')}</p:spTree></p:cSld></p:notes>`);
+
+  const result = await extractTextFromFile({ filename: 'deck.pptx', buffer: await zip.generateAsync({ type: 'nodebuffer' }) });
+
+  assert.strictEqual(result.success, true, result.error);
+  assert.deepStrictEqual(result.document.sections[0].blocks.map(block => [block.type, block.text]), [
+    ['heading', 'One story'],
+    ['notes', 'Pause here.'],
+  ]);
+});
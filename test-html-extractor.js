@@ -0,0 +1,49 @@
+/**
+ * HTML EXTRACTOR TEST
+ * Narrative Sparring - html-extractor.js regions on hand-written pages
+ *
+ * Run: node --test test-html-extractor.js (or npm test). No network or env vars needed.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { extractFromHTML } = require('./api/utils/html-extractor');
+
+function regions(html, source = { url: 'https://acme.com/' }) {
+  const result = extractFromHTML(Buffer.from(html), source);
+  assert.strictEqual(result.success, true, result.error);
+  return Object.fromEntries(result.document.sections.map(section => [section.label, section.blocks.map(block => block.text)]));
+}
+
+test('drops cookie banners but keeps content that only mentions cookies or consent', () => {
+  const page = regions(`<html><body>
+    <div id="onetrust-consent-sdk"><p>We use cookies to improve your experience.</p></div>
+    <div class="cookie-banner__wrap"><p>Accept all cookies?</p></div>
+    <div aria-label="Cookie preferences"><p>Manage your choices.</p></div>
+    <div class="cookie-recipes"><p>Our founder started out baking cookies.</p></div>
+    <div id="consent-forms"><p>Every patient signs an informed consent form.</p></div>
+  </body></html>`);
+
+  assert.deepStrictEqual(page['Page content'], [
+    'Our founder started out baking cookies.',
+    'Every patient signs an informed consent form.',
+  ]);
+});
+
+test('takes a named hero, unless it is as long as a whole page', () => {
+  const hero = regions(`<html><body>
+    <div class="hero"><h1>One story for every founder</h1><p>Sparring for seed-stage teams.</p></div>
+    <p>More about us.</p>
+  </body></html>`);
+
+  assert.deepStrictEqual(hero['Homepage hero'], ['One story for every founder', 'Sparring for seed-stage teams.']);
+  assert.deepStrictEqual(hero['Page content'], ['More about us.']);
+
+  const wrapper = regions(`<html><body><div class="hero-layout">
+    <header><h1>One story for every founder</h1><p>Sparring for seed-stage teams.</p></header>
+    <p>${'Long page copy about our method. '.repeat(60)}</p>
+  </div></body></html>`, { url: 'https://acme.com/about' });
+
+  assert.deepStrictEqual(wrapper['Page hero'], ['One story for every founder', 'Sparring for seed-stage teams.']);
+  assert.match(wrapper['Page content'][0], /^Long page copy/);
+});
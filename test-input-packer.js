@@ -0,0 +1,84 @@
+/**
+ * INPUT PACKER TEST
+ * Narrative Sparring - input-packer.js condensing, on extracted test files
+ *
+ * Run: node --test test-input-packer.js (or npm test). No network or env vars needed.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { extractTextFromFiles } = require('./api/utils/file-extractor');
+const { packMaterials, packEachDocument, estimateTokens } = require('./api/utils/input-packer');
+
+const lines = (count, make) => Array.from({ length: count }, (_, i) => make(i));
+const noteLine = i => `Note ${i} explains how the studio works with founders on their story.`;
+const pageLine = i => `Page line ${i} says what the product does for busy sales teams today.`;
+
+function extract(files) {
+  return extractTextFromFiles(files.map(([filename, text]) => ({ filename, buffer: Buffer.from(text) })));
+}
+
+test('files with one huge block keep their opening and use the budget', async () => {
+  // A TXT file with no blank lines and an HTML page with one long paragraph
+  const extraction = await extract([
+    ['notes.txt', lines(3300, noteLine).join('\n')],
+    ['site.html', `<html><body><h1>Acme</h1><main><p>${lines(3300, pageLine).join(' ')}</p></main></body></html>`],
+  ]);
+
+  const packing = packMaterials(extraction, { budgetTokens: 25000 });
+
+  assert.ok(packing.tokens <= 25000, `packed ${packing.tokens}`);
+  assert.ok(packing.tokens > 24000, `only ${packing.tokens} tokens used`);
+  packing.files.forEach(file => {
+    assert.ok(file.packedTokens > file.allocatedTokens * 0.9, `${file.filename} kept ${file.packedTokens}`);
+  });
+  assert.match(packing.text, /Note 0 explains/);
+  assert.match(packing.text, /Page line 0 says/);
+  assert.match(packing.text, /# Acme/);
+});
+
+test('a cut block ends at a sentence or word boundary', async () => {
+  const extraction = await extract([['notes.txt', lines(2000, noteLine).join(' ')]]);
+  const { files: [file] } = packEachDocument(extraction, { budgetTokens: 1000 });
+
+  const cutBlock = file.text.split('\n').find(line => line.endsWith('[…]'));
+  assert.ok(cutBlock, 'no cut block');
+  assert.match(cutBlock, /story\. \[…\]$/);
+  assert.ok(estimateTokens(file.text) <= 1000);
+});
+
+test('a one-word part survives the tail cut', async () => {
+  const extraction = await extract([
+    ['site.html', `<html><body><h1>Acme</h1><main><p>${lines(2000, pageLine).join(' ')}</p></main></body></html>`],
+  ]);
+  const { files: [file] } = packEachDocument(extraction, { budgetTokens: 800 });
+
+  assert.match(file.text, /# Acme/);
+  assert.match(file.text, /Page line 0 says/);
+});
+
+test('allowance a small part does not need goes to the large ones', async () => {
+  const markdown = [
+    '# Short',
+    '',
+    'Only a line here.',
+    '',
+    '# Long',
+    '',
+    lines(2000, pageLine).join(' '),
+  ].join('\n');
+  const extraction = await extract([['plan.md', markdown]]);
+  const { files: [file] } = packEachDocument(extraction, { budgetTokens: 2000 });
+
+  assert.match(file.text, /Only a line here\./);
+  assert.ok(file.packedTokens > 1800, `only ${file.packedTokens} of 2000 used`);
+  assert.ok(file.packedTokens <= 2000);
+});
+
+test('files under their allocation are left as they are', async () => {
+  const extraction = await extract([['notes.txt', lines(10, noteLine).join('\n')]]);
+  const packing = packMaterials(extraction, { budgetTokens: 25000 });
+
+  assert.strictEqual(packing.condensed, false);
+  assert.deepStrictEqual(packing.files[0].cuts, []);
+});
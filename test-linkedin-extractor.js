@@ -0,0 +1,153 @@
+/**
+ * LINKEDIN EXTRACTOR TEST
+ * Narrative Sparring - linkedin-extractor.js on ZIP archives built in memory
+ *
+ * Run: node --test test-linkedin-extractor.js (or npm test). No network or env vars needed.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const JSZip = require('jszip');
+const { extractFromLinkedInExport, isLinkedInExport } = require('./api/utils/linkedin-extractor');
+
+async function zipOf(files) {
+  const zip = new JSZip();
+  Object.entries(files).forEach(([name, content]) => zip.file(name, content));
+  return zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+}
+
+const csv = rows => rows.map(row => row.map(cell => `"${String(cell).replace(/"/g, '""')}"`).join(',')).join('\r\n');
+
+const sectionText = (document, label) => {
+  const section = document.sections.find(item => item.label.startsWith(label));
+  return section ? section.blocks.map(block => block.text) : null;
+};
+
+const PROFILE = csv([
+  ['First Name', 'Last Name', 'Headline', 'Summary', 'Industry', 'Geo Location', 'Websites'],
+  ['Maria', 'Lopez', 'Founder, Acme Health', 'I help clinics tell patients one clear story.\n\nBefore Acme I ran "Clinic Ops" for ten years.', 'Hospitals', 'London', '[PERSONAL:https://maria.example,COMPANY:https://acme.example]'],
+]);
+
+test('reads profile, about and positions, quoted fields included', async () => {
+  const buffer = await zipOf({
+    // Exports start Profile.csv with a byte order mark
+    'Basic_LinkedInDataExport/Profile.csv': `\uFEFF${PROFILE}`,
+    'Basic_LinkedInDataExport/Positions.csv': csv([
+      ['Company Name', 'Title', 'Description', 'Location', 'Started On', 'Finished On'],
+      ['Acme Health', 'Founder', 'Building, hiring, selling.', 'London', 'Jan 2021', ''],
+    ]),
+  });
+
+  const result = await extractFromLinkedInExport(buffer);
+
+  assert.strictEqual(result.success, true);
+  assert.deepStrictEqual(sectionText(result.document, 'Profile'), [
+    'Name: Maria Lopez',
+    'Headline: Founder, Acme Health',
+    'Industry: Hospitals',
+    'Location: London',
+    'Websites: https://maria.example, https://acme.example',
+  ]);
+  assert.deepStrictEqual(sectionText(result.document, 'About'), [
+    'I help clinics tell patients one clear story.',
+    'Before Acme I ran "Clinic Ops" for ten years.',
+  ]);
+  assert.deepStrictEqual(sectionText(result.document, 'Positions'), [
+    'Founder — Acme Health (Jan 2021 – Present)',
+    'Building, hiring, selling.',
+  ]);
+});
+
+test('reads the about text from Profile Summary.csv in newer exports', async () => {
+  const buffer = await zipOf({
+    'Profile.csv': csv([
+      ['First Name', 'Last Name', 'Headline', 'Industry', 'Geo Location'],
+      ['Maria', 'Lopez', 'Founder, Acme Health', 'Hospitals', 'London'],
+    ]),
+    'Profile Summary.csv': `\uFEFF${csv([
+      ['Profile Summary'],
+      ['I help clinics tell patients one clear story.\n\nBefore Acme I ran clinic operations.'],
+    ])}`,
+  });
+
+  const result = await extractFromLinkedInExport(buffer);
+
+  assert.deepStrictEqual(sectionText(result.document, 'Profile'), [
+    'Name: Maria Lopez',
+    'Headline: Founder, Acme Health',
+    'Industry: Hospitals',
+    'Location: London',
+  ]);
+  assert.deepStrictEqual(sectionText(result.document, 'About'), [
+    'I help clinics tell patients one clear story.',
+    'Before Acme I ran clinic operations.',
+  ]);
+
+  // A summary on its own is still an export with an About section
+  const alone = await extractFromLinkedInExport(await zipOf({ 'Profile Summary.csv': csv([['Profile Summary'], ['Storyteller.']]) }));
+  assert.deepStrictEqual(alone.document.sections.map(section => section.label), ['About']);
+});
+
+test('keeps the newest posts up to maxPosts and says how many there were', async () => {
+  const buffer = await zipOf({
+    'Shares.csv': csv([
+      ['Date', 'ShareLink', 'ShareCommentary', 'SharedUrl'],
+      ['2024-01-05 09:00:00', '', 'First post of the year.', ''],
+      ['2024-03-10 09:00:00', '', 'Newest post.', 'https://acme.example/launch'],
+      ['2024-02-01 09:00:00', '', 'Middle post.', ''],
+      ['2024-02-02 09:00:00', '', '', ''],
+    ]),
+  });
+
+  const result = await extractFromLinkedInExport(buffer, { maxPosts: 2 });
+
+  assert.strictEqual(result.postCount, 2);
+  assert.deepStrictEqual(sectionText(result.document, 'Recent posts (latest 2 of 4)'), [
+    'Post — 2024-03-10',
+    'Newest post.',
+    'Shared link: https://acme.example/launch',
+    'Post — 2024-02-01',
+    'Middle post.',
+  ]);
+});
+
+test('reads articles newest first, title and date from the page', async () => {
+  const article = (title, date, body) =>
+    `<html><head><title>${title}</title></head><body><h1>${title}</h1><p class="published">Published on ${date}</p><p>${body}</p></body></html>`;
+  const buffer = await zipOf({
+    'Articles/Articles/old.html': article('Why clinics lose patients', '2023-05-01', 'Patients leave when the story is unclear.'),
+    'Articles/Articles/new.html': article('One story, every channel', '2024-02-01', 'Say the same thing everywhere.'),
+  });
+
+  const result = await extractFromLinkedInExport(buffer, { maxArticles: 1 });
+  const labels = result.document.sections.map(section => section.label);
+
+  assert.deepStrictEqual(labels, ['Article: One story, every channel']);
+  assert.deepStrictEqual(sectionText(result.document, 'Article:'), ['Published: 2024-02-01', 'Say the same thing everywhere.']);
+});
+
+test('accepts partial exports and refuses other archives', async () => {
+  const partial = await zipOf({ 'Skills.csv': csv([['Name'], ['Storytelling']]) });
+  const other = await zipOf({ 'notes/profile.txt': 'Not an export.' });
+
+  assert.strictEqual(await isLinkedInExport(partial), true);
+  assert.strictEqual((await extractFromLinkedInExport(partial)).success, true);
+
+  assert.strictEqual(await isLinkedInExport(other), false);
+  assert.match((await extractFromLinkedInExport(other)).error, /not a LinkedIn data export/);
+  assert.strictEqual(await isLinkedInExport(Buffer.from('not a zip')), false);
+});
+
+test('skips an entry that inflates past the size cap', async () => {
+  const huge = csv([
+    ['First Name', 'Last Name', 'Headline', 'Summary'],
+    ['Maria', 'Lopez', 'Founder', 'story '.repeat(1024 * 1024)],
+  ]);
+  const buffer = await zipOf({ 'Profile.csv': huge, 'Positions.csv': csv([['Company Name', 'Title'], ['Acme Health', 'Founder']]) });
+
+  const result = await extractFromLinkedInExport(buffer);
+
+  assert.strictEqual(result.success, true);
+  assert.strictEqual(sectionText(result.document, 'Profile'), null);
+  assert.ok(sectionText(result.document, 'Positions'));
+});
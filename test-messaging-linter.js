@@ -0,0 +1,94 @@
+/**
+ * MESSAGING LINTER TEST
+ * Narrative Sparring - messaging-linter.js on hand-built documents
+ *
+ * Run: node --test test-messaging-linter.js (or npm test). No network or env vars needed.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { lintMaterials, formatMetricsContext, buildMetricsTable } = require('./api/utils/messaging-linter');
+
+function documentOf(filename, blocks) {
+  return {
+    filename,
+    sections: [{ kind: 'body', label: '', blocks: blocks.map(text => (
+      text.startsWith('# ') ? { type: 'heading', text: text.slice(2) } : { type: 'paragraph', text }
+    )) }],
+  };
+}
+
+const lintOne = (blocks, platform = 'website') =>
+  lintMaterials([documentOf('site.html', blocks)], [{ filename: 'site.html', platform }]).files[0];
+
+test('counts buzzwords once each, longest term first, hyphens or spaces alike', () => {
+  const file = lintOne(['Our paradigm shift is best in class and best-in-class. We leverage synergy.']);
+  const terms = Object.fromEntries(file.buzzwords.terms.map(item => [item.term, item.count]));
+
+  assert.deepStrictEqual(terms, { 'best-in-class': 2, 'paradigm shift': 1, leverage: 1, synergy: 1 });
+  assert.strictEqual(file.buzzwords.count, 5);
+  assert.strictEqual(file.buzzwords.per100Words, Math.round((5 / file.words) * 1000) / 10);
+});
+
+test('flags "the X for Y" for known brands and after a positioning verb only', () => {
+  const file = lintOne([
+    'We are the Uber for dog walkers.',
+    'Think of us as the Stripe of payroll.',
+    'She trained at the Bank of England for a decade.',
+    'We\'re the Acme for busy parents.',
+  ]);
+
+  assert.deepStrictEqual(file.borrowedPositioning, [
+    'the Uber for dog walkers',
+    'the Stripe of payroll',
+    'the Acme for busy parents',
+  ]);
+  assert.strictEqual(file.borrowedPositioningCount, 3);
+});
+
+test('leaves readability empty under 50 words and skips headings as sentences', () => {
+  const short = lintOne(['# Proven results', 'We write stories.']);
+
+  assert.strictEqual(short.readingGrade, null);
+  assert.strictEqual(short.sentences, 1);
+  // Heading words still count as words and for vague claims
+  assert.strictEqual(short.words, 5);
+  assert.deepStrictEqual(short.vagueClaims.phrases, [{ term: 'proven results', count: 1 }]);
+});
+
+test('measures sentence length, long sentences and passive voice', () => {
+  const long = 'We sit down with founders and their teams for a full day and work through every page, deck, profile and pitch they use until one clear story comes out.';
+  const file = lintOne([
+    long,
+    'The deck was written by our team.',
+    'Clients get a written report.',
+    'We run one workshop a month for founders who want to practise the pitch out loud.',
+  ]);
+
+  assert.strictEqual(file.sentences, 4);
+  assert.strictEqual(file.longSentenceRate, 0.25);
+  assert.strictEqual(file.passiveRate, 0.25);
+  assert.ok(file.readingGrade !== null);
+  assert.strictEqual(file.avgSentenceWords, Math.round((file.words / 4) * 10) / 10);
+});
+
+test('adds an all-files row and lists the terms in the prompt block and table', () => {
+  const metrics = lintMaterials([
+    documentOf('site.html', ['Innovative, seamless and robust storytelling.']),
+    documentOf('deck.pdf', ['We are passionate about innovative founders.']),
+  ], [{ filename: 'site.html', platform: 'website' }, { filename: 'deck.pdf', platform: 'pitch_deck' }]);
+
+  assert.strictEqual(metrics.overall.words, metrics.files[0].words + metrics.files[1].words);
+  assert.deepStrictEqual(metrics.overall.buzzwords.terms[0], { term: 'innovative', count: 2 });
+
+  const context = formatMetricsContext(metrics);
+  assert.match(context, /^=== MESSAGING METRICS/);
+  assert.match(context, /^ALL FILES \| - \| 11 \|/m);
+  assert.match(context, /- deck\.pdf: buzzwords: innovative \(1\); vague claims: passionate about \(1\)/);
+
+  const table = buildMetricsTable(metrics);
+  assert.strictEqual(table.rows.length, 3);
+  assert.strictEqual(table.rows[2][0], 'All files');
+  assert.match(table.notes[0], /^Most used buzzwords: innovative \(2\)/);
+  assert.strictEqual(formatMetricsContext({ files: [] }), '');
+});
@@ -0,0 +1,147 @@
+/**
+ * MOCK PIPELINE TEST
+ * Narrative Sparring - /api/analyze end to end with LLM_PROVIDER=mock
+ *
+ * Supabase, Resend and the storage download are replaced in-process, so the
+ * whole pipeline (brief, sections, quality gate, quote check and fix,
+ * structured JSON, PDF) runs offline.
+ *
+ * Run: node --test test-mock-pipeline.js (or npm test). No network or env vars needed.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const Module = require('module');
+
+process.env.LLM_PROVIDER = 'mock';
+
+const SECTION_COUNT = 7;
+
+// Every update written, newest last
+const updates = [];
+let files = [];
+
+const ROWS = {
+  users: [{ id: 'u1', email: 'founder@example.com', purchase_tier: 'basic', intake: null }],
+  uploads: [
+    { id: 'up1', filename: 'site.txt', file_path: 'u1/site.txt', file_size: 400 },
+    { id: 'up2', filename: 'linkedin-about.txt', file_path: 'u1/linkedin-about.txt', file_size: 400 },
+  ],
+  analyses: [{ id: 'a1' }],
+  spend_ledger: [],
+};
+
+function fakeSupabase() {
+  const from = table => {
+    let result = { data: ROWS[table] || [], error: null };
+    const query = {
+      update(values) {
+        updates.push({ table, values });
+        result = { data: [{ id: 'a1' }], error: null };
+        return query;
+      },
+      insert() {
+        result = { data: ROWS[table] ? ROWS[table][0] : null, error: null };
+        return query;
+      },
+      single: () => Promise.resolve({ data: Array.isArray(result.data) ? result.data[0] : result.data, error: null }),
+      then: (resolve, reject) => Promise.resolve(result).then(resolve, reject),
+    };
+    for (const method of ['select', 'eq', 'in', 'gte', 'lt', 'order', 'range', 'limit']) {
+      query[method] = () => query;
+    }
+    return query;
+  };
+
+  return {
+    from,
+    storage: {
+      from: () => ({
+        upload: async () => ({ error: null }),
+        getPublicUrl: path => ({ data: { publicUrl: `https://storage.example/${path}` } }),
+      }),
+    },
+  };
+}
+
+const originalLoad = Module._load;
+Module._load = function load(request, ...rest) {
+  if (request === '@supabase/supabase-js') {
+    return { createClient: fakeSupabase };
+  }
+  if (request === 'resend') {
+    return { Resend: class { constructor() { this.emails = { send: async () => ({ data: { id: 'e1' } }) }; } } };
+  }
+  if (request === '@anthropic-ai/sdk') {
+    throw new Error('The mock pipeline must not load the Anthropic SDK');
+  }
+  return originalLoad.call(this, request, ...rest);
+};
+
+global.fetch = async url => {
+  const file = files.find(([name]) => url.endsWith(name));
+  return { ok: true, arrayBuffer: async () => Buffer.from(file ? file[1] : '') };
+};
+
+const handler = require('./api/analyze');
+
+async function analyze(materials) {
+  files = materials;
+  updates.length = 0;
+
+  const res = {
+    statusCode: 0,
+    body: null,
+    setHeader() {},
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; },
+    end() { return this; },
+  };
+
+  const log = console.log;
+  console.log = () => {};
+  try {
+    await handler({ method: 'POST', body: { userId: 'u1' } }, res);
+  } finally {
+    console.log = log;
+  }
+
+  const final = updates.filter(item => item.table === 'analyses' && item.values.analysis_content).pop();
+  return { res, content: final && final.values.analysis_content };
+}
+
+function sectionBodies(markdown) {
+  return markdown.split(/^## SECTION \d+[^\n]*\n/m).slice(1).map(body => body.trim());
+}
+
+function assertFullReport({ res, content }) {
+  assert.strictEqual(res.statusCode, 200, JSON.stringify(res.body));
+  assert.strictEqual(content.status, 'completed');
+
+  const bodies = sectionBodies(content.report_markdown);
+  assert.strictEqual(bodies.length, SECTION_COUNT);
+  bodies.forEach((body, i) => assert.ok(body.length > 0, `section ${i + 1} is empty`));
+}
+
+test('runs the whole analysis offline and fills all seven sections', async () => {
+  const result = await analyze([
+    ['site.txt', 'We help founders tell one story across every platform we touch.\n\nOur studio turns scattered messaging into a single clear narrative for growing teams.\n\nBook a call today.'],
+    ['linkedin-about.txt', 'I started this studio after watching great founders lose deals because nobody understood them.\n\nToday we work with seed stage companies that need their story to match their product.'],
+  ]);
+
+  assertFullReport(result);
+  assert.strictEqual(result.content.quote_verification.missing, 0);
+  assert.strictEqual(result.content.structured_validation.valid, true);
+});
+
+test('keeps every section whole when quotes go to the quote fix', async () => {
+  // No sentence is long enough to quote, so the mock falls back to a quote
+  // that is not in the materials and every section is sent back to be fixed
+  const result = await analyze([
+    ['site.txt', 'Stories for founders.\n\nOne clear narrative.\n\nBook a call.'],
+    ['linkedin-about.txt', 'Founder. Storyteller.\n\nSeed stage teams.\n\nLondon based.'],
+  ]);
+
+  assertFullReport(result);
+  assert.ok(result.content.quote_verification.fixedSections > 0);
+});
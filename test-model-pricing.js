@@ -0,0 +1,53 @@
+/**
+ * MODEL PRICING TEST
+ * Narrative Sparring - model-pricing.js lookups and call costs
+ *
+ * Run: node --test test-model-pricing.js (or npm test). No network or env vars needed.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { getModelPricing, calculateCost, MODEL_PRICING } = require('./api/utils/model-pricing');
+
+test('matches dated model IDs and their aliases', () => {
+  const dated = getModelPricing('claude-sonnet-4-5-20250929');
+
+  assert.deepStrictEqual(dated, {
+    model: 'claude-sonnet-4-5-20250929',
+    known: true,
+    input: 3.00,
+    output: 15.00,
+    cacheWrite: 3.75,
+    cacheRead: 0.30,
+  });
+  assert.deepStrictEqual(getModelPricing('claude-sonnet-4-5'), dated);
+  assert.strictEqual(getModelPricing('claude-haiku-4-5-20251001').input, 1.00);
+
+  // "claude-sonnet-4" is not the family of "claude-sonnet-4-5"
+  assert.strictEqual(getModelPricing('claude-sonnet-4').known, false);
+});
+
+test('prices an unknown model at the most expensive rates listed', () => {
+  const pricing = getModelPricing('claude-next-experimental');
+  const maxOutput = Math.max(...Object.values(MODEL_PRICING).map(item => item.output));
+
+  assert.strictEqual(pricing.known, false);
+  assert.strictEqual(pricing.model, 'claude-next-experimental');
+  assert.strictEqual(pricing.output, maxOutput);
+  assert.strictEqual(getModelPricing(undefined).known, false);
+});
+
+test('charges input, output and cache tokens at their own rates', () => {
+  const cost = calculateCost('claude-sonnet-4-5', { input: 1_000_000, output: 100_000, cacheWrite: 200_000, cacheRead: 2_000_000 });
+
+  assert.strictEqual(cost.input, 3);
+  assert.strictEqual(cost.output, 1.5);
+  assert.strictEqual(cost.cacheWrite, 0.75);
+  assert.strictEqual(cost.cacheRead, 0.6);
+  assert.strictEqual(cost.total, cost.input + cost.output + cost.cacheWrite + cost.cacheRead);
+
+  // Cache counts are optional
+  assert.deepStrictEqual(calculateCost('claude-3-haiku-20240307', { input: 0, output: 0 }), {
+    input: 0, cacheWrite: 0, cacheRead: 0, output: 0, total: 0,
+  });
+});
@@ -0,0 +1,106 @@
+/**
+ * PLATFORM CLASSIFIER TEST
+ * Narrative Sparring - platform-classifier.js on hand-built documents
+ *
+ * Run: node --test test-platform-classifier.js (or npm test). No network or env vars needed.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  isPlatform,
+  classifyDocument,
+  findMissingPlatforms,
+  formatInventory,
+  formatPlatformTag,
+} = require('./api/utils/platform-classifier');
+
+function documentOf(filename, type, sections) {
+  return {
+    filename,
+    type,
+    sections: sections.map(([kind, label, texts]) => ({
+      kind,
+      label,
+      blocks: texts.map(text => ({ type: 'paragraph', text })),
+    })),
+  };
+}
+
+const NOTES = documentOf('notes.txt', 'TXT', [['body', '', ['Things to remember on Tuesday.']]]);
+
+test('accepts only the PLATFORMS keys as platform names', () => {
+  assert.strictEqual(isPlatform('website'), true);
+  assert.strictEqual(isPlatform('pitch_deck'), true);
+
+  for (const value of ['toString', '__proto__', 'constructor', 'Website', '', null, undefined, 1]) {
+    assert.strictEqual(isPlatform(value), false, String(value));
+  }
+});
+
+test('a platform chosen at upload wins; an unknown one is ignored', () => {
+  const chosen = classifyDocument(NOTES, { override: 'sales' });
+  assert.deepStrictEqual(
+    { platform: chosen.platform, confidence: chosen.confidence, source: chosen.source },
+    { platform: 'sales', confidence: 1, source: 'user' }
+  );
+
+  const ignored = classifyDocument(NOTES, { override: 'toString' });
+  assert.strictEqual(ignored.source, 'auto');
+  assert.strictEqual(ignored.platform, 'other');
+});
+
+test('reads the platform from file type, structure, filename and words', () => {
+  const linkedin = classifyDocument(documentOf('Export.zip', 'LinkedIn', [['region', 'Profile', ['Headline: Founder']]]));
+  assert.strictEqual(linkedin.platform, 'linkedin');
+  assert.ok(linkedin.signals.includes('LinkedIn data export'));
+
+  const slides = Array.from({ length: 6 }, (_, i) => ['slide', `Slide ${i + 1}`, [['The problem', 'Our solution', 'Traction', 'Market size', 'Business model', 'The ask'][i]]]);
+  const deck = classifyDocument(documentOf('acme.pptx', 'PPTX', slides));
+  assert.strictEqual(deck.platform, 'pitch_deck');
+
+  const page = classifyDocument(
+    documentOf('acme.com.html', 'HTML', [['region', 'Hero', ['Book a demo today.']], ['region', 'Footer', ['All rights reserved.']]]),
+    { sourceUrl: 'https://acme.com/' }
+  );
+  assert.strictEqual(page.platform, 'website');
+  assert.ok(page.confidence > 0.5, `confidence ${page.confidence}`);
+
+  const proposal = classifyDocument(documentOf('acme-proposal.docx', 'DOCX', [['body', '', [
+    'Dear Sam, here is the scope of work, deliverables and pricing. Next steps below. Kind regards, Maria',
+  ]]]));
+  assert.strictEqual(proposal.platform, 'sales');
+});
+
+test('calls a file "other" without enough signal, and matches keywords as whole words', () => {
+  const result = classifyDocument(documentOf('misc.txt', 'TXT', [['body', '', ['A stamp on the samples of someone.']]]));
+
+  assert.strictEqual(result.platform, 'other');
+  assert.strictEqual(result.confidence, 0);
+  assert.deepStrictEqual(result.signals, ['no clear platform signals']);
+
+  // "tam", "sam" and "som" are inside other words, so only the filename counts
+  const named = classifyDocument(documentOf('pitch.txt', 'TXT', [['body', '', ['A stamp on the samples of someone.']]]));
+  assert.strictEqual(named.platform, 'pitch_deck');
+  assert.deepStrictEqual(named.signals, ['filename "pitch.txt"']);
+});
+
+test('lists missing audited platforms in the inventory', () => {
+  const classifications = [
+    { filename: 'site.html', platform: 'website', label: 'Website', confidence: 0.92, source: 'auto' },
+    { filename: 'bio.txt', platform: 'bio', label: 'Founder bio', confidence: 1, source: 'user' },
+  ];
+
+  assert.deepStrictEqual(findMissingPlatforms(classifications), ['linkedin', 'pitch_deck', 'sales']);
+  assert.strictEqual(formatInventory(classifications), [
+    '=== MATERIALS INVENTORY ===',
+    'Website: site.html',
+    'LinkedIn: (none provided)',
+    'Pitch deck: (none provided)',
+    'Sales materials: (none provided)',
+    'Founder bio: bio.txt',
+    'Missing platforms: LinkedIn, Pitch deck, Sales materials',
+  ].join('\n'));
+  assert.strictEqual(formatPlatformTag(classifications[0]), 'PLATFORM: Website (auto, 92% confidence)');
+  assert.strictEqual(formatPlatformTag(classifications[1]), 'PLATFORM: Founder bio (set by client)');
+});
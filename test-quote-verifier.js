@@ -0,0 +1,140 @@
+/**
+ * QUOTE VERIFIER TEST
+ * Narrative Sparring - quote-verifier.js matching and annotation, with the
+ * quote fix re-prompt replaced by canned replies
+ *
+ * Run: node --test test-quote-verifier.js (or npm test). No network or env vars needed.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const claudeClient = require('./api/utils/claude-client');
+const { extractTextFromFiles } = require('./api/utils/file-extractor');
+const { createDocument, addSection, addBlock, finalizeDocument } = require('./api/utils/document-model');
+
+// Reply to the next quote fix (set per test), before quote-verifier takes its copy
+let fixReply = '';
+claudeClient.fixSectionQuotes = async () => ({
+  success: true,
+  text: fixReply,
+  tokensUsed: { input: 100, output: 50, cacheWrite: 0, cacheRead: 0, total: 150 },
+  costUSD: { input: 0.0003, output: 0.00075, cacheWrite: 0, cacheRead: 0, total: 0.00105 },
+});
+
+const { verifyReportQuotes, annotateReport, buildSources, findBestMatch } = require('./api/utils/quote-verifier');
+
+const SITE = 'We help founders tell one story across every platform they use.\n\nBook a call to get started.';
+
+const SECTION_TWO = [
+  '## SECTION 2: WEBSITE',
+  '',
+  'Website: "We make founders famous on every platform overnight"',
+  '',
+  'The homepage promises more than the rest of the materials can back up, and the tone',
+  'shifts between the hero and the call to action in ways a first-time visitor will notice.',
+].join('\n');
+
+const REPORT = [
+  '## SECTION 1: EXECUTIVE SUMMARY',
+  '',
+  'Website: "We help founders tell one story across every platform"',
+  '',
+  SECTION_TWO,
+].join('\n');
+
+async function verify(reply) {
+  fixReply = reply;
+  const { documents } = await extractTextFromFiles([{ filename: 'site.txt', buffer: Buffer.from(SITE) }]);
+  return verifyReportQuotes(REPORT, documents, { prompts: {} });
+}
+
+test('applies a quote fix that keeps the heading and the section', async () => {
+  const result = await verify(SECTION_TWO.replace('We make founders famous on every platform overnight', 'We help founders tell one story'));
+
+  assert.strictEqual(result.verification.fixedSections, 1);
+  assert.strictEqual(result.verification.missing, 0);
+  assert.match(result.report, /## SECTION 2: WEBSITE\n\nWebsite: "We help founders tell one story"/);
+  assert.strictEqual(result.tokensUsed.total, 150);
+});
+
+test('keeps the original section when the fix drops the heading or the body', async () => {
+  const replies = [
+    '## SECTION 2: WEBSITE',
+    SECTION_TWO.split('\n').slice(1).join('\n'),
+    SECTION_TWO.replace('SECTION 2', 'SECTION 3'),
+  ];
+
+  for (const reply of replies) {
+    const result = await verify(reply);
+
+    assert.strictEqual(result.report, REPORT, reply);
+    assert.strictEqual(result.verification.fixedSections, 0);
+    assert.strictEqual(result.verification.missing, 1);
+    // The call was still made and paid for
+    assert.strictEqual(result.tokensUsed.total, 150);
+    assert.match(annotateReport(result.report, result.verification), /overnight" \[UNVERIFIED: not found in the materials\]/);
+  }
+});
+
+function deckOf(slides) {
+  const document = createDocument('PPTX');
+  document.filename = 'deck.pptx';
+  slides.forEach((text, i) => {
+    const section = addSection(document, { kind: 'slide', number: i + 1, total: slides.length });
+    addBlock(section, { type: 'paragraph', text });
+  });
+  return finalizeDocument(document);
+}
+
+const DECK = deckOf([
+  'Acme Health. Narrative for clinics.',
+  'Patients leave when the story changes between the website and the front desk.',
+  'We give every clinic one clear story their staff can repeat word for word.',
+]);
+
+test('finds exact quotes by slide, ignoring case and punctuation', () => {
+  const match = findBestMatch('we give every clinic ONE clear story!', buildSources([DECK]));
+
+  assert.strictEqual(match.status, 'exact');
+  assert.strictEqual(match.score, 1);
+  assert.strictEqual(match.filename, 'deck.pptx');
+  assert.strictEqual(match.location, 'slide 3');
+  assert.match(match.passage, /We give every clinic one clear story/);
+});
+
+test('calls a quote with most of its words in place a close match', () => {
+  const sources = buildSources([DECK]);
+  // 9 of 10 words
+  const close = findBestMatch('Patients leave when the story shifts between the website and', sources);
+
+  assert.strictEqual(close.status, 'close');
+  assert.strictEqual(close.score, 0.9);
+  assert.strictEqual(close.location, 'slide 2');
+
+  // 3 of 8 words: the closest passage is kept but the quote is missing
+  const missing = findBestMatch('We make founders famous on every platform overnight', sources);
+
+  assert.strictEqual(missing.status, 'missing');
+  assert.ok(missing.score < 0.8, `score ${missing.score}`);
+  assert.strictEqual(findBestMatch('Anything at all', buildSources([])).status, 'missing');
+});
+
+test('notes the source after each quote in the annotated report', async () => {
+  const report = [
+    '## SECTION 3: PITCH DECK',
+    '',
+    'Deck: "We give every clinic one clear story"',
+    'Deck: "Patients leave when the story shifts between the website and"',
+    'Deck: "We make founders famous on every platform overnight"',
+  ].join('\n');
+
+  const result = await verifyReportQuotes(report, [DECK], { fix: false });
+
+  assert.strictEqual(annotateReport(report, result.verification), [
+    '## SECTION 3: PITCH DECK',
+    '',
+    'Deck: "We give every clinic one clear story" [deck.pptx, slide 3]',
+    'Deck: "Patients leave when the story shifts between the website and" [close match: deck.pptx, slide 2]',
+    'Deck: "We make founders famous on every platform overnight" [UNVERIFIED: not found in the materials]',
+  ].join('\n'));
+});
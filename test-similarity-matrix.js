@@ -0,0 +1,103 @@
+/**
+ * SIMILARITY MATRIX TEST
+ * Narrative Sparring - similarity-matrix.js on hand-built documents
+ *
+ * Run: node --test test-similarity-matrix.js (or npm test). No network or env vars needed.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { computeSimilarity, formatSimilarityContext, buildSimilarityTable } = require('./api/utils/similarity-matrix');
+
+function documentOf(filename, blocks) {
+  return {
+    filename,
+    sections: [{ kind: 'body', label: '', blocks: blocks.map(text => (
+      text.startsWith('# ') ? { type: 'heading', text: text.slice(2) } : { type: 'paragraph', text }
+    )) }],
+  };
+}
+
+const STORY = [
+  '# Narrative consulting for seed stage founders',
+  'We help founders tell one clear story across their website, deck and sales calls.',
+  'Most founders explain their company five different ways. Investors hear a pitch, customers read a homepage, and the two never match.',
+  'Our sparring sessions find the thread that connects them, so your team can repeat it without a script.',
+];
+
+const LOGISTICS = [
+  'Warehouse shipments leave the depot every morning at six with refrigerated pallets.',
+  'Drivers scan each crate at loading bays, and the dispatch office tracks fuel, tyres and routes on paper logs.',
+  'Forklift maintenance happens on Sundays when the yard is closed to trucks and inbound freight waits outside.',
+];
+
+function analyze(files) {
+  return computeSimilarity(
+    files.map(([filename, blocks]) => documentOf(filename, blocks)),
+    files.map(([filename, , platform]) => ({ filename, platform }))
+  );
+}
+
+test('needs two platforms with enough words', () => {
+  assert.strictEqual(analyze([['site.html', STORY, 'website']]), null);
+  // Two files on one platform are one platform
+  assert.strictEqual(analyze([['site.html', STORY, 'website'], ['about.html', LOGISTICS, 'website']]), null);
+  assert.strictEqual(analyze([['site.html', STORY, 'website'], ['bio.txt', ['Founder and storyteller.'], 'bio']]), null);
+});
+
+test('scores the same story 10/10 and unrelated copy near the floor', () => {
+  const same = analyze([['site.html', STORY, 'website'], ['deck.pdf', STORY, 'pitch_deck']]);
+
+  assert.strictEqual(same.pairs[0].similarity, 1);
+  assert.deepStrictEqual(same.platforms.map(item => item.baselineScore), [10, 10]);
+  assert.strictEqual(same.baselineGapScore, 10);
+
+  const apart = analyze([['site.html', STORY, 'website'], ['deck.pdf', LOGISTICS, 'pitch_deck']]);
+
+  assert.ok(apart.pairs[0].similarity < 0.2, `similarity ${apart.pairs[0].similarity}`);
+  assert.deepStrictEqual(apart.pairs[0].sharedPhrases, []);
+  assert.ok(apart.baselineGapScore < 4, `gap score ${apart.baselineGapScore}`);
+});
+
+test('clusters value propositions that say the same thing across platforms', () => {
+  const similarity = analyze([
+    ['site.html', STORY, 'website'],
+    ['linkedin.csv', ['I help founders tell one clear story to investors and customers.', ...LOGISTICS], 'linkedin'],
+  ]);
+
+  const shared = similarity.clusters.find(cluster => cluster.platforms.length === 2);
+  assert.ok(shared, 'no cluster spans both platforms');
+  assert.match(shared.statements.map(item => item.text).join(' / '), /We help founders tell one clear story.*I help founders tell one clear story/);
+
+  const pair = similarity.pairs[0];
+  assert.ok(pair.valuePropositions > 0 && pair.valuePropositions < 1);
+});
+
+test('leaves value props out of the mix when neither platform states one', () => {
+  const similarity = analyze([['site.html', LOGISTICS, 'website'], ['deck.pdf', LOGISTICS, 'pitch_deck']]);
+
+  assert.strictEqual(similarity.pairs[0].valuePropositions, null);
+  assert.strictEqual(similarity.pairs[0].similarity, 1);
+  assert.match(formatSimilarityContext(similarity), /value props n\/a/);
+});
+
+test('prints a symmetric matrix with baselines for the report', () => {
+  const similarity = analyze([
+    ['site.html', STORY, 'website'],
+    ['deck.pdf', STORY.slice(0, 3), 'pitch_deck'],
+    ['ops.txt', LOGISTICS, 'sales'],
+  ]);
+  const table = buildSimilarityTable(similarity);
+
+  assert.deepStrictEqual(table.columns, ['', 'Website', 'Pitch deck', 'Sales materials', 'Baseline']);
+  table.rows.forEach((row, i) => {
+    assert.strictEqual(row[i + 1], '-');
+    table.rows.forEach((other, j) => assert.strictEqual(row[j + 1], other[i + 1]));
+  });
+  assert.match(table.notes[0], /^Baseline gap score: [\d.]+\/10/);
+
+  const context = formatSimilarityContext(similarity);
+  assert.match(context, /^=== CROSS-PLATFORM SIMILARITY/);
+  assert.match(context, /^Website vs Pitch deck: similarity \d+%/m);
+  assert.strictEqual(formatSimilarityContext(null), '');
+});
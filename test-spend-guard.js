@@ -0,0 +1,203 @@
+/**
+ * SPEND GUARD TEST
+ * Narrative Sparring - spend-guard.js caps, budgets and the ledger, on an
+ * in-memory spend_ledger table
+ *
+ * Run: node --test test-spend-guard.js (or npm test). No network or env vars needed.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  getSpendLimits,
+  getDailySpend,
+  getAnalysisSpend,
+  planSpend,
+  createBudget,
+  createRequestBudget,
+  isBudgetSpent,
+  chargeBudget,
+  remainingLimit,
+} = require('./api/utils/spend-guard');
+
+const LIMIT_VARS = ['MAX_ANALYSIS_COST_USD', 'MAX_DAILY_COST_USD', 'BUDGET_CAP_ACTION', 'BUDGET_FALLBACK_MODEL'];
+
+function withEnv(values, run) {
+  const saved = Object.fromEntries(LIMIT_VARS.map(name => [name, process.env[name]]));
+  LIMIT_VARS.forEach(name => delete process.env[name]);
+  Object.assign(process.env, values);
+
+  const restore = () => LIMIT_VARS.forEach(name => {
+    if (saved[name] === undefined) {
+      delete process.env[name];
+    } else {
+      process.env[name] = saved[name];
+    }
+  });
+
+  return Promise.resolve().then(run).finally(restore);
+}
+
+/**
+ * Stand-in for the Supabase client: select with eq/gte filters and
+ * order/range paging over rows, insert appends
+ */
+function fakeSupabase(rows = []) {
+  const reads = [];
+
+  return {
+    rows,
+    reads,
+    from: () => ({
+      insert: async row => {
+        rows.push(row);
+        return { error: null };
+      },
+      select: () => {
+        const filters = [];
+        const query = {
+          eq: (column, value) => { filters.push(row => row[column] === value); return query; },
+          gte: (column, value) => { filters.push(row => row[column] >= value); return query; },
+          order: () => query,
+          range: async (from, to) => {
+            reads.push([from, to]);
+            return { data: rows.filter(row => filters.every(filter => filter(row))).slice(from, to + 1), error: null };
+          },
+        };
+        return query;
+      },
+    }),
+  };
+}
+
+const LIMITS = { perAnalysisUSD: 2, perDayUSD: 10, action: 'downgrade', fallbackModel: 'claude-haiku-4-5-20251001' };
+
+test('reads caps from the environment, unset or invalid meaning no cap', () => withEnv({
+  MAX_ANALYSIS_COST_USD: '1.5',
+  MAX_DAILY_COST_USD: 'lots',
+  BUDGET_CAP_ACTION: 'abort',
+}, () => {
+  assert.deepStrictEqual(getSpendLimits(), {
+    perAnalysisUSD: 1.5,
+    perDayUSD: null,
+    action: 'abort',
+    fallbackModel: 'claude-haiku-4-5-20251001',
+  });
+
+  process.env.MAX_DAILY_COST_USD = '';
+  process.env.BUDGET_CAP_ACTION = 'stop';
+  assert.strictEqual(getSpendLimits().perDayUSD, null);
+  assert.strictEqual(getSpendLimits().action, 'downgrade');
+}));
+
+test('the tighter of the two caps is what is left', () => {
+  assert.strictEqual(remainingLimit(LIMITS), 2);
+  assert.strictEqual(remainingLimit(LIMITS, 9.5), 0.5);
+  assert.strictEqual(remainingLimit(LIMITS, 0, 1.25), 0.75);
+  assert.strictEqual(remainingLimit(LIMITS, 12, 3), 0);
+  assert.strictEqual(remainingLimit({ ...LIMITS, perAnalysisUSD: null, perDayUSD: null }, 50), null);
+});
+
+test('runs as asked, downgrades, or aborts', () => {
+  const estimateFor = model => (model === 'claude-haiku-4-5-20251001' ? 0.5 : 3);
+
+  const asked = planSpend({ model: 'claude-sonnet-4-5', estimateFor, limits: { ...LIMITS, perAnalysisUSD: 5 } });
+  assert.strictEqual(asked.allowed, true);
+  assert.strictEqual(asked.action, 'none');
+  assert.strictEqual(asked.reason, null);
+
+  const downgraded = planSpend({ model: 'claude-sonnet-4-5', estimateFor, limits: LIMITS });
+  assert.strictEqual(downgraded.allowed, true);
+  assert.strictEqual(downgraded.action, 'downgraded');
+  assert.strictEqual(downgraded.requested_model, 'claude-sonnet-4-5');
+  assert.strictEqual(downgraded.model, 'claude-haiku-4-5-20251001');
+  assert.strictEqual(downgraded.estimate_usd, 0.5);
+  assert.match(downgraded.reason, /^Estimated cost \$3\.00 on claude-sonnet-4-5 is over the per-analysis cap of \$2\.00; running on/);
+
+  const tooLate = planSpend({ model: 'claude-sonnet-4-5', estimateFor, limits: LIMITS, spentTodayUSD: 9.75 });
+  assert.strictEqual(tooLate.allowed, false);
+  assert.strictEqual(tooLate.action, 'aborted');
+  assert.match(tooLate.reason, /\$0\.25 left of the daily cap \(\$10\.00, \$9\.75 spent today\), and claude-haiku/);
+
+  const abort = planSpend({ model: 'claude-sonnet-4-5', estimateFor, limits: { ...LIMITS, action: 'abort' } });
+  assert.strictEqual(abort.allowed, false);
+  assert.strictEqual(abort.model, 'claude-sonnet-4-5');
+});
+
+test('a budget is spent once charges reach the cap, and every charge is recorded', async () => {
+  assert.strictEqual(createBudget(null), null);
+  assert.strictEqual(createBudget(undefined), null);
+  assert.strictEqual(isBudgetSpent(null), false);
+
+  const entries = [];
+  const budget = createBudget(1, { record: async entry => entries.push(entry) });
+  const entry = { model: 'claude-sonnet-4-5', prompt: 'section', tokensUsed: { total: 1000 }, costUSD: { total: 0.6 } };
+
+  await chargeBudget(budget, entry);
+  assert.strictEqual(isBudgetSpent(budget), false);
+  await chargeBudget(budget, entry);
+  assert.strictEqual(isBudgetSpent(budget), true);
+  assert.strictEqual(entries.length, 2);
+
+  // No cap: charges are recorded but never run out
+  const uncapped = createBudget(null, { record: async () => {} });
+  await chargeBudget(uncapped, { ...entry, costUSD: { total: 500 } });
+  assert.strictEqual(isBudgetSpent(uncapped), false);
+});
+
+test('adds up the ledger a page at a time', async () => {
+  const today = new Date().toISOString();
+  const rows = Array.from({ length: 2500 }, (_, i) => ({
+    analysis_id: i % 2 ? 'a1' : 'a2',
+    cost_usd: '0.002',
+    created_at: today,
+  }));
+  rows.push({ analysis_id: 'a1', cost_usd: 7, created_at: '2020-01-01T00:00:00.000Z' });
+  const supabase = fakeSupabase(rows);
+
+  const daily = await getDailySpend(supabase);
+  assert.strictEqual(daily.success, true);
+  assert.strictEqual(Math.round(daily.spentUSD * 1000) / 1000, 5);
+  assert.deepStrictEqual(supabase.reads, [[0, 999], [1000, 1999], [2000, 2999]]);
+
+  const analysis = await getAnalysisSpend(supabase, 'a1');
+  assert.strictEqual(Math.round(analysis.spentUSD * 1000) / 1000, 9.5);
+});
+
+test('a revision budget is what the analysis and the day have left', () => withEnv({
+  MAX_ANALYSIS_COST_USD: '2',
+  MAX_DAILY_COST_USD: '10',
+}, async () => {
+  const today = new Date().toISOString();
+  const supabase = fakeSupabase([
+    { analysis_id: 'a1', cost_usd: 1.25, created_at: today },
+    { analysis_id: 'a2', cost_usd: 7.5, created_at: today },
+  ]);
+
+  const revision = await createRequestBudget(supabase, { source: 'revision', userId: 'u1', analysisId: 'a1' });
+  assert.strictEqual(revision.limitUSD, 0.75);
+
+  // Older runs predate the ledger: their stored cost counts instead
+  const older = await createRequestBudget(supabase, { source: 'revision', analysisId: 'a1' }, { analysisCostUSD: 1.9 });
+  assert.strictEqual(Math.round(older.limitUSD * 100) / 100, 0.1);
+
+  // Sparring has no analysis cap, only the day's
+  const sparring = await createRequestBudget(supabase, { source: 'sparring', sessionId: 's1' });
+  assert.strictEqual(sparring.limitUSD, 1.25);
+
+  await chargeBudget(revision, { model: 'claude-sonnet-4-5', prompt: 'revision', tokensUsed: { total: 10 }, costUSD: { total: 0.01 } });
+  assert.deepStrictEqual(
+    { ...supabase.rows[2], created_at: undefined },
+    {
+      source: 'revision',
+      user_id: 'u1',
+      analysis_id: 'a1',
+      session_id: null,
+      model: 'claude-sonnet-4-5',
+      prompt: 'revision',
+      tokens: 10,
+      cost_usd: 0.01,
+      created_at: undefined,
+    }
+  );
+}));